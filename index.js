@@ -3,12 +3,16 @@
 "use strict";
 
 const
+	fs = require("fs"),
+	
 	commandLineArgs = require("command-line-args"),
 	getUsage = require("command-line-usage"),
+	filesize = require("filesize"),
 	
 	Logger = require("js-logger"),
 	
 	SnapToS3 = require("./lib/snap-to-s3.js"),
+	migrationPlan = require("./lib/migration-plan"),
 	SnapCostAnalysis = require("./lib/snap-cost-analysis");
 
 class OptionsError extends Error {
@@ -34,9 +38,16 @@ const
 		{
 			name: "bucket",
 			type: String,
-			required: true,
+			requireNotEmpty: true,
 			typeLabel: "[underline]{name}",
-			description: "S3 bucket to upload to (required)"
+			description: "S3 bucket to upload to (required, unless --directory is used instead)"
+		},
+		{
+			name: "directory",
+			type: String,
+			requireNotEmpty: true,
+			typeLabel: "[underline]{path}",
+			description: "... or store archives in this directory instead of S3 (e.g. a mounted NAS), with the same layout as the bucket would have"
 		},
 		{
 			name: "mount-point",
@@ -87,6 +98,19 @@ const
 			typeLabel: "[underline]{SnapshotId} ...",
 			description: "... or provide an explicit list of snapshots to migrate (tags are ignored)"
 		},
+		{
+			name: "dry-run",
+			type: Boolean,
+			defaultValue: false,
+			description: "Print a plan of which snapshots would be migrated, their S3 keys and estimated costs, without creating volumes, tagging snapshots or uploading anything. With --prune, list the archives that would be deleted"
+		},
+		{
+			name: "plan-format",
+			type: String,
+			defaultValue: "text",
+			typeLabel: "[underline]{format}",
+			description: "Format of the --dry-run plan: text or json (default: $default)"
+		},
 		{
 			name: "upload-streams",
 			type: Number,
@@ -95,11 +119,37 @@ const
 			description: "Number of simultaneous streams to send to S3 (increases upload speed and memory usage, default: $default)"
 		},
 		{
-			name: "compression-level",
+			name: "parallel",
 			type: Number,
 			defaultValue: 1,
+			typeLabel: "[underline]{num}",
+			description: "Number of snapshots to migrate at the same time, each with its own temporary volume (a snapshot that fails doesn't stop the others, default: $default)"
+		},
+		{
+			name: "keep-going",
+			type: Boolean,
+			defaultValue: false,
+			description: "If a snapshot fails to migrate, tag it for retry and carry on with the rest, then list the failures at the end"
+		},
+		{
+			name: "max-failures",
+			type: Number,
+			defaultValue: 3,
+			typeLabel: "[underline]{num}",
+			description: "With --keep-going, skip tagged snapshots which have already failed to migrate more than this many times (default: $default)"
+		},
+		{
+			name: "compression",
+			type: String,
+			defaultValue: "lz4",
+			typeLabel: "[underline]{codec}",
+			description: "Compression to apply to the uploaded archives: zstd, gzip, xz, lz4 or none (default: $default)"
+		},
+		{
+			name: "compression-level",
+			type: Number,
 			typeLabel: "[underline]{level}",
-			description: "LZ4 compression level (1-9, default: $default)"
+			description: "Compression level, whose range and default depend on the codec (lz4: 1-9, default 1; zstd: 1-19, default 3; gzip: 1-9, default 6; xz: 0-9, default 6)"
 		},
 		{
 			name: "dd",
@@ -107,6 +157,45 @@ const
 			defaultValue: false,
 			description: "Use dd to create a raw image of the entire volume, instead of tarring up the files of each partition"
 		},
+		{
+			name: "direct",
+			type: Boolean,
+			defaultValue: false,
+			description: "Read snapshots through the EBS direct APIs instead of creating temporary volumes, this implies --dd (also applies to --validate)"
+		},
+		{
+			name: "incremental",
+			type: Boolean,
+			defaultValue: false,
+			description: "Upload only the files that changed since the most recent tar of the same partition in S3 (with --dd, only the blocks that changed since the most recent image or delta, this implies --direct)"
+		},
+		{
+			name: "max-chain-length",
+			type: Number,
+			defaultValue: 30,
+			typeLabel: "[underline]{num}",
+			description: "With --incremental, upload a full tar or image instead once a chain is this many levels deep (default: $default)"
+		},
+		{
+			name: "dedup",
+			type: Boolean,
+			defaultValue: false,
+			description: "Split archives into content-defined chunks and only upload the chunks that aren't already in the bucket"
+		},
+		{
+			name: "checkpoint-dir",
+			type: String,
+			requireNotEmpty: true,
+			typeLabel: "[underline]{path}",
+			description: "Save the progress of each upload in this directory, so that an upload which is interrupted (e.g. by a crash) carries on from its last completed part when it's next run"
+		},
+		{
+			name: "copy-to",
+			type: String,
+			multiple: true,
+			typeLabel: "[underline]{destination} ...",
+			description: "Also upload each archive to these destinations at the same time, each s3://bucket or the absolute path of a directory, with optional settings after commas: region=, sse=, sse-kms-key-id= and optional (the migration succeeds even if an optional destination fails)"
+		},
 		{
 			name: "sse",
 			type: String,
@@ -119,6 +208,36 @@ const
 			requireNotEmpty: true,
 			typeLabel: "[underline]{id}",
 			description: "KMS key ID to use for aws:kms encryption, if not using the S3 master KMS key"
+		},
+		{
+			name: "storage-class",
+			type: String,
+			typeLabel: "[underline]{class}",
+			description: "S3 storage class to upload archives to: STANDARD_IA, ONEZONE_IA, GLACIER, DEEP_ARCHIVE or INTELLIGENT_TIERING (default: STANDARD)"
+		},
+		{
+			name: "object-lock-mode",
+			type: String,
+			typeLabel: "[underline]{mode}",
+			description: "Protect uploaded archives from being deleted or overwritten with S3 Object Lock, in GOVERNANCE or COMPLIANCE mode (the bucket must have Object Lock enabled)"
+		},
+		{
+			name: "object-lock-days",
+			type: Number,
+			typeLabel: "[underline]{days}",
+			description: "With --object-lock-mode, keep archives locked for this many days after they're uploaded"
+		},
+		{
+			name: "object-lock-until",
+			type: String,
+			typeLabel: "[underline]{date}",
+			description: "... or keep them locked until this date (ISO 8601, e.g. 2030-01-01)"
+		},
+		{
+			name: "legal-hold",
+			type: Boolean,
+			defaultValue: false,
+			description: "Place an Object Lock legal hold on uploaded archives, which keeps them until the hold is removed"
 		}
 	],
 	
@@ -128,6 +247,46 @@ const
 			type: Boolean,
 			defaultValue: false,
 			description: "Validate uploaded snapshots from S3 against the original EBS snapshots (can be combined with --migrate)"
+		},
+		{
+			name: "against-manifest",
+			type: Boolean,
+			defaultValue: false,
+			description: "Validate against the manifests uploaded at migration time instead, without creating temporary volumes (with --snapshots, the snapshots don't need to exist any more)"
+		},
+		{
+			name: "glacier",
+			type: String,
+			defaultValue: "skip",
+			typeLabel: "[underline]{action}",
+			description: "What to do when archives are in GLACIER or DEEP_ARCHIVE: \"skip\" the snapshot, \"restore\" them and skip it until a later run, or \"wait\" for them to be restored (default: $default)"
+		},
+		{
+			name: "glacier-tier",
+			type: String,
+			defaultValue: "Standard",
+			typeLabel: "[underline]{tier}",
+			description: "Retrieval tier to restore archives with: Expedited, Standard or Bulk (default: $default)"
+		},
+		{
+			name: "glacier-days",
+			type: Number,
+			defaultValue: 1,
+			typeLabel: "[underline]{days}",
+			description: "Number of days to keep restored copies of archives for (default: $default)"
+		},
+		{
+			name: "delete-after-validate",
+			type: Boolean,
+			defaultValue: false,
+			description: "Delete snapshots once they've been validated for --delete-grace hours, after checking that their archives are still in S3 (snapshots used by AMIs are never deleted)"
+		},
+		{
+			name: "delete-grace",
+			type: Number,
+			defaultValue: 24,
+			typeLabel: "[underline]{hours}",
+			description: "How long to keep snapshots for after they're validated (default: $default)"
 		}
 	],
 	
@@ -154,6 +313,287 @@ const
 		}
 	],
 	
+	selectionOptions = [
+		{
+			name: "older-than",
+			type: String,
+			typeLabel: "[underline]{age}",
+			description: "With --all, --one or --daemon, only pick snapshots started longer ago than this, e.g. 36h, 90d, 12w or 1y"
+		},
+		{
+			name: "volume-id",
+			type: String,
+			multiple: true,
+			typeLabel: "[underline]{VolumeId} ...",
+			description: "Only snapshots of these volumes"
+		},
+		{
+			name: "description-matches",
+			type: String,
+			typeLabel: "[underline]{regex}",
+			description: "Only snapshots whose description matches this regular expression"
+		},
+		{
+			name: "min-size",
+			type: Number,
+			typeLabel: "[underline]{GiB}",
+			description: "Only snapshots of volumes at least this big"
+		},
+		{
+			name: "max-size",
+			type: Number,
+			typeLabel: "[underline]{GiB}",
+			description: "Only snapshots of volumes at most this big"
+		},
+		{
+			name: "filter",
+			type: String,
+			multiple: true,
+			typeLabel: "[underline]{tag:Key=Value} ...",
+			description: "Only snapshots with all of these tags"
+		},
+		{
+			name: "exclude-ami-backed",
+			type: Boolean,
+			defaultValue: false,
+			description: "Leave out snapshots which are used by one of your AMIs"
+		},
+		{
+			name: "keep-latest",
+			type: Number,
+			typeLabel: "[underline]{num}",
+			description: "Leave out the newest num completed snapshots of each volume (tagged or not), so they stay in EBS"
+		}
+	],
+	
+	daemonOptions = [
+		{
+			name: "daemon",
+			type: Boolean,
+			defaultValue: false,
+			description: "Keep running, and migrate (with --migrate) and/or validate (with --validate) snapshots as they're tagged, instead of using --all, --one or --snapshots (implies --keep-going)"
+		},
+		{
+			name: "poll-interval",
+			type: Number,
+			defaultValue: 10,
+			typeLabel: "[underline]{minutes}",
+			description: "How often to look for newly-tagged snapshots (default: $default)"
+		},
+		{
+			name: "window",
+			type: String,
+			typeLabel: "[underline]{HH:MM-HH:MM}",
+			description: "Only start new snapshots between these UTC times, e.g. 22:00-06:00 (snapshots already in progress carry on outside of it)"
+		},
+		{
+			name: "status-port",
+			type: Number,
+			typeLabel: "[underline]{port}",
+			description: "Serve the status of the snapshots in progress as JSON at http://127.0.0.1:port/"
+		}
+	],
+	
+	restoreOptions = [
+		{
+			name: "restore",
+			type: Boolean,
+			defaultValue: false,
+			description: "Restore uploaded snapshots from S3 to new EBS volumes"
+		},
+		{
+			name: "key",
+			type: String,
+			multiple: true,
+			typeLabel: "[underline]{key} ...",
+			description: "... or provide the S3 keys of the archives to restore"
+		},
+		{
+			name: "filesystem",
+			type: String,
+			defaultValue: "ext4",
+			typeLabel: "[underline]{type}",
+			description: "Filesystem to create on restored partitions (default: $default)"
+		},
+		{
+			name: "device",
+			type: String,
+			typeLabel: "[underline]{path}",
+			description: "Write a dd image to this existing block device instead of to a new EBS volume"
+		},
+		{
+			name: "force",
+			type: Boolean,
+			defaultValue: false,
+			description: "Allow --device to overwrite a disk which already has partitions or a filesystem on it (mounted disks are always refused)"
+		}
+	],
+	
+	restoreOptionsForDisplayOnly = [
+		{
+			name: "snapshots",
+			type: String,
+			multiple: true,
+			typeLabel: "[underline]{SnapshotId} ...",
+			description: "Restore the archives that were uploaded from these snapshots (the snapshots don't need to exist any more)"
+		}
+	],
+	
+	extractOptions = [
+		{
+			name: "extract",
+			type: String,
+			typeLabel: "[underline]{SnapshotId}",
+			description: "Extract only some files from the archive of this snapshot in S3 (the snapshot doesn't need to exist any more)"
+		},
+		{
+			name: "path",
+			type: String,
+			multiple: true,
+			typeLabel: "[underline]{pattern} ...",
+			description: "Path prefixes (like etc/nginx/) or globs (like etc/*.conf) of the files to extract"
+		},
+		{
+			name: "extract-to",
+			type: String,
+			defaultValue: ".",
+			typeLabel: "[underline]{directory}",
+			description: "Directory to write extracted files to (default: current directory)"
+		}
+	],
+	
+	scrubOptions = [
+		{
+			name: "scrub",
+			type: Boolean,
+			defaultValue: false,
+			description: "Check every archive in the bucket against the hashes in its manifest, and tag it with the time it was verified"
+		},
+		{
+			name: "scrub-interval",
+			type: Number,
+			defaultValue: 30,
+			typeLabel: "[underline]{days}",
+			description: "Skip archives that were verified within this many days, so interrupted scrubs resume where they left off (default: $default)"
+		},
+		{
+			name: "max-rate",
+			type: Number,
+			typeLabel: "[underline]{MB/s}",
+			description: "Limit the rate that archives are downloaded from S3 at"
+		},
+		{
+			name: "scrub-report",
+			type: String,
+			typeLabel: "[underline]{filename}",
+			description: "Write a JSON report of the results of the scrub to this file"
+		}
+	],
+	
+	pruneOptions = [
+		{
+			name: "prune",
+			type: Boolean,
+			defaultValue: false,
+			description: "Delete the archives in the bucket of snapshots that the retention rules below don't keep, along with their manifests and indexes (use --dry-run to list them first)"
+		},
+		{
+			name: "keep-daily",
+			type: Number,
+			typeLabel: "[underline]{N}",
+			description: "Keep the newest snapshot of each volume from each of the last N days that have any snapshots"
+		},
+		{
+			name: "keep-monthly",
+			type: Number,
+			typeLabel: "[underline]{M}",
+			description: "Keep the newest snapshot of each volume from each of the last M months that have any snapshots"
+		},
+		{
+			name: "keep-yearly",
+			type: Number,
+			typeLabel: "[underline]{Y}",
+			description: "Keep the newest snapshot of each volume from each of the last Y years that have any snapshots"
+		},
+		{
+			name: "retention-rule",
+			type: String,
+			multiple: true,
+			typeLabel: "[underline]{rule} ...",
+			description: "Rules for particular volumes, like vol-0123abcd=7d,12m,5y or tag:Environment=staging=7d. The first rule that matches a volume applies instead of --keep-daily/monthly/yearly"
+		}
+	],
+	
+	gcOptions = [
+		{
+			name: "gc-chunks",
+			type: Boolean,
+			defaultValue: false,
+			description: "Delete chunks of deduplicated archives which are no longer referenced by any archive in the bucket"
+		},
+		{
+			name: "gc-grace",
+			type: Number,
+			defaultValue: 24,
+			typeLabel: "[underline]{hours}",
+			description: "Keep unreferenced chunks younger than this, since they might belong to an upload that's still running (default: $default)"
+		}
+	],
+	
+	encryptionOptions = [
+		{
+			name: "encryption-public-key",
+			type: String,
+			typeLabel: "[underline]{filename}",
+			description: "Encrypt new archives before uploading them, protecting each archive's key with this PEM RSA public key"
+		},
+		{
+			name: "encryption-passphrase-file",
+			type: String,
+			typeLabel: "[underline]{filename}",
+			description: "... or protect each archive's key with the passphrase in this file instead. Also used to decrypt archives that were encrypted this way"
+		},
+		{
+			name: "encryption-private-key",
+			type: String,
+			typeLabel: "[underline]{filename}",
+			description: "PEM RSA private key to decrypt archives that were encrypted with --encryption-public-key, for validating, restoring, extracting or scrubbing"
+		}
+	],
+	
+	s3Options = [
+		{
+			name: "s3-endpoint",
+			type: String,
+			typeLabel: "[underline]{url}",
+			description: "Store archives on this S3-compatible service (e.g. MinIO or Ceph RGW) instead of Amazon S3, e.g. http://minio.local:9000. EC2 and EBS requests still go to AWS"
+		},
+		{
+			name: "s3-force-path-style",
+			type: Boolean,
+			defaultValue: false,
+			description: "Address the bucket in the path of the URL instead of in the hostname, which most S3-compatible services need"
+		},
+		{
+			name: "s3-region",
+			type: String,
+			typeLabel: "[underline]{region}",
+			description: "Region to sign S3 requests for (default: the region of this instance)"
+		},
+		{
+			name: "s3-profile",
+			type: String,
+			typeLabel: "[underline]{name}",
+			description: "Use the credentials of this profile from your AWS credentials file for S3, instead of the instance's role"
+		},
+		{
+			name: "s3-credentials-file",
+			type: String,
+			typeLabel: "[underline]{filename}",
+			description: "Read --s3-profile from this credentials file instead of ~/.aws/credentials"
+		}
+	],
+	
 	analyzeOptions = [
 		{
 			name: "analyze",
@@ -165,7 +605,7 @@ const
 	usageSections = [
 		{
 			header: "snap-to-s3",
-			content: "Creates EBS volumes from snapshots, tars up their files, compresses them with LZ4, and uploads them to S3."
+			content: "Creates EBS volumes from snapshots, tars up their files, compresses them, and uploads them to S3."
 		},
 		{
 			header: "Migrate snapshots to S3",
@@ -173,7 +613,43 @@ const
 		},
 		{
 			header: "Validate uploaded snapshots",
-			optionList: validateOptions.concat(validateOptionsForDisplayOnly)
+			optionList: validateOptions.slice(0, 1).concat(validateOptionsForDisplayOnly, validateOptions.slice(1))
+		},
+		{
+			header: "Select snapshots",
+			optionList: selectionOptions
+		},
+		{
+			header: "Run as a daemon",
+			optionList: daemonOptions
+		},
+		{
+			header: "Restore snapshots from S3",
+			optionList: restoreOptions.slice(0, 1).concat(restoreOptionsForDisplayOnly, restoreOptions.slice(1))
+		},
+		{
+			header: "Extract files from S3",
+			optionList: extractOptions
+		},
+		{
+			header: "Scrub archives in S3",
+			optionList: scrubOptions
+		},
+		{
+			header: "Prune archives in S3",
+			optionList: pruneOptions
+		},
+		{
+			header: "Garbage-collect deduplicated chunks",
+			optionList: gcOptions
+		},
+		{
+			header: "Client-side encryption",
+			optionList: encryptionOptions
+		},
+		{
+			header: "S3-compatible storage",
+			optionList: s3Options
 		},
 		{
 			header: "Analyze AWS Cost and Usage reports",
@@ -188,7 +664,7 @@ const
 		}
 	],
 
-	allOptions = commonOptions.concat(migrateOptions, validateOptions, analyzeOptions);
+	allOptions = commonOptions.concat(migrateOptions, validateOptions, selectionOptions, daemonOptions, restoreOptions, extractOptions, scrubOptions, pruneOptions, gcOptions, encryptionOptions, s3Options, analyzeOptions);
 
 let
 	options;
@@ -201,6 +677,185 @@ for (let option of allOptions) {
 	}
 }
 
+function normaliseSSEOption() {
+	if (options.sse === "aes256") {
+		// Be nice and capitalise things for the user
+		options.sse = "AES256";
+	} else if (options.sse === null) {
+		// If the user specified --sse, but didn't specify an algorithm, default to AES256 like AWS CLI would
+		options.sse = "AES256";
+	}
+}
+
+function restore() {
+	let
+		haveSnapshots = options.snapshots && options.snapshots.length !== 0,
+		haveKeys = options.key && options.key.length !== 0;
+	
+	if (haveSnapshots === haveKeys) {
+		throw new OptionsError("You must supply exactly one of --snapshots or --key options to --restore");
+	}
+	
+	if (options.migrate || options.validate || options.extract !== undefined) {
+		throw new OptionsError("--restore can't be combined with --migrate, --validate or --extract");
+	}
+	
+	if (options.device && haveSnapshots && options.snapshots.length > 1) {
+		throw new OptionsError("Only one snapshot can be restored to --device at a time");
+	}
+	
+	let
+		snap = new SnapToS3(options),
+		promise;
+	
+	if (haveSnapshots) {
+		promise = snap.restoreSnapshots(options.snapshots);
+	} else {
+		promise = snap.restoreKeys(options.key);
+	}
+	
+	return promise.then(
+		results => {
+			Logger.info("These snapshots were restored successfully:\n" + results.map(result => result.snapshotID + ": " + (result.volumeID || result.devicePath) + (result.mountPoints.length > 0 ? " (mounted at " + result.mountPoints.join(", ") + ")" : " (" + result.devicePath + ")")).join("\n"));
+		},
+		error => {
+			if (error instanceof SnapToS3.SnapshotRestoreError) {
+				Logger.get(error.snapshotID).error(error.error);
+				Logger.error("");
+				Logger.error("Terminating due to fatal errors.");
+				process.exitCode = 1;
+			} else {
+				throw error;
+			}
+		}
+	);
+}
+
+function extract() {
+	if (!options.path || options.path.length === 0) {
+		throw new OptionsError("You must supply the files to extract with --path");
+	}
+	
+	if (options.migrate || options.validate) {
+		throw new OptionsError("--extract can't be combined with --migrate or --validate");
+	}
+	
+	let
+		snap = new SnapToS3(options);
+	
+	return snap.extractFilesFromSnapshot(options.extract, options.path, options["extract-to"]).then(extractedCount => {
+		Logger.info("Extracted " + extractedCount + " files, directories and links to " + options["extract-to"]);
+	});
+}
+
+function scrub() {
+	if (options.migrate || options.validate) {
+		throw new OptionsError("--scrub can't be combined with --migrate or --validate");
+	}
+	
+	if (options["max-rate"] !== undefined && !(options["max-rate"] > 0)) {
+		throw new OptionsError("--max-rate must be a positive number of megabytes per second");
+	}
+	
+	let
+		snap = new SnapToS3(options);
+	
+	return snap.scrubBucket().then(report => {
+		const
+			checkedCount = report.verified.length + report.failed.length;
+		
+		Logger.info("Scrubbed " + checkedCount + " archive" + (checkedCount === 1 ? "" : "s") + ": " + report.verified.length + " verified successfully, " + report.failed.length + " failed");
+		
+		if (report.skippedRecentlyVerified.length > 0) {
+			Logger.info(report.skippedRecentlyVerified.length + " archives were skipped because they were verified in the last " + options["scrub-interval"] + " days");
+		}
+		if (report.skippedArchived.length > 0) {
+			Logger.warn("These archives were skipped because they're in Glacier and haven't been restored:\n" + report.skippedArchived.join("\n"));
+		}
+		if (report.skippedNoManifest.length > 0) {
+			Logger.warn("These archives were skipped because they have no manifest to check against:\n" + report.skippedNoManifest.join("\n"));
+		}
+		
+		if (options["scrub-report"]) {
+			fs.writeFileSync(options["scrub-report"], JSON.stringify(report, null, 2));
+		}
+		
+		if (report.failed.length > 0) {
+			Logger.error("These archives failed verification:\n" + report.failed.map(failure => failure.key + ": " + failure.error).join("\n\n"));
+			process.exitCode = 1;
+		}
+	});
+}
+
+function formatUndeletedVersions(undeleted) {
+	return undeleted.map(version => version.key + (version.versionId ? " (version " + version.versionId + ")" : "") + ": " + version.error).join("\n");
+}
+
+function collectChunkGarbage() {
+	if (options.migrate || options.validate) {
+		throw new OptionsError("--gc-chunks can't be combined with --migrate or --validate");
+	}
+	
+	if (!(options["gc-grace"] >= 0)) {
+		throw new OptionsError("--gc-grace must be a number of hours");
+	}
+	
+	let
+		snap = new SnapToS3(options);
+	
+	return snap.collectChunkGarbage().then(report => {
+		Logger.info(report.indexCount + " deduplicated archives reference " + report.referencedChunkCount + " chunks");
+		Logger.info("Deleted " + report.deleted.length + " unreferenced chunks (" + filesize(report.deletedBytes) + ")");
+		
+		if (report.skippedRecent.length > 0) {
+			Logger.info(report.skippedRecent.length + " unreferenced chunks were kept because they were uploaded in the last " + options["gc-grace"] + " hours");
+		}
+		if (report.undeleted.length > 0) {
+			Logger.warn("These versions of unreferenced chunks couldn't be deleted, so they were kept:\n" + formatUndeletedVersions(report.undeleted));
+		}
+	});
+}
+
+function prune() {
+	if (options.migrate || options.validate) {
+		throw new OptionsError("--prune can't be combined with --migrate or --validate");
+	}
+	
+	if (options["keep-daily"] === undefined && options["keep-monthly"] === undefined && options["keep-yearly"] === undefined
+			&& !(options["retention-rule"] && options["retention-rule"].length > 0)) {
+		throw new OptionsError("--prune needs retention rules, from --keep-daily, --keep-monthly, --keep-yearly or --retention-rule");
+	}
+	
+	let
+		snap = new SnapToS3(options);
+	
+	return snap.pruneArchives().then(report => {
+		for (let snapshot of report.kept) {
+			Logger.info("Keeping " + snapshot.snapshotID + " (" + snapshot.volumeID + "): " + snapshot.reason);
+		}
+		
+		for (let snapshot of report.pruned) {
+			Logger.info((report.dryRun ? "Would delete " : "Deleted ") + snapshot.snapshotID + " (" + snapshot.volumeID + "):\n" + snapshot.keys.join("\n"));
+		}
+		
+		if (report.unruled.length > 0) {
+			Logger.info("No retention rule applies to these volumes, so all of their archives were kept: " + report.unruled.join(", "));
+		}
+		if (report.locked.length > 0) {
+			Logger.warn("These objects are protected by Object Lock, so the archives of their snapshots were kept:\n" + report.locked.map(locked => locked.key + ": " + locked.reason).join("\n"));
+		}
+		if (report.undeleted.length > 0) {
+			Logger.warn("These versions of pruned objects couldn't be deleted, so they were kept:\n" + formatUndeletedVersions(report.undeleted));
+		}
+		
+		if (report.dryRun) {
+			Logger.info("Would delete the archives of " + report.pruned.length + " snapshots and keep " + report.kept.length + " (nothing was deleted, since this is a dry run)");
+		} else {
+			Logger.info("Deleted the archives of " + report.pruned.length + " snapshots (" + report.deleted.length + " objects, " + filesize(report.deletedBytes) + ") and kept " + report.kept.length);
+		}
+	});
+}
+
 try {
 	// Parse command-line options
 	options = commandLineArgs(allOptions)
@@ -229,6 +884,30 @@ if (options === null || options.help || process.argv.length <= 2) {
 			}
 		}
 		
+		if (options.restore) {
+			return restore();
+		}
+		
+		if (options.scrub) {
+			return scrub();
+		}
+		
+		if (options.prune) {
+			return prune();
+		}
+		
+		if (options["gc-chunks"]) {
+			return collectChunkGarbage();
+		}
+		
+		if (options.extract !== undefined) {
+			if (options.extract === null) {
+				throw new OptionsError("Option --extract requires a snapshot ID!");
+			}
+			
+			return extract();
+		}
+		
 		let
 			subjectCount = 0;
 		
@@ -241,26 +920,117 @@ if (options === null || options.help || process.argv.length <= 2) {
 		if (options.one) {
 			subjectCount++;
 		}
+		if (options.daemon) {
+			subjectCount++;
+		}
 		
 		if (subjectCount !== 1) {
-			throw new OptionsError("You must supply exactly one of --snapshots, --all or --one options");
+			throw new OptionsError("You must supply exactly one of --snapshots, --all, --one or --daemon options");
 		}
 		
 		if (!options.migrate && !options.validate) {
 			throw new OptionsError("You must supply at least one of --migrate or --validate");
 		}
 		
-		if (options.sse === "aes256") {
-			// Be nice and capitalise things for the user
-			options.sse = "AES256";
-		} else if (options.sse === null) {
-			// If the user specified --sse, but didn't specify an algorithm, default to AES256 like AWS CLI would
-			options.sse = "AES256";
+		if (options["against-manifest"] && (options.migrate || !options.validate)) {
+			throw new OptionsError("--against-manifest can only be used with --validate (not --migrate)");
 		}
 		
+		if (!options.daemon && (options.window !== undefined || options["status-port"] !== undefined)) {
+			throw new OptionsError("--window and --status-port can only be used with --daemon");
+		}
+		
+		if (options.daemon && options["against-manifest"]) {
+			throw new OptionsError("--against-manifest can't be used with --daemon, pass the snapshot IDs to validate with --snapshots instead");
+		}
+		
+		if (options.snapshots && options.snapshots.length !== 0) {
+			for (let option of selectionOptions) {
+				if (options[option.name] !== undefined && options[option.name] !== false) {
+					throw new OptionsError("--" + option.name + " can only be used with --all, --one or --daemon, since --snapshots lists the snapshots explicitly");
+				}
+			}
+		}
+		
+		if (options["delete-after-validate"] && !options.validate) {
+			throw new OptionsError("--delete-after-validate can only be used with --validate");
+		}
+		
+		if (options["dry-run"] && (!options.migrate || options.validate || options.daemon)) {
+			throw new OptionsError("--dry-run can only be used with --migrate or --prune (not --validate or --daemon)");
+		}
+		
+		if (options["plan-format"] !== "text" && options["plan-format"] !== "json") {
+			throw new OptionsError("--plan-format must be text or json");
+		}
+		
+		// Keep our log messages out of the plan, so that it can be piped to a JSON parser
+		if (options["dry-run"] && options["plan-format"] === "json") {
+			Logger.setLevel(Logger.WARN);
+		}
+		
+		normaliseSSEOption();
+		
         let
 			snap = new SnapToS3(options);
 		
+		if (options.daemon) {
+			return snap.runDaemon();
+		}
+		
+		let
+			// Set once the run has been terminated, since we shouldn't go on to delete anything after that
+			fatalError = false;
+		
+		const
+			deleteValidatedSnapshots = () => {
+				if (!options["delete-after-validate"] || fatalError) {
+					return;
+				}
+				
+				Logger.info("");
+				
+				return snap.deleteValidatedSnapshots(options.snapshots && options.snapshots.length !== 0 ? options.snapshots : undefined).then(result => {
+					const
+						keptIDs = Object.keys(result.kept),
+						failedIDs = Object.keys(result.failed);
+					
+					if (keptIDs.length > 0) {
+						Logger.info("These validated snapshots were kept:\n" + keptIDs.map(snapshotID => snapshotID + ": " + result.kept[snapshotID]).join("\n") + "\n");
+					}
+					
+					if (result.deleted.length > 0) {
+						Logger.info("These validated snapshots were deleted:\n" + result.deleted.join("\n") + "\n");
+					}
+					
+					if (failedIDs.length > 0) {
+						Logger.error("These validated snapshots couldn't be deleted:\n" + failedIDs.map(snapshotID => snapshotID + ": " + result.failed[snapshotID]).join("\n\n"));
+						process.exitCode = 1;
+					}
+				});
+			};
+		
+		if (options["dry-run"]) {
+			let
+				promise;
+			
+			if (options.all) {
+				promise = snap.planTaggedMigrations(false);
+			} else if (options.one) {
+				promise = snap.planTaggedMigrations(true);
+			} else {
+				promise = snap.planMigrations(options.snapshots);
+			}
+			
+			return promise.then(plan => {
+				if (options["plan-format"] === "json") {
+					console.log(JSON.stringify(plan, null, 2));
+				} else {
+					console.log(migrationPlan.formatPlanAsText(plan));
+				}
+			});
+		}
+		
 		if (options.migrate) {
 			let
 				promise;
@@ -273,10 +1043,26 @@ if (options === null || options.help || process.argv.length <= 2) {
 				promise = snap.migrateSnapshots(options.snapshots);
 			}
 			
+			const
+				reportSkipped = () => {
+					const
+						skippedIDs = Object.keys(snap.skippedMigrations);
+					
+					if (skippedIDs.length > 0) {
+						Logger.warn("These snapshots were skipped because they've failed to migrate more than " + options["max-failures"] + " times (remove their \"" + options.tag + "-failures\" tag to try them again):\n" + skippedIDs.map(snapshotID => snapshotID + ": " + snap.skippedMigrations[snapshotID] + " failures").join("\n") + "\n");
+					}
+				};
+			
 			return promise.then(
 				migrated => {
-					if (migrated.length === 0) {
+					if (migrated.length === 0 && Object.keys(snap.skippedMigrations).length === 0) {
 						Logger.error("No snapshots to migrate (snapshots must have tag \"" + options.tag + "\" set to \"migrate\" to be eligible)");
+					} else if (options["keep-going"] || options.parallel > 1) {
+						reportSkipped();
+						
+						if (migrated.length > 0) {
+							Logger.info("These snapshots migrated successfully:\n" + migrated.join("\n"));
+						}
 					}
 				},
 				error => {
@@ -285,11 +1071,22 @@ if (options === null || options.help || process.argv.length <= 2) {
 						Logger.error("");
 						Logger.error("Terminating due to fatal errors.");
 						process.exitCode = 1;
+						fatalError = true;
+					} else if (error instanceof SnapToS3.SnapshotMigrationFailuresError) {
+						Logger.info("");
+						reportSkipped();
+						
+						if (error.successes.length > 0) {
+							Logger.info("These snapshots migrated successfully:\n" + error.successes.join("\n") + "\n");
+						}
+						
+						Logger.error("These snapshots failed to migrate:\n" + Object.keys(error.failures).map(snapshotID => snapshotID + ": " + error.failures[snapshotID]).join("\n\n"));
+						process.exitCode = 1;
 					} else {
 						throw error;
 					}
 				}
-			);
+			).then(deleteValidatedSnapshots);
 		} else if (options.validate) {
 			let
 				promise;
@@ -302,18 +1099,33 @@ if (options === null || options.help || process.argv.length <= 2) {
 				promise = snap.validateSnapshots(options.snapshots);
 			}
 			
+			const
+				reportSkipped = () => {
+					const
+						skippedIDs = Object.keys(snap.skippedValidations);
+					
+					if (skippedIDs.length > 0) {
+						Logger.warn("These snapshots were skipped because their archives haven't been restored from Glacier:\n" + skippedIDs.map(snapshotID => snapshotID + ": " + snap.skippedValidations[snapshotID]).join("\n\n") + "\n");
+					}
+				};
+			
 			return promise.then(
 				successes => {
-					if (successes.length === 0) {
+					if (successes.length === 0 && Object.keys(snap.skippedValidations).length === 0) {
 						Logger.error("No snapshots to validate (snapshots must have tag \"" + options.tag + "\" set to \"migrated\" to be eligible)");
 					} else {
 						Logger.info("");
-						Logger.info("These snapshots validated successfully:\n" + successes.join("\n"));
+						reportSkipped();
+						
+						if (successes.length > 0) {
+							Logger.info("These snapshots validated successfully:\n" + successes.join("\n"));
+						}
 					}
 				},
 				error => {
 					if (error instanceof SnapToS3.SnapshotValidationError) {
 						Logger.info("");
+						reportSkipped();
 						
 						if (error.successes.length > 0) {
 							Logger.info("These snapshots validated successfully:\n" + error.successes.join("\n") + "\n");
@@ -325,7 +1137,7 @@ if (options === null || options.help || process.argv.length <= 2) {
 						throw error;
 					}
 				}
-			);
+			).then(deleteValidatedSnapshots);
 			
 		}
 	})
@@ -207,9 +207,11 @@ function waitForVolumePartitions(volume, instanceID, maxRetries, retryInterval)
  *
  * @param ec2
  * @param {String} instanceID
+ * @param {String[]} [reserved] - Attachment points to avoid, even though they might not be occupied yet. The point we
+ * pick is added to this straight away, so that concurrent picks sharing the array can't choose it too
  * @returns {Promise.<String>} The path of the found attachment point
  */
-function pickAvailableAttachmentPoint(ec2, instanceID) {
+function pickAvailableAttachmentPoint(ec2, instanceID, reserved) {
 	return ec2.describeInstanceAttribute({
 		Attribute: "blockDeviceMapping",
 		InstanceId: instanceID
@@ -230,6 +232,10 @@ function pickAvailableAttachmentPoint(ec2, instanceID) {
 			}
 		}
 		
+		for (let attachPoint of reserved || []) {
+			availableLetters[attachPoint.replace(/^\/dev\/(?:sd|xvd)/, "")] = false;
+		}
+		
 		availableLetters = Object.keys(availableLetters).filter(letter => availableLetters[letter]);
 		
 		if (availableLetters.length === 0) {
@@ -246,7 +252,14 @@ function pickAvailableAttachmentPoint(ec2, instanceID) {
 			random = crypto.randomBytes(1)[0] % 32;
 		} while (random >= availableLetters.length); // This reject/retry loop avoids creating a bias in the random numbers
 		
-		return "/dev/sd" + availableLetters[random];
+		const
+			attachPoint = "/dev/sd" + availableLetters[random];
+		
+		if (reserved) {
+			reserved.push(attachPoint);
+		}
+		
+		return attachPoint;
 	});
 }
 
@@ -335,6 +348,162 @@ function waitForVolumeAttach(ec2, volumeID, instanceID, maxRetries, retryInterva
 }
 
 
+/**
+ * List all of the objects in an S3 bucket which match the given request, following continuation tokens until the
+ * listing is complete.
+ *
+ * @param {Object} s3
+ * @param {S3.ListObjectsV2Request} params
+ * @returns {Promise.<S3.ObjectList>}
+ */
+function listAllObjects(s3, params) {
+	let
+		objects = [];
+	
+	const
+		fetchPage = continuationToken => {
+			let
+				pageParams = Object.assign({}, params);
+			
+			if (continuationToken) {
+				pageParams.ContinuationToken = continuationToken;
+			}
+			
+			return s3.listObjectsV2(pageParams).promise().then(data => {
+				objects = objects.concat(data.Contents);
+				
+				if (data.IsTruncated) {
+					return fetchPage(data.NextContinuationToken);
+				}
+				
+				return objects;
+			});
+		};
+	
+	return fetchPage(null);
+}
+
+/**
+ * List the prefixes that the keys in an S3 bucket share up to the request's Delimiter (like the subdirectories of a
+ * directory), following continuation tokens until the listing is complete.
+ *
+ * @param {Object} s3
+ * @param {S3.ListObjectsV2Request} params
+ * @returns {Promise.<string[]>}
+ */
+function listAllCommonPrefixes(s3, params) {
+	let
+		prefixes = [];
+	
+	const
+		fetchPage = continuationToken => {
+			let
+				pageParams = Object.assign({}, params);
+			
+			if (continuationToken) {
+				pageParams.ContinuationToken = continuationToken;
+			}
+			
+			return s3.listObjectsV2(pageParams).promise().then(data => {
+				prefixes = prefixes.concat((data.CommonPrefixes || []).map(commonPrefix => commonPrefix.Prefix));
+				
+				if (data.IsTruncated) {
+					return fetchPage(data.NextContinuationToken);
+				}
+				
+				return prefixes;
+			});
+		};
+	
+	return fetchPage(null);
+}
+
+/**
+ * List every version of the objects in an S3 bucket which match the given request, including delete markers,
+ * following the key and version markers until the listing is complete. In a bucket that has never had versioning
+ * turned on, each object has a single version whose VersionId is "null".
+ *
+ * @param {Object} s3
+ * @param {S3.ListObjectVersionsRequest} params
+ * @returns {Promise.<Object[]>} {Key, VersionId, Size, IsDeleteMarker} of each version
+ */
+function listAllObjectVersions(s3, params) {
+	let
+		versions = [];
+	
+	const
+		fetchPage = (keyMarker, versionIDMarker) => {
+			let
+				pageParams = Object.assign({}, params);
+			
+			if (keyMarker) {
+				pageParams.KeyMarker = keyMarker;
+				pageParams.VersionIdMarker = versionIDMarker;
+			}
+			
+			return s3.listObjectVersions(pageParams).promise().then(data => {
+				versions = versions.concat(
+					(data.Versions || []).map(version => ({
+						Key: version.Key,
+						VersionId: version.VersionId,
+						Size: version.Size,
+						IsDeleteMarker: false
+					})),
+					(data.DeleteMarkers || []).map(marker => ({
+						Key: marker.Key,
+						VersionId: marker.VersionId,
+						Size: 0,
+						IsDeleteMarker: true
+					}))
+				);
+				
+				if (data.IsTruncated) {
+					return fetchPage(data.NextKeyMarker, data.NextVersionIdMarker);
+				}
+				
+				return versions;
+			});
+		};
+	
+	return fetchPage(null, null);
+}
+
+/**
+ * Describe all of the snapshots which match the given request, following NextToken until the listing is complete
+ * (a single DescribeSnapshots call only returns the first page).
+ *
+ * @param {Object} ec2
+ * @param {EC2.DescribeSnapshotsRequest} params
+ * @returns {Promise.<EC2.SnapshotList>}
+ */
+function describeAllSnapshots(ec2, params) {
+	let
+		snapshots = [];
+	
+	const
+		fetchPage = nextToken => {
+			let
+				pageParams = Object.assign({MaxResults: 1000}, params);
+			
+			if (nextToken) {
+				pageParams.NextToken = nextToken;
+			}
+			
+			return ec2.describeSnapshots(pageParams).promise().then(data => {
+				snapshots = snapshots.concat(data.Snapshots);
+				
+				if (data.NextToken) {
+					return fetchPage(data.NextToken);
+				}
+				
+				return snapshots;
+			});
+		};
+	
+	return fetchPage(null);
+}
+
+
 module.exports.pickAvailableAttachmentPoint = pickAvailableAttachmentPoint;
 
 module.exports.waitForVolumeState = waitForVolumeState;
@@ -342,3 +511,8 @@ module.exports.waitForVolumeAttach = waitForVolumeAttach;
 module.exports.waitForVolumePartitions = waitForVolumePartitions;
 
 module.exports.identifyPartitionsForAttachedVolume = identifyPartitionsForAttachedVolume;
+
+module.exports.listAllObjects = listAllObjects;
+module.exports.listAllCommonPrefixes = listAllCommonPrefixes;
+module.exports.listAllObjectVersions = listAllObjectVersions;
+module.exports.describeAllSnapshots = describeAllSnapshots;
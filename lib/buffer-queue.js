@@ -0,0 +1,58 @@
+"use strict";
+
+/**
+ * Collects incoming buffers so that we can take fixed-size pieces off the front of them without repeatedly
+ * concatenating everything we've received.
+ */
+class BufferQueue {
+	constructor() {
+		this.buffers = [];
+		this.length = 0;
+	}
+	
+	push(buffer) {
+		this.buffers.push(buffer);
+		this.length += buffer.length;
+	}
+	
+	/**
+	 * @param {int} length
+	 * @returns {Buffer}
+	 */
+	peek(length) {
+		if (length === 0) {
+			return Buffer.alloc(0);
+		}
+		
+		if (this.buffers[0].length < length) {
+			this.buffers = [Buffer.concat(this.buffers)];
+		}
+		
+		return this.buffers[0].slice(0, length);
+	}
+	
+	/**
+	 * @param {int} length
+	 * @returns {Buffer}
+	 */
+	take(length) {
+		const
+			result = this.peek(length);
+		
+		if (length === 0) {
+			return result;
+		}
+		
+		this.buffers[0] = this.buffers[0].slice(length);
+		
+		if (this.buffers[0].length === 0) {
+			this.buffers.shift();
+		}
+		
+		this.length -= length;
+		
+		return result;
+	}
+}
+
+module.exports = BufferQueue;
@@ -0,0 +1,280 @@
+"use strict";
+
+const
+	crypto = require("crypto"),
+	stream = require("stream"),
+	zlib = require("zlib");
+
+/**
+ * Deduplicated archives.
+ *
+ * Instead of being uploaded as a single object, the content of a deduplicated archive (the tar or image, before
+ * compression) is split into chunks at content-defined boundaries, so that the same data produces the same chunks
+ * even if it's at a different offset in a different archive. Each chunk is compressed and stored once, under a key
+ * made from the SHA-256 of its content, and the archive itself is an index object which lists the hashes of its
+ * chunks in order.
+ *
+ * Chunk boundaries are found with a "gear" rolling hash, which only depends on the last 32 bytes that were read. A
+ * chunk ends wherever the low bits of the hash are all zero (giving chunks of about AVERAGE_CHUNK_SIZE on average),
+ * but never before MIN_CHUNK_SIZE or after MAX_CHUNK_SIZE.
+ */
+const
+	CHUNK_PREFIX = "chunks/",
+	INDEX_SUFFIX = ".chunks",
+	INDEX_VERSION = 1,
+	
+	MIN_CHUNK_SIZE = 1024 * 1024,
+	AVERAGE_CHUNK_SIZE = 4 * 1024 * 1024,
+	MAX_CHUNK_SIZE = 16 * 1024 * 1024,
+	
+	// The hash covers the last 32 bytes, so we can skip hashing a new chunk until it's almost the minimum size
+	HASH_WINDOW = 32,
+	
+	BOUNDARY_MASK = AVERAGE_CHUNK_SIZE - 1,
+	
+	// Chunk boundaries must be the same on every run, so the gear table is derived from fixed seeds
+	GEAR = (() => {
+		const
+			table = new Uint32Array(256);
+		
+		for (let i = 0; i < 256; i++) {
+			table[i] = crypto.createHash("sha256").update("snap-to-s3 gear " + i).digest().readUInt32BE(0);
+		}
+		
+		return table;
+	})();
+
+/**
+ * @typedef {Object} ChunkIndex
+ * @property {int} version
+ * @property {int} length - Total length of the content in bytes
+ * @property {Array.<Array>} chunks - The [hash, length] of each chunk, in order
+ */
+
+/**
+ * Splits the stream written to it into content-defined chunks, and emits each chunk as a Buffer.
+ */
+class ContentDefinedChunker extends stream.Transform {
+	constructor() {
+		super({
+			readableObjectMode: true
+		});
+		
+		this.pending = [];
+		this.pendingLength = 0;
+		this.hash = 0;
+	}
+	
+	_addPending(data) {
+		if (data.length > 0) {
+			this.pending.push(data);
+			this.pendingLength += data.length;
+		}
+	}
+	
+	_pushChunk() {
+		this.push(Buffer.concat(this.pending, this.pendingLength));
+		
+		this.pending = [];
+		this.pendingLength = 0;
+		this.hash = 0;
+	}
+	
+	_transform(data, encoding, callback) {
+		let
+			sliceStart = 0,
+			position = 0;
+		
+		while (position < data.length) {
+			const
+				chunkLength = this.pendingLength + (position - sliceStart);
+			
+			if (chunkLength < MIN_CHUNK_SIZE - HASH_WINDOW) {
+				position += Math.min(data.length - position, MIN_CHUNK_SIZE - HASH_WINDOW - chunkLength);
+				continue;
+			}
+			
+			this.hash = ((this.hash << 1) + GEAR[data[position]]) >>> 0;
+			position++;
+			
+			if (chunkLength + 1 >= MAX_CHUNK_SIZE || (chunkLength + 1 >= MIN_CHUNK_SIZE && (this.hash & BOUNDARY_MASK) === 0)) {
+				this._addPending(data.slice(sliceStart, position));
+				this._pushChunk();
+				
+				sliceStart = position;
+			}
+		}
+		
+		this._addPending(data.slice(sliceStart));
+		
+		callback();
+	}
+	
+	_flush(callback) {
+		if (this.pendingLength > 0) {
+			this._pushChunk();
+		}
+		
+		callback();
+	}
+}
+
+/**
+ * @param {Buffer} chunk
+ * @returns {string} The hash that the chunk is stored under
+ */
+module.exports.hashChunk = function(chunk) {
+	return crypto.createHash("sha256").update(chunk).digest("hex");
+};
+
+/**
+ * @param {string} hash
+ * @returns {string} The S3 key of the chunk with the given hash
+ */
+module.exports.chunkKey = function(hash) {
+	// Spread the chunks over prefixes, since S3 rate limits requests per prefix
+	return CHUNK_PREFIX + hash.substring(0, 2) + "/" + hash;
+};
+
+/**
+ * @param {string} key
+ * @returns {boolean} True if the S3 key is for a chunk
+ */
+module.exports.isChunkKey = function(key) {
+	return key.indexOf(CHUNK_PREFIX) === 0;
+};
+
+/**
+ * @param {string} key
+ * @returns {string|null} The hash of the chunk with the given key, or null if it isn't a chunk
+ */
+module.exports.parseChunkKey = function(key) {
+	const
+		matches = key.match(/^chunks\/[0-9a-f]{2}\/([0-9a-f]{64})$/);
+	
+	return matches ? matches[1] : null;
+};
+
+/**
+ * @param {string} key
+ * @returns {boolean} True if the S3 key is for the index of a deduplicated archive
+ */
+module.exports.isIndexKey = function(key) {
+	return key.slice(-INDEX_SUFFIX.length) === INDEX_SUFFIX && !module.exports.isChunkKey(key);
+};
+
+/**
+ * @param {ChunkIndex} index
+ * @returns {Buffer} The gzipped index, ready for upload
+ */
+module.exports.encodeIndex = function(index) {
+	return zlib.gzipSync(Buffer.from(JSON.stringify(index), "utf8"));
+};
+
+/**
+ * @param {Buffer} buffer - Gzipped index
+ * @returns {ChunkIndex}
+ */
+module.exports.decodeIndex = function(buffer) {
+	const
+		index = JSON.parse(zlib.gunzipSync(buffer).toString("utf8"));
+	
+	if (index.version !== INDEX_VERSION || !Array.isArray(index.chunks)) {
+		throw "Unsupported chunk index (version " + index.version + ")";
+	}
+	
+	return index;
+};
+
+/**
+ * @param {Array.<Array>} chunks - The [hash, length] of each chunk, in order
+ * @returns {ChunkIndex}
+ */
+module.exports.createIndex = function(chunks) {
+	return {
+		version: INDEX_VERSION,
+		length: chunks.reduce((total, chunk) => total + chunk[1], 0),
+		chunks: chunks
+	};
+};
+
+/**
+ * Reassembles the content of a deduplicated archive from its chunks, fetching several chunks at once, but always
+ * emitting them in order.
+ */
+class ChunkReadStream extends stream.Readable {
+	/**
+	 * @param {ChunkIndex} index
+	 * @param {function(string):Promise.<Buffer>} fetchChunk - Fetches and decompresses the chunk with the given hash
+	 * @param {int} concurrency - Number of chunks to fetch at once
+	 */
+	constructor(index, fetchChunk, concurrency) {
+		super();
+		
+		this.index = index;
+		this.fetchChunk = fetchChunk;
+		this.concurrency = concurrency;
+		
+		this.nextIndexToRequest = 0;
+		this.pendingChunks = [];
+		
+		this.pumping = false;
+		this.failed = false;
+	}
+	
+	_requestChunks() {
+		while (this.pendingChunks.length < this.concurrency && this.nextIndexToRequest < this.index.chunks.length) {
+			const
+				entry = this.index.chunks[this.nextIndexToRequest],
+				fetch = this.fetchChunk(entry[0]).then(data => {
+					if (data.length !== entry[1] || module.exports.hashChunk(data) !== entry[0]) {
+						throw new Error("Chunk " + entry[0] + " is corrupt, its content doesn't match its hash");
+					}
+					
+					return data;
+				});
+			
+			// We'll handle any error once it's this chunk's turn to be pushed
+			fetch.catch(() => {});
+			
+			this.pendingChunks.push(fetch);
+			this.nextIndexToRequest++;
+		}
+	}
+	
+	_pump() {
+		this._requestChunks();
+		
+		if (this.pendingChunks.length === 0) {
+			this.push(null);
+			return;
+		}
+		
+		this.pendingChunks.shift().then(
+			data => {
+				if (this.push(data)) {
+					this._pump();
+				} else {
+					this.pumping = false;
+				}
+			},
+			error => {
+				this.failed = true;
+				this.emit("error", error);
+			}
+		);
+	}
+	
+	_read() {
+		if (!this.pumping && !this.failed) {
+			this.pumping = true;
+			this._pump();
+		}
+	}
+}
+
+module.exports.ContentDefinedChunker = ContentDefinedChunker;
+module.exports.ChunkReadStream = ChunkReadStream;
+module.exports.INDEX_SUFFIX = INDEX_SUFFIX;
+module.exports.AVERAGE_CHUNK_SIZE = AVERAGE_CHUNK_SIZE;
+module.exports.CHUNK_PREFIX = CHUNK_PREFIX;
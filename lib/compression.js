@@ -0,0 +1,284 @@
+"use strict";
+
+const
+	stream = require("stream"),
+	
+	which = require("which"),
+	
+	spawn = require("./spawn");
+
+/**
+ * @typedef {Object} CompressionCodec
+ * @property {string} name
+ * @property {string|null} binary - Command-line tool that implements the codec (null for no compression)
+ * @property {string} extension - Appended to the S3 key of archives compressed with this codec
+ * @property {int} minLevel
+ * @property {int} maxLevel
+ * @property {int} defaultLevel
+ * @property {function(int):string[]} compressArgs - Arguments to compress stdin to stdout at the given level
+ * @property {string[]} decompressArgs - Arguments to decompress stdin to stdout
+ */
+
+/**
+ * @type {Object.<string, CompressionCodec>}
+ */
+const
+	CODECS = {
+		lz4: {
+			name: "lz4",
+			binary: "lz4",
+			extension: ".lz4",
+			minLevel: 1,
+			maxLevel: 9,
+			defaultLevel: 1,
+			compressArgs: level => ["-z", "-" + level],
+			decompressArgs: ["-d"]
+		},
+		zstd: {
+			name: "zstd",
+			binary: "zstd",
+			extension: ".zst",
+			minLevel: 1,
+			maxLevel: 19,
+			defaultLevel: 3,
+			compressArgs: level => ["-z", "-c", "-q", "-" + level],
+			decompressArgs: ["-d", "-c", "-q"]
+		},
+		gzip: {
+			name: "gzip",
+			binary: "gzip",
+			extension: ".gz",
+			minLevel: 1,
+			maxLevel: 9,
+			defaultLevel: 6,
+			compressArgs: level => ["-c", "-" + level],
+			decompressArgs: ["-d", "-c"]
+		},
+		xz: {
+			name: "xz",
+			binary: "xz",
+			extension: ".xz",
+			minLevel: 0,
+			maxLevel: 9,
+			defaultLevel: 6,
+			compressArgs: level => ["-z", "-c", "-" + level],
+			decompressArgs: ["-d", "-c"]
+		},
+		none: {
+			name: "none",
+			binary: null,
+			extension: "",
+			minLevel: 0,
+			maxLevel: 0,
+			defaultLevel: 0,
+			compressArgs: level => [],
+			decompressArgs: []
+		}
+	};
+
+/**
+ * Archives uploaded before the codec was recorded in their metadata were always compressed with lz4.
+ */
+const
+	LEGACY_CODEC = "lz4";
+
+/**
+ * @param {string} name
+ * @returns {CompressionCodec}
+ */
+function getCodec(name) {
+	if (!(name in CODECS)) {
+		throw "Unknown compression codec \"" + name + "\", supported codecs are " + Object.keys(CODECS).join(", ");
+	}
+	
+	return CODECS[name];
+}
+
+/**
+ * Make sure the tool for the codec is installed before we start streaming anything through it.
+ *
+ * @param {CompressionCodec} codec
+ */
+function checkBinaryForCodec(codec) {
+	if (codec.binary) {
+		try {
+			which.sync(codec.binary);
+		} catch (e) {
+			throw "Missing required utility '" + codec.binary + "' for " + codec.name + " compression, is it on the path?";
+		}
+	}
+}
+
+/**
+ * A stand-in for a compression process which passes its input through unchanged.
+ *
+ * @returns {ProcessPromise}
+ */
+function createPassThroughProcess() {
+	const
+		passThrough = new stream.PassThrough(),
+		stderr = new stream.PassThrough(),
+		
+		result = new Promise((resolve, reject) => {
+			passThrough.on("end", resolve);
+			passThrough.on("error", reject);
+		});
+	
+	stderr.end();
+	
+	result.stdin = passThrough;
+	result.stdout = passThrough;
+	result.stderr = stderr;
+	
+	return result;
+}
+
+/**
+ * Start a process which compresses its stdin to its stdout using the given codec.
+ *
+ * @param {string} codecName
+ * @param {int} level
+ * @param {Object} spawnOptions - Options for child_process.spawn (stdin and stdout must be pipes)
+ *
+ * @returns {ProcessPromise}
+ */
+module.exports.createCompressor = function(codecName, level, spawnOptions) {
+	const
+		codec = getCodec(codecName);
+	
+	if (!codec.binary) {
+		return createPassThroughProcess();
+	}
+	
+	checkBinaryForCodec(codec);
+	
+	return spawn.spawnAsPromise(codec.binary, codec.compressArgs(level), spawnOptions);
+};
+
+/**
+ * Start a process which decompresses its stdin to its stdout using the given codec.
+ *
+ * @param {string} codecName
+ *
+ * @returns {ProcessPromise}
+ */
+module.exports.createDecompressor = function(codecName) {
+	const
+		codec = getCodec(codecName);
+	
+	if (!codec.binary) {
+		return createPassThroughProcess();
+	}
+	
+	checkBinaryForCodec(codec);
+	
+	return spawn.spawnAsPromise(codec.binary, codec.decompressArgs, {
+		stdio: ["pipe", "pipe", process.stderr]
+	});
+};
+
+/**
+ * Run the given buffer through a compression or decompression process, and collect its output.
+ *
+ * @param {ProcessPromise} child
+ * @param {Buffer} buffer
+ *
+ * @returns {Promise.<Buffer>}
+ */
+function transformBuffer(child, buffer) {
+	const
+		output = [],
+		
+		collected = new Promise((resolve, reject) => {
+			child.stdout.on("data", data => output.push(data));
+			child.stdout.on("end", resolve);
+			child.stdout.on("error", reject);
+		});
+	
+	child.stdin.end(buffer);
+	
+	return Promise.all([child, collected]).then(() => Buffer.concat(output));
+}
+
+/**
+ * Compress a whole buffer in memory using the given codec.
+ *
+ * @param {string} codecName
+ * @param {int} level
+ * @param {Buffer} buffer
+ *
+ * @returns {Promise.<Buffer>}
+ */
+module.exports.compressBuffer = function(codecName, level, buffer) {
+	if (!getCodec(codecName).binary) {
+		return Promise.resolve(buffer);
+	}
+	
+	return transformBuffer(module.exports.createCompressor(codecName, level, {
+		stdio: ["pipe", "pipe", process.stderr]
+	}), buffer);
+};
+
+/**
+ * Decompress a whole buffer in memory using the given codec.
+ *
+ * @param {string} codecName
+ * @param {Buffer} buffer
+ *
+ * @returns {Promise.<Buffer>}
+ */
+module.exports.decompressBuffer = function(codecName, buffer) {
+	if (!getCodec(codecName).binary) {
+		return Promise.resolve(buffer);
+	}
+	
+	return transformBuffer(module.exports.createDecompressor(codecName), buffer);
+};
+
+/**
+ * Clamp the requested compression level to the range the codec supports, or pick the codec's default level if none
+ * was requested.
+ *
+ * @param {string} codecName
+ * @param {number|undefined} level
+ * @returns {int}
+ */
+module.exports.normaliseLevel = function(codecName, level) {
+	const
+		codec = getCodec(codecName);
+	
+	if (level === undefined || level === null || isNaN(level)) {
+		return codec.defaultLevel;
+	}
+	
+	return Math.min(Math.max(Math.round(level), codec.minLevel), codec.maxLevel);
+};
+
+/**
+ * Work out which codec an archive was compressed with from the end of its S3 key.
+ *
+ * @param {string} key
+ * @returns {{codec: string, keyWithoutExtension: string}}
+ */
+module.exports.parseKeyExtension = function(key) {
+	for (let name in CODECS) {
+		const
+			extension = CODECS[name].extension;
+		
+		if (extension.length > 0 && key.slice(-extension.length) === extension) {
+			return {
+				codec: name,
+				keyWithoutExtension: key.slice(0, -extension.length)
+			};
+		}
+	}
+	
+	return {
+		codec: "none",
+		keyWithoutExtension: key
+	};
+};
+
+module.exports.getCodec = getCodec;
+module.exports.CODEC_NAMES = Object.keys(CODECS);
+module.exports.LEGACY_CODEC = LEGACY_CODEC;
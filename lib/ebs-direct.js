@@ -0,0 +1,391 @@
+"use strict";
+
+const
+	crypto = require("crypto"),
+	Readable = require("stream").Readable,
+	
+	incremental = require("./incremental");
+
+const
+	GIBIBYTE = 1024 * 1024 * 1024,
+	
+	// Number of blocks to ask ListSnapshotBlocks for at a time (this is the maximum it allows)
+	LIST_PAGE_SIZE = 10000,
+	
+	DEFAULT_CONCURRENCY = 8;
+
+/**
+ * Fetch one block of a snapshot, and check that it arrived intact.
+ *
+ * @param {AWS.EBS} ebs
+ * @param {string} snapshotID
+ * @param {int} blockIndex
+ * @param {string} blockToken
+ * @param {int} blockSize
+ *
+ * @returns {Promise.<Buffer>}
+ */
+function fetchSnapshotBlock(ebs, snapshotID, blockIndex, blockToken, blockSize) {
+	return ebs.getSnapshotBlock({
+		SnapshotId: snapshotID,
+		BlockIndex: blockIndex,
+		BlockToken: blockToken
+	}).promise().then(response => {
+		const
+			data = response.BlockData;
+		
+		if (data.length !== blockSize || (response.DataLength !== undefined && response.DataLength !== data.length)) {
+			throw new Error("Block " + blockIndex + " of " + snapshotID + " was " + data.length + " bytes long, expected " + blockSize);
+		}
+		
+		if (response.ChecksumAlgorithm === "SHA256" && crypto.createHash("sha256").update(data).digest("base64") !== response.Checksum) {
+			throw new Error("Block " + blockIndex + " of " + snapshotID + " failed its checksum");
+		}
+		
+		return data;
+	});
+}
+
+/**
+ * Reads a whole EBS snapshot as a raw disk image through the EBS direct APIs, without needing to create a volume
+ * from it.
+ *
+ * ListSnapshotBlocks tells us which blocks of the snapshot have ever been written, and we fetch those with
+ * GetSnapshotBlock (several at a time, but always emitted in order). Blocks that aren't listed were never written, so
+ * they read as zeros. The block list is fetched a page at a time as we go, since the block tokens expire, and the list
+ * for a large volume would be huge.
+ */
+class SnapshotBlockStream extends Readable {
+	/**
+	 * @param {AWS.EBS} ebs
+	 * @param {string} snapshotID
+	 * @param {Object} [options]
+	 * @param {int} [options.concurrency] - Number of blocks to fetch at once
+	 */
+	constructor(ebs, snapshotID, options) {
+		super();
+		
+		options = options || {};
+		
+		this.ebs = ebs;
+		this.snapshotID = snapshotID;
+		this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+		
+		// These are filled in by the first page of the block list
+		this.blockSize = null;
+		this.blockCount = null;
+		this.zeroBlock = null;
+		
+		// Block tokens of blocks that we've listed but haven't requested yet, by block index
+		this.blockTokens = {};
+		// Every block before this index has been listed (so it's either in blockTokens, or was never written)
+		this.listedUpTo = 0;
+		this.nextPageToken = null;
+		this.listing = null;
+		
+		this.nextIndexToRequest = 0;
+		this.nextIndexToPush = 0;
+		this.pendingBlocks = {};
+		
+		this.pumping = false;
+		this.failed = false;
+	}
+	
+	/**
+	 * Fetch the next page of the block list.
+	 *
+	 * @returns {Promise}
+	 */
+	_listNextPage() {
+		if (!this.listing) {
+			const
+				params = {
+					SnapshotId: this.snapshotID,
+					MaxResults: LIST_PAGE_SIZE
+				};
+			
+			if (this.nextPageToken) {
+				params.NextToken = this.nextPageToken;
+			}
+			
+			this.listing = this.ebs.listSnapshotBlocks(params).promise().then(page => {
+				if (this.blockSize === null) {
+					this.blockSize = page.BlockSize;
+					this.blockCount = Math.ceil(page.VolumeSize * GIBIBYTE / page.BlockSize);
+					this.zeroBlock = Buffer.alloc(page.BlockSize);
+				}
+				
+				for (let block of page.Blocks || []) {
+					this.blockTokens[block.BlockIndex] = block.BlockToken;
+				}
+				
+				this.nextPageToken = page.NextToken || null;
+				
+				if (this.nextPageToken && page.Blocks && page.Blocks.length > 0) {
+					this.listedUpTo = page.Blocks[page.Blocks.length - 1].BlockIndex + 1;
+				} else if (!this.nextPageToken) {
+					this.listedUpTo = this.blockCount;
+				}
+				
+				this.listing = null;
+			});
+		}
+		
+		return this.listing;
+	}
+	
+	/**
+	 * @param {int} blockIndex
+	 * @returns {Promise.<Buffer>}
+	 */
+	_fetchBlock(blockIndex) {
+		const
+			blockToken = this.blockTokens[blockIndex];
+		
+		if (blockToken === undefined) {
+			return Promise.resolve(this.zeroBlock);
+		}
+		
+		delete this.blockTokens[blockIndex];
+		
+		return fetchSnapshotBlock(this.ebs, this.snapshotID, blockIndex, blockToken, this.blockSize);
+	}
+	
+	/**
+	 * Start fetching blocks up to our concurrency limit, listing more blocks first if we need to.
+	 *
+	 * @returns {Promise}
+	 */
+	_requestBlocks() {
+		while (this.nextIndexToRequest < this.blockCount && this.nextIndexToRequest < this.nextIndexToPush + this.concurrency) {
+			if (this.nextIndexToRequest >= this.listedUpTo) {
+				return this._listNextPage().then(() => this._requestBlocks());
+			}
+			
+			const
+				fetch = this._fetchBlock(this.nextIndexToRequest);
+			
+			// We'll handle any error once it's this block's turn to be pushed, don't report it as unhandled before then
+			fetch.catch(() => {});
+			
+			this.pendingBlocks[this.nextIndexToRequest] = fetch;
+			this.nextIndexToRequest++;
+		}
+		
+		return Promise.resolve();
+	}
+	
+	/**
+	 * Keep pushing blocks in order until the consumer asks us to stop, or we run out.
+	 */
+	_pump() {
+		(this.blockSize === null ? this._listNextPage() : Promise.resolve())
+			.then(() => {
+				if (this.failed) {
+					return;
+				}
+				
+				if (this.nextIndexToPush >= this.blockCount) {
+					this.push(null);
+					return;
+				}
+				
+				return this._requestBlocks()
+					.then(() => {
+						const
+							blockIndex = this.nextIndexToPush;
+						
+						return this.pendingBlocks[blockIndex].then(data => {
+							delete this.pendingBlocks[blockIndex];
+							this.nextIndexToPush++;
+							
+							if (this.push(data)) {
+								this._pump();
+							} else {
+								this.pumping = false;
+							}
+						});
+					});
+			})
+			.catch(error => {
+				this.failed = true;
+				this.emit("error", error);
+			});
+	}
+	
+	_read() {
+		if (!this.pumping && !this.failed) {
+			this.pumping = true;
+			this._pump();
+		}
+	}
+}
+
+/**
+ * Reads the blocks which changed between two snapshots of the same volume through the EBS direct APIs, and encodes
+ * them as a delta (see incremental.js).
+ *
+ * ListChangedBlocks gives us the changed blocks in order of block index, a page at a time. A block which is listed
+ * without a token for the second snapshot was written in the first snapshot but not in the second, so it reads as
+ * zeros now.
+ */
+class ChangedBlockStream extends Readable {
+	/**
+	 * @param {AWS.EBS} ebs
+	 * @param {string} firstSnapshotID - The earlier snapshot
+	 * @param {string} secondSnapshotID - The snapshot to read the changed blocks from
+	 * @param {Object} [options]
+	 * @param {int} [options.concurrency] - Number of blocks to fetch at once
+	 */
+	constructor(ebs, firstSnapshotID, secondSnapshotID, options) {
+		super();
+		
+		options = options || {};
+		
+		this.ebs = ebs;
+		this.firstSnapshotID = firstSnapshotID;
+		this.secondSnapshotID = secondSnapshotID;
+		this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+		
+		this.blockSize = null;
+		this.zeroBlock = null;
+		
+		// Changed blocks that we've listed but haven't requested yet
+		this.listedBlocks = [];
+		this.listingComplete = false;
+		this.nextPageToken = null;
+		
+		// Promises for the encoded records of the blocks we've requested, in order
+		this.pendingRecords = [];
+		
+		/**
+		 * Number of changed blocks that we've pushed so far
+		 *
+		 * @type {int}
+		 */
+		this.changedBlockCount = 0;
+		
+		this.pumping = false;
+		this.failed = false;
+		this.ended = false;
+	}
+	
+	/**
+	 * @returns {Promise}
+	 */
+	_listNextPage() {
+		const
+			params = {
+				FirstSnapshotId: this.firstSnapshotID,
+				SecondSnapshotId: this.secondSnapshotID,
+				MaxResults: LIST_PAGE_SIZE
+			};
+		
+		if (this.nextPageToken) {
+			params.NextToken = this.nextPageToken;
+		}
+		
+		return this.ebs.listChangedBlocks(params).promise().then(page => {
+			const
+				isFirstPage = this.blockSize === null;
+			
+			if (isFirstPage) {
+				this.blockSize = page.BlockSize;
+				this.zeroBlock = Buffer.alloc(page.BlockSize);
+			}
+			
+			this.listedBlocks = this.listedBlocks.concat(page.ChangedBlocks || []);
+			this.nextPageToken = page.NextToken || null;
+			this.listingComplete = !this.nextPageToken;
+			
+			if (isFirstPage) {
+				this.push(incremental.encodeDeltaHeader(page.BlockSize, Math.ceil(page.VolumeSize * GIBIBYTE / page.BlockSize)));
+			}
+		});
+	}
+	
+	/**
+	 * @param {EBS.ChangedBlock} block
+	 * @returns {Promise.<Buffer[]>}
+	 */
+	_fetchRecord(block) {
+		const
+			recordHeader = incremental.encodeRecordHeader(block.BlockIndex);
+		
+		if (!block.SecondBlockToken) {
+			return Promise.resolve([recordHeader, this.zeroBlock]);
+		}
+		
+		return fetchSnapshotBlock(this.ebs, this.secondSnapshotID, block.BlockIndex, block.SecondBlockToken, this.blockSize)
+			.then(data => [recordHeader, data]);
+	}
+	
+	/**
+	 * Start fetching blocks up to our concurrency limit, listing more blocks first if we need to.
+	 *
+	 * @returns {Promise}
+	 */
+	_requestBlocks() {
+		while (this.pendingRecords.length < this.concurrency) {
+			if (this.listedBlocks.length === 0) {
+				if (this.listingComplete) {
+					break;
+				}
+				
+				return this._listNextPage().then(() => this._requestBlocks());
+			}
+			
+			const
+				fetch = this._fetchRecord(this.listedBlocks.shift());
+			
+			// We'll handle any error once it's this block's turn to be pushed
+			fetch.catch(() => {});
+			
+			this.pendingRecords.push(fetch);
+		}
+		
+		return Promise.resolve();
+	}
+	
+	_pump() {
+		this._requestBlocks()
+			.then(() => {
+				if (this.failed) {
+					return;
+				}
+				
+				if (this.pendingRecords.length === 0) {
+					this.ended = true;
+					this.push(incremental.encodeDeltaEnd());
+					this.push(null);
+					return;
+				}
+				
+				return this.pendingRecords.shift().then(record => {
+					this.changedBlockCount++;
+					
+					this.push(record[0]);
+					
+					if (this.push(record[1])) {
+						this._pump();
+					} else {
+						this.pumping = false;
+					}
+				});
+			})
+			.catch(error => {
+				this.failed = true;
+				this.emit("error", error);
+			});
+	}
+	
+	_read() {
+		if (!this.pumping && !this.failed && !this.ended) {
+			this.pumping = true;
+			this._pump();
+		}
+	}
+}
+
+module.exports.SnapshotBlockStream = SnapshotBlockStream;
+module.exports.ChangedBlockStream = ChangedBlockStream;
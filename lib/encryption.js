@@ -0,0 +1,390 @@
+"use strict";
+
+const
+	crypto = require("crypto"),
+	fs = require("fs"),
+	Transform = require("stream").Transform,
+	
+	BufferQueue = require("./buffer-queue");
+
+/**
+ * Envelope encryption for archives.
+ *
+ * Each archive is encrypted with its own random 256-bit data key, using AES-256-GCM over chunks of the archive so
+ * that we never need to buffer the whole thing in memory, and so that each chunk is authenticated before we release
+ * its plaintext. The data key is then wrapped, either with an RSA public key (so only the holder of the private key
+ * can read the archives, while the machine doing the uploads can't), or with a key derived from a passphrase, and the
+ * wrapped key is stored in the archive's S3 metadata.
+ *
+ * The encrypted stream starts with the 8-byte STREAM_MAGIC, followed by a series of chunks, each of which is:
+ *
+ * - 1 byte of flags (CHUNK_FLAG_FINAL is set on the last chunk of the stream)
+ * - the length of the ciphertext as a 32-bit big-endian integer
+ * - the ciphertext
+ * - the 16-byte GCM authentication tag
+ *
+ * The IV of each chunk is its index in the stream, along with its flags, so chunks can't be reordered, and the
+ * stream can't be truncated without it being detected.
+ */
+
+const
+	ALGORITHM = "aes-256-gcm-chunked-v1",
+	
+	KEY_WRAP_RSA = "rsa-oaep",
+	KEY_WRAP_PASSPHRASE = "pbkdf2-sha256-aes-256-gcm",
+	
+	STREAM_MAGIC = Buffer.from("S2S3ENC1", "ascii"),
+	
+	DATA_KEY_LENGTH = 32,
+	CHUNK_SIZE = 1024 * 1024,
+	CHUNK_HEADER_LENGTH = 5,
+	AUTH_TAG_LENGTH = 16,
+	IV_LENGTH = 12,
+	
+	CHUNK_FLAG_FINAL = 1,
+	
+	PBKDF2_ITERATIONS = 200000,
+	PBKDF2_SALT_LENGTH = 16;
+
+/**
+ * @typedef {Object} EncryptionKeys
+ * @property {string} [publicKey] - PEM RSA public key to wrap the data keys of new archives with
+ * @property {string} [privateKey] - PEM RSA private key to unwrap data keys with
+ * @property {string} [passphrase] - Passphrase to wrap new data keys with (if there's no public key), or unwrap them with
+ */
+
+/**
+ * @param {int} chunkIndex
+ * @param {int} flags
+ * @returns {Buffer}
+ */
+function chunkIV(chunkIndex, flags) {
+	const
+		iv = Buffer.alloc(IV_LENGTH);
+	
+	iv.writeUInt32BE(Math.floor(chunkIndex / 0x100000000), 0);
+	iv.writeUInt32BE(chunkIndex % 0x100000000, 4);
+	iv.writeUInt32BE(flags, 8);
+	
+	return iv;
+}
+
+/**
+ * Encrypts a stream with the given data key into the chunked format described above.
+ */
+class EncryptStream extends Transform {
+	/**
+	 * @param {Buffer} dataKey
+	 */
+	constructor(dataKey) {
+		super();
+		
+		this.dataKey = dataKey;
+		this.queue = new BufferQueue();
+		this.chunkIndex = 0;
+		
+		this.push(STREAM_MAGIC);
+	}
+	
+	_encryptChunk(plaintext, flags) {
+		const
+			cipher = crypto.createCipheriv("aes-256-gcm", this.dataKey, chunkIV(this.chunkIndex, flags)),
+			ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]),
+			header = Buffer.alloc(CHUNK_HEADER_LENGTH);
+		
+		header.writeUInt8(flags, 0);
+		header.writeUInt32BE(ciphertext.length, 1);
+		
+		this.chunkIndex++;
+		
+		this.push(Buffer.concat([header, ciphertext, cipher.getAuthTag()]));
+	}
+	
+	_transform(chunk, encoding, callback) {
+		this.queue.push(chunk);
+		
+		try {
+			while (this.queue.length >= CHUNK_SIZE) {
+				this._encryptChunk(this.queue.take(CHUNK_SIZE), 0);
+			}
+		} catch (e) {
+			callback(e);
+			return;
+		}
+		
+		callback();
+	}
+	
+	_flush(callback) {
+		try {
+			// The final chunk is always written, even if it's empty, so the reader can tell the stream wasn't truncated
+			this._encryptChunk(this.queue.take(this.queue.length), CHUNK_FLAG_FINAL);
+		} catch (e) {
+			callback(e);
+			return;
+		}
+		
+		callback();
+	}
+}
+
+/**
+ * Decrypts a stream produced by EncryptStream. Plaintext is only passed on once its chunk has been authenticated.
+ */
+class DecryptStream extends Transform {
+	/**
+	 * @param {Buffer} dataKey
+	 */
+	constructor(dataKey) {
+		super();
+		
+		this.dataKey = dataKey;
+		this.queue = new BufferQueue();
+		this.chunkIndex = 0;
+		this.readMagic = false;
+		this.finished = false;
+	}
+	
+	_decryptAvailableChunks() {
+		if (!this.readMagic) {
+			if (this.queue.length < STREAM_MAGIC.length) {
+				return;
+			}
+			
+			if (!this.queue.take(STREAM_MAGIC.length).equals(STREAM_MAGIC)) {
+				throw new Error("This doesn't look like an archive encrypted by snap-to-s3");
+			}
+			
+			this.readMagic = true;
+		}
+		
+		while (this.queue.length >= CHUNK_HEADER_LENGTH) {
+			if (this.finished) {
+				throw new Error("Encrypted archive has unexpected data after its final chunk");
+			}
+			
+			const
+				header = this.queue.peek(CHUNK_HEADER_LENGTH),
+				flags = header.readUInt8(0),
+				ciphertextLength = header.readUInt32BE(1);
+			
+			if (ciphertextLength > CHUNK_SIZE) {
+				throw new Error("Encrypted archive is corrupt (chunk " + this.chunkIndex + " is too large)");
+			}
+			
+			if (this.queue.length < CHUNK_HEADER_LENGTH + ciphertextLength + AUTH_TAG_LENGTH) {
+				return;
+			}
+			
+			this.queue.take(CHUNK_HEADER_LENGTH);
+			
+			const
+				ciphertext = this.queue.take(ciphertextLength),
+				authTag = this.queue.take(AUTH_TAG_LENGTH),
+				decipher = crypto.createDecipheriv("aes-256-gcm", this.dataKey, chunkIV(this.chunkIndex, flags));
+			
+			decipher.setAuthTag(authTag);
+			
+			let
+				plaintext;
+			
+			try {
+				plaintext = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+			} catch (e) {
+				throw new Error("Encrypted archive failed authentication at chunk " + this.chunkIndex + ", it's corrupt or has been tampered with (or the key is wrong)");
+			}
+			
+			this.chunkIndex++;
+			this.finished = (flags & CHUNK_FLAG_FINAL) !== 0;
+			
+			this.push(plaintext);
+		}
+	}
+	
+	_transform(chunk, encoding, callback) {
+		this.queue.push(chunk);
+		
+		try {
+			this._decryptAvailableChunks();
+		} catch (e) {
+			callback(e);
+			return;
+		}
+		
+		callback();
+	}
+	
+	_flush(callback) {
+		if (!this.finished || this.queue.length > 0) {
+			callback(new Error("Encrypted archive is truncated"));
+		} else {
+			callback();
+		}
+	}
+}
+
+/**
+ * Read the key material named by our command-line options from disk.
+ *
+ * @param {Object} options
+ * @param {string} [options.publicKeyFile]
+ * @param {string} [options.privateKeyFile]
+ * @param {string} [options.passphraseFile]
+ *
+ * @returns {EncryptionKeys}
+ */
+module.exports.loadEncryptionKeys = function(options) {
+	const
+		readFile = (filename, description) => {
+			try {
+				return fs.readFileSync(filename, "utf8");
+			} catch (e) {
+				throw "Couldn't read the " + description + " from \"" + filename + "\": " + e.message;
+			}
+		},
+		
+		result = {};
+	
+	if (options.publicKeyFile) {
+		result.publicKey = readFile(options.publicKeyFile, "encryption public key");
+	}
+	if (options.privateKeyFile) {
+		result.privateKey = readFile(options.privateKeyFile, "encryption private key");
+	}
+	if (options.passphraseFile) {
+		// Editors like to leave a trailing newline
+		result.passphrase = readFile(options.passphraseFile, "encryption passphrase").replace(/[\r\n]+$/, "");
+		
+		if (result.passphrase.length === 0) {
+			throw "The encryption passphrase file \"" + options.passphraseFile + "\" is empty";
+		}
+	}
+	
+	return result;
+};
+
+/**
+ * Create a new random data key, and wrap it using the public key if we have one, otherwise the passphrase.
+ *
+ * @param {EncryptionKeys} keys
+ *
+ * @returns {{dataKey: Buffer, metadata: Object.<string, string>}} The data key to encrypt with, and the S3 metadata
+ * to store alongside the encrypted object so we can unwrap the key again later
+ */
+module.exports.createDataKey = function(keys) {
+	const
+		dataKey = crypto.randomBytes(DATA_KEY_LENGTH),
+		metadata = {
+			"encryption": ALGORITHM
+		};
+	
+	if (keys.publicKey) {
+		metadata["encryption-key-wrap"] = KEY_WRAP_RSA;
+		metadata["encryption-wrapped-key"] = crypto.publicEncrypt({
+			key: keys.publicKey,
+			padding: crypto.constants.RSA_PKCS1_OAEP_PADDING
+		}, dataKey).toString("base64");
+	} else if (keys.passphrase) {
+		const
+			salt = crypto.randomBytes(PBKDF2_SALT_LENGTH),
+			iv = crypto.randomBytes(IV_LENGTH),
+			wrappingKey = crypto.pbkdf2Sync(keys.passphrase, salt, PBKDF2_ITERATIONS, DATA_KEY_LENGTH, "sha256"),
+			cipher = crypto.createCipheriv("aes-256-gcm", wrappingKey, iv),
+			wrapped = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+		
+		metadata["encryption-key-wrap"] = KEY_WRAP_PASSPHRASE;
+		metadata["encryption-key-salt"] = salt.toString("base64");
+		metadata["encryption-key-iterations"] = PBKDF2_ITERATIONS + "";
+		metadata["encryption-wrapped-key"] = Buffer.concat([iv, cipher.getAuthTag(), wrapped]).toString("base64");
+	} else {
+		throw "Encryption needs a public key or a passphrase to protect the data key with";
+	}
+	
+	return {
+		dataKey: dataKey,
+		metadata: metadata
+	};
+};
+
+/**
+ * @param {Object.<string, string>} metadata - S3 metadata of an object
+ * @returns {boolean} True if the object was encrypted by us
+ */
+module.exports.isEncrypted = function(metadata) {
+	return metadata["encryption"] !== undefined;
+};
+
+/**
+ * Parse the PBKDF2 iteration count from an object's metadata. We never write fewer than PBKDF2_ITERATIONS, so a smaller
+ * count would mean that somebody has tampered with the metadata to weaken the key derivation.
+ *
+ * @param {string} iterations
+ * @returns {int}
+ */
+function parsePBKDF2Iterations(iterations) {
+	const
+		parsed = /^[0-9]{1,15}$/.test(iterations || "") ? parseInt(iterations, 10) : NaN;
+	
+	if (!(parsed >= PBKDF2_ITERATIONS)) {
+		throw "Corrupt or unsupported encryption metadata: the key derivation iteration count \"" + iterations + "\" should be a whole number of at least " + PBKDF2_ITERATIONS;
+	}
+	
+	return parsed;
+}
+
+/**
+ * Unwrap the data key of an encrypted object using its S3 metadata.
+ *
+ * @param {Object.<string, string>} metadata
+ * @param {EncryptionKeys} keys
+ *
+ * @returns {Buffer}
+ */
+module.exports.unwrapDataKey = function(metadata, keys) {
+	if (metadata["encryption"] !== ALGORITHM) {
+		throw "Unsupported encryption algorithm \"" + metadata["encryption"] + "\"";
+	}
+	
+	const
+		wrapped = Buffer.from(metadata["encryption-wrapped-key"] || "", "base64");
+	
+	switch (metadata["encryption-key-wrap"]) {
+		case KEY_WRAP_RSA:
+			if (!keys.privateKey) {
+				throw "This archive's key was wrapped with an RSA public key, so you need to supply the private key with --encryption-private-key to read it";
+			}
+			
+			try {
+				return crypto.privateDecrypt({
+					key: keys.privateKey,
+					padding: crypto.constants.RSA_PKCS1_OAEP_PADDING
+				}, wrapped);
+			} catch (e) {
+				throw "Couldn't unwrap this archive's key with the supplied private key, is it the right one? " + e.message;
+			}
+		case KEY_WRAP_PASSPHRASE:
+			if (!keys.passphrase) {
+				throw "This archive's key was wrapped with a passphrase, so you need to supply it with --encryption-passphrase-file to read it";
+			}
+			
+			const
+				salt = Buffer.from(metadata["encryption-key-salt"] || "", "base64"),
+				iterations = parsePBKDF2Iterations(metadata["encryption-key-iterations"]),
+				wrappingKey = crypto.pbkdf2Sync(keys.passphrase, salt, iterations, DATA_KEY_LENGTH, "sha256"),
+				decipher = crypto.createDecipheriv("aes-256-gcm", wrappingKey, wrapped.slice(0, IV_LENGTH));
+			
+			decipher.setAuthTag(wrapped.slice(IV_LENGTH, IV_LENGTH + AUTH_TAG_LENGTH));
+			
+			try {
+				return Buffer.concat([decipher.update(wrapped.slice(IV_LENGTH + AUTH_TAG_LENGTH)), decipher.final()]);
+			} catch (e) {
+				throw "Couldn't unwrap this archive's key, is the passphrase correct?";
+			}
+		default:
+			throw "Unsupported key wrapping method \"" + metadata["encryption-key-wrap"] + "\"";
+	}
+};
+
+module.exports.EncryptStream = EncryptStream;
+module.exports.DecryptStream = DecryptStream;
+module.exports.ALGORITHM = ALGORITHM;
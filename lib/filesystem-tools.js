@@ -91,6 +91,153 @@ module.exports.unmount = function(mountPoint) {
 	});
 };
 
+/**
+ * Run sfdisk against the given device, feeding it the given script on stdin.
+ *
+ * @param {string} devicePath
+ * @param {string} script
+ * @param {string[]} [extraArgs]
+ *
+ * @returns {Promise}
+ */
+function runSfdisk(devicePath, script, extraArgs) {
+	return new Promise((resolve, reject) => {
+		let
+			sfdisk, errorBuffer = "", args = [];
+		
+		if (extraArgs) {
+			args = args.concat(extraArgs);
+		}
+		args.push(devicePath);
+		
+		sfdisk = child_process.spawn("sfdisk", args, {
+			stdio: ["pipe", "pipe", "pipe"]
+		});
+		
+		sfdisk.on("error", err => {
+			reject("Failed to run \"sfdisk " + args.join(" ") + "\": " + err);
+		});
+		
+		sfdisk.on("close", code => {
+			if (code !== 0) {
+				reject("Failed to run \"sfdisk " + args.join(" ") + "\", was using this script:\n" + script + "\n\n" + errorBuffer);
+			} else {
+				resolve();
+			}
+		});
+		
+		sfdisk.stderr.on("data", data => {
+			errorBuffer += data;
+		});
+		
+		sfdisk.stdout.on("data", data => {
+			errorBuffer += data;
+		});
+		
+		sfdisk.stdin.write(script);
+		sfdisk.stdin.end();
+	});
+}
+
+module.exports.runSfdisk = runSfdisk;
+
+/**
+ * Write a new partition table to the given disk, dividing the disk up between the new partitions in proportion
+ * to the given weights.
+ *
+ * @param {BlockDevice} device
+ * @param {number[]} weights - One entry per partition to create
+ *
+ * @returns {Promise}
+ */
+module.exports.divideDiskIntoPartitions = function(device, weights) {
+	// Check for GPT support in sfdisk (new in util-linux 2.26)
+	return runSfdisk(device.DEVICEPATH, "label:gpt", ["-n"])
+		.then(
+			() => true,
+			err => false
+		)
+		.then(supportsGPT => {
+			const
+				SECTOR_ALIGNMENT = 2048, // i.e. 1MB for 512 byte sectors
+				FIRST_SECTOR = 2048,
+				SECTOR_SIZE = device["LOG-SEC"],
+				
+				USABLE_SECTORS = device.SIZE / SECTOR_SIZE - FIRST_SECTOR,
+				TOTAL_WEIGHT = weights.reduce((a, b) => a + b, 0);
+			
+			let
+				currentSector = FIRST_SECTOR,
+				sfdiskScript = "unit: sectors\n",
+				extraSFArgs = [];
+			
+			if (supportsGPT) {
+				sfdiskScript += "label: gpt\n";
+			} else {
+				// To add more than 4 partitions we'd need support for adding an extended partition to hold them:
+				if (weights.length > 4) {
+					throw "This version of sfdisk doesn't support GPT, so we can't create more than 4 partitions on " + device.DEVICEPATH;
+				}
+				// Thanks very much https://bugs.launchpad.net/ubuntu/+source/util-linux/+bug/1481158 :
+				extraSFArgs = ["--force"];
+			}
+			
+			sfdiskScript += "\n";
+			
+			weights.forEach((weight, i) => {
+				const
+					partSizeSectors = Math.floor(Math.floor(USABLE_SECTORS * weight / TOTAL_WEIGHT) / SECTOR_ALIGNMENT) * SECTOR_ALIGNMENT;
+				
+				if ((currentSector % SECTOR_ALIGNMENT) !== 0) {
+					currentSector += SECTOR_ALIGNMENT - (currentSector % SECTOR_ALIGNMENT);
+				}
+				
+				if (supportsGPT) {
+					sfdiskScript += "start=" + currentSector;
+					
+					// Final partition takes the remainder of the disk space
+					if (i < weights.length - 1) {
+						sfdiskScript += ",size=" + partSizeSectors;
+					}
+					
+					sfdiskScript += ',type=0FC63DAF-8483-4772-8E79-3D69D8477DE4, name="Linux filesystem"\n';
+				} else {
+					sfdiskScript += currentSector + ",";
+					
+					// Due to bug https://bugs.launchpad.net/ubuntu/+source/util-linux/+bug/1481158
+					// we can't have old sfdisk calculate the size of the final partition for us.
+					sfdiskScript += partSizeSectors;
+					
+					sfdiskScript += ",L,-\n";
+				}
+				
+				currentSector += partSizeSectors;
+			});
+			
+			return runSfdisk(device.DEVICEPATH, sfdiskScript, extraSFArgs);
+		});
+};
+
+/**
+ * Create a new, empty filesystem on the given device.
+ *
+ * @param {string} device - Path to device to format (e.g. /dev/xvdf1)
+ * @param {string} filesystem - Type of filesystem to create (e.g. "ext4", "xfs"), mkfs.* must exist for it
+ *
+ * @returns {Promise}
+ */
+module.exports.makeFilesystem = function(device, filesystem) {
+	return new Promise(function(resolve, reject) {
+		child_process.execFile("mkfs." + filesystem, [device], function(error, stdout, stderr) {
+			if (error) {
+				reject("mkfs." + filesystem + " " + device + " failed: " + stdout + " " + stderr);
+			} else {
+				resolve(device);
+			}
+		});
+	});
+};
+
 /**
  * @typedef {Object} BlockDevice
  * @property {string} NAME - e.g. xvda
@@ -216,6 +363,74 @@ module.exports.listBlockDevices = function() {
 	})));
 };
 
+/**
+ * Look up the block device at the given path (following symlinks like /dev/sdf -> /dev/xvdf), along with any
+ * partitions it contains.
+ *
+ * @param {string} devicePath
+ * @returns {Promise.<{device: BlockDevice, children: BlockDevice[]}>}
+ */
+module.exports.findBlockDevice = function(devicePath) {
+	let
+		realPath;
+	
+	try {
+		realPath = fs.realpathSync(devicePath);
+	} catch (e) {
+		return Promise.reject("Device " + devicePath + " doesn't exist");
+	}
+	
+	return module.exports.listBlockDevices().then(devices => {
+		let
+			device = devices.find(device => device.DEVICEPATH === realPath);
+		
+		if (!device) {
+			throw devicePath + " isn't a block device";
+		}
+		
+		return {
+			device: device,
+			children: devices.filter(child => child !== device && (child.PKNAME === device.NAME || child.TYPE === "part" && child.NAME.indexOf(device.NAME) === 0))
+		};
+	});
+};
+
+/**
+ * Ask the kernel to re-read the partition table of the given device (e.g. after we've written a disk image to it).
+ *
+ * @param {string} devicePath
+ * @returns {Promise}
+ */
+module.exports.rereadPartitionTable = function(devicePath) {
+	return new Promise(function(resolve, reject) {
+		child_process.execFile("blockdev", ["--rereadpt", devicePath], function(error, stdout, stderr) {
+			if (error) {
+				reject("blockdev --rereadpt " + devicePath + " failed: " + stdout + " " + stderr);
+			} else {
+				resolve();
+			}
+		});
+	});
+};
+
+/**
+ * Drop the kernel's cached copy of the contents of the given device, so that later reads come from the device itself.
+ *
+ * @param {string} devicePath
+ * @returns {Promise}
+ */
+module.exports.flushDeviceBuffers = function(devicePath) {
+	return new Promise(function(resolve, reject) {
+		child_process.execFile("blockdev", ["--flushbufs", devicePath], function(error, stdout, stderr) {
+			if (error) {
+				reject("blockdev --flushbufs " + devicePath + " failed: " + stdout + " " + stderr);
+			} else {
+				resolve();
+			}
+		});
+	});
+};
+
 /**
  *
  * @param {String} path
@@ -233,9 +448,14 @@ module.exports.forcePath = function(path) {
 	});
 };
 
-module.exports.createTempDirectory = function(dirNamePrefix) {
+/**
+ * @param {string} dirNamePrefix
+ * @param {string} [parentDirectory] - Where to create the directory (default /tmp/), ending with a slash
+ * @returns {Promise.<string>} The path of the new directory
+ */
+module.exports.createTempDirectory = function(dirNamePrefix, parentDirectory) {
 	return new Promise(function(resolve, reject) {
-		fs.mkdtemp("/tmp/" + dirNamePrefix, function (err, path) {
+		fs.mkdtemp((parentDirectory || "/tmp/") + dirNamePrefix, function (err, path) {
 			if (err) {
 				reject(err);
 			} else {
@@ -244,3 +464,24 @@ module.exports.createTempDirectory = function(dirNamePrefix) {
 		})
 	});
 };
+
+/**
+ * Delete the given directory and everything inside it, without crossing into any filesystems mounted within it.
+ *
+ * @param {string} directory
+ * @returns {Promise}
+ */
+module.exports.removeDirectory = function(directory) {
+	return new Promise(function(resolve, reject) {
+		let
+			args = ["-r", "-f", "--one-file-system", "--", directory];
+		
+		child_process.execFile("rm", args, function(error, stdout, stderr) {
+			if (error) {
+				reject("rm " + args.join(" ") + " failed: " + stdout + " " + stderr);
+			} else {
+				resolve();
+			}
+		});
+	});
+};
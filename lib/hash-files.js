@@ -8,12 +8,12 @@ const
 	assert = require("assert"),
 	child_process = require("child_process"),
 
-	tar = require("tar-stream"),
 	pipe = require("multipipe"),
 	
 	SimpleProgressStream = require("./simple-progress-stream"),
 	BinarySplit = require("binary-split"),
-	spawn = require("./spawn");
+	spawn = require("./spawn"),
+	tarTools = require("./tar-tools");
 
 /**
  * @typedef {Object} FileHash
@@ -435,82 +435,51 @@ module.exports.hashTarFilesFromStream = function(tarStream, outputFilename) {
 		
 		fd = fs.openSync(outputFilename, "w+", 0o600),
 		
-		removeRootPrefix = filename => filename.replace(/^(\.\/|\/)/, "");
+		serializer = new FileHashesSerializer(),
+		outputFileStream = fs.createWriteStream("", {
+			fd: fd,
+			autoClose: false
+		}),
+		
+		outputFinished = new Promise((resolve, reject) => {
+			outputFileStream.on("finish", resolve);
+			outputFileStream.on("error", reject);
+		});
 	
 	let
 		haveHardLinks = false;
 	
-	return new Promise((resolve, reject) => {
-		const
-			extract = tar.extract({filenameEncoding: "binary"}),
-			serializer = new FileHashesSerializer(),
-			outputFileStream = fs.createWriteStream("", {
-				fd: fd,
-				autoClose: false
-			});
-		
-		extract.on('entry', function (fileHeader, fileStream, next) {
-			const
-				prefixlessFilename = removeRootPrefix(fileHeader.name);
-			
-			switch (fileHeader.type) {
-				case "file":
-					const
-						md5 = md5StreamAsPromise(),
-						pipeline = spawn.pipelineAsPromise(fileStream, md5.stdin);
-					
-					Promise.all([md5, pipeline]).then(
-						results => {
-							serializer.write({filename: Buffer.from(prefixlessFilename, "binary"), hash: results[0]});
-							
-							next();
-						},
-						err => {
-							reject(err);
-						}
-					);
-					break;
-				case "link": //Hard link to a file that was already included in the tar stream
-					const
-						linkTarget = removeRootPrefix(fileHeader.linkname);
-					
-					// Remember the details of the link in memory so we can resolve it in a second pass
-					haveHardLinks = true;
-					hardLinkTargets[linkTarget] = true;
-					hardLinks[prefixlessFilename] = linkTarget;
-					
-					// Write a dummy entry that we'll overwrite later
-					serializer.write({filename: Buffer.from(prefixlessFilename, "binary"), hash: "00000000000000000000000000000000"});
-
-					fileStream.on('end', function () {
-						next();
-					});
-					
-					fileStream.resume(); // Drain the stream
-					break;
-				default:
-					// We don't hash other special file types like symlinks
-					
-					fileStream.on('end', function () {
-						next();
-					});
-					
-					fileStream.resume(); // Drain the stream
-			}
-		});
-		
-		tarStream.on("error", reject);
-		extract.on("error", reject);
-		
-		extract.on("finish", () => {
-			serializer.end();
-		});
-		
-		outputFileStream.on("finish", () => resolve(serializer.writtenCount));
-		
-		tarStream.pipe(extract);
+	serializer.pipe(outputFileStream);
+	
+	return tarTools.readTarEntries(tarStream, (fileHeader, fileStream, prefixlessFilename) => {
+		switch (fileHeader.type) {
+			case "file":
+				const
+					md5 = md5StreamAsPromise(),
+					pipeline = spawn.pipelineAsPromise(fileStream, md5.stdin);
+				
+				return Promise.all([md5, pipeline]).then(results => {
+					serializer.write({filename: Buffer.from(prefixlessFilename, "binary"), hash: results[0]});
+				});
+			case "link": //Hard link to a file that was already included in the tar stream
+				const
+					linkTarget = tarTools.removeRootPrefix(fileHeader.linkname);
+				
+				// Remember the details of the link in memory so we can resolve it in a second pass
+				haveHardLinks = true;
+				hardLinkTargets[linkTarget] = true;
+				hardLinks[prefixlessFilename] = linkTarget;
+				
+				// Write a dummy entry that we'll overwrite later
+				serializer.write({filename: Buffer.from(prefixlessFilename, "binary"), hash: "00000000000000000000000000000000"});
+				break;
+			default:
+				// We don't hash other special file types like symlinks
+		}
+	}).then(() => {
+		serializer.end();
 		
-		serializer.pipe(outputFileStream);
+		return outputFinished.then(() => serializer.writtenCount);
 	}).then(writtenCount => {
 		/*
 		 * Do we have to resolve any hard links? If so, we'll need to patch up the hash file we wrote to resolve
@@ -0,0 +1,299 @@
+"use strict";
+
+const
+	fs = require("fs"),
+	crypto = require("crypto"),
+	Writable = require("stream").Writable,
+	
+	BufferQueue = require("./buffer-queue");
+
+/**
+ * Incremental archives.
+ *
+ * A delta holds only the blocks of a snapshot which changed since an earlier snapshot of the same volume (its parent).
+ * The uncompressed delta stream is:
+ *
+ * - the 8-byte DELTA_MAGIC
+ * - the block size in bytes, as a 32-bit big-endian integer
+ * - the number of blocks in the whole volume, as a 32-bit big-endian integer
+ * - a series of records, in increasing order of block index, each of which is the block index as a 32-bit big-endian
+ *   integer, followed by the block's data (exactly one block long)
+ * - END_OF_DELTA in place of a block index, so that a delta which was cut short can't be mistaken for a complete one
+ *
+ * Alongside each delta we upload a chain manifest, which lists the full image that the chain starts from, followed by
+ * every delta (oldest first) that needs to be applied on top of it to rebuild the snapshot.
+ */
+const
+	DELTA_MAGIC = Buffer.from("S2S3DLT1", "ascii"),
+	DELTA_HEADER_LENGTH = DELTA_MAGIC.length + 8,
+	RECORD_HEADER_LENGTH = 4,
+	END_OF_DELTA = 0xFFFFFFFF,
+	
+	CHAIN_MANIFEST_SUFFIX = ".chain.json",
+	CHAIN_MANIFEST_VERSION = 1;
+
+/**
+ * @typedef {Object} ChainLink
+ * @property {string} key - S3 key of the archive
+ * @property {string} snapshotID - Snapshot the archive was made from
+ */
+
+/**
+ * @typedef {Object} ChainManifest
+ * @property {int} version
+ * @property {string} snapshotID - The snapshot that the chain rebuilds
+ * @property {string} volumeID
+ * @property {int} volumeSize - Size of the snapshot's volume in GiB
+ * @property {int} blockSize - Size of the blocks in the deltas, in bytes
+ * @property {ChainLink} base - The full image that the chain starts from
+ * @property {ChainLink[]} deltas - Deltas to apply on top of the base, oldest first (the last is this snapshot's)
+ */
+
+/**
+ * @param {int} blockSize
+ * @param {int} blockCount
+ * @returns {Buffer}
+ */
+module.exports.encodeDeltaHeader = function(blockSize, blockCount) {
+	const
+		header = Buffer.alloc(DELTA_HEADER_LENGTH);
+	
+	DELTA_MAGIC.copy(header, 0);
+	header.writeUInt32BE(blockSize, DELTA_MAGIC.length);
+	header.writeUInt32BE(blockCount, DELTA_MAGIC.length + 4);
+	
+	return header;
+};
+
+/**
+ * The header that precedes the data of one block in a delta.
+ *
+ * @param {int} blockIndex
+ * @returns {Buffer}
+ */
+module.exports.encodeRecordHeader = function(blockIndex) {
+	const
+		header = Buffer.alloc(RECORD_HEADER_LENGTH);
+	
+	header.writeUInt32BE(blockIndex, 0);
+	
+	return header;
+};
+
+/**
+ * @returns {Buffer}
+ */
+module.exports.encodeDeltaEnd = function() {
+	return module.exports.encodeRecordHeader(END_OF_DELTA);
+};
+
+/**
+ * Parses a delta stream and writes each of its blocks into the given file or device at the block's offset.
+ *
+ * Once the stream has finished, check "complete" to make sure that the delta wasn't truncated. The MD5 of the
+ * data of every block that was written (in the order they were written) is available from digest(), so that the
+ * blocks can be read back and verified with hashBlocksOfFile().
+ */
+class DeltaApplyStream extends Writable {
+	/**
+	 * @param {int} fd - File descriptor to write the blocks to
+	 */
+	constructor(fd) {
+		super();
+		
+		this.fd = fd;
+		this.queue = new BufferQueue();
+		
+		this.blockSize = null;
+		this.blockCount = null;
+		this.blockIndexes = [];
+		this.hash = crypto.createHash("md5");
+		this.complete = false;
+	}
+	
+	_write(chunk, encoding, callback) {
+		this.queue.push(chunk);
+		this._applyQueuedRecords(callback);
+	}
+	
+	_applyQueuedRecords(callback) {
+		if (this.complete) {
+			if (this.queue.length > 0) {
+				callback(new Error("Delta has unexpected data after its end marker"));
+			} else {
+				callback();
+			}
+			return;
+		}
+		
+		if (this.blockSize === null) {
+			if (this.queue.length < DELTA_HEADER_LENGTH) {
+				callback();
+				return;
+			}
+			
+			const
+				header = this.queue.take(DELTA_HEADER_LENGTH);
+			
+			if (!header.slice(0, DELTA_MAGIC.length).equals(DELTA_MAGIC)) {
+				callback(new Error("This doesn't look like a delta created by snap-to-s3"));
+				return;
+			}
+			
+			this.blockSize = header.readUInt32BE(DELTA_MAGIC.length);
+			this.blockCount = header.readUInt32BE(DELTA_MAGIC.length + 4);
+		}
+		
+		if (this.queue.length < RECORD_HEADER_LENGTH) {
+			callback();
+			return;
+		}
+		
+		const
+			blockIndex = this.queue.peek(RECORD_HEADER_LENGTH).readUInt32BE(0);
+		
+		if (blockIndex === END_OF_DELTA) {
+			this.queue.take(RECORD_HEADER_LENGTH);
+			this.complete = true;
+			
+			this._applyQueuedRecords(callback);
+			return;
+		}
+		
+		if (blockIndex >= this.blockCount) {
+			callback(new Error("Delta contains block " + blockIndex + ", but the volume only has " + this.blockCount + " blocks"));
+			return;
+		}
+		
+		if (this.blockIndexes.length > 0 && blockIndex <= this.blockIndexes[this.blockIndexes.length - 1]) {
+			callback(new Error("Delta's blocks are out of order (block " + blockIndex + " follows block " + this.blockIndexes[this.blockIndexes.length - 1] + ")"));
+			return;
+		}
+		
+		if (this.queue.length < RECORD_HEADER_LENGTH + this.blockSize) {
+			callback();
+			return;
+		}
+		
+		this.queue.take(RECORD_HEADER_LENGTH);
+		
+		const
+			data = this.queue.take(this.blockSize);
+		
+		fs.write(this.fd, data, 0, data.length, blockIndex * this.blockSize, err => {
+			if (err) {
+				callback(err);
+			} else {
+				this.blockIndexes.push(blockIndex);
+				this.hash.update(data);
+				
+				this._applyQueuedRecords(callback);
+			}
+		});
+	}
+	
+	/**
+	 * @returns {string} The MD5 of the data of the blocks that were written
+	 */
+	digest() {
+		return this.hash.digest("hex");
+	}
+}
+
+/**
+ * Read the given blocks back from a file or device and compute the MD5 of their data (in the order given).
+ *
+ * @param {int} fd
+ * @param {int[]} blockIndexes
+ * @param {int} blockSize
+ *
+ * @returns {Promise.<string>}
+ */
+module.exports.hashBlocksOfFile = function(fd, blockIndexes, blockSize) {
+	const
+		hash = crypto.createHash("md5"),
+		buffer = Buffer.alloc(blockSize),
+		
+		readBlock = position => {
+			if (position >= blockIndexes.length) {
+				return Promise.resolve();
+			}
+			
+			const
+				blockIndex = blockIndexes[position];
+			
+			return new Promise((resolve, reject) => {
+				fs.read(fd, buffer, 0, blockSize, blockIndex * blockSize, (err, bytesRead) => {
+					if (err) {
+						reject(err);
+					} else if (bytesRead !== blockSize) {
+						reject(new Error("Couldn't read back block " + blockIndex + ", the device is too short"));
+					} else {
+						hash.update(buffer);
+						resolve();
+					}
+				});
+			}).then(() => readBlock(position + 1));
+		};
+	
+	return readBlock(0).then(() => hash.digest("hex"));
+};
+
+/**
+ * Create the chain manifest for a new delta.
+ *
+ * @param {EC2.Snapshot} snapshot - The snapshot that the delta was made from
+ * @param {string} deltaKey - S3 key of the new delta
+ * @param {int} blockSize
+ * @param {ChainLink} base - The full image that the chain starts from
+ * @param {ChainLink[]} parentDeltas - Deltas between the base and this one (empty if the parent is the base)
+ *
+ * @returns {ChainManifest}
+ */
+module.exports.createChainManifest = function(snapshot, deltaKey, blockSize, base, parentDeltas) {
+	return {
+		version: CHAIN_MANIFEST_VERSION,
+		snapshotID: snapshot.SnapshotId,
+		volumeID: snapshot.VolumeId,
+		volumeSize: snapshot.VolumeSize,
+		blockSize: blockSize,
+		base: base,
+		deltas: parentDeltas.concat([{
+			key: deltaKey,
+			snapshotID: snapshot.SnapshotId
+		}])
+	};
+};
+
+/**
+ * @param {string} json
+ * @returns {ChainManifest}
+ */
+module.exports.parseChainManifest = function(json) {
+	const
+		chain = JSON.parse(json);
+	
+	if (chain.version !== CHAIN_MANIFEST_VERSION || !chain.base || !Array.isArray(chain.deltas) || chain.deltas.length === 0) {
+		throw "Unsupported chain manifest (version " + chain.version + ")";
+	}
+	
+	return chain;
+};
+
+/**
+ * @param {string} archiveKey
+ * @returns {string}
+ */
+module.exports.chainManifestKeyForArchive = function(archiveKey) {
+	return archiveKey + CHAIN_MANIFEST_SUFFIX;
+};
+
+/**
+ * @param {string} key
+ * @returns {boolean}
+ */
+module.exports.isChainManifestKey = function(key) {
+	return key.slice(-CHAIN_MANIFEST_SUFFIX.length) === CHAIN_MANIFEST_SUFFIX;
+};
+
+module.exports.DeltaApplyStream = DeltaApplyStream;
@@ -0,0 +1,399 @@
+"use strict";
+
+const
+	fs = require("fs"),
+	stream = require("stream"),
+	zlib = require("zlib"),
+	
+	pipe = require("multipipe"),
+	BinarySplit = require("binary-split"),
+	
+	hashFiles = require("./hash-files"),
+	SimpleProgressStream = require("./simple-progress-stream"),
+	spawn = require("./spawn"),
+	tarTools = require("./tar-tools");
+
+const
+	MANIFEST_SUFFIX = ".manifest.gz";
+
+/**
+ * A manifest is a gzipped file with one JSON object per line, describing one entry of a tar, in the same order as
+ * the tar (or for a raw disk image, a single entry describing the whole image).
+ *
+ * Paths are relative to the root of the tar. Since Linux filenames are just bytes, a path that isn't valid UTF-8 is
+ * stored base64-encoded in pathBase64 instead of path (and likewise for link/linkBase64).
+ *
+ * Hard links only record the path of the file they link to in "link", and don't have their own md5, since their
+ * content is only stored in the tar once, at the first occurrence of the file.
+ *
+ * @typedef {Object} ManifestEntry
+ * @property {string} [path]
+ * @property {string} [pathBase64]
+ * @property {string} type - "file", "directory", "symlink", "link", "character-device", "block-device", "fifo", or
+ * "image" for the only entry in the manifest of a raw disk image
+ * @property {int} size - Size of the content in bytes (0 for everything except regular files and images)
+ * @property {int} mode - Permission bits, e.g. 420 (0644)
+ * @property {int} uid
+ * @property {int} gid
+ * @property {string} uname
+ * @property {string} gname
+ * @property {int} mtime - Modification time, seconds since the Unix epoch
+ * @property {string} [link] - Target of a symlink or hard link
+ * @property {string} [linkBase64]
+ * @property {string} [md5] - MD5 hash of the content of regular files and images
+ */
+
+/**
+ * Store the given filename (decoded from the tar using the "binary" encoding) into the given property of the entry,
+ * base64-encoding it if it isn't valid UTF-8.
+ *
+ * @param {ManifestEntry} entry
+ * @param {string} property
+ * @param {string} filename
+ */
+function setEntryFilename(entry, property, filename) {
+	const
+		bytes = Buffer.from(filename, "binary"),
+		decoded = bytes.toString("utf8");
+	
+	if (Buffer.from(decoded, "utf8").equals(bytes)) {
+		entry[property] = decoded;
+	} else {
+		entry[property + "Base64"] = bytes.toString("base64");
+	}
+}
+
+/**
+ * Get the original bytes of a filename stored in the given property of a manifest entry.
+ *
+ * @param {ManifestEntry} entry
+ * @param {string} property - "path" or "link"
+ * @returns {Buffer|null}
+ */
+function getEntryFilename(entry, property) {
+	if (entry[property + "Base64"] !== undefined) {
+		return Buffer.from(entry[property + "Base64"], "base64");
+	}
+	if (entry[property] !== undefined) {
+		return Buffer.from(entry[property], "utf8");
+	}
+	return null;
+}
+
+/**
+ * Read the given tar stream, and write a manifest of its entries to the given file.
+ *
+ * @param {stream.Readable} tarStream
+ * @param {string} outputFilename
+ * @returns {Promise.<int>} The number of entries in the manifest
+ */
+module.exports.writeManifestFromTarStream = function(tarStream, outputFilename) {
+	const
+		gzip = zlib.createGzip(),
+		outputFileStream = fs.createWriteStream(outputFilename, {
+			flags: "w",
+			mode: 0o600
+		}),
+		
+		outputPipeline = spawn.pipelineAsPromise(gzip, outputFileStream),
+		
+		writeEntry = entry => {
+			entryCount++;
+			
+			if (!gzip.write(JSON.stringify(entry) + "\n")) {
+				return new Promise(resolve => gzip.once("drain", resolve));
+			}
+		};
+	
+	let
+		entryCount = 0;
+	
+	return tarTools.readTarEntries(tarStream, (fileHeader, fileStream, filename) => {
+		filename = filename.replace(/\/+$/, "");
+		
+		// The root directory of the tar
+		if (filename.length === 0) {
+			return;
+		}
+		
+		/**
+		 * @type {ManifestEntry}
+		 */
+		const
+			entry = {};
+		
+		setEntryFilename(entry, "path", filename);
+		
+		entry.type = fileHeader.type === "contiguous-file" ? "file" : fileHeader.type;
+		entry.size = fileHeader.size;
+		entry.mode = fileHeader.mode & 0o7777;
+		entry.uid = fileHeader.uid;
+		entry.gid = fileHeader.gid;
+		entry.uname = fileHeader.uname;
+		entry.gname = fileHeader.gname;
+		entry.mtime = Math.floor(fileHeader.mtime.getTime() / 1000);
+		
+		switch (entry.type) {
+			case "file":
+				const
+					md5 = hashFiles.md5StreamAsPromise(),
+					pipeline = spawn.pipelineAsPromise(fileStream, md5.stdin);
+				
+				return Promise.all([md5, pipeline]).then(results => {
+					entry.md5 = results[0];
+					
+					return writeEntry(entry);
+				});
+			case "link":
+				setEntryFilename(entry, "link", tarTools.removeRootPrefix(fileHeader.linkname));
+				break;
+			case "symlink":
+				setEntryFilename(entry, "link", fileHeader.linkname);
+				break;
+		}
+		
+		const
+			drained = writeEntry(entry);
+		
+		if (drained) {
+			// We don't need the content stream, but readTarEntries won't drain it for us if we return a promise
+			fileStream.resume();
+			
+			return Promise.all([drained, new Promise(resolve => fileStream.on("end", resolve))]);
+		}
+	})
+		.then(
+			() => {
+				gzip.end();
+				
+				return outputPipeline;
+			},
+			error => {
+				gzip.end();
+				
+				throw error;
+			}
+		)
+		.then(() => entryCount);
+};
+
+/**
+ * Hash the given stream of a raw disk image, and write a manifest for it to the given file. The manifest has a single
+ * entry of type "image" (with no path) which records the size and MD5 of the image.
+ *
+ * @param {stream.Readable} imageStream
+ * @param {string} outputFilename
+ * @returns {Promise.<ManifestEntry>} The entry that was written
+ */
+module.exports.writeManifestFromImageStream = function(imageStream, outputFilename) {
+	const
+		meter = new SimpleProgressStream(),
+		md5 = hashFiles.md5StreamAsPromise(),
+		pipeline = spawn.pipelineAsPromise(imageStream, meter, md5.stdin);
+	
+	let
+		size = 0;
+	
+	meter.on("progress", bytes => {
+		size += bytes;
+	});
+	
+	return Promise.all([md5, pipeline]).then(results => {
+		/**
+		 * @type {ManifestEntry}
+		 */
+		const
+			entry = {
+				type: "image",
+				size: size,
+				md5: results[0]
+			},
+			
+			gzip = zlib.createGzip(),
+			outputPipeline = spawn.pipelineAsPromise(gzip, fs.createWriteStream(outputFilename, {
+				flags: "w",
+				mode: 0o600
+			}));
+		
+		gzip.end(JSON.stringify(entry) + "\n");
+		
+		return outputPipeline.then(() => entry);
+	});
+};
+
+/**
+ * Read the entry from the manifest of a raw disk image.
+ *
+ * @param {string} manifestFilename
+ * @returns {Promise.<ManifestEntry>}
+ */
+module.exports.readImageManifestFile = function(manifestFilename) {
+	let
+		imageEntry = null;
+	
+	return forEachManifestEntry(manifestFilename, entry => {
+		if (entry.type === "image") {
+			imageEntry = entry;
+		}
+	}).then(() => {
+		if (!imageEntry) {
+			throw "The manifest \"" + manifestFilename + "\" isn't for a disk image";
+		}
+		
+		return imageEntry;
+	});
+};
+
+/**
+ * Parses the lines of a manifest into ManifestEntry objects.
+ */
+class ManifestEntryDeserializer extends stream.Transform {
+	constructor() {
+		super({
+			writableObjectMode: false,
+			readableObjectMode: true
+		});
+	}
+	
+	_transform(line, enc, cb) {
+		if (line.length === 0) {
+			cb();
+			return;
+		}
+		
+		let
+			entry;
+		
+		try {
+			entry = JSON.parse(line.toString("utf8"));
+		} catch (e) {
+			cb(new Error("Bad line in manifest: " + e));
+			return;
+		}
+		
+		cb(null, entry);
+	}
+}
+
+/**
+ * Read a gzipped manifest from the given stream.
+ *
+ * @param {stream.Readable} compressedStream
+ * @returns {stream.Readable} An object stream of ManifestEntry
+ */
+module.exports.readManifestFromStream = function(compressedStream) {
+	return pipe(compressedStream, zlib.createGunzip(), new BinarySplit("\n"), new ManifestEntryDeserializer());
+};
+
+/**
+ * Call the callback with each entry of the manifest in the given file.
+ *
+ * @param {string} manifestFilename
+ * @param {function(ManifestEntry)} callback
+ * @returns {Promise}
+ */
+function forEachManifestEntry(manifestFilename, callback) {
+	return new Promise((resolve, reject) => {
+		const
+			entries = module.exports.readManifestFromStream(fs.createReadStream(manifestFilename));
+		
+		entries.on("data", entry => {
+			try {
+				callback(entry);
+			} catch (e) {
+				entries.destroy();
+				reject(e);
+			}
+		});
+		entries.on("error", reject);
+		entries.on("end", resolve);
+	});
+}
+
+/**
+ * Convert the manifest in the given file into a list of file hashes in the same format as hashTarFilesFromStream()
+ * produces, so the two can be compared with compareHashListFiles(). Hard links are resolved to the hash of the file
+ * they link to.
+ *
+ * @param {string} manifestFilename
+ * @param {string} outputFilename
+ * @returns {Promise.<int>} Resolves to the number of file hashes written
+ */
+module.exports.writeHashListFromManifestFile = function(manifestFilename, outputFilename) {
+	const
+		hardLinkTargets = {};
+	
+	// First pass: find the files that are the targets of hard links, so we only need to remember their hashes
+	return forEachManifestEntry(manifestFilename, entry => {
+		if (entry.type === "link") {
+			hardLinkTargets[getEntryFilename(entry, "link").toString("binary")] = null;
+		}
+	}).then(() => new Promise((resolve, reject) => {
+		const
+			fileHashes = new stream.Transform({
+				objectMode: true,
+				
+				transform(entry, enc, cb) {
+					const
+						filename = getEntryFilename(entry, "path");
+					
+					switch (entry.type) {
+						case "file":
+							if (filename.toString("binary") in hardLinkTargets) {
+								hardLinkTargets[filename.toString("binary")] = entry.md5;
+							}
+							
+							cb(null, {filename: filename, hash: entry.md5});
+							break;
+						case "link":
+							const
+								linkTarget = getEntryFilename(entry, "link"),
+								resolved = hardLinkTargets[linkTarget.toString("binary")];
+							
+							if (!resolved) {
+								cb(new Error("Failed to resolve hard link in manifest from " + filename + " to " + linkTarget));
+							} else {
+								cb(null, {filename: filename, hash: resolved});
+							}
+							break;
+						default:
+							// We don't hash other special file types like symlinks
+							cb();
+					}
+				}
+			}),
+			
+			serializer = new hashFiles.FileHashesSerializer(),
+			
+			outputFileStream = fs.createWriteStream(outputFilename, {
+				flags: "w",
+				mode: 0o600
+			});
+		
+		pipe(module.exports.readManifestFromStream(fs.createReadStream(manifestFilename)), fileHashes, serializer, outputFileStream, err => {
+			if (err) {
+				reject(err);
+			} else {
+				resolve(serializer.writtenCount);
+			}
+		});
+	}));
+};
+
+/**
+ * @param {string} archiveKey - S3 key of a tar archive
+ * @returns {string} The S3 key for that archive's manifest
+ */
+module.exports.manifestKeyForArchive = function(archiveKey) {
+	return archiveKey + MANIFEST_SUFFIX;
+};
+
+/**
+ * @param {string} key
+ * @returns {boolean} True if the S3 key is for a manifest
+ */
+module.exports.isManifestKey = function(key) {
+	return key.slice(-MANIFEST_SUFFIX.length) === MANIFEST_SUFFIX;
+};
+
+module.exports.getEntryFilename = getEntryFilename;
@@ -0,0 +1,175 @@
+"use strict";
+
+const
+	filesize = require("filesize");
+
+/**
+ * Estimating and describing what a migration would do, for --dry-run.
+ *
+ * Prices are us-east-1 list prices in USD, so the estimates are only a rough guide for other regions.
+ */
+const
+	EBS_PRICE_PER_GIB_MONTH = {
+		standard: 0.05,
+		gp2: 0.10,
+		gp3: 0.08,
+		io1: 0.125,
+		io2: 0.125,
+		st1: 0.045,
+		sc1: 0.015
+	},
+	
+	S3_PRICE_PER_PUT = 0.005 / 1000,
+	
+	HOURS_PER_MONTH = 730,
+	
+	// Volumes created from snapshots fetch their blocks from S3 lazily, so they read much slower than their type allows
+	TEMPORARY_VOLUME_READ_RATE = 40 * 1024 * 1024, // bytes per second
+	
+	// EBS bills for at least a minute
+	TEMPORARY_VOLUME_MIN_HOURS = 1 / 60,
+	
+	GIBIBYTE = 1024 * 1024 * 1024;
+
+/**
+ * @typedef {Object} SnapshotPlan
+ * @property {string} snapshotID
+ * @property {string} volumeID
+ * @property {int} volumeSize - In GiB
+ * @property {string} startTime - ISO 8601
+ * @property {string} description
+ * @property {string} method - "tar" for a tar of each partition, "image" for an image of the whole volume, or "delta"
+ * for the blocks which changed since an earlier snapshot
+ * @property {?{type: string, size: int}} temporaryVolume - The volume we'd create from the snapshot, or null with --direct
+ * @property {string[]} keys - Keys of the archives that would be uploaded
+ * @property {boolean} keysPerPartition - True if the volume turns out to be partitioned, there'd be a key for each
+ * partition instead (e.g. ".1.tar.lz4")
+ * @property {string[]} existingKeys - Archives of the snapshot that are already in a destination, as URLs or paths
+ * @property {int} putRequests - At most this many PUT requests would be made to each destination
+ * @property {?number} temporaryVolumeCost - Null if we don't know the price of the volume type
+ * @property {number} putCost - For all of the destinations
+ */
+
+/**
+ * @typedef {Object} MigrationPlan
+ * @property {string[]} destinations
+ * @property {SnapshotPlan[]} snapshots
+ * @property {Object.<string,int>} skipped - Snapshots that --keep-going would skip, mapped to their failure count
+ * @property {?number} temporaryVolumeCost - Null if we don't know the price of the volume type
+ * @property {number} putCost
+ */
+
+/**
+ * Estimate what the temporary volume for a snapshot would cost while we read it.
+ *
+ * @param {string} volumeType
+ * @param {int} volumeSize - In GiB
+ *
+ * @returns {?number} In USD, or null if we don't know the price of the volume type
+ */
+module.exports.estimateTemporaryVolumeCost = function(volumeType, volumeSize) {
+	if (!(volumeType in EBS_PRICE_PER_GIB_MONTH)) {
+		return null;
+	}
+	
+	const
+		hours = Math.max(volumeSize * GIBIBYTE / TEMPORARY_VOLUME_READ_RATE / 3600, TEMPORARY_VOLUME_MIN_HOURS);
+	
+	return EBS_PRICE_PER_GIB_MONTH[volumeType] * volumeSize * hours / HOURS_PER_MONTH;
+};
+
+/**
+ * @param {int} putRequests
+ * @returns {number} In USD
+ */
+module.exports.estimatePutCost = function(putRequests) {
+	return putRequests * S3_PRICE_PER_PUT;
+};
+
+/**
+ * @param {?number} cost
+ * @returns {string}
+ */
+function formatCost(cost) {
+	return cost === null ? "unknown" : "$" + cost.toFixed(4);
+}
+
+/**
+ * @param {SnapshotPlan} plan
+ * @returns {string}
+ */
+function describeMethod(plan) {
+	let
+		result;
+	
+	switch (plan.method) {
+		case "tar":
+			result = "tar of each partition";
+			break;
+		case "image":
+			result = "image of the whole volume";
+			break;
+		case "delta":
+			result = "delta of the blocks changed since the last image";
+			break;
+	}
+	
+	if (plan.temporaryVolume) {
+		return result + ", from a temporary " + plan.temporaryVolume.size + " GiB " + plan.temporaryVolume.type + " volume";
+	}
+	
+	return result + ", read with the EBS direct APIs";
+}
+
+/**
+ * @param {MigrationPlan} plan
+ * @returns {string}
+ */
+module.exports.formatPlanAsText = function(plan) {
+	let
+		lines = [];
+	
+	if (plan.snapshots.length === 0) {
+		lines.push("No snapshots would be migrated.");
+	} else {
+		lines.push("Archives would be uploaded to " + plan.destinations.join(", "));
+		lines.push("");
+	}
+	
+	for (let snapshot of plan.snapshots) {
+		lines.push(snapshot.snapshotID + " (" + snapshot.volumeID + ", " + snapshot.volumeSize + " GiB, started " + snapshot.startTime
+			+ (snapshot.description.length > 0 ? ", \"" + snapshot.description + "\"" : "") + ")");
+		lines.push("  Method:          " + describeMethod(snapshot));
+		
+		for (let key of snapshot.keys) {
+			lines.push("  Key:             " + key);
+		}
+		
+		if (snapshot.keysPerPartition) {
+			lines.push("                   (or one key for each partition, e.g. \".1.tar\", if the volume is partitioned)");
+		}
+		
+		lines.push("  Estimated cost:  " + formatCost(snapshot.temporaryVolumeCost) + " for the temporary volume, "
+			+ formatCost(snapshot.putCost) + " for up to " + snapshot.putRequests + " PUT requests per destination");
+		
+		for (let key of snapshot.existingKeys) {
+			lines.push("  WARNING: " + key + " already exists");
+		}
+		
+		lines.push("");
+	}
+	
+	for (let snapshotID in plan.skipped) {
+		lines.push("Skipping " + snapshotID + ", which has already failed to migrate " + plan.skipped[snapshotID] + " times");
+	}
+	
+	if (plan.snapshots.length > 0) {
+		const
+			totalSize = plan.snapshots.reduce((total, snapshot) => total + snapshot.volumeSize, 0);
+		
+		lines.push(plan.snapshots.length + " snapshot" + (plan.snapshots.length > 1 ? "s" : "") + " (" + filesize(totalSize * GIBIBYTE) + ") would be migrated, "
+			+ "for an estimated " + formatCost(plan.temporaryVolumeCost) + " of temporary volumes and " + formatCost(plan.putCost) + " of PUT requests");
+	}
+	
+	return lines.join("\n");
+};
@@ -0,0 +1,162 @@
+"use strict";
+
+/**
+ * Shows the progress of several operations at once (e.g. uploads of snapshots that are migrating in parallel), with
+ * one line per operation.
+ *
+ * Log messages from the operations would be overwritten if we redrew the lines in place, so instead every few seconds
+ * the whole board is printed again below whatever was logged since.
+ */
+class ProgressBoard {
+	/**
+	 * @param {Object} options
+	 * @param {int} options.renderThrottle - Minimum time between renders in milliseconds
+	 * @param {int} [options.width] - Width of each bar in characters
+	 * @param {stream.Writable} [options.stream] - Where to render to, defaults to stderr
+	 */
+	constructor(options) {
+		this.renderThrottle = options.renderThrottle;
+		this.width = options.width || 32;
+		this.stream = options.stream || process.stderr;
+		
+		/**
+		 * @type {ProgressBoardBar[]}
+		 */
+		this.bars = [];
+		this.renderTimeout = null;
+	}
+	
+	/**
+	 * Add a bar to the board.
+	 *
+	 * @param {string} label - Shown at the start of the bar's line
+	 * @param {int} total - Number of ticks to complete
+	 *
+	 * @returns {ProgressBoardBar}
+	 */
+	createBar(label, total) {
+		const
+			bar = new ProgressBoardBar(this, label, total);
+		
+		this.bars.push(bar);
+		
+		return bar;
+	}
+	
+	/**
+	 * Render the board soon, unless a render is already due.
+	 */
+	scheduleRender() {
+		if (!this.renderTimeout) {
+			this.renderTimeout = setTimeout(() => this.render(), this.renderThrottle);
+		}
+	}
+	
+	render() {
+		clearTimeout(this.renderTimeout);
+		this.renderTimeout = null;
+		
+		if (!this.stream.isTTY || this.bars.length === 0) {
+			return;
+		}
+		
+		const
+			labelWidth = Math.max.apply(Math, this.bars.map(bar => bar.label.length));
+		
+		this.stream.write(this.bars.map(bar => bar.format(labelWidth, this.width)).join("\n") + "\n\n");
+	}
+	
+	/**
+	 * @param {ProgressBoardBar} bar
+	 */
+	remove(bar) {
+		const
+			index = this.bars.indexOf(bar);
+		
+		if (index !== -1) {
+			this.bars.splice(index, 1);
+		}
+		
+		if (this.bars.length === 0) {
+			clearTimeout(this.renderTimeout);
+			this.renderTimeout = null;
+		}
+	}
+}
+
+/**
+ * One line of a ProgressBoard. This has the subset of the interface of the "progress" package's ProgressBar that we
+ * use, so the two are interchangeable.
+ */
+class ProgressBoardBar {
+	/**
+	 * @param {ProgressBoard} board
+	 * @param {string} label
+	 * @param {int} total
+	 */
+	constructor(board, label, total) {
+		this.board = board;
+		this.label = label;
+		this.total = total;
+		this.curr = 0;
+		this.complete = false;
+		this.start = null;
+	}
+	
+	/**
+	 * @param {number} len - Number of ticks to advance by
+	 */
+	tick(len) {
+		if (this.start === null) {
+			this.start = Date.now();
+		}
+		
+		this.curr += len;
+		
+		if (this.curr >= this.total) {
+			this.complete = true;
+			this.terminate();
+		} else {
+			this.board.scheduleRender();
+		}
+	}
+	
+	/**
+	 * @param {number} ratio - Fraction of the total that has been completed
+	 */
+	update(ratio) {
+		this.tick(Math.floor(ratio * this.total) - this.curr);
+	}
+	
+	render() {
+		this.board.scheduleRender();
+	}
+	
+	/**
+	 * Remove this bar from the board.
+	 */
+	terminate() {
+		this.board.remove(this);
+	}
+	
+	/**
+	 * @param {int} labelWidth - Width to pad the label to
+	 * @param {int} width - Width of the bar
+	 *
+	 * @returns {string}
+	 */
+	format(labelWidth, width) {
+		const
+			ratio = this.total > 0 ? Math.min(Math.max(this.curr / this.total, 0), 1) : 0,
+			elapsed = this.start === null ? 0 : Date.now() - this.start,
+			rate = elapsed > 0 ? Math.round(this.curr / (elapsed / 1000)) : 0,
+			eta = this.curr > 0 ? elapsed * (this.total / this.curr - 1) / 1000 : 0,
+			completeLength = Math.round(width * ratio);
+		
+		return "  " + this.label + " ".repeat(labelWidth - this.label.length)
+			+ " [" + "=".repeat(completeLength) + " ".repeat(width - completeLength) + "] "
+			+ rate + " KB/s " + (ratio * 100).toFixed(0) + "% " + eta.toFixed(1);
+	}
+}
+
+module.exports = ProgressBoard;
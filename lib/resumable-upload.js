@@ -0,0 +1,460 @@
+"use strict";
+
+const
+	crypto = require("crypto"),
+	stream = require("stream"),
+	
+	compression = require("./compression");
+
+/**
+ * Resumable uploads.
+ *
+ * An ordinary upload runs the whole archive through one compressor, so if it's interrupted there's no way to carry
+ * on from the middle, since the compressor's state is lost. A resumable upload instead compresses its source in
+ * segments of SEGMENT_SIZE bytes, each with a fresh compressor, and every part of the multipart upload ends at the end
+ * of a segment. All of our codecs decompress concatenated streams as if they were one, so the archive reads back just
+ * like any other.
+ *
+ * After each part is uploaded, a checkpoint records the UploadId, the ETag of every part that has been uploaded, and
+ * how far into the source those parts reach. Given that checkpoint, a later attempt at the same upload reads the
+ * source again, but skips everything that's already been uploaded instead of compressing and uploading it again. This
+ * relies on the source being the same every time it's read (like a disk image, or a tar of a snapshot with its files
+ * in a fixed order), so the skipped data is checked against the MD5 of each part's source that we recorded.
+ */
+const
+	CHECKPOINT_VERSION = 1,
+	
+	SEGMENT_SIZE = 16 * 1024 * 1024;
+
+/**
+ * @typedef {Object} UploadedPart
+ * @property {int} PartNumber
+ * @property {string} ETag
+ * @property {int} sourceEnd - Offset in the source just past the last byte that the part holds
+ * @property {string} sourceMD5 - MD5 of the source bytes that the part holds
+ */
+
+/**
+ * @typedef {Object} UploadCheckpoint
+ * @property {int} version
+ * @property {string} bucket
+ * @property {string} key
+ * @property {string} uploadId
+ * @property {string} compression
+ * @property {int} compressionLevel
+ * @property {int} segmentSize
+ * @property {int} sourceOffset - Bytes of the source which have been uploaded
+ * @property {UploadedPart[]} parts - Every part that has finished uploading, in order
+ */
+
+/**
+ * @param {S3.TagList} tags
+ * @returns {string} The tags in the form that S3 wants for the Tagging header
+ */
+function encodeTagging(tags) {
+	return tags.map(tag => encodeURIComponent(tag.Key) + "=" + encodeURIComponent(tag.Value)).join("&");
+}
+
+/**
+ * Compresses the stream that's written to it and uploads it as a multipart upload, saving a checkpoint after each
+ * part so the upload can be resumed if it's interrupted. Once the stream ends the upload is completed, and `promise`
+ * resolves to the response from CompleteMultipartUpload.
+ *
+ * The multipart upload is left in place if we fail or are aborted, so that it can be resumed later.
+ */
+class ResumableUpload extends stream.Transform {
+	/**
+	 * @param {Object} options
+	 * @param {AWS.S3} options.s3
+	 * @param {S3.CreateMultipartUploadRequest} options.params - Bucket, Key and the rest of the params for the upload,
+	 * without a Body
+	 * @param {S3.TagList} [options.tags]
+	 * @param {string} options.compression
+	 * @param {int} options.compressionLevel
+	 * @param {int} options.partSize - Smallest compressed size of each part, except the last
+	 * @param {int} options.queueSize - Number of parts to upload at once
+	 * @param {UploadCheckpoint|null} options.checkpoint - Saved by an earlier attempt at this upload
+	 * @param {function(UploadCheckpoint):Promise} options.saveCheckpoint
+	 * @param {int} [options.segmentSize]
+	 */
+	constructor(options) {
+		super();
+		
+		this.s3 = options.s3;
+		this.params = options.params;
+		this.tags = options.tags || [];
+		this.compression = options.compression;
+		this.compressionLevel = options.compressionLevel;
+		this.partSize = options.partSize;
+		this.queueSize = options.queueSize;
+		this.saveCheckpoint = options.saveCheckpoint;
+		this.segmentSize = options.segmentSize || SEGMENT_SIZE;
+		
+		/**
+		 * @type {UploadCheckpoint}
+		 */
+		this.checkpoint = null;
+		this.resumed = false;
+		this.saving = Promise.resolve();
+		
+		// Parts that finished uploading before an earlier part did, by part number
+		this.finishedParts = {};
+		this.inFlight = [];
+		this.nextPartNumber = 1;
+		
+		this.sourceOffset = 0;
+		this.skipTo = 0;
+		this.verifyIndex = 0;
+		this.partSourceHash = crypto.createHash("md5");
+		
+		this.segment = [];
+		this.segmentLength = 0;
+		this.part = [];
+		this.partLength = 0;
+		
+		this.failure = null;
+		this.aborted = false;
+		this.response = null;
+		
+		this.started = this._start(options.checkpoint);
+		
+		// We'll report this once somebody writes to us
+		this.started.catch(() => {});
+		
+		this.promise = new Promise((resolve, reject) => {
+			this.on("end", () => resolve(this.response));
+			this.on("error", reject);
+		});
+		
+		// We don't output anything, but our readable side still has to be read before we can end
+		this.resume();
+	}
+	
+	_listUploadedParts(uploadId) {
+		let
+			parts = [];
+		
+		const
+			listFrom = marker => this.s3.listParts({
+				Bucket: this.params.Bucket,
+				Key: this.params.Key,
+				UploadId: uploadId,
+				PartNumberMarker: marker
+			}).promise().then(response => {
+				parts = parts.concat(response.Parts);
+				
+				return response.IsTruncated ? listFrom(response.NextPartNumberMarker) : parts;
+			});
+		
+		return listFrom(undefined);
+	}
+	
+	/**
+	 * Resume the upload from the given checkpoint if we can, otherwise start a new upload.
+	 *
+	 * @param {UploadCheckpoint|null} previous
+	 * @returns {Promise}
+	 */
+	_start(previous) {
+		if (!previous) {
+			return this._create();
+		}
+		
+		if (previous.version !== CHECKPOINT_VERSION || previous.bucket !== this.params.Bucket || previous.key !== this.params.Key
+				|| previous.compression !== this.compression || previous.compressionLevel !== this.compressionLevel || previous.segmentSize !== this.segmentSize) {
+			// We'd never be able to complete that upload, so it would only cost money to keep it around
+			return this.s3.abortMultipartUpload({
+				Bucket: previous.bucket,
+				Key: previous.key,
+				UploadId: previous.uploadId
+			}).promise()
+				.catch(() => {})
+				.then(() => this._create());
+		}
+		
+		return this._listUploadedParts(previous.uploadId).then(
+			uploaded => {
+				const
+					etags = {};
+				
+				let
+					verified = 0;
+				
+				for (let part of uploaded) {
+					etags[part.PartNumber] = part.ETag;
+				}
+				
+				// S3 is the authority on which parts really made it
+				while (verified < previous.parts.length && etags[previous.parts[verified].PartNumber] === previous.parts[verified].ETag) {
+					verified++;
+				}
+				
+				this.checkpoint = Object.assign({}, previous, {
+					parts: previous.parts.slice(0, verified),
+					sourceOffset: verified > 0 ? previous.parts[verified - 1].sourceEnd : 0
+				});
+				
+				this.resumed = true;
+				this.skipTo = this.checkpoint.sourceOffset;
+				this.nextPartNumber = verified + 1;
+			},
+			error => {
+				// The upload was aborted or completed since the checkpoint was saved
+				if (error.code === "NoSuchUpload") {
+					return this._create();
+				}
+				
+				throw error;
+			}
+		);
+	}
+	
+	_create() {
+		const
+			params = Object.assign({}, this.params);
+		
+		if (this.tags.length > 0) {
+			params.Tagging = encodeTagging(this.tags);
+		}
+		
+		return this.s3.createMultipartUpload(params).promise().then(response => {
+			this.checkpoint = {
+				version: CHECKPOINT_VERSION,
+				bucket: this.params.Bucket,
+				key: this.params.Key,
+				uploadId: response.UploadId,
+				compression: this.compression,
+				compressionLevel: this.compressionLevel,
+				segmentSize: this.segmentSize,
+				sourceOffset: 0,
+				parts: []
+			};
+			
+			return this._save();
+		});
+	}
+	
+	_save() {
+		const
+			checkpoint = JSON.parse(JSON.stringify(this.checkpoint));
+		
+		// Saves have to land in order, so an older checkpoint never replaces a newer one
+		this.saving = this.saving.then(() => this.saveCheckpoint(checkpoint));
+		
+		return this.saving;
+	}
+	
+	/**
+	 * Check the source that we're skipping over against the parts that were uploaded from it before.
+	 *
+	 * @param {Buffer} data
+	 */
+	_verifySkipped(data) {
+		let
+			position = 0;
+		
+		while (position < data.length) {
+			const
+				part = this.checkpoint.parts[this.verifyIndex],
+				length = Math.min(data.length - position, part.sourceEnd - this.sourceOffset);
+			
+			this.partSourceHash.update(data.slice(position, position + length));
+			
+			position += length;
+			this.sourceOffset += length;
+			
+			if (this.sourceOffset === part.sourceEnd) {
+				if (this.partSourceHash.digest("hex") !== part.sourceMD5) {
+					throw "The source of \"" + this.params.Key + "\" isn't the same as when its upload began (part " + part.PartNumber + " differs), so the upload can't be resumed";
+				}
+				
+				this.partSourceHash = crypto.createHash("md5");
+				this.verifyIndex++;
+			}
+		}
+	}
+	
+	_take(chunk) {
+		if (this.aborted) {
+			throw "Upload aborted";
+		}
+		if (this.failure) {
+			throw this.failure;
+		}
+		
+		if (this.sourceOffset < this.skipTo) {
+			const
+				skipped = chunk.slice(0, this.skipTo - this.sourceOffset);
+			
+			this._verifySkipped(skipped);
+			
+			chunk = chunk.slice(skipped.length);
+		}
+		
+		if (chunk.length > 0) {
+			this.segment.push(chunk);
+			this.segmentLength += chunk.length;
+			this.sourceOffset += chunk.length;
+			this.partSourceHash.update(chunk);
+			
+			if (this.segmentLength >= this.segmentSize) {
+				return this._compressSegment();
+			}
+		}
+		
+		return Promise.resolve();
+	}
+	
+	_compressSegment() {
+		const
+			segment = Buffer.concat(this.segment, this.segmentLength);
+		
+		this.segment = [];
+		this.segmentLength = 0;
+		
+		return compression.compressBuffer(this.compression, this.compressionLevel, segment).then(compressed => {
+			this.part.push(compressed);
+			this.partLength += compressed.length;
+			
+			if (this.partLength >= this.partSize) {
+				return this._uploadPart();
+			}
+		});
+	}
+	
+	/**
+	 * Add parts to the checkpoint once every part before them has finished too, so that it never has any gaps.
+	 *
+	 * @returns {Promise}
+	 */
+	_checkpointFinishedParts() {
+		let
+			advanced = false;
+		
+		while (this.finishedParts[this.checkpoint.parts.length + 1]) {
+			const
+				part = this.finishedParts[this.checkpoint.parts.length + 1];
+			
+			delete this.finishedParts[part.PartNumber];
+			
+			this.checkpoint.parts.push(part);
+			this.checkpoint.sourceOffset = part.sourceEnd;
+			
+			advanced = true;
+		}
+		
+		return advanced ? this._save() : Promise.resolve();
+	}
+	
+	/**
+	 * Start uploading the part we've built up.
+	 *
+	 * @returns {Promise} Resolves once there's room in the queue to build the next part
+	 */
+	_uploadPart() {
+		const
+			body = Buffer.concat(this.part, this.partLength),
+			partNumber = this.nextPartNumber++,
+			sourceEnd = this.sourceOffset,
+			sourceMD5 = this.partSourceHash.digest("hex"),
+			
+			upload = this.s3.uploadPart({
+				Bucket: this.params.Bucket,
+				Key: this.params.Key,
+				UploadId: this.checkpoint.uploadId,
+				PartNumber: partNumber,
+				Body: body,
+				ContentMD5: crypto.createHash("md5").update(body).digest("base64")
+			}).promise().then(response => {
+				this.finishedParts[partNumber] = {
+					PartNumber: partNumber,
+					ETag: response.ETag,
+					sourceEnd: sourceEnd,
+					sourceMD5: sourceMD5
+				};
+				
+				return this._checkpointFinishedParts();
+			});
+		
+		this.part = [];
+		this.partLength = 0;
+		this.partSourceHash = crypto.createHash("md5");
+		
+		this.inFlight.push(upload);
+		
+		upload.then(
+			() => {
+				this.inFlight.splice(this.inFlight.indexOf(upload), 1);
+			},
+			error => {
+				this.failure = this.failure || ("Uploading part " + partNumber + " of \"" + this.params.Key + "\" failed: " + error);
+			}
+		);
+		
+		if (this.inFlight.length >= this.queueSize) {
+			return Promise.race(this.inFlight).catch(() => {
+				throw this.failure;
+			});
+		}
+		
+		return Promise.resolve();
+	}
+	
+	_transform(chunk, encoding, callback) {
+		this.started
+			.then(() => this._take(chunk))
+			.then(() => callback(), callback);
+	}
+	
+	_flush(callback) {
+		this.started
+			.then(() => {
+				if (this.sourceOffset < this.skipTo) {
+					throw "The source of \"" + this.params.Key + "\" is shorter than when its upload began, so the upload can't be resumed";
+				}
+				
+				if (this.segmentLength > 0) {
+					return this._compressSegment();
+				}
+			})
+			.then(() => {
+				// Every upload needs at least one part, even if it's empty
+				if (this.partLength > 0 || this.nextPartNumber === 1) {
+					return this._uploadPart();
+				}
+			})
+			.then(() => Promise.all(this.inFlight).catch(() => {
+				throw this.failure;
+			}))
+			.then(() => this.saving)
+			.then(() => this.s3.completeMultipartUpload({
+				Bucket: this.params.Bucket,
+				Key: this.params.Key,
+				UploadId: this.checkpoint.uploadId,
+				MultipartUpload: {
+					Parts: this.checkpoint.parts.map(part => ({
+						PartNumber: part.PartNumber,
+						ETag: part.ETag
+					}))
+				}
+			}).promise())
+			.then(
+				response => {
+					this.response = response;
+					
+					callback();
+				},
+				callback
+			);
+	}
+	
+	/**
+	 * Stop uploading, but leave the multipart upload in place so that it can be resumed.
+	 */
+	abort() {
+		this.aborted = true;
+	}
+}
+
+module.exports.ResumableUpload = ResumableUpload;
+module.exports.CHECKPOINT_VERSION = CHECKPOINT_VERSION;
@@ -0,0 +1,159 @@
+"use strict";
+
+const
+	moment = require("moment");
+
+/**
+ * Grandfather-father-son retention for --prune: of the snapshots of a volume, we keep the newest one from each of the
+ * last N days, M months and Y years that have any snapshots.
+ */
+const
+	PERIODS = [
+		{name: "daily", unit: "d", format: "YYYY-MM-DD"},
+		{name: "monthly", unit: "m", format: "YYYY-MM"},
+		{name: "yearly", unit: "y", format: "YYYY"}
+	];
+
+/**
+ * @typedef {Object} RetentionRule
+ * @property {?string} volumeID - Only applies to this volume
+ * @property {?string} tagKey - Only applies to volumes whose newest archive has this S3 tag...
+ * @property {?string} tagValue - ... with this value
+ * @property {int} daily - Number of days to keep the newest snapshot of
+ * @property {int} monthly - Number of months to keep the newest snapshot of
+ * @property {int} yearly - Number of years to keep the newest snapshot of
+ */
+
+/**
+ * @typedef {Object} RetentionCandidate
+ * @property {string} snapshotID
+ * @property {string} startTime - ISO 8601
+ */
+
+/**
+ * Parse the counts of a rule, like "7d,12m,5y" (periods which are left out keep nothing).
+ *
+ * @param {string} spec
+ * @returns {{daily: int, monthly: int, yearly: int}}
+ */
+function parseCounts(spec) {
+	const
+		counts = {
+			daily: 0,
+			monthly: 0,
+			yearly: 0
+		};
+	
+	for (let part of spec.split(",")) {
+		const
+			matches = part.trim().match(/^([0-9]+)([dmy])$/),
+			period = matches && PERIODS.find(period => period.unit === matches[2]);
+		
+		if (!period) {
+			throw "Retention counts should look like 7d,12m,5y, not \"" + spec + "\"";
+		}
+		
+		counts[period.name] = parseInt(matches[1], 10);
+	}
+	
+	if (counts.daily + counts.monthly + counts.yearly === 0) {
+		throw "The retention rule \"" + spec + "\" would delete every archive, it needs to keep at least one";
+	}
+	
+	return counts;
+}
+
+/**
+ * Parse a --retention-rule like "vol-xxx=7d,12m" or "tag:Env=staging=7d".
+ *
+ * @param {string} spec
+ * @returns {RetentionRule}
+ */
+module.exports.parseRule = function(spec) {
+	const
+		equals = spec.lastIndexOf("="),
+		selector = equals === -1 ? "" : spec.substring(0, equals),
+		rule = {
+			volumeID: null,
+			tagKey: null,
+			tagValue: null
+		};
+	
+	if (selector.indexOf("tag:") === 0 && selector.indexOf("=") > "tag:".length) {
+		rule.tagKey = selector.substring("tag:".length, selector.indexOf("="));
+		rule.tagValue = selector.substring(selector.indexOf("=") + 1);
+	} else if (/^vol-[0-9a-f]+$/.test(selector)) {
+		rule.volumeID = selector;
+	} else {
+		throw "--retention-rule should look like vol-xxx=7d,12m,5y or tag:Key=Value=7d,12m,5y, not \"" + spec + "\"";
+	}
+	
+	return Object.assign(rule, parseCounts(spec.substring(equals + 1)));
+};
+
+/**
+ * Build the rule from --keep-daily, --keep-monthly and --keep-yearly, which applies to volumes that no
+ * --retention-rule matches.
+ *
+ * @param {Object} options - SnapToS3 options
+ * @returns {?RetentionRule} Null if none of those options were given
+ */
+module.exports.createDefaultRule = function(options) {
+	if (options["keep-daily"] === undefined && options["keep-monthly"] === undefined && options["keep-yearly"] === undefined) {
+		return null;
+	}
+	
+	const
+		counts = [options["keep-daily"] || 0, options["keep-monthly"] || 0, options["keep-yearly"] || 0];
+	
+	if (counts.some(count => !(count >= 0))) {
+		throw "--keep-daily, --keep-monthly and --keep-yearly must be numbers of snapshots";
+	}
+	
+	return Object.assign({
+		volumeID: null,
+		tagKey: null,
+		tagValue: null
+	}, parseCounts(counts.map((count, index) => Math.round(count) + PERIODS[index].unit).join(",")));
+};
+
+/**
+ * Decide which snapshots of one volume the rule keeps.
+ *
+ * @param {RetentionCandidate[]} candidates - The snapshots of the volume
+ * @param {RetentionRule} rule
+ *
+ * @returns {Object.<string,string>} The IDs of the snapshots to keep, mapped to the reason, e.g. "monthly 2017-01"
+ */
+module.exports.selectSnapshotsToKeep = function(candidates, rule) {
+	const
+		newestFirst = candidates.slice().sort((a, b) => moment(b.startTime).valueOf() - moment(a.startTime).valueOf()),
+		keep = {};
+	
+	for (let period of PERIODS) {
+		let
+			kept = 0,
+			lastBucket = null;
+		
+		for (let candidate of newestFirst) {
+			if (kept >= rule[period.name]) {
+				break;
+			}
+			
+			const
+				bucket = moment.utc(candidate.startTime).format(period.format);
+			
+			// The first snapshot we see from each period is its newest
+			if (bucket !== lastBucket) {
+				lastBucket = bucket;
+				kept++;
+				
+				if (!(candidate.snapshotID in keep)) {
+					keep[candidate.snapshotID] = period.name + " " + bucket;
+				}
+			}
+		}
+	}
+	
+	return keep;
+};
@@ -11,7 +11,13 @@ const
 	sprintf = require("sprintf-js").sprintf,
 	vsprintf = require("sprintf-js").vsprintf,
 	
-	gunzipMaybe = require("gunzip-maybe");
+	gunzipMaybe = require("gunzip-maybe"),
+	
+	awsTools = require("./aws-tools");
+
+const
+	// Volumes whose snapshots change less than this on average are good candidates for incremental uploads
+	INCREMENTAL_HINT_CHANGE_PERCENTAGE = 10;
 
 function SnapCostAnalysis(options) {
 	this.setOptions(options);
@@ -32,7 +38,7 @@ SnapCostAnalysis.prototype.groupSnapshotsByRegionAndVolumeAndFetchDetails = func
 				snapshotDescriptions,
 				ec2 = new AWS.EC2({region: region});
 			
-			return ec2.describeSnapshots({
+			return awsTools.describeAllSnapshots(ec2, {
 				Filters: [
 					{
 						Name: "status",
@@ -42,9 +48,9 @@ SnapCostAnalysis.prototype.groupSnapshotsByRegionAndVolumeAndFetchDetails = func
 					}
 				],
 				OwnerIds: ownerIDs
-			}).promise()
-				.then(data => {
-					snapshotDescriptions = data.Snapshots;
+			})
+				.then(snapshots => {
+					snapshotDescriptions = snapshots;
 				})
 				.then(() => ec2.describeVolumes({}).promise())
 				.then(data => {
@@ -210,6 +216,14 @@ SnapCostAnalysis.prototype.summarizeDataByRegionAndVolume = function(regions) {
 				
 				console.log(vsprintf(formatString, formatArgs));
 				
+				/*
+				 * Every archive in S3 is a full copy unless it's incremental, so slowly-changing volumes are the ones that
+				 * --incremental would save the most on.
+				 */
+				if (volume.snapshots.length > 1 && averageSnapChangePercentage < INCREMENTAL_HINT_CHANGE_PERCENTAGE) {
+					console.log("  Changes slowly, so --incremental would only need to store the changes in each snapshot after the first");
+				}
+				
 				for (let i = 0; i < snapshotsByDate.length; i++) {
 					let
 						snapshot = snapshotsByDate[i],
@@ -2,11 +2,13 @@
 
 const
 	fs = require("fs"),
+	path = require("path"),
 	child_process = require("child_process"),
 	assert = require("assert"),
 	which = require("which"),
 	crypto = require("crypto"),
 	util = require("util"),
+	stream = require("stream"),
 	
 	clone = require("clone"),
 	Logger = require("js-logger"),
@@ -19,20 +21,68 @@ const
 	awsTools = require("./aws-tools"),
 	fsTools = require("./filesystem-tools"),
 	hashFiles = require("./hash-files"),
+	manifest = require("./manifest"),
 	SimpleProgressStream = require("./simple-progress-stream"),
+	ThrottleStream = require("./throttle-stream"),
+	ProgressBoard = require("./progress-board"),
+	TeeStream = require("./tee-stream"),
 	spawn = require("./spawn"),
+	tarTools = require("./tar-tools"),
+	compression = require("./compression"),
+	encryption = require("./encryption"),
+	ebsDirect = require("./ebs-direct"),
+	incremental = require("./incremental"),
+	chunkStore = require("./chunk-store"),
+	storage = require("./storage"),
+	resumableUpload = require("./resumable-upload"),
+	snapshotSelection = require("./snapshot-selection"),
+	migrationPlan = require("./migration-plan"),
+	statusServer = require("./status-server"),
+	retention = require("./retention"),
 	
 	metadataService = new AWS.MetadataService();
 
 const
 	TAG_RACE_DELAY = 4000,
 	PROGRESS_BAR_UPDATE_RATE = 5000, // ms
+	S3_MAX_TAGS_PER_OBJECT = 10,
 	
 	PARTITION_POLL_INTERVAL = 4 * 1000, // ms
 	PARTITION_POLL_MAX_RETRY = 75,
 	
 	VOLUME_ATTACH_POLL_MAX_RETRY = 60,
-	VOLUME_ATTACH_POLL_INTERVAL = 10 * 1000;
+	VOLUME_ATTACH_POLL_INTERVAL = 10 * 1000,
+	
+	GIBIBYTE = 1024 * 1024 * 1024,
+	
+	STORAGE_CLASSES = ["STANDARD", "STANDARD_IA", "ONEZONE_IA", "GLACIER", "DEEP_ARCHIVE", "INTELLIGENT_TIERING"],
+	
+	// Objects in these storage classes have to be restored before they can be read
+	ARCHIVED_STORAGE_CLASSES = ["GLACIER", "DEEP_ARCHIVE"],
+	
+	GLACIER_ACTIONS = ["skip", "restore", "wait"],
+	GLACIER_TIERS = ["Expedited", "Standard", "Bulk"],
+	GLACIER_RESTORE_POLL_INTERVAL = 10 * 60 * 1000, // ms
+	
+	OBJECT_LOCK_MODES = ["GOVERNANCE", "COMPLIANCE"],
+	
+	// Added to the key prefix of a snapshot for the record we keep of it once --delete-after-validate deletes it
+	TOMBSTONE_SUFFIX = ".deleted.json",
+	
+	// Added to --tag to name the tag which records when a chunk was last reused by an upload
+	CHUNK_LAST_USED_TAG_SUFFIX = "-last-used",
+	
+	// Added to --tag to name the tag which lists the archives of a snapshot that were there when it was validated
+	VALIDATED_ARCHIVES_TAG_SUFFIX = "-validated-archives",
+	
+	// The most characters that EC2 allows in a tag value
+	MAX_TAG_VALUE_LENGTH = 256,
+	
+	// The error of the uploads that a daemon interrupts when it shuts down
+	DAEMON_SHUTDOWN_REASON = "Upload interrupted because the daemon is shutting down (SIGTERM)",
+	
+	// Extra room to leave on restored filesystems for their own metadata, as a fraction of the data size
+	RESTORE_FILESYSTEM_OVERHEAD = 1.1;
 
 function fetchInstanceDetails() {
 	return new Promise(function(resolve, reject) {
@@ -88,9 +138,33 @@ function describeSnapshots(ec2, snapshotIDs) {
 	);
 }
 
-function createS3KeyForSnapshotPartitionTar(snapshot, partitionName) {
+/**
+ * @param {string} compressionName - Codec the archive is compressed with
+ * @param {boolean} chunked - True if the archive is deduplicated, so the object we upload is its chunk index
+ * @returns {string} The extension that the S3 key of the archive ends with
+ */
+function archiveKeyExtension(compressionName, chunked) {
+	return chunked ? chunkStore.INDEX_SUFFIX : compression.getCodec(compressionName).extension;
+}
+
+/**
+ * @param {EC2.Snapshot} snapshot
+ * @returns {string} The start of the S3 key of every archive of the snapshot
+ */
+function createS3KeyPrefixForSnapshot(snapshot) {
+	return snapshot.VolumeId + "/" + moment(snapshot.StartTime).format() + " " + snapshot.SnapshotId;
+}
+
+/**
+ * @param {EC2.Snapshot} snapshot
+ * @param {string} partitionName
+ * @param {string} compressionName - Codec the tar is compressed with
+ * @param {boolean} chunked - True if the tar is deduplicated into chunks
+ * @returns {string}
+ */
+function createS3KeyForSnapshotPartitionTar(snapshot, partitionName, compressionName, chunked) {
 	let
-		filename = snapshot.VolumeId + "/" + moment(snapshot.StartTime).format() + " " + snapshot.SnapshotId;
+		filename = createS3KeyPrefixForSnapshot(snapshot);
 		
 	if (snapshot.Description.length > 0) {
 		filename += " - " + snapshot.Description;
@@ -100,18 +174,458 @@ function createS3KeyForSnapshotPartitionTar(snapshot, partitionName) {
 		filename += "." + partitionName;
 	}
 	
-	return filename + ".tar.lz4";
+	return filename + ".tar" + archiveKeyExtension(compressionName, chunked);
+}
+
+/**
+ * @param {EC2.Snapshot} snapshot
+ * @param {string} compressionName - Codec the image is compressed with
+ * @param {boolean} chunked - True if the image is deduplicated into chunks
+ * @returns {string}
+ */
+function createS3KeyForSnapshotVolumeImage(snapshot, compressionName, chunked) {
+	let
+		filename = createS3KeyPrefixForSnapshot(snapshot);
+	
+	if (snapshot.Description.length > 0) {
+		filename += " - " + snapshot.Description;
+	}
+	
+	return filename + ".img" + archiveKeyExtension(compressionName, chunked);
 }
 
-function createS3KeyForSnapshotVolumeImage(snapshot) {
+/**
+ * @param {EC2.Snapshot} snapshot
+ * @param {string} compressionName - Codec the delta is compressed with
+ * @param {boolean} chunked - True if the delta is deduplicated into chunks
+ * @returns {string}
+ */
+function createS3KeyForSnapshotVolumeDelta(snapshot, compressionName, chunked) {
 	let
-		filename = snapshot.VolumeId + "/" + moment(snapshot.StartTime).format() + " " + snapshot.SnapshotId;
+		filename = createS3KeyPrefixForSnapshot(snapshot);
 	
 	if (snapshot.Description.length > 0) {
 		filename += " - " + snapshot.Description;
 	}
+	
+	return filename + ".delta" + archiveKeyExtension(compressionName, chunked);
+}
+
+/**
+ * @typedef {Object} SnapshotArchive
+ * @property {string} key - S3 key of the archive
+ * @property {int} size - Size of the S3 object in bytes (for a deduplicated archive, the size of its content)
+ * @property {Object} metadata - S3 metadata of the archive, as written by uploadTemporaryVolume()
+ * @property {string} snapshotID - ID of the snapshot the archive was made from
+ * @property {string} type - "tar" for the files of one partition, "image" for a dd image of the whole volume, or "delta"
+ * for the blocks of the volume which changed since an earlier snapshot
+ * @property {string} partitionName - For tars, the short name of the partition it came from (e.g. "1", or "" if the volume had no partition table)
+ * @property {string} compression - Name of the codec the archive is compressed with
+ * @property {int} [incrementalLevel] - For tars, 0 for a full tar, or N for a tar of only the files which changed since
+ * the level N-1 tar it's based on
+ * @property {boolean} chunked - True if the archive was deduplicated, so the object is an index of its chunks
+ */
+
+/**
+ * @typedef {Object} ScrubReport
+ * @property {string[]} verified - Keys of archives which matched their manifests
+ * @property {Object[]} failed - The key and error of each archive which failed to be checked
+ * @property {string[]} skippedRecentlyVerified - Keys of archives which were already verified within --scrub-interval
+ * @property {string[]} skippedNoManifest - Keys of archives which have no manifest to check against
+ * @property {string[]} skippedArchived - Keys of archives which are in Glacier, so can't be read without a restore
+ */
+
+/**
+ * @typedef {Object} ChunkGarbageReport
+ * @property {int} indexCount - Number of deduplicated archives whose chunks were kept
+ * @property {int} referencedChunkCount - Number of distinct chunks referenced by those archives
+ * @property {string[]} deleted - Keys of the unreferenced chunks which were deleted
+ * @property {int} deletedBytes - Total size in S3 of the deleted chunks, counting every version of them
+ * @property {string[]} skippedRecent - Keys of unreferenced chunks which were kept because they were uploaded or
+ * reused within --gc-grace
+ * @property {Object[]} undeleted - The key, version ID and error of each version which couldn't be deleted (e.g.
+ * because Object Lock still protects it)
+ */
+
+/**
+ * @typedef {Object} PruneReport
+ * @property {boolean} dryRun - True if nothing was actually deleted
+ * @property {Object[]} kept - The snapshot ID, volume ID and reason for each snapshot whose archives were kept
+ * @property {Object[]} pruned - The snapshot ID, volume ID and keys of each snapshot whose archives were deleted (or
+ * would have been, with --dry-run), including the keys of their sidecars
+ * @property {Object[]} locked - The key and lock of the object which stopped each locked snapshot from being deleted
+ * @property {string[]} unruled - IDs of volumes which no retention rule applies to, so all of their archives were kept
+ * @property {string[]} deleted - Keys of the objects which were deleted
+ * @property {int} deletedBytes - Total size in S3 of the deleted objects, counting every version of them
+ * @property {Object[]} undeleted - The key, version ID and error of each version which couldn't be deleted (e.g.
+ * because Object Lock still protects it)
+ */
+
+/**
+ * @typedef {Object} ObjectLockSettings
+ * @property {string} [mode] - GOVERNANCE or COMPLIANCE, if the object should have a retention period
+ * @property {Date} [retainUntil]
+ * @property {boolean} legalHold
+ */
+
+/**
+ * @typedef {Object} RestoreResult
+ * @property {string} snapshotID - Snapshot that was restored
+ * @property {string|null} volumeID - The new volume it was restored to (or null if we restored to an existing device)
+ * @property {string} devicePath - The block device the snapshot was restored to
+ * @property {string[]} mountPoints - Where the restored filesystems are mounted (dd images aren't mounted)
+ */
+
+/**
+ * Recognise an S3 object as one that we uploaded, by checking that its key is the one we would have generated for
+ * the snapshot described in its metadata.
+ *
+ * @param {string} key
+ * @param {int} size
+ * @param {Object} metadata
+ * @returns {SnapshotArchive|null}
+ */
+function parseS3KeyForSnapshotArchive(key, size, metadata) {
+	const
+		snapshotID = metadata["snapshot-snapshotid"],
+		description = metadata["snapshot-description"] || "";
+	
+	if (!snapshotID || key.indexOf(metadata["snapshot-volumeid"] + "/") !== 0) {
+		return null;
+	}
+	
+	let
+		snapshotIDPos = key.indexOf(" " + snapshotID),
+		suffix,
+		matches,
+		compressionName,
+		chunked = false;
+	
+	if (snapshotIDPos === -1) {
+		return null;
+	}
+	
+	suffix = key.substring(snapshotIDPos + 1 + snapshotID.length);
+	
+	if (description.length > 0) {
+		if (suffix.indexOf(" - " + description) !== 0) {
+			return null;
+		}
+		suffix = suffix.substring(" - ".length + description.length);
+	}
+	
+	if (suffix.slice(-chunkStore.INDEX_SUFFIX.length) === chunkStore.INDEX_SUFFIX) {
+		// A deduplicated archive, which is always uncompressed itself
+		if (!metadata["compression"]) {
+			return null;
+		}
+		
+		suffix = suffix.slice(0, -chunkStore.INDEX_SUFFIX.length);
+		compressionName = metadata["compression"];
+		chunked = true;
+		
+		// The size that matters is that of the content we'll reassemble from the chunks
+		size = parseInt(metadata["uncompressed-size"], 10) || size;
+	} else {
+		const
+			parsedExtension = compression.parseKeyExtension(suffix);
+		
+		suffix = parsedExtension.keyWithoutExtension;
+		
+		if (metadata["compression"]) {
+			compressionName = metadata["compression"];
+			
+			// The key must end with the extension of the codec the metadata says we used
+			if (compressionName !== parsedExtension.codec) {
+				return null;
+			}
+		} else if (parsedExtension.codec === compression.LEGACY_CODEC) {
+			compressionName = compression.LEGACY_CODEC;
+		} else {
+			return null;
+		}
+	}
+	
+	if (suffix === ".img") {
+		return {
+			key: key,
+			size: size,
+			metadata: metadata,
+			snapshotID: snapshotID,
+			type: "image",
+			partitionName: "",
+			compression: compressionName,
+			chunked: chunked
+		};
+	}
+	
+	if (suffix === ".delta") {
+		return {
+			key: key,
+			size: size,
+			metadata: metadata,
+			snapshotID: snapshotID,
+			type: "delta",
+			partitionName: "",
+			compression: compressionName,
+			chunked: chunked
+		};
+	}
+	
+	matches = suffix.match(/^(?:\.(.+))?\.tar$/);
+	
+	if (matches) {
+		return {
+			key: key,
+			size: size,
+			metadata: metadata,
+			snapshotID: snapshotID,
+			type: "tar",
+			partitionName: matches[1] || "",
+			compression: compressionName,
+			chunked: chunked,
+			incrementalLevel: parseInt(metadata["tar-level"], 10) || 0
+		};
+	}
+	
+	return null;
+}
+
+/**
+ * @param {string} key
+ * @returns {boolean} True if the S3 key is for one of the files we upload alongside an archive (its manifest, chain
+ * manifest or tar snapshot file), for a chunk of a deduplicated archive, or for the tombstone of a deleted snapshot,
+ * rather than for an archive
+ */
+function isSidecarKey(key) {
+	return manifest.isManifestKey(key) || incremental.isChainManifestKey(key) || tarTools.isSnapshotFileKey(key) || chunkStore.isChunkKey(key)
+		|| key.slice(-TOMBSTONE_SUFFIX.length) === TOMBSTONE_SUFFIX;
+}
+
+/**
+ * @param {SnapshotArchive} archive
+ * @returns {string} What the archive holds, e.g. "image", "delta" or "tar:xvdf1", as listed in the "-validated-archives"
+ * tag of its snapshot
+ */
+function describeArchiveContent(archive) {
+	return archive.partitionName.length > 0 ? archive.type + ":" + archive.partitionName : archive.type;
+}
+
+/**
+ * Find out whether an S3 object has been archived (in GLACIER or DEEP_ARCHIVE, or in one of the archive tiers of
+ * INTELLIGENT_TIERING), and so needs to be restored before we can read it.
+ *
+ * @param {S3.HeadObjectOutput} head
+ * @returns {string} "readable", "archived" or "restoring"
+ */
+function describeArchivedState(head) {
+	if (ARCHIVED_STORAGE_CLASSES.indexOf(head.StorageClass) === -1 && !head.ArchiveStatus) {
+		return "readable";
+	}
+	
+	// e.g. 'ongoing-request="false", expiry-date="Fri, 21 Dec 2012 00:00:00 GMT"' once a restore has finished
+	if (head.Restore) {
+		return head.Restore.indexOf('ongoing-request="true"') !== -1 ? "restoring" : "readable";
+	}
+	
+	return "archived";
+}
+
+/**
+ * Remove the Object Lock settings from the given upload params. S3 requires a Content-MD5 for every part of a multipart
+ * upload which has Object Lock settings, which the SDK doesn't compute for us, so instead we upload the object without
+ * them, then apply them with lockUploadedObject().
+ *
+ * @param {S3.PutObjectRequest} s3Params - Modified in place
+ * @returns {ObjectLockSettings|null} The settings that were removed, or null if there weren't any
+ */
+function takeObjectLockParams(s3Params) {
+	if (!s3Params.ObjectLockMode && s3Params.ObjectLockLegalHoldStatus !== "ON") {
+		return null;
+	}
+	
+	const
+		settings = {
+			mode: s3Params.ObjectLockMode,
+			retainUntil: s3Params.ObjectLockRetainUntilDate,
+			legalHold: s3Params.ObjectLockLegalHoldStatus === "ON"
+		};
+	
+	delete s3Params.ObjectLockMode;
+	delete s3Params.ObjectLockRetainUntilDate;
+	delete s3Params.ObjectLockLegalHoldStatus;
+	
+	return settings;
+}
+
+/**
+ * @typedef {Object} DestinationSpec
+ * @property {string} [bucket]
+ * @property {string} [directory] - Set instead of the bucket for a directory destination
+ * @property {string} [region] - Region of the bucket, if it's not in our region
+ * @property {string} [sse]
+ * @property {string} [sseKmsKeyId]
+ * @property {boolean} required - False if the migration can succeed without this destination
+ */
+
+/**
+ * @typedef {Object} Destination
+ * @property {string} name - "s3://bucket" or the directory, for log messages and the snapshot's tags
+ * @property {S3Storage|DirectoryStorage} storage
+ * @property {AWS.S3|null} s3 - Client for the bucket, or null for a directory
+ * @property {string} [bucket]
+ * @property {string} [sse]
+ * @property {string} [sseKmsKeyId]
+ * @property {boolean} required
+ * @property {Object.<string, string>} failures - Why the uploads of each snapshot to this destination failed, by
+ * snapshot ID
+ */
+
+/**
+ * Parse a --copy-to destination, like "s3://bucket,region=eu-west-1,sse=aws:kms,optional" or "/mnt/nas,optional".
+ *
+ * @param {string} spec
+ * @returns {DestinationSpec}
+ */
+function parseDestinationSpec(spec) {
+	const
+		settings = spec.split(","),
+		location = settings.shift(),
+		bucketMatch = location.match(/^s3:\/\/([^\/]+)\/?$/),
+		
+		/**
+		 * @type {DestinationSpec}
+		 */
+		result = {
+			required: true
+		};
+	
+	if (bucketMatch) {
+		result.bucket = bucketMatch[1];
+	} else if (path.isAbsolute(location)) {
+		result.directory = location;
+	} else {
+		throw "--copy-to destination \"" + location + "\" should be s3://bucket or the absolute path of a directory";
+	}
+	
+	for (let setting of settings) {
+		const
+			equals = setting.indexOf("="),
+			name = equals === -1 ? setting : setting.substring(0, equals),
+			value = equals === -1 ? "" : setting.substring(equals + 1);
+		
+		switch (name) {
+			case "optional":
+				result.required = false;
+				break;
+			case "region":
+			case "sse":
+			case "sse-kms-key-id":
+				if (result.directory !== undefined) {
+					throw "--copy-to setting \"" + name + "\" can't be used for the directory \"" + location + "\", since it only applies to S3";
+				}
+				if (value.length === 0) {
+					throw "--copy-to setting \"" + name + "\" needs a value, like " + name + "=...";
+				}
+				
+				result[name === "sse-kms-key-id" ? "sseKmsKeyId" : name] = value;
+				break;
+			default:
+				throw "Unknown --copy-to setting \"" + name + "\" for \"" + location + "\", valid settings are region, sse, sse-kms-key-id and optional";
+		}
+	}
+	
+	if (result.sseKmsKeyId !== undefined && result.sse !== "aws:kms") {
+		throw "--copy-to destination \"" + location + "\" has an SSE KMS Key ID, but its sse isn't \"aws:kms\"";
+	}
+	
+	return result;
+}
+
+/**
+ * @typedef {Object} MaintenanceWindow
+ * @property {int} start - Minutes after midnight UTC that the window opens
+ * @property {int} end - Minutes after midnight UTC that the window closes (less than start if it spans midnight)
+ */
+
+/**
+ * Parse a --window like "22:00-06:00" (in UTC).
+ *
+ * @param {string} spec
+ * @returns {MaintenanceWindow}
+ */
+function parseMaintenanceWindow(spec) {
+	const
+		matches = spec.match(/^([0-9]{1,2}):([0-9]{2})-([0-9]{1,2}):([0-9]{2})$/),
+		start = matches ? parseInt(matches[1], 10) * 60 + parseInt(matches[2], 10) : -1,
+		end = matches ? parseInt(matches[3], 10) * 60 + parseInt(matches[4], 10) : -1;
+	
+	if (!matches || start >= 24 * 60 || end > 24 * 60 || parseInt(matches[2], 10) >= 60 || parseInt(matches[4], 10) >= 60) {
+		throw "--window should be a range of UTC times like 22:00-06:00, not \"" + spec + "\"";
+	}
+	
+	if (start === end) {
+		throw "--window \"" + spec + "\" is empty, its start and end times should be different";
+	}
+	
+	return {
+		start: start,
+		end: end
+	};
+}
+
+/**
+ * @param {?MaintenanceWindow} window - Or null if we can work at any time
+ * @param {Date} date
+ * @returns {boolean} True if the date is inside the window
+ */
+function isInMaintenanceWindow(window, date) {
+	if (!window) {
+		return true;
+	}
+	
+	const
+		minutes = date.getUTCHours() * 60 + date.getUTCMinutes();
+	
+	if (window.start < window.end) {
+		return minutes >= window.start && minutes < window.end;
+	}
+	
+	// The window spans midnight
+	return minutes >= window.start || minutes < window.end;
+}
+
+/**
+ * Decide the size of the parts of a multipart upload, so that the whole stream will fit in the number of parts S3
+ * allows.
+ *
+ * @param {int} streamLengthEstimate
+ * @returns {int}
+ */
+function choosePartSize(streamLengthEstimate) {
+	return Math.max(
+		/* Leave some fudge factor for the tar overhead, and just in case the volume becomes larger under compression: */
+		Math.ceil((streamLengthEstimate + 10 * 1024 * 1024) / (AWS.S3.ManagedUpload.prototype.maxTotalParts * 0.9)),
+		AWS.S3.ManagedUpload.prototype.minPartSize
+	);
+}
 
-	return filename + ".img.lz4";
+/**
+ * Estimate how many PUT requests uploading an archive will take, including its manifest.
+ *
+ * @param {number} uploadBytes - Uncompressed size of the archive
+ * @param {boolean} chunked - True if the archive is deduplicated into chunks
+ *
+ * @returns {int} The most PUTs we'd need, since chunks that are already stored aren't uploaded again
+ */
+function estimatePutRequests(uploadBytes, chunked) {
+	if (chunked) {
+		// Each chunk, then the index and the manifest
+		return Math.ceil(uploadBytes / chunkStore.AVERAGE_CHUNK_SIZE) + 2;
+	}
+	
+	// Each part, starting and completing the multipart upload, and the manifest
+	return Math.ceil(uploadBytes / choosePartSize(uploadBytes)) + 3;
 }
 
 /**
@@ -126,10 +640,10 @@ function sanitiseS3TagValue(value) {
 	return value.replace(/[^a-zA-Z0-9+=._:/\s-]/g, "_");
 }
 
-function checkForRequiredBinaries() {
-	let
-		binaries = ["lsblk", "lz4", "tar", "du", "mount", "umount", "sort"];
-	
+/**
+ * @param {string[]} binaries
+ */
+function checkForRequiredBinaries(binaries) {
 	for (let binary of binaries) {
 		try {
 			which.sync(binary);
@@ -139,6 +653,27 @@ function checkForRequiredBinaries() {
 	}
 }
 
+/**
+ * Order partition names like "1", "2", "10" numerically where possible, otherwise alphabetically.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {int}
+ */
+function comparePartitionNames(a, b) {
+	if (/^\d+$/.test(a) && /^\d+$/.test(b)) {
+		return parseInt(a, 10) - parseInt(b, 10);
+	}
+	
+	if (a < b) {
+		return -1;
+	}
+	if (a > b) {
+		return 1;
+	}
+	return 0;
+}
+
 /**
  * Filters a list of block devices from one volume to give a list of devices that could contain filesystems.
  *
@@ -197,33 +732,95 @@ function filterBlockDevicesToGetRawDisk(devices) {
  */
 function SnapToS3(options) {
 	this.setOptions(options);
+	this.resetState();
 	
 	this.initPromise =
 		fsTools.forcePath(this.options["mount-point"])
-			.then(checkForRequiredBinaries)
-			.then(fetchInstanceDetails)
+			.then(() => checkForRequiredBinaries(this.listRequiredBinaries()))
+			.then(() => fetchInstanceDetails().catch(err => {
+				/* Reading snapshots through the EBS direct APIs doesn't need us to attach volumes to this instance, so we
+				 * can run outside of EC2 as long as we were told which region to use.
+				 */
+				if (this.options.direct && AWS.config.region) {
+					return null;
+				}
+				
+				throw err;
+			}))
 			.then(instanceIdentity => {
 				this.instanceIdentity = instanceIdentity;
 				
 				// Now AWS has been configured with our region, we can create these:
-				this.s3 = new AWS.S3({
-					signatureVersion: 'v4' // Support aws:kms server-side encryption
-				});
+				this.s3 = this.createS3Client();
+				this.createDestinations();
 				this.ec2 = new AWS.EC2();
+				this.ebs = new AWS.EBS();
+			})
+			.then(() => {
+				if (this.options.migrate && this.usesObjectLock()) {
+					return this.checkBucketHasObjectLock();
+				}
 			});
 }
 
+/**
+ * Set up the state that we keep for the length of a run, which starts out empty. The options must have been set
+ * first.
+ */
+SnapToS3.prototype.resetState = function() {
+	// Uploads of the chunks of deduplicated archives that we've started during this run, by hash
+	this.chunkUploads = new Map();
+	
+	// Snapshots whose validation was skipped because their archives haven't been restored, mapped to the reason
+	this.skippedValidations = {};
+	
+	// Snapshots that --keep-going skipped because they've already failed to migrate too many times, mapped to the count
+	this.skippedMigrations = {};
+	
+	// The Object Lock settings of the archives of each snapshot we've migrated during this run, by snapshot ID
+	this.objectLockSettings = {};
+	
+	// The archives of each snapshot we've validated during this run, by snapshot ID
+	this.validatedArchives = {};
+	
+	// Attachment points we've picked for volumes whose attachment hasn't completed yet
+	this.reservedAttachmentPoints = [];
+	
+	// Functions which interrupt each of the uploads in progress, called with the reason for their failure
+	this.uploadInterrupters = new Set();
+	
+	// Snapshots migrating in parallel share one display for their upload progress
+	this.progressBoard = this.options.parallel > 1 ? new ProgressBoard({renderThrottle: PROGRESS_BAR_UPDATE_RATE}) : null;
+};
+
 SnapToS3.prototype.setOptions = function(options) {
 	const
 		optionDefaults = {
 			"volume-type": "standard",
-			"compression-level": 1,
+			"compression": "lz4",
 			"upload-streams": 4,
+			"parallel": 1,
+			"keep-going": false,
+			"max-failures": 3,
+			"daemon": false,
+			"poll-interval": 10,
+			"delete-after-validate": false,
+			"delete-grace": 24,
 			"keep-temp-volumes": false,
-			"dd": false
+			"dd": false,
+			"direct": false,
+			"incremental": false,
+			"max-chain-length": 30,
+			"dedup": false,
+			"gc-grace": 24,
+			"glacier": "skip",
+			"glacier-tier": "Standard",
+			"glacier-days": 1,
+			"filesystem": "ext4",
+			"scrub-interval": 30
 		},
 		// Options with no defaults that we require the caller to supply:
-		requiredOptions = ["tag", "mount-point", "bucket"];
+		requiredOptions = ["tag", "mount-point"];
 	
 	this.options = Object.assign({}, options);
 	
@@ -239,6 +836,50 @@ SnapToS3.prototype.setOptions = function(options) {
 		}
 	}
 	
+	if (this.options.bucket === undefined && this.options.directory === undefined) {
+		throw "Missing required option 'bucket' (or 'directory')";
+	}
+	
+	if (this.options.directory !== undefined) {
+		if (this.options.bucket !== undefined) {
+			throw "--bucket and --directory can't be used together";
+		}
+		
+		// These are all features of S3 that a directory doesn't have
+		for (let s3Option of ["sse", "sse-kms-key-id", "storage-class", "object-lock-mode", "legal-hold", "s3-endpoint", "s3-profile", "s3-credentials-file"]) {
+			if (this.options[s3Option]) {
+				throw "--" + s3Option + " can't be used with --directory, since it only applies to S3";
+			}
+		}
+	}
+	
+	if (this.options["sse-kms-key-id"] !== undefined && this.options.sse !== "aws:kms") {
+		throw "You specified an SSE KMS Key ID, but you didn't set --sse to \"aws:kms\"";
+	}
+	
+	/**
+	 * Where each archive is uploaded to. The first is the bucket or directory we read archives back from, and the
+	 * rest are the copies from --copy-to.
+	 *
+	 * @type {DestinationSpec[]}
+	 */
+	this.destinationSpecs = [{
+		bucket: this.options.bucket,
+		directory: this.options.directory,
+		sse: this.options.sse,
+		sseKmsKeyId: this.options["sse-kms-key-id"],
+		required: true
+	}].concat((this.options["copy-to"] || []).map(parseDestinationSpec));
+	
+	const
+		destinationNames = this.destinationSpecs.map(spec => spec.bucket !== undefined ? "s3://" + spec.bucket : path.resolve(spec.directory));
+	
+	destinationNames.forEach((name, index) => {
+		if (destinationNames.indexOf(name) !== index) {
+			throw "Archives can't be uploaded to " + name + " twice, check --copy-to";
+		}
+	});
+	
 	// Force mount-point to end in a slash
 	if (!this.options["mount-point"].match(/\/$/)) {
 		this.options["mount-point"] = this.options["mount-point"] + "/";
@@ -248,1506 +889,6848 @@ SnapToS3.prototype.setOptions = function(options) {
 		throw "Mount point must not be empty, or /";
 	}
 	
-	this.options["compression-level"] = Math.min(Math.max(Math.round(this.options["compression-level"]), 1), 9);
+	// Each codec has its own range of levels and its own default level
+	this.options["compression-level"] = compression.normaliseLevel(this.options.compression, this.options["compression-level"]);
 	this.options["upload-streams"] = Math.max(Math.round(this.options["upload-streams"]), 1);
+	this.options.parallel = Math.max(Math.round(this.options.parallel), 1);
+	this.options["max-failures"] = Math.max(Math.round(this.options["max-failures"]), 0);
 	
-	if (this.options["sse-kms-key-id"] !== undefined && this.options.sse !== "aws:kms") {
-		throw "You specified an SSE KMS Key ID, but you didn't set --sse to \"aws:kms\"";
+	// The daemon retries failed snapshots on later polls, so it needs to give up on the ones that keep failing
+	if (this.options.daemon) {
+		this.options["keep-going"] = true;
 	}
-};
-
-/**
- * Compress the stdout of the given process using lz4 and upload it to s3.
- *
- * @param {ProcessPromise} sourceProcess - Process to upload the stdout of
- * @param {int} streamLengthEstimate - Size of stream in bytes
- * @param {S3.TagList} tags
- * @param {S3.PutObjectRequest} _s3Params - S3 params object to pass to the S3 upload class
- * @param {ILogger} logger
- *
- * @returns {Promise}
- */
-SnapToS3.prototype.uploadProcessStdOut = function(sourceProcess, streamLengthEstimate, tags, _s3Params, logger) {
-	let
-		failed = false,
-		uploader = null,
-		progressBytesTotal = 0;
 	
-	const
-		bar = new ProgressBar('  uploading [:bar] :rate KB/s :percent :eta', {
-			complete: '=',
-			incomplete: ' ',
-			width: 32,
-			total: Math.floor(streamLengthEstimate / 1024),
-			renderThrottle: PROGRESS_BAR_UPDATE_RATE
-		}),
+	if (this.options["poll-interval"] <= 0) {
+		throw "--poll-interval must be a positive number of minutes";
+	}
+	
+	if (!(this.options["delete-grace"] >= 0)) {
+		throw "--delete-grace must be a number of hours";
+	}
+	
+	/**
+	 * @type {?MaintenanceWindow}
+	 */
+	this.maintenanceWindow = this.options.window !== undefined ? parseMaintenanceWindow(this.options.window) : null;
+	
+	/**
+	 * Narrows down the snapshots that --all, --one and --daemon pick from.
+	 *
+	 * @type {SnapshotSelection}
+	 */
+	this.selection = snapshotSelection.compileSelection(this.options);
+	
+	/**
+	 * For --prune, the first of these rules that matches a volume applies to it, or else the default rule (which is
+	 * null unless --keep-daily, --keep-monthly or --keep-yearly were given).
+	 *
+	 * @type {RetentionRule[]}
+	 */
+	this.retentionRules = (this.options["retention-rule"] || []).map(spec => retention.parseRule(spec));
+	this.defaultRetentionRule = retention.createDefaultRule(this.options);
+	
+	this.options["max-chain-length"] = Math.max(Math.round(this.options["max-chain-length"]), 1);
+	
+	// Incremental images are made from the changed blocks, which we find using the EBS direct APIs
+	if (this.options.incremental && this.options.dd) {
+		this.options.direct = true;
+	}
+	
+	// The EBS direct APIs give us the raw blocks of the volume, so we can only upload it as an image
+	if (this.options.direct) {
+		this.options.dd = true;
+	}
+	
+	if (this.options["s3-endpoint"] !== undefined && !/^https?:\/\/[^\/]+/.test(this.options["s3-endpoint"])) {
+		throw "--s3-endpoint must be a URL like https://minio.example.com:9000";
+	}
+	
+	if (this.options["storage-class"] !== undefined) {
+		this.options["storage-class"] = this.options["storage-class"].toUpperCase();
 		
-		lz4 = spawn.spawnAsPromise("lz4", ["-z", "-" + this.options["compression-level"]], {
-			stdio: ["pipe", "pipe", "pipe"],
-			// We detach so that SIGINT won't cause lz4 to die (we'll be the ones to kill it ourselves!)
-			detached: true
-		}),
+		if (STORAGE_CLASSES.indexOf(this.options["storage-class"]) === -1) {
+			throw "Unknown storage class \"" + this.options["storage-class"] + "\", valid classes are " + STORAGE_CLASSES.join(", ");
+		}
+	}
+	
+	if (GLACIER_ACTIONS.indexOf(this.options.glacier) === -1) {
+		throw "--glacier must be one of " + GLACIER_ACTIONS.join(", ");
+	}
+	
+	if (GLACIER_TIERS.indexOf(this.options["glacier-tier"]) === -1) {
+		throw "--glacier-tier must be one of " + GLACIER_TIERS.join(", ");
+	}
+	
+	this.options["glacier-days"] = Math.max(Math.round(this.options["glacier-days"]), 1);
+	
+	if (this.options["object-lock-mode"] !== undefined) {
+		this.options["object-lock-mode"] = this.options["object-lock-mode"].toUpperCase();
 		
-		progressStream = new SimpleProgressStream(),
+		if (OBJECT_LOCK_MODES.indexOf(this.options["object-lock-mode"]) === -1) {
+			throw "--object-lock-mode must be one of " + OBJECT_LOCK_MODES.join(", ");
+		}
 		
-		compressionPipeline = spawn.pipelineAsPromise(sourceProcess.stdout, progressStream, lz4.stdin),
+		if ((this.options["object-lock-days"] === undefined) === (this.options["object-lock-until"] === undefined)) {
+			throw "--object-lock-mode needs exactly one of --object-lock-days or --object-lock-until";
+		}
 		
-		uploadPromise = new Promise((resolve, reject) => {
-			const
-				ctrlCHandler = () => {
-					reject("User aborted upload with CTRL+C (SIGINT)");
-				},
-				
-				/**
-				 * Don't modify the caller's s3Params, they might want to re-use it
-				 *
-				 * @type {S3.PutObjectRequest}
-				 */
-				s3Params = clone(_s3Params);
-			
-			// Upload the result of our compression pipeline
-			s3Params.Body = lz4.stdout;
-			
-			// So we'll know approximately what size of volume we can provision to restore this snapshot later
-			s3Params.Metadata["uncompressed-size"] = streamLengthEstimate + "";
-			
-			// We don't want to resume an upload!
-			assert(s3Params.UploadId === undefined);
-			
-			// This is the default, but let's make sure that AWS computes MD5 sums of each part for us
-			AWS.config.update({
-				computeChecksums: true
-			});
-			
-			uploader = new AWS.S3.ManagedUpload({
-				params: s3Params,
-				leavePartsOnError: false,
-				queueSize: this.options["upload-streams"],
-				partSize: Math.max(
-					/* Leave some fudge factor for the tar overhead, and just in case the volume becomes larger under compression: */
-					Math.ceil((streamLengthEstimate + 10 * 1024 * 1024) / (AWS.S3.ManagedUpload.prototype.maxTotalParts * 0.9)),
-					AWS.S3.ManagedUpload.prototype.minPartSize
-				),
-				tags: tags, // The uploader can construct the Tagging header for us
-				service: this.s3
-			});
-			
-			logger.info(filesize(streamLengthEstimate) + " to compress and upload to s3://" + s3Params.Bucket + "/" + s3Params.Key);
-			logger.info("Progress is based on the pre-compression data size:");
-			
-			bar.render(null);
-			
-			/* Handle SIGINT so that CTRL+C cancels the upload rather than killing our process. This prevents incomplete
-			 * multipart uploads from sitting around costing money on S3.
-			 */
-			process.on('SIGINT', ctrlCHandler);
-			
-			uploader.promise().then(
-				() => {
-					process.removeListener("SIGINT", ctrlCHandler);
-					
-					// Do one last update to finish the bar
-					if (!bar.complete) {
-						bar.update(1.0);
-					}
-					
-					resolve();
-				},
-				err => {
-					process.removeListener("SIGINT", ctrlCHandler);
-					
-					bar.terminate();
-					
-					failed = true;
-					reject(new Error("S3 upload failed: " + err + (err.stack ? "\n" + err.stack : "")));
-					
-					try {
-						lz4.stdin.end();
-						progressStream.end();
-						sourceProcess.stdout.end();
-					} catch (e) {
-						logger.error(e);
-					}
-				}
-			);
-		});
+		if (this.options["object-lock-days"] !== undefined && !(this.options["object-lock-days"] >= 1)) {
+			throw "--object-lock-days must be at least 1";
+		}
+		
+		if (this.options["object-lock-until"] !== undefined && !moment(this.options["object-lock-until"], moment.ISO_8601, true).isAfter(moment())) {
+			throw "--object-lock-until must be an ISO 8601 date in the future, e.g. 2030-01-01";
+		}
+	} else if (this.options["object-lock-days"] !== undefined || this.options["object-lock-until"] !== undefined) {
+		throw "--object-lock-days and --object-lock-until need --object-lock-mode to be set too";
+	}
 	
-	for (let stderr of [sourceProcess.stderr, lz4.stderr]) {
-		stderr.on("data", function (data) {
-			/* If the upload is already failed, then we don't need to report further errors from our subprocesses.
-			 *
-			 * e.g. if the user cancels the download, then we don't need to print out lz4 squawking about its stdout
-			 * pipe being closed.
-			 */
-			if (!failed) {
-				process.stderr.write(data);
-			}
-		});
+	/**
+	 * @type {EncryptionKeys}
+	 */
+	this.encryptionKeys = encryption.loadEncryptionKeys({
+		publicKeyFile: this.options["encryption-public-key"],
+		privateKeyFile: this.options["encryption-private-key"],
+		passphraseFile: this.options["encryption-passphrase-file"]
+	});
+	
+	if (this.options.dedup && this.shouldEncryptUploads()) {
+		throw "--dedup can't be combined with client-side encryption, since chunks are shared between archives and are named after the hash of their content";
 	}
 	
-	progressStream.on("progress", bytesRead => {
-		progressBytesTotal += bytesRead;
+	if (this.options.dedup && ARCHIVED_STORAGE_CLASSES.indexOf(this.options["storage-class"]) !== -1) {
+		throw "--dedup can't be combined with --storage-class " + this.options["storage-class"] + ", since every chunk would have to be restored separately before it could be read";
+	}
+	
+	if (this.options.dedup && this.destinationSpecs.length > 1) {
+		throw "--dedup can't be combined with --copy-to, since each destination would need its own chunks";
+	}
+	
+	// We can only resume multipart uploads to S3 that we made ourselves, from a source we can read again
+	if (this.options["checkpoint-dir"] !== undefined) {
+		if (this.options.directory !== undefined) {
+			throw "--checkpoint-dir can't be used with --directory, since only uploads to S3 can be resumed";
+		}
 		
-		// We'll need to refine our crude total size estimate towards the end of the upload:
-		streamLengthEstimate = Math.max(progressBytesTotal, streamLengthEstimate);
+		if (this.destinationSpecs.length > 1) {
+			throw "--checkpoint-dir can't be combined with --copy-to";
+		}
 		
-		bar.total = Math.floor(streamLengthEstimate / 1024);
+		if (this.options.dedup) {
+			throw "--checkpoint-dir isn't needed with --dedup, since chunks that were already uploaded are skipped anyway";
+		}
 		
-		// Avoid telling the bar to print out "100%" multiple times (it causes the bar to duplicate itself)
-		if (!failed && !bar.complete) {
-			bar.update(progressBytesTotal / streamLengthEstimate);
+		if (this.shouldEncryptUploads()) {
+			throw "--checkpoint-dir can't be combined with client-side encryption, since the data key of an interrupted upload isn't kept";
 		}
-	});
-	
-	return Promise.all([uploadPromise, sourceProcess, lz4, compressionPipeline]).then(
-		results => {
-			return results[0];
-		},
-		err => {
-			failed = true;
-			
-			if (uploader) {
-				uploader.abort();
-			}
-			
-			throw err;
-		});
+	}
 };
 
 /**
- * S3 is rather more restrictive in character set compared to EBS/EC2 (for example, parentheses are not
- * allowed) so we sanitise the key/value first.
+ * Create the client for the bucket we store archives in. This is normally S3 in the same region as our instance, but
+ * it can be any S3-compatible store (like MinIO or Ceph RGW) with its own endpoint and credentials. EC2 and EBS calls
+ * always go to AWS.
  *
- * @param {AWS.TagList} tags
+ * @param {string} [region] - Region of the bucket, if it's not the one we were configured with (for --copy-to)
+ * @returns {AWS.S3}
  */
-SnapToS3.prototype.sanitiseSnapshotTagsForS3 = function(tags) {
-	let
-		result = [];
+SnapToS3.prototype.createS3Client = function(region) {
+	const
+		s3Options = {
+			signatureVersion: 'v4' // Support aws:kms server-side encryption
+		};
 	
-	for (let tag of tags) {
-		// Don't include the tags we added to the snapshot ourselves
-		if (tag.Key !== this.options.tag && tag.Key !== this.options.tag + "-id") {
-			result.push({
-				Key: sanitiseS3TagValue(tag.Key),
-				Value: sanitiseS3TagValue(tag.Value)
-			});
-		}
+	if (this.options["s3-endpoint"]) {
+		s3Options.endpoint = this.options["s3-endpoint"];
 	}
 	
-	return result;
+	// Most S3-compatible stores don't support virtual-hosted-style bucket names (bucket.host)
+	if (this.options["s3-force-path-style"]) {
+		s3Options.s3ForcePathStyle = true;
+	}
+	
+	if (region) {
+		s3Options.region = region;
+	} else if (this.options["s3-region"]) {
+		s3Options.region = this.options["s3-region"];
+	}
+	
+	// Credentials for the bucket can come from their own profile and file, separate from the ones we use for EC2
+	if (this.options["s3-profile"] || this.options["s3-credentials-file"]) {
+		s3Options.credentials = new AWS.SharedIniFileCredentials({
+			profile: this.options["s3-profile"],
+			filename: this.options["s3-credentials-file"]
+		});
+	}
+	
+	return new AWS.S3(s3Options);
 };
 
 /**
- * Find snapshots that are completed, and are tagged with the given value.
- *
- * @returns {Promise.<EC2.SnapshotList>}
+ * Create the destinations that archives are uploaded to. The first is our S3 bucket (or a directory if one was given
+ * instead), which is also the storage we read archives from, the rest are the copies from --copy-to.
  */
-SnapToS3.prototype.findCompletedSnapshotsWithTag = function(tagValue) {
-	return this.ec2.describeSnapshots({
-		Filters: [
-			{
-				Name: "status",
-				Values: [
-					"completed"
-				]
-			},
-			{
-				Name: "tag:" + this.options.tag,
-				Values: [
-					tagValue
-				]
-			}
-		],
-		OwnerIds: [
-			this.instanceIdentity.accountId
-		]
-	}).promise().then(data => data.Snapshots);
+SnapToS3.prototype.createDestinations = function() {
+	/**
+	 * @type {Destination[]}
+	 */
+	this.destinations = this.destinationSpecs.map((spec, index) => {
+		let
+			s3 = null,
+			destinationStorage;
+		
+		if (spec.directory !== undefined) {
+			destinationStorage = new storage.DirectoryStorage(spec.directory);
+		} else {
+			s3 = index === 0 ? this.s3 : this.createS3Client(spec.region);
+			destinationStorage = new storage.S3Storage(s3, spec.bucket);
+		}
+		
+		return {
+			name: spec.bucket !== undefined ? "s3://" + spec.bucket : spec.directory,
+			storage: destinationStorage,
+			s3: s3,
+			bucket: spec.bucket,
+			sse: spec.sse,
+			sseKmsKeyId: spec.sseKmsKeyId,
+			required: spec.required,
+			failures: {}
+		};
+	});
+	
+	this.storage = this.destinations[0].storage;
 };
 
+/**
+ * @returns {boolean} True if we were asked to protect the objects we upload with Object Lock
+ */
+SnapToS3.prototype.usesObjectLock = function() {
+	return !!(this.options["object-lock-mode"] || this.options["legal-hold"]);
+};
 
 /**
- * Find snapshots that are ready for migration.
+ * Make sure that each bucket we upload to was created with Object Lock enabled, since S3 won't let us lock objects
+ * otherwise, and we'd rather find out before we've uploaded anything.
  *
- * @returns {Promise.<EC2.SnapshotList>}
+ * @returns {Promise}
  */
-SnapToS3.prototype.findMigratableSnapshots = function() {
-	return this.findCompletedSnapshotsWithTag("migrate");
+SnapToS3.prototype.checkBucketHasObjectLock = function() {
+	return Promise.all(this.destinations.filter(destination => destination.s3).map(destination => this.checkDestinationHasObjectLock(destination)));
 };
 
 /**
- * Find snapshots that are ready for validation.
+ * @param {Destination} destination
+ * @returns {Promise}
+ */
+SnapToS3.prototype.checkDestinationHasObjectLock = function(destination) {
+	const
+		notEnabled = "The bucket \"" + destination.bucket + "\" doesn't have Object Lock enabled, so archives can't be locked (Object Lock can only be enabled when a bucket is created)";
+	
+	return destination.s3.getObjectLockConfiguration({
+		Bucket: destination.bucket
+	}).promise().then(
+		response => {
+			if (!response.ObjectLockConfiguration || response.ObjectLockConfiguration.ObjectLockEnabled !== "Enabled") {
+				throw notEnabled;
+			}
+		},
+		error => {
+			if (error.code === "ObjectLockConfigurationNotFoundError") {
+				throw notEnabled;
+			}
+			
+			throw "Couldn't check the Object Lock configuration of \"" + destination.bucket + "\": " + error;
+		}
+	);
+};
+
+/**
+ * Decide the Object Lock settings for the archives of the given snapshot. These are decided once per snapshot, so
+ * that every archive of the snapshot gets the same retain-until date, and so we can record it in the snapshot's tags.
  *
- * @returns {Promise.<EC2.SnapshotList>}
+ * @param {string} snapshotID
+ * @returns {ObjectLockSettings|null}
  */
-SnapToS3.prototype.findValidatableSnapshots = function() {
-	return this.findCompletedSnapshotsWithTag("migrated");
+SnapToS3.prototype.decideObjectLockSettings = function(snapshotID) {
+	if (!this.usesObjectLock()) {
+		return null;
+	}
+	
+	if (!this.objectLockSettings[snapshotID]) {
+		const
+			settings = {
+				legalHold: !!this.options["legal-hold"]
+			};
+		
+		if (this.options["object-lock-mode"]) {
+			settings.mode = this.options["object-lock-mode"];
+			settings.retainUntil = this.options["object-lock-until"] !== undefined
+				? moment(this.options["object-lock-until"], moment.ISO_8601).toDate()
+				: moment().add(this.options["object-lock-days"], "days").toDate();
+		}
+		
+		this.objectLockSettings[snapshotID] = settings;
+	}
+	
+	return this.objectLockSettings[snapshotID];
 };
 
 /**
- * Find a volume which we've tagged as a temporary copy of the given snapshot, ready for copying to S3.
+ * Apply Object Lock settings to an object we've just uploaded. If the object already existed (e.g. a chunk which is
+ * shared with an earlier archive), its retention is only ever extended, never shortened or weakened.
  *
- * @param {EC2.Snapshot} snapshot
- * @returns {Promise.<EC2.Volume>}
+ * @param {string} key
+ * @param {string} [versionId]
+ * @param {ObjectLockSettings|null} settings
+ * @param {S3.HeadObjectOutput} [head] - The existing object's head, if it wasn't uploaded by us
+ * @param {Destination} [destination] - Where the object was uploaded to, if it wasn't our main bucket. Objects in
+ * directories can't be locked, so they're left alone.
+ *
+ * @returns {Promise}
  */
-SnapToS3.prototype.findTemporaryVolumeForSnapshot = function(snapshot) {
-	return this.ec2.describeVolumes({
-		Filters: [
-			{
-				Name: "tag-key",
-				Values: [
-					this.options.tag
-				]
-			},
-			{
-				Name: "snapshot-id",
-				Values: [
-					snapshot.SnapshotId
-				]
-			},
-			{
-				Name: "availability-zone",
-				Values: [
-					this.instanceIdentity.availabilityZone
-				]
+SnapToS3.prototype.lockUploadedObject = function(key, versionId, settings, head, destination) {
+	let
+		promise = Promise.resolve();
+	
+	destination = destination || this.destinations[0];
+	
+	if (!settings || !destination.s3) {
+		return promise;
+	}
+	
+	if (settings.mode && !(head && head.ObjectLockRetainUntilDate && !moment(head.ObjectLockRetainUntilDate).isBefore(settings.retainUntil))) {
+		promise = promise.then(() => destination.s3.putObjectRetention({
+			Bucket: destination.bucket,
+			Key: key,
+			VersionId: versionId,
+			Retention: {
+				// S3 doesn't allow COMPLIANCE retention to be relaxed to GOVERNANCE
+				Mode: head && head.ObjectLockMode === "COMPLIANCE" ? "COMPLIANCE" : settings.mode,
+				RetainUntilDate: settings.retainUntil
 			}
-		]
-	}).promise().then(data => {
-		for (/** @type EC2.Volume */let volume of data.Volumes) {
-			// Make doubly sure so we don't try to steal the wrong volume...
-			assert(volume.SnapshotId === snapshot.SnapshotId);
-			assert(volume.Tags.find(tag => tag.Key === this.options.tag));
-			assert(volume.AvailabilityZone === this.instanceIdentity.availabilityZone);
-			
-			// Don't consider using volumes that are attached to other instances
-			let
-				inUseBySomeoneElse = volume.Attachments.find(attachment => attachment.InstanceId !== this.instanceIdentity.instanceId);
-			
-			if (!inUseBySomeoneElse) {
-				return volume;
+		}).promise());
+	}
+	
+	if (settings.legalHold && !(head && head.ObjectLockLegalHoldStatus === "ON")) {
+		promise = promise.then(() => destination.s3.putObjectLegalHold({
+			Bucket: destination.bucket,
+			Key: key,
+			VersionId: versionId,
+			LegalHold: {
+				Status: "ON"
 			}
-		}
-		
-		return null;
+		}).promise());
+	}
+	
+	return promise.catch(error => {
+		throw "Couldn't apply Object Lock to \"" + destination.storage.describeKey(key) + "\": " + error;
 	});
 };
 
 /**
- * Create a temporary EBS volume from the given snapshot.
- *
- * @param {String} snapshotID
+ * New archives are encrypted if we've been given a public key or passphrase to protect their keys with.
  *
- * @returns {Promise.<EC2.Volume>}
+ * @returns {boolean}
  */
-SnapToS3.prototype.createTemporaryVolumeFromSnapshot = function(snapshotID) {
-	return this.ec2.createVolume({
-		SnapshotId: snapshotID,
-		AvailabilityZone: this.instanceIdentity.availabilityZone,
-		VolumeType: this.options["volume-type"],
-		TagSpecifications: [
-			{
-				ResourceType: "volume",
-				Tags: [
-					{
-						Key: "Name",
-						Value: "Temp for snap-to-s3"
-					},
-					{
-						Key: this.options.tag,
-						Value: 'in-progress'
-					}
-				]
-			}
-		]
-	}).promise();
+SnapToS3.prototype.shouldEncryptUploads = function() {
+	return !!(this.encryptionKeys.publicKey || this.encryptionKeys.passphrase);
 };
 
 /**
- * Mark the snapshot with the given tag value. If other processes attempted to do the same thing *at a similar time*,
- * this promise will only succeed if we won that race.
+ * Upload an object to every destination of the snapshot it belongs to, each with its own server-side encryption. A
+ * stream Body is only read once, and copied to each destination as it's read.
  *
- * @param {String} snapshotID
- * @param {String} tagValue value to set
- * @returns {Promise}
+ * If a required destination fails, the whole upload fails. If an optional one fails, the others carry on without it,
+ * and the failure is recorded against the destination so that the snapshot's later uploads skip it too.
+ *
+ * Any Object Lock params are taken back out of s3Params and applied to each copy after its upload, see
+ * takeObjectLockParams().
+ *
+ * @param {S3.PutObjectRequest} s3Params - Modified in place
+ * @param {Object} [options] - {tags, queueSize, partSize} to pass to each storage's upload()
+ *
+ * @returns {Promise} Resolves to the response from our main destination, and has an abort() method which gives up on
+ * every upload
  */
-SnapToS3.prototype.raceToMarkSnapshot = function(snapshotID, tagValue) {
+SnapToS3.prototype.uploadToDestinations = function(s3Params, options) {
+	const
+		snapshotID = s3Params.Metadata["snapshot-snapshotid"],
+		objectLock = takeObjectLockParams(s3Params),
+		destinations = this.destinations.filter(destination => !destination.failures[snapshotID]),
+		
+		body = s3Params.Body,
+		tee = destinations.length > 1 && body && typeof body.pipe === "function" ? new TeeStream(destinations.length) : null,
+		
+		uploaders = [];
+	
 	let
-		randomID = crypto.randomBytes(4).readUInt32LE(0) + "";
+		aborted = false;
 	
-	return this.ec2.createTags({
-		Resources: [
-			snapshotID
-		],
-		Tags: [
-			{
-				Key: this.options.tag,
-				Value: tagValue
-			},
-			{
-				Key: this.options.tag + "-id",
-				Value: randomID
+	const
+		abort = () => {
+			aborted = true;
+			
+			for (let uploader of uploaders) {
+				uploader.abort();
 			}
-		]
-	}).promise().then(() => new Promise((resolve, reject) => {
-		/*
-		 * Another process might have spotted the unclaimed snapshot and called createTags at the same
-		 * time as us! Wait a bit to allow the state to settle before we see if we won the race or not.
-		 */
-		setTimeout(() => {
-			this.ec2.describeTags({
-				Filters: [{
-					Name: "resource-id",
-					Values: [
-						snapshotID
-					]
-				}]
-			}).promise().then(
-				data => {
-					let
-						marked = false,
-						wonTheRace = false;
-					
-					for (let tag of data.Tags) {
-						switch (tag.Key) {
-							case this.options.tag:
-								marked = tag.Value === tagValue;
-								break;
-							case this.options.tag + "-id":
-								wonTheRace = tag.Value === randomID;
-								break;
-						}
+			
+			// Let the source finish, even though nobody is reading it now
+			if (tee) {
+				tee.detachAll();
+			}
+		};
+	
+	if (tee) {
+		body.on("error", error => {
+			for (let output of tee.outputs) {
+				output.emit("error", error);
+			}
+		});
+		
+		body.pipe(tee);
+	}
+	
+	const
+		result = Promise.all(destinations.map((destination, index) => {
+			/**
+			 * @type {S3.PutObjectRequest}
+			 */
+			const
+				params = Object.assign({}, s3Params, {
+					Body: tee ? tee.outputs[index] : body
+				});
+			
+			delete params.ServerSideEncryption;
+			delete params.SSEKMSKeyId;
+			
+			if (destination.sse) {
+				params.ServerSideEncryption = destination.sse;
+				
+				if (destination.sseKmsKeyId !== undefined) {
+					params.SSEKMSKeyId = destination.sseKmsKeyId;
+				}
+			}
+			
+			const
+				uploader = destination.storage.upload(params, options);
+			
+			uploaders.push(uploader);
+			
+			return uploader
+				.then(data => this.lockUploadedObject(params.Key, data.VersionId, objectLock, null, destination).then(() => data))
+				.catch(error => {
+					if (tee) {
+						tee.detach(index);
 					}
 					
-					if (marked && wonTheRace) {
-						resolve(snapshotID);
-					} else if (marked) {
-						reject("Another process has already marked " + snapshotID + " as " + tagValue);
-					} else {
-						reject("Tried to mark " + snapshotID + " as " + tagValue + " but another process marked it with a different value");
+					if (destination.required || aborted) {
+						throw error;
 					}
-				},
-				err => reject
-			);
-		}, TAG_RACE_DELAY);
-	}));
-};
-
-/**
- * Mark the snapshot with the given tag and clean up the temporary "*-id" tag we added to claim it originally.
- *
- * @param {string} snapshotID
- * @param {string} tagValue
- * @returns {Promise}
- */
-SnapToS3.prototype.markSnapshotAsCompleted = function(snapshotID, tagValue) {
-	return this.ec2.deleteTags({
-		Resources: [
-			snapshotID
-		],
-		Tags: [
-			{
-				Key: this.options.tag + "-id"
-			}
-		]
-	}).promise().then(() => this.ec2.createTags({
-		Resources: [
-			snapshotID
-		],
-		Tags: [
-			{
-				Key: this.options.tag,
-				Value: tagValue
+					
+					destination.failures[snapshotID] = error + "";
+					
+					Logger.get(snapshotID).warn("Uploading \"" + destination.storage.describeKey(params.Key) + "\" failed, carrying on without the optional destination " + destination.name + ": " + error);
+					
+					return null;
+				});
+		})).then(
+			results => results[0],
+			error => {
+				abort();
+				
+				throw error;
 			}
-		]
-	}).promise());
+		);
+	
+	result.abort = abort;
+	
+	return result;
 };
 
 /**
- * Mark the snapshot as queued up for migration.
+ * Decide which command-line utilities we'll need for the operations we've been asked to perform.
  *
- * @param {string} snapshotID
- * @returns {Promise}
+ * @returns {string[]}
  */
-SnapToS3.prototype.markSnapshotForMigration = function(snapshotID) {
-	return this.ec2.createTags({
-		Resources: [
-			snapshotID
-		],
-		Tags: [
-			{
-				Key: this.options.tag,
-				Value: "migrate"
-			}
-		]
-	}).promise();
+SnapToS3.prototype.listRequiredBinaries = function() {
+	let
+		binaries = ["lsblk", "tar", "du", "mount", "umount", "sort", "rm"];
+	
+	/* We only need the tool for the codec we compress with. Archives we read back might have been compressed with
+	 * any codec, so we check for their decompressors once we find out which codec they use.
+	 */
+	if (this.options.migrate && compression.getCodec(this.options.compression).binary) {
+		binaries.push(compression.getCodec(this.options.compression).binary);
+	}
+	
+	if (this.options.restore) {
+		binaries.push("sfdisk", "blockdev", "mkfs." + this.options.filesystem);
+	}
+	
+	return binaries;
 };
 
 /**
- * Create a tagged temporary volume which is an image of the given snapshot, or re-use an existing volume
- * if one exists.
+ * Create the progress bar for an upload. When several snapshots are migrating at once, their bars share one
+ * ProgressBoard, since separate bars would all try to draw over the same line.
  *
- * @param {EC2.Snapshot} snapshot
- * @returns {Promise.<EC2.Volume>}
+ * @param {int} streamLengthEstimate - In bytes
+ * @param {ILogger} logger
+ *
+ * @returns {ProgressBar|ProgressBoardBar}
  */
-SnapToS3.prototype.findOrCreateVolumeFromSnapshot = function(snapshot) {
-	let
-		logger = Logger.get(snapshot.SnapshotId);
+SnapToS3.prototype.createUploadProgressBar = function(streamLengthEstimate, logger) {
+	const
+		bar = this.progressBoard
+			? this.progressBoard.createBar(logger.context.name, Math.floor(streamLengthEstimate / 1024))
+			: new ProgressBar('  uploading [:bar] :rate KB/s :percent :eta', {
+				complete: '=',
+				incomplete: ' ',
+				width: 32,
+				total: Math.floor(streamLengthEstimate / 1024),
+				renderThrottle: PROGRESS_BAR_UPDATE_RATE
+			}),
+		job = this.jobs && this.jobs[logger.context.name];
 	
-	return this.findTemporaryVolumeForSnapshot(snapshot)
-		.then(existingVolume => {
-			if (existingVolume) {
-				logger.info("A temporary volume for " + snapshot.SnapshotId + " already exists, using " + existingVolume.VolumeId);
-				
-				return awsTools.waitForVolumeState(this.ec2, existingVolume.VolumeId, ["available", "in-use"], 60, 10 * 1000);
-			} else {
-				logger.info("Creating temporary EBS volume of type \"" + this.options["volume-type"] + "\" from snapshot");
-				
-				return this.createTemporaryVolumeFromSnapshot(snapshot.SnapshotId)
-					.then(volume => awsTools.waitForVolumeState(this.ec2, volume.VolumeId, "available", 60, 10 * 1000));
-			}
-		});
+	// So the daemon's status can show how far the upload has got
+	if (job) {
+		job.progress = bar;
+	}
+	
+	return bar;
 };
 
 /**
- * If the volume is already attached to this instance, just return details about it, otherwise attach it, wait for it
- * to be attached, and return those details.
+ * Compress the stdout of the given process using the configured codec, encrypt it if requested, and upload it to our
+ * storage.
  *
- * @param {EC2.Volume} volume
- * @param {EC2.Snapshot} snapshot
+ * @param {ProcessPromise} sourceProcess - Process to upload the stdout of
+ * @param {int} streamLengthEstimate - Size of stream in bytes
+ * @param {S3.TagList} tags
+ * @param {S3.PutObjectRequest} _s3Params - S3 params object to pass to the S3 upload class
+ * @param {ILogger} logger
  *
- * @return {Promise.<EC2.Volume>}
+ * @returns {Promise}
  */
-SnapToS3.prototype.findOrAttachVolumeToInstance = function(volume, snapshot) {
-	let
-		logger = Logger.get(snapshot.SnapshotId),
-		attachment = volume.Attachments.find(attachment => attachment.InstanceId === this.instanceIdentity.instanceId);
+SnapToS3.prototype.uploadProcessStdOut = function(sourceProcess, streamLengthEstimate, tags, _s3Params, logger) {
+	// Deduplicated archives are stored as separate chunks instead of being uploaded as one object
+	if (this.options.dedup) {
+		return this.uploadProcessStdOutAsChunks(sourceProcess, streamLengthEstimate, tags, _s3Params, logger);
+	}
 	
-	if (attachment) {
-		if (attachment.State === "attached") {
-			logger.info("Volume " + volume.VolumeId + " is already attached here");
-			
-			return Promise.resolve(volume);
-		} else if (attachment.State === "attaching") {
-			logger.info("Volume " + volume.VolumeId + " is already in the process of attaching...");
-			
-			return awsTools.waitForVolumeAttach(this.ec2, volume.VolumeId, this.instanceIdentity.instanceId, VOLUME_ATTACH_POLL_MAX_RETRY, VOLUME_ATTACH_POLL_INTERVAL);
-		}
+	if (this.options["checkpoint-dir"] !== undefined) {
+		return this.uploadProcessStdOutResumably(sourceProcess, streamLengthEstimate, tags, _s3Params, logger);
 	}
 	
-	return awsTools.pickAvailableAttachmentPoint(this.ec2, this.instanceIdentity.instanceId).then(attachPoint => {
-		logger.info("Attaching " + volume.VolumeId + " to this instance (" + this.instanceIdentity.instanceId + ") at " + attachPoint + "...");
+	let
+		failed = false,
+		uploader = null,
+		progressBytesTotal = 0;
+	
+	const
+		bar = this.createUploadProgressBar(streamLengthEstimate, logger),
 		
-		return this.ec2.attachVolume({
-			Device: attachPoint,
-			InstanceId: this.instanceIdentity.instanceId,
-			VolumeId: volume.VolumeId
-		}).promise()
-			.then(() => awsTools.waitForVolumeAttach(this.ec2, volume.VolumeId, this.instanceIdentity.instanceId, VOLUME_ATTACH_POLL_MAX_RETRY, VOLUME_ATTACH_POLL_INTERVAL));
-	});
-};
-
-/**
- * Check that the given mountpoint is empty, then mount the given volume there.
- *
- * @param {BlockDevice} volume
- * @param {string} mountPoint
- * @param {ILogger} logger
- */
-SnapToS3.prototype.mountTemporaryVolume = function(volume, mountPoint, logger) {
-	return;
-	return fsTools.forcePath(mountPoint)
-		.then(() => {
-			if (volume.MOUNTPOINT === mountPoint) {
-				logger.info(volume.DEVICEPATH + " already mounted at " + mountPoint);
-			} else {
-				logger.info("Mounting " + volume.DEVICEPATH + " at " + mountPoint + "...");
+		compressor = compression.createCompressor(this.options.compression, this.options["compression-level"], {
+			stdio: ["pipe", "pipe", "pipe"],
+			// We detach so that SIGINT won't cause the compressor to die (we'll be the ones to kill it ourselves!)
+			detached: true
+		}),
+		
+		progressStream = new SimpleProgressStream(),
+		
+		compressionPipeline = spawn.pipelineAsPromise(sourceProcess.stdout, progressStream, compressor.stdin),
+		
+		// A fresh data key for every archive
+		dataKey = this.shouldEncryptUploads() ? encryption.createDataKey(this.encryptionKeys) : null,
+		encryptor = dataKey ? new encryption.EncryptStream(dataKey.dataKey) : null,
+		
+		encryptionPipeline = encryptor ? new Promise((resolve, reject) => {
+			encryptor.on("error", reject);
+			encryptor.on("finish", resolve);
+			
+			compressor.stdout.pipe(encryptor);
+		}) : Promise.resolve(),
+		
+		uploadPromise = new Promise((resolve, reject) => {
+			const
+				ctrlCHandler = () => {
+					reject("User aborted upload with CTRL+C (SIGINT)");
+				},
 				
-				return fsTools.verifyDirectoryEmpty(mountPoint).then(
-					() => fsTools.mountPartition(volume.DEVICEPATH, volume.FSTYPE, mountPoint, true),
-					(err) => {
-						throw "Mountpoint " + mountPoint + " is not empty!";
-					}
-				);
+				/**
+				 * Don't modify the caller's s3Params, they might want to re-use it
+				 *
+				 * @type {S3.PutObjectRequest}
+				 */
+				s3Params = clone(_s3Params);
+			
+			// Upload the result of our compression pipeline
+			s3Params.Body = encryptor || compressor.stdout;
+			
+			// So we'll know approximately what size of volume we can provision to restore this snapshot later
+			s3Params.Metadata["uncompressed-size"] = streamLengthEstimate + "";
+			
+			// So we'll know how to decompress it again
+			s3Params.Metadata["compression"] = this.options.compression;
+			
+			// And how to unwrap its key to decrypt it
+			if (dataKey) {
+				Object.assign(s3Params.Metadata, dataKey.metadata);
 			}
-		})
-};
-
-/**
- * Unmount a temporary volume from the given mountPoint and remove the mountPoint.
- *
- * @param {string} mountPoint
- * @param {ILogger} logger
- */
-SnapToS3.prototype.unmountTemporaryVolume = function(mountPoint, logger) {
-	if (!this.options["keep-temp-volumes"]) {
-		logger.info("Unmounting partition...");
-		
-		return fsTools.unmount(mountPoint)
-			.then(() => {
-				try {
-					fs.rmdirSync(mountPoint);
-				} catch (e) {
-					logger.warn("Failed to rmdir temporary mountpoint " + mountPoint + ", is it not empty? Ignoring...");
-					// We don't need to stop what we're doing though
-				}
+			
+			// We don't want to resume an upload!
+			assert(s3Params.UploadId === undefined);
+			
+			uploader = this.uploadToDestinations(s3Params, {
+				queueSize: this.options["upload-streams"],
+				partSize: choosePartSize(streamLengthEstimate),
+				tags: tags
 			});
-	} else {
-		return Promise.resolve();
+			
+			logger.info(filesize(streamLengthEstimate) + " to compress and upload to " + this.storage.describeKey(s3Params.Key));
+			
+			if (this.destinations.length > 1) {
+				logger.info("... and to copy to " + this.destinations.slice(1).map(destination => destination.name).join(", "));
+			}
+			logger.info("Progress is based on the pre-compression data size:");
+			
+			bar.render(null);
+			
+			/* Handle SIGINT so that CTRL+C cancels the upload rather than killing our process. This prevents incomplete
+			 * multipart uploads from sitting around costing money on S3.
+			 */
+			process.on('SIGINT', ctrlCHandler);
+			
+			// A daemon that's shutting down interrupts its uploads, including the ones that were only just starting
+			this.uploadInterrupters.add(reject);
+			
+			if (this.stopping) {
+				reject(DAEMON_SHUTDOWN_REASON);
+			}
+			
+			uploader.then(
+				data => {
+					process.removeListener("SIGINT", ctrlCHandler);
+					this.uploadInterrupters.delete(reject);
+					
+					// Do one last update to finish the bar
+					if (!bar.complete) {
+						bar.update(1.0);
+					}
+					
+					resolve(data);
+				},
+				err => {
+					process.removeListener("SIGINT", ctrlCHandler);
+					this.uploadInterrupters.delete(reject);
+					
+					bar.terminate();
+					
+					failed = true;
+					reject(new Error("S3 upload failed: " + err + (err.stack ? "\n" + err.stack : "")));
+					
+					try {
+						compressor.stdin.end();
+						progressStream.end();
+						
+						if (sourceProcess.stdout.end) {
+							sourceProcess.stdout.end();
+						} else {
+							sourceProcess.stdout.destroy();
+						}
+					} catch (e) {
+						logger.error(e);
+					}
+				}
+			);
+		});
+	
+	for (let stderr of [sourceProcess.stderr, compressor.stderr]) {
+		stderr.on("data", function (data) {
+			/* If the upload is already failed, then we don't need to report further errors from our subprocesses.
+			 *
+			 * e.g. if the user cancels the download, then we don't need to print out the compressor squawking about its stdout
+			 * pipe being closed.
+			 */
+			if (!failed) {
+				process.stderr.write(data);
+			}
+		});
 	}
+	
+	progressStream.on("progress", bytesRead => {
+		progressBytesTotal += bytesRead;
+		
+		// We'll need to refine our crude total size estimate towards the end of the upload:
+		streamLengthEstimate = Math.max(progressBytesTotal, streamLengthEstimate);
+		
+		bar.total = Math.floor(streamLengthEstimate / 1024);
+		
+		// Avoid telling the bar to print out "100%" multiple times (it causes the bar to duplicate itself)
+		if (!failed && !bar.complete) {
+			bar.update(progressBytesTotal / streamLengthEstimate);
+		}
+	});
+	
+	return Promise.all([uploadPromise, sourceProcess, compressor, compressionPipeline, encryptionPipeline]).then(
+		results => results[0],
+		err => {
+			failed = true;
+			
+			if (uploader) {
+				uploader.abort();
+			}
+			
+			throw err;
+		});
 };
 
 /**
+ * Upload one chunk of a deduplicated archive, compressed with the configured codec, unless it's already in the bucket.
  *
- * @param {EC2.Snapshot} snapshot
- * @param {string} partitionName
+ * @param {string} hash
+ * @param {Buffer} chunk
+ * @param {S3.PutObjectRequest} archiveS3Params - S3 params of the archive, whose server-side encryption and storage
+ * class we use for the chunk
+ * @param {ObjectLockSettings|null} objectLock - Object Lock settings of the archive, which the chunk must be locked
+ * for too (even if it was already in the bucket)
  *
- * @returns {string}
- */
-SnapToS3.prototype.decideMountpointForSnapshotPartition = function(snapshot, partitionName) {
-	return this.options["mount-point"] + snapshot.SnapshotId + (partitionName.length > 0 ? "-" + partitionName : "")
-};
-
-/**
- * Upload the raw block device that is in the given list of partitions to S3 as an LZ4 compressed DD image.
+ * A chunk that's already in the bucket is tagged with the time we reused it, since it might be old and unreferenced,
+ * and --gc-chunks must not delete it before our index refers to it. (Copying it onto itself would refresh its
+ * LastModified instead, but in a versioned bucket that would store a whole new version of the chunk.)
  *
- * @param {BlockDevice[]} partitions
- * @param {EC2.Snapshot} snapshot
- * @param {S3.TagList} tags
- * @param {S3.PutObjectRequest} s3Params - S3 params object to pass to the S3 upload class
- * @param {ILogger} logger
- * @returns {Promise}
+ * @returns {Promise.<boolean>} Resolves to true if the chunk had to be uploaded
  */
-SnapToS3.prototype.uploadPartitionsUsingDd = function(partitions, snapshot, tags, s3Params, logger) {
-	s3Params.Key = createS3KeyForSnapshotVolumeImage(snapshot);
+SnapToS3.prototype.storeChunk = function(hash, chunk, archiveS3Params, objectLock) {
+	const
+		key = chunkStore.chunkKey(hash);
 	
-	let
-		drive = filterBlockDevicesToGetRawDisk(partitions),
-		
-		dd = spawn.spawnAsPromise("dd", ["bs=256k", "if=" + drive.DEVICEPATH], {
-			stdio: ["ignore", "pipe", "pipe"],
-			detached: true
-		}),
-		
-		promise = this.uploadProcessStdOut(dd, drive.SIZE, tags, s3Params, logger);
+	if (this.chunkUploads.has(hash)) {
+		return this.chunkUploads.get(hash).then(() => false);
+	}
 	
-	if (this.options.validate) {
-		promise = promise
-			.then(() =>
-				this.s3.headObject({
-					Bucket: s3Params.Bucket,
-					Key: s3Params.Key
-				}).promise()
-			)
-			.then(ddObjectHead => {
-				logger.info("Validating the upload of this volume...");
-				
-				return this.validateFileAgainstCompressedS3File(drive.DEVICEPATH, drive.SIZE, s3Params.Key, ddObjectHead.ContentLength);
+	const
+		upload = this.storage.headObject({
+			Key: key
+		}).then(
+			head => this.storage.putObjectTagging({
+				Key: key,
+				Tagging: {
+					TagSet: [{Key: this.options.tag + CHUNK_LAST_USED_TAG_SUFFIX, Value: moment().toISOString()}]
+				}
 			})
-			.then(hash => this.reportVolumeDdHashSuccess(snapshot, hash, logger));
-	}
+				.then(() => this.lockUploadedObject(key, head.VersionId, objectLock, head))
+				.then(() => false),
+			error => {
+				if (error.statusCode !== 404) {
+					throw error;
+				}
+				
+				return compression.compressBuffer(this.options.compression, this.options["compression-level"], chunk)
+					.then(compressed => {
+						/**
+						 * @type {S3.PutObjectRequest}
+						 */
+						const
+							s3Params = {
+								Key: key,
+								Body: compressed,
+								ContentMD5: crypto.createHash("md5").update(compressed).digest("base64"),
+								ContentType: "application/octet-stream",
+								Metadata: {
+									// Chunks are shared with later archives, which might use a different codec
+									"compression": this.options.compression
+								}
+							};
+						
+						if (archiveS3Params.ServerSideEncryption) {
+							s3Params.ServerSideEncryption = archiveS3Params.ServerSideEncryption;
+						}
+						if (archiveS3Params.SSEKMSKeyId) {
+							s3Params.SSEKMSKeyId = archiveS3Params.SSEKMSKeyId;
+						}
+						if (archiveS3Params.StorageClass) {
+							s3Params.StorageClass = archiveS3Params.StorageClass;
+						}
+						
+						return this.storage.putObject(s3Params);
+					})
+					.then(response => this.lockUploadedObject(key, response.VersionId, objectLock))
+					.then(() => true);
+			}
+		);
 	
-	return promise;
+	this.chunkUploads.set(hash, upload);
+	
+	// Let a later archive try again
+	upload.catch(() => this.chunkUploads.delete(hash));
+	
+	return upload;
 };
 
 /**
- * @param {String} localHashesFile
- * @param {String} remoteHashesFile
- * @param {int} matchedFileCount
+ * Split the stdout of the given process into content-defined chunks, upload the chunks that aren't already in the
+ * bucket, then upload the index of those chunks as the archive. Used in place of a single upload by
+ * uploadProcessStdOut() when we're deduplicating.
+ *
+ * An interrupted upload can leave behind chunks that no index refers to, these are removed by collectChunkGarbage().
+ *
+ * @param {ProcessPromise} sourceProcess - Process to upload the stdout of
+ * @param {int} streamLengthEstimate - Size of stream in bytes
+ * @param {S3.TagList} tags
+ * @param {S3.PutObjectRequest} _s3Params - S3 params object for the archive's index
+ * @param {ILogger} logger
  *
  * @returns {Promise}
  */
-SnapToS3.prototype.reportPartitionTarHashSuccess = function(localHashesFile, remoteHashesFile, matchedFileCount) {
+SnapToS3.prototype.uploadProcessStdOutAsChunks = function(sourceProcess, streamLengthEstimate, tags, _s3Params, logger) {
 	let
-		promise = Promise.resolve();
-	
-	if (this.debugHandler) {
-		promise = promise.then(() => this.debugHandler({
-			event: "tarHashesVerified",
-			localHashesFile: localHashesFile,
-			remoteHashesFile: remoteHashesFile,
-			matchedFileCount: matchedFileCount
-		}));
-	}
+		failed = false,
+		progressBytesTotal = 0,
+		newChunkCount = 0,
+		newChunkBytes = 0,
+		inFlight = 0,
+		chunkError = null,
+		
+		// Called once there's room for another chunk to upload, or once they've all finished uploading
+		onChunkStored = null;
 	
-	return promise.then(() => matchedFileCount);
+	const
+		bar = this.createUploadProgressBar(streamLengthEstimate, logger),
+		
+		progressStream = new SimpleProgressStream(),
+		chunker = new chunkStore.ContentDefinedChunker(),
+		
+		/**
+		 * Don't modify the caller's s3Params, they might want to re-use it
+		 *
+		 * @type {S3.PutObjectRequest}
+		 */
+		s3Params = clone(_s3Params),
+		
+		objectLock = takeObjectLockParams(s3Params),
+		
+		entries = [],
+		
+		chunkUploader = new stream.Writable({
+			objectMode: true,
+			highWaterMark: 1,
+			write: (chunk, encoding, callback) => {
+				const
+					hash = chunkStore.hashChunk(chunk);
+				
+				entries.push([hash, chunk.length]);
+				inFlight++;
+				
+				this.storeChunk(hash, chunk, s3Params, objectLock).then(
+					uploaded => {
+						if (failed) {
+							return;
+						}
+						
+						if (uploaded) {
+							newChunkCount++;
+							newChunkBytes += chunk.length;
+						}
+						
+						inFlight--;
+						
+						if (onChunkStored) {
+							const
+								resume = onChunkStored;
+							
+							onChunkStored = null;
+							resume();
+						}
+					},
+					error => {
+						if (failed) {
+							return;
+						}
+						
+						failed = true;
+						chunkError = new Error("Uploading chunk " + hash + " failed: " + error);
+						
+						stopChunking();
+						chunkUploader.destroy(chunkError);
+					}
+				);
+				
+				// Limit the number of chunks we're holding in memory while they upload
+				if (inFlight < this.options["upload-streams"]) {
+					callback();
+				} else {
+					onChunkStored = callback;
+				}
+			},
+			final: callback => {
+				const
+					waitForUploads = () => {
+						if (inFlight === 0) {
+							callback();
+						} else {
+							onChunkStored = waitForUploads;
+						}
+					};
+				
+				waitForUploads();
+			}
+		}),
+		
+		/**
+		 * Stop reading the source once a chunk has failed, so that its process doesn't sit blocked on a full pipe
+		 * (keeping the volume it's reading from busy).
+		 */
+		stopChunking = () => {
+			try {
+				chunker.destroy();
+				progressStream.end();
+				sourceProcess.stdout.destroy();
+			} catch (e) {
+				logger.error(e);
+			}
+		},
+		
+		chunksPromise = spawn.pipelineAsPromise(sourceProcess.stdout, progressStream, chunker, chunkUploader).then(() => entries);
+	
+	sourceProcess.stderr.on("data", function (data) {
+		if (!failed) {
+			process.stderr.write(data);
+		}
+	});
+	
+	progressStream.on("progress", bytesRead => {
+		progressBytesTotal += bytesRead;
+		
+		streamLengthEstimate = Math.max(progressBytesTotal, streamLengthEstimate);
+		
+		bar.total = Math.floor(streamLengthEstimate / 1024);
+		
+		if (!failed && !bar.complete) {
+			bar.update(progressBytesTotal / streamLengthEstimate);
+		}
+	});
+	
+	logger.info(filesize(streamLengthEstimate) + " to split into chunks and upload to " + this.storage.describeKey(chunkStore.CHUNK_PREFIX));
+	logger.info("Progress is based on the pre-compression data size:");
+	
+	bar.render(null);
+	
+	return Promise.all([chunksPromise, sourceProcess])
+		.then(
+			results => {
+				const
+					index = chunkStore.createIndex(results[0]);
+				
+				if (!bar.complete) {
+					bar.update(1.0);
+				}
+				
+				logger.info(newChunkCount + " of the " + index.chunks.length + " chunks were new (" + filesize(newChunkBytes) + " before compression), the rest were already in the bucket");
+				logger.info("Uploading the chunk index to " + this.storage.describeKey(s3Params.Key) + "...");
+				
+				s3Params.Body = chunkStore.encodeIndex(index);
+				s3Params.ContentType = "application/gzip";
+				
+				s3Params.Metadata["uncompressed-size"] = index.length + "";
+				s3Params.Metadata["compression"] = this.options.compression;
+				s3Params.Metadata["chunk-count"] = index.chunks.length + "";
+				
+				return this.storage.upload(s3Params, {
+					tags: tags
+				})
+					.then(data => this.lockUploadedObject(s3Params.Key, data.VersionId, objectLock).then(() => data));
+			},
+			err => {
+				failed = true;
+				
+				if (!bar.complete) {
+					bar.terminate();
+				}
+				
+				// The failure of the source is just a symptom of us stopping it
+				throw chunkError || err;
+			}
+		);
+};
+
+/**
+ * @param {string} key
+ * @returns {string} The file in --checkpoint-dir that the checkpoint of the upload to the given key is kept in
+ */
+SnapToS3.prototype.uploadCheckpointFilename = function(key) {
+	return path.join(this.options["checkpoint-dir"], crypto.createHash("sha256").update(this.options.bucket + "/" + key).digest("hex") + ".json");
 };
 
 /**
+ * Read the checkpoint that an interrupted upload to the given key left behind.
  *
- * @param {EC2.Snapshot} snapshot
- * @param {string} hash
- * @param {ILogger} logger
+ * @param {string} key
+ * @returns {UploadCheckpoint|null} Null if there isn't one (or it's unreadable, in which case we'll start over)
+ */
+SnapToS3.prototype.loadUploadCheckpoint = function(key) {
+	const
+		filename = this.uploadCheckpointFilename(key);
+	
+	try {
+		return JSON.parse(fs.readFileSync(filename, "utf8"));
+	} catch (e) {
+		if (e.code !== "ENOENT") {
+			Logger.warn("Ignoring the unreadable upload checkpoint \"" + filename + "\": " + e);
+		}
+		
+		return null;
+	}
+};
+
+/**
+ * Save the checkpoint of an upload, replacing the old one all at once so a crash never leaves half a checkpoint.
  *
+ * @param {UploadCheckpoint} checkpoint
  * @returns {Promise}
  */
-SnapToS3.prototype.reportVolumeDdHashSuccess = function(snapshot, hash, logger) {
-	let
-		promise = Promise.resolve();
+SnapToS3.prototype.saveUploadCheckpoint = function(checkpoint) {
+	const
+		filename = this.uploadCheckpointFilename(checkpoint.key),
+		tempFilename = filename + ".tmp";
 	
-	if (this.debugHandler) {
-		promise = promise.then(() => this.debugHandler({
-			event: "ddHashVerified",
-			snapshotID: snapshot.SnapshotId,
-			hash: hash
+	return fsTools.forcePath(this.options["checkpoint-dir"])
+		.then(() => new Promise((resolve, reject) => {
+			fs.writeFile(tempFilename, JSON.stringify(checkpoint), {mode: 0o600}, err => err ? reject(err) : resolve());
+		}))
+		.then(() => new Promise((resolve, reject) => {
+			fs.rename(tempFilename, filename, err => err ? reject(err) : resolve());
 		}));
+};
+
+/**
+ * @param {string} key
+ */
+SnapToS3.prototype.deleteUploadCheckpoint = function(key) {
+	try {
+		fs.unlinkSync(this.uploadCheckpointFilename(key));
+	} catch (e) {
+		if (e.code !== "ENOENT") {
+			throw e;
+		}
 	}
-	
-	return promise.then(() => logger.info("The MD5 of the original snapshot (" + hash + ") successfully matches the copy in S3!"));
 };
 
 /**
- * Tar up each of the given partitions, compress with LZ4, and upload to S3.
+ * Compress the stdout of the given process and upload it to S3 as a ResumableUpload, which saves a checkpoint in
+ * --checkpoint-dir after every part. If an earlier attempt at the same upload was interrupted, the parts it finished
+ * aren't compressed or uploaded again. Used in place of a single upload by uploadProcessStdOut() when we have a
+ * --checkpoint-dir.
  *
- * @param {BlockDevice[]} partitions
- * @param {EC2.Snapshot} snapshot
- * @param {S3.TagList} tags - S3 tags to add to the resulting objects
- * @param {S3.PutObjectRequest} s3Params - S3 params object to pass to the S3 upload class
+ * @param {ProcessPromise} sourceProcess - Process to upload the stdout of
+ * @param {int} streamLengthEstimate - Size of stream in bytes
+ * @param {S3.TagList} tags
+ * @param {S3.PutObjectRequest} _s3Params - S3 params object to pass to the S3 upload class
  * @param {ILogger} logger
+ *
  * @returns {Promise}
  */
-SnapToS3.prototype.uploadPartitionsUsingTar = function(partitions, snapshot, tags, s3Params, logger) {
-	partitions = filterBlockDevicesToGetFilesystems(partitions);
+SnapToS3.prototype.uploadProcessStdOutResumably = function(sourceProcess, streamLengthEstimate, tags, _s3Params, logger) {
+	let
+		failed = false,
+		progressBytesTotal = 0,
+		interrupt = null;
 	
-	logger.info(partitions.length + " partition" + (partitions.length > 1 ? "s" : "") + " to upload");
-	logger.info("");
+	const
+		bar = this.createUploadProgressBar(streamLengthEstimate, logger),
+		
+		progressStream = new SimpleProgressStream(),
+		
+		/**
+		 * @type {S3.PutObjectRequest}
+		 */
+		s3Params = clone(_s3Params),
+		
+		objectLock = takeObjectLockParams(s3Params);
 	
-	let
-		promise = Promise.resolve();
+	s3Params.Bucket = this.options.bucket;
+	s3Params.Metadata["uncompressed-size"] = streamLengthEstimate + "";
+	s3Params.Metadata["compression"] = this.options.compression;
 	
-	// Tar up the files in each partition separately
-	partitions.forEach((partition, partitionIndex) => {
-		if(partition.PARTNAME.includes("128")) {
-			return
+	const
+		upload = new resumableUpload.ResumableUpload({
+			s3: this.s3,
+			params: s3Params,
+			tags: tags,
+			compression: this.options.compression,
+			compressionLevel: this.options["compression-level"],
+			partSize: choosePartSize(streamLengthEstimate),
+			queueSize: this.options["upload-streams"],
+			checkpoint: this.loadUploadCheckpoint(s3Params.Key),
+			saveCheckpoint: checkpoint => this.saveUploadCheckpoint(checkpoint)
+		}),
+		
+		// The source might already be flowing to somebody else (e.g. to build the manifest), so don't wait to read it
+		uploadPipeline = spawn.pipelineAsPromise(sourceProcess.stdout, progressStream, upload),
+		
+		interrupted = new Promise((resolve, reject) => {
+			interrupt = reject;
+		}),
+		
+		ctrlCHandler = () => {
+			interrupt("User aborted upload with CTRL+C (SIGINT)");
+		};
+	
+	sourceProcess.stderr.on("data", function (data) {
+		if (!failed) {
+			process.stderr.write(data);
 		}
-		promise = promise.then(() => {
-			let
-				mountPoint = "/",
-				mountSize,
-				promise;
-			
-			s3Params.Key = createS3KeyForSnapshotPartitionTar(snapshot, partition.PARTNAME);
+	});
+	
+	progressStream.on("progress", bytesRead => {
+		progressBytesTotal += bytesRead;
+		
+		streamLengthEstimate = Math.max(progressBytesTotal, streamLengthEstimate);
+		
+		bar.total = Math.floor(streamLengthEstimate / 1024);
+		
+		if (!failed && !bar.complete) {
+			bar.update(progressBytesTotal / streamLengthEstimate);
+		}
+	});
+	
+	logger.info(filesize(streamLengthEstimate) + " to compress and upload to " + this.storage.describeKey(s3Params.Key) + ", saving checkpoints in " + this.options["checkpoint-dir"]);
+	
+	upload.started.then(
+		() => {
+			if (upload.resumed) {
+				logger.info("Resuming an interrupted upload, " + filesize(upload.checkpoint.sourceOffset) + " (" + upload.checkpoint.parts.length + " parts) of it won't need to be uploaded again");
+			}
 			
-			logger.info("Uploading partition " + (partitionIndex + 1) + " of " + partitions.length + "...");
+			logger.info("Progress is based on the pre-compression data size:");
 			
-		/*	promise = this.mountTemporaryVolume(partition, mountPoint, logger)
-				.then(() => {
-					if (this.mountTemporaryVolumedebugHandler) {
-						return this.debugHandler({
-							event: "temporaryPartitionMounted",
-							snapshotID: snapshot.SnapshotId,
-							devicePath: partition.DEVICEPATH,
-							mountPoint: mountPoint,
-							name: partition.PARTNAME
-						});
-					}
-				})*/
-			promise = fsTools.getRecursiveFileSize(mountPoint)
-				.then((_mountSize) => {
-					const
-						tar = spawn.spawnAsPromise("tar", ["--one-file-system", "/", '--exclude="/tmp"', "-c", "."], {
-							cwd: mountPoint,
-							stdio: ["ignore", "pipe", "pipe"],
-							detached: true
-						});
-					
-					mountSize = _mountSize;
-					
-					return this.uploadProcessStdOut(tar, mountSize, tags, s3Params, logger)
-				});
+			bar.render(null);
+		},
+		() => {}
+	);
+	
+	// Interrupted uploads are left in S3 for us to resume, rather than being aborted
+	process.on("SIGINT", ctrlCHandler);
+	
+	// A daemon that's shutting down interrupts its uploads, including the ones that were only just starting
+	this.uploadInterrupters.add(interrupt);
+	
+	if (this.stopping) {
+		interrupt(DAEMON_SHUTDOWN_REASON);
+	}
+	
+	return Promise.race([Promise.all([upload.promise, sourceProcess, uploadPipeline]), interrupted]).then(
+		results => {
+			process.removeListener("SIGINT", ctrlCHandler);
+			this.uploadInterrupters.delete(interrupt);
 			
-			if (this.options.validate) {
-				promise = promise
-					.then(() => {
-						logger.info("Upload complete, now validating the upload of this partition...");
-						
-						return this.s3.headObject({
-							Bucket: s3Params.Bucket,
-							Key: s3Params.Key
-						}).promise()
-							.then(
-								s3Head => this.validateDirectoryAgainstS3Tar(mountPoint, mountSize, s3Params.Key, s3Head.ContentLength),
-								error => {
-									throw "\"s3://" + s3Params.Bucket + "/" + s3Params.Key + "\" should exist, but wasn't readable/found! " + error;
-								}
-							)
-							.then(matchedFileCount => logger.info("MD5 of all " + matchedFileCount + " files match"));
-					});
+			if (!bar.complete) {
+				bar.update(1.0);
 			}
 			
-			promise = promise
-				.then(() => {
-					logger.info("Uploaded partition to S3 successfully!");
-					
-				})
-				.then(() => logger.info(""));
+			return this.lockUploadedObject(s3Params.Key, results[0].VersionId, objectLock)
+				.then(() => this.deleteUploadCheckpoint(s3Params.Key))
+				.then(() => results[0]);
+		},
+		err => {
+			process.removeListener("SIGINT", ctrlCHandler);
+			this.uploadInterrupters.delete(interrupt);
 			
-			return promise;
-		});
-	});
-	
-	return promise;
+			failed = true;
+			upload.abort();
+			bar.terminate();
+			
+			throw new Error("S3 upload failed, run again to resume it from its last checkpoint: " + err + (err.stack ? "\n" + err.stack : ""));
+		}
+	);
 };
 
 /**
- * Upload the given volume, which is currently attached to this instance and is based on the given snapshot, to S3.
+ * Compress the stdout of the given process and upload it to S3 using uploadProcessStdOut(), then upload a manifest
+ * of that stream alongside it.
  *
- * @param {EC2.Volume} volume
- * @param {EC2.Snapshot} snapshot
+ * @param {ProcessPromise} sourceProcess - Process to upload the stdout of
+ * @param {int} streamLengthEstimate - Size of stream in bytes
+ * @param {S3.TagList} tags
+ * @param {S3.PutObjectRequest} s3Params - S3 params object for the archive
+ * @param {function(stream.Readable, string):Promise} writeManifest - Reads the stream and writes a manifest of it to
+ * the given filename, e.g. manifest.writeManifestFromTarStream
+ * @param {ILogger} logger
  *
  * @returns {Promise}
  */
-SnapToS3.prototype.uploadTemporaryVolume = function(volume, snapshot) {
-	const
-		logger = Logger.get(snapshot.SnapshotId),
+SnapToS3.prototype.uploadProcessStdOutWithManifest = function(sourceProcess, streamLengthEstimate, tags, s3Params, writeManifest, logger) {
+	return fsTools.createTempDirectory("snap-to-s3-").then(tempDirectory => {
+		const
+			manifestFilename = tempDirectory + "/manifest.gz",
+			
+			// Build the manifest from the same stream that we're uploading, so we only need to read the volume once
+			manifestPromise = writeManifest(sourceProcess.stdout, manifestFilename),
+			
+			cleanupTempFiles = () => {
+				try {
+					fs.unlinkSync(manifestFilename);
+					fs.rmdirSync(tempDirectory);
+				} catch (e) {
+					// No big deal if we leave behind some temp files
+					console.warn(e);
+				}
+			};
 		
-		/**
-		 * @type {S3.PutObjectRequest}
-		 */
-		s3Params = {
-			Bucket: this.options.bucket,
-			Metadata: {
-				"snapshot-starttime": moment(snapshot.StartTime).format(), // Defaults to ISO8601
-				"snapshot-snapshotid": snapshot.SnapshotId,
-				"snapshot-volumesize": "" + snapshot.VolumeSize,
-				"snapshot-volumeid": snapshot.VolumeId,
-				"snapshot-description": snapshot.Description,
-			}
-		},
+		return Promise.all([this.uploadProcessStdOut(sourceProcess, streamLengthEstimate, tags, s3Params, logger), manifestPromise])
+			.then(() => {
+				logger.info("Uploading the manifest...");
+				
+				return this.uploadManifest(manifestFilename, s3Params);
+			})
+			.then(
+				() => {
+					cleanupTempFiles();
+				},
+				error => {
+					cleanupTempFiles();
+					
+					throw error;
+				}
+			);
+	});
+};
+
+/**
+ * Upload a local file that describes the archive which was uploaded with the given S3 params, to the given key. If
+ * we're encrypting uploads, the file is encrypted too (with its own data key), since it lists the names of the
+ * archive's files.
+ *
+ * @param {string} filename
+ * @param {string} key
+ * @param {string} contentType
+ * @param {S3.PutObjectRequest} _s3Params - S3 params object that the archive was uploaded with
+ *
+ * @returns {Promise}
+ */
+SnapToS3.prototype.uploadSidecarFile = function(filename, key, contentType, _s3Params) {
+	/**
+	 * @type {S3.PutObjectRequest}
+	 */
+	const
+		s3Params = clone(_s3Params);
 	
-		tags = this.sanitiseSnapshotTagsForS3(snapshot.Tags);
+	s3Params.Key = key;
+	s3Params.Body = fs.createReadStream(filename);
+	s3Params.ContentType = contentType;
 	
-	if (this.options.sse) {
-		s3Params.ServerSideEncryption = this.options.sse;
+	// Sidecars are small and are read by later runs (e.g. to find the parent of an incremental), so keep them readable
+	delete s3Params.StorageClass;
+	
+	if (this.shouldEncryptUploads()) {
+		const
+			dataKey = encryption.createDataKey(this.encryptionKeys);
 		
-		if (this.options["sse-kms-key-id"] !== undefined) {
-			s3Params.SSEKMSKeyId = this.options["sse-kms-key-id"];
-		}
+		s3Params.Body = s3Params.Body.pipe(new encryption.EncryptStream(dataKey.dataKey));
+		s3Params.ContentType = "application/octet-stream";
+		s3Params.Metadata = Object.assign({}, s3Params.Metadata, dataKey.metadata);
 	}
 	
-	logger.info("Waiting for " + volume.VolumeId + "'s partitions to become visible to the operating system...");
+	// But they're needed to restore the archive, so uploadToDestinations() locks them just like it (with lockUploadedObject())
+	return this.uploadToDestinations(s3Params);
+};
+
+/**
+ * Upload the manifest file for the tar that was uploaded with the given S3 params. The manifest lists the names and
+ * hashes of the archive's files.
+ *
+ * @param {string} manifestFilename
+ * @param {S3.PutObjectRequest} _s3Params - S3 params object that the tar was uploaded with
+ *
+ * @returns {Promise}
+ */
+SnapToS3.prototype.uploadManifest = function(manifestFilename, _s3Params) {
+	return this.uploadSidecarFile(manifestFilename, manifest.manifestKeyForArchive(_s3Params.Key), "application/gzip", _s3Params);
+};
+
+/**
+ * Upload the chain manifest for the delta that was uploaded with the given S3 params.
+ *
+ * @param {ChainManifest} chain
+ * @param {S3.PutObjectRequest} _s3Params - S3 params object that the delta was uploaded with
+ *
+ * @returns {Promise}
+ */
+SnapToS3.prototype.uploadChainManifest = function(chain, _s3Params) {
+	/**
+	 * @type {S3.PutObjectRequest}
+	 */
+	const
+		s3Params = clone(_s3Params);
 	
-	return awsTools.waitForVolumePartitions(volume, this.instanceIdentity.instanceId, PARTITION_POLL_MAX_RETRY, PARTITION_POLL_INTERVAL)
-		.then(partitions => {
-			if (this.options.dd) {
-				return this.uploadPartitionsUsingDd(partitions, snapshot, tags, s3Params, logger);
-			} else {
-				return this.uploadPartitionsUsingTar(partitions, snapshot, tags, s3Params, logger);
-			}
-		});
+	s3Params.Key = incremental.chainManifestKeyForArchive(_s3Params.Key);
+	s3Params.Body = JSON.stringify(chain, null, "\t");
+	s3Params.ContentType = "application/json";
+	
+	delete s3Params.StorageClass;
+	
+	return this.uploadToDestinations(s3Params);
 };
 
 /**
- * Checks that the MD5 hash of the given S3 object is equal to the hash of the local file after the S3 object is
- * decompressed with LZ4.
+ * Download the chain manifest that was uploaded alongside the given delta.
  *
- * @param {string} filename - Local file/device to be hashed
- * @param {int} fileSize - Size of file in bytes
- * @param {string} s3Key - S3 object to be decompressed and hashed
- * @param {int} s3Size - Size of object in S3
+ * @param {SnapshotArchive} archive
  *
- * @returns Promise.<string> - The MD5 hash that both local and remote files hash to
+ * @returns {Promise.<ChainManifest>}
+ */
+SnapToS3.prototype.downloadChainManifest = function(archive) {
+	const
+		key = incremental.chainManifestKeyForArchive(archive.key);
+	
+	return this.storage.getObject({
+		Key: key
+	}).then(
+		response => incremental.parseChainManifest(response.Body.toString("utf8")),
+		error => {
+			throw "Couldn't read the chain manifest \"" + this.storage.describeKey(key) + "\": " + error;
+		}
+	);
+};
+
+/**
+ * S3 is rather more restrictive in character set compared to EBS/EC2 (for example, parentheses are not
+ * allowed) so we sanitise the key/value first.
+ *
+ * @param {AWS.TagList} tags
  */
-SnapToS3.prototype.validateFileAgainstCompressedS3File = function(filename, fileSize, s3Key, s3Size) {
+SnapToS3.prototype.sanitiseSnapshotTagsForS3 = function(tags) {
 	let
-		localBytesReadSinceLastStatus = 0,
-		localBytesReadTotal = 0,
-		
-		s3BytesReadSinceLastStatus = 0,
-		s3BytesReadTotal = 0;
+		result = [];
+	
+	for (let tag of tags) {
+		// Don't include the tags we added to the snapshot ourselves
+		if (tag.Key !== this.options.tag && tag.Key !== this.options.tag + "-id") {
+			result.push({
+				Key: sanitiseS3TagValue(tag.Key),
+				Value: sanitiseS3TagValue(tag.Value)
+			});
+		}
+	}
 	
+	return result;
+};
+
+/**
+ * @returns {string[]} OwnerIds for DescribeSnapshots
+ */
+SnapToS3.prototype.getSnapshotOwnerIDs = function() {
+	return [
+		// When we're running outside of EC2 (with --direct) we don't know our account ID, but EC2 does
+		this.instanceIdentity ? this.instanceIdentity.accountId : "self"
+	];
+};
+
+/**
+ * Find snapshots that are completed, are tagged with the given value, and match the selection options.
+ *
+ * @param {string} tagValue
+ * @returns {Promise.<EC2.SnapshotList>}
+ */
+SnapToS3.prototype.findCompletedSnapshotsWithTag = function(tagValue) {
+	return awsTools.describeAllSnapshots(this.ec2, {
+		Filters: [
+			{
+				Name: "status",
+				Values: [
+					"completed"
+				]
+			},
+			{
+				Name: "tag:" + this.options.tag,
+				Values: [
+					tagValue
+				]
+			}
+		].concat(this.selection.filters),
+		OwnerIds: this.getSnapshotOwnerIDs()
+	}).then(snapshots => this.applySnapshotSelection(snapshots));
+};
+
+/**
+ * Leave out the snapshots which don't match the selection options that EC2 couldn't apply for us.
+ *
+ * @param {EC2.SnapshotList} snapshots
+ * @returns {Promise.<EC2.SnapshotList>}
+ */
+SnapToS3.prototype.applySnapshotSelection = function(snapshots) {
 	const
-		// Show the summed progress of both the local and remote hash operations on a single bar
-		barMaximum = Math.floor((fileSize + s3Size) / 1024),
-		
-		bar = new ProgressBar('    hashing [:bar] :rate KB/s :eta, S3: :s3Progress% Local: :localProgress%', {
-			complete: '=',
-			incomplete: ' ',
-			width: 32,
-			total: barMaximum,
-			renderThrottle: PROGRESS_BAR_UPDATE_RATE
-		}),
+		selection = this.selection;
+	
+	let
+		promise = Promise.resolve(snapshots.filter(snapshot => selection.predicates.every(predicate => predicate(snapshot))));
+	
+	if (selection.excludeAmiBacked) {
+		promise = promise.then(snapshots => snapshots.length === 0 ? snapshots : this.findAMIBackingSnapshotIDs().then(amiSnapshotIDs => snapshots.filter(snapshot => !(snapshot.SnapshotId in amiSnapshotIDs))));
+	}
+	
+	if (selection.keepLatest > 0) {
+		promise = promise.then(snapshots => snapshots.length === 0 ? snapshots : this.findLatestSnapshotIDsOfVolumes(snapshots.map(snapshot => snapshot.VolumeId), selection.keepLatest).then(latestSnapshotIDs => snapshots.filter(snapshot => !(snapshot.SnapshotId in latestSnapshotIDs))));
+	}
+	
+	return promise;
+};
+
+/**
+ * Find the snapshots which are used by block device mappings of the AMIs that we own.
+ *
+ * AMIs in other accounts aren't found, so a snapshot that we've shared with another account which has registered an
+ * AMI from it isn't protected.
+ *
+ * @returns {Promise.<Object.<string,boolean>>} Map of snapshot ID to true
+ */
+SnapToS3.prototype.findAMIBackingSnapshotIDs = function() {
+	return this.ec2.describeImages({
+		Owners: ["self"]
+	}).promise().then(data => {
+		const
+			result = {};
 		
-		updateBar = () => {
-			if (!bar.complete) {
-				bar.tick((localBytesReadSinceLastStatus + s3BytesReadSinceLastStatus) / 1024, {
-					s3Progress: Math.floor(s3BytesReadTotal / s3Size * 100),
-					localProgress: Math.floor(localBytesReadTotal / fileSize * 100)
-				});
+		for (let image of data.Images) {
+			for (let mapping of image.BlockDeviceMappings || []) {
+				if (mapping.Ebs && mapping.Ebs.SnapshotId) {
+					result[mapping.Ebs.SnapshotId] = true;
+				}
 			}
-			
-			localBytesReadSinceLastStatus = 0;
-			s3BytesReadSinceLastStatus = 0;
-		},
-		
-		s3Pipeline = (() => {
-			 const
-				 s3Stream = this.s3.getObject({
-					 Bucket: this.options.bucket,
-					 Key: s3Key
-				 }).createReadStream(),
-				
-				 progress = new SimpleProgressStream(),
-				
-				 lz4 = spawn.spawnAsPromise("lz4", ["-d"], {
-					 stdio: ["pipe", "pipe", process.stderr]
-				 }),
-				
-				 hash = hashFiles.md5StreamAsPromise(),
-			 
-			     decompressPipeline = spawn.pipelineAsPromise(s3Stream, progress, lz4.stdin),
-				 hashPipeline = spawn.pipelineAsPromise(lz4.stdout, hash.stdin);
-			
-			progress.on("progress", (bytesRead) => {
-				s3BytesReadSinceLastStatus += bytesRead;
-				s3BytesReadTotal += bytesRead;
-				
-				updateBar();
-			});
-			
-			return Promise.all([hash, lz4, decompressPipeline, hashPipeline]).then(results => results[0]);
-		})(),
+		}
 		
-		localPipeline = (() => {
-			const
-				fileStream = fs.createReadStream(filename, {
-					flags: "r",
-					encoding: null,
-				}),
-				
-				progress = new SimpleProgressStream(),
-				
-				hash = hashFiles.md5StreamAsPromise(),
-			
-				pipeline = spawn.pipelineAsPromise(fileStream, progress, hash.stdin);
-			
-			progress.on("progress", (bytesRead) => {
-				localBytesReadSinceLastStatus += bytesRead;
-				localBytesReadTotal += bytesRead;
-				
-				updateBar();
-			});
-			
-			return Promise.all([hash, pipeline]).then(results => results[0]);
-		})();
-	
-	bar.render({
-		s3Progress: 0,
-		localProgress: 0
+		return result;
 	});
+};
+
+/**
+ * Find the newest completed snapshots of each of the given volumes, whether they're tagged or not.
+ *
+ * @param {string[]} volumeIDs
+ * @param {int} count - Number of snapshots to find for each volume
+ *
+ * @returns {Promise.<Object.<string,boolean>>} Map of snapshot ID to true
+ */
+SnapToS3.prototype.findLatestSnapshotIDsOfVolumes = function(volumeIDs, count) {
+	const
+		// DescribeSnapshots only accepts so many values for each filter
+		VOLUMES_PER_REQUEST = 200;
 	
-	return Promise.all([s3Pipeline, localPipeline]).then(
-		hashes => {
-			if (!bar.complete) {
-				bar.update(1.0, {
-					s3Progress: 100,
-					localProgress: 100
-				});
-			}
-			
-			if (hashes[0] === hashes[1]) {
-				return hashes[0];
-			} else {
-				throw "Hash of decompressed S3 object (" + hashes[0] + ") does not match local temporary volume (" + hashes[1] + ")";
-			}
-		},
-		error => {
-			updateBar();
-			if (!bar.complete) {
-				bar.terminate();
+	volumeIDs = volumeIDs.filter((volumeID, index) => volumeIDs.indexOf(volumeID) === index);
+	
+	let
+		requests = [];
+	
+	for (let i = 0; i < volumeIDs.length; i += VOLUMES_PER_REQUEST) {
+		requests.push(awsTools.describeAllSnapshots(this.ec2, {
+			Filters: [
+				{
+					Name: "status",
+					Values: [
+						"completed"
+					]
+				},
+				{
+					Name: "volume-id",
+					Values: volumeIDs.slice(i, i + VOLUMES_PER_REQUEST)
+				}
+			],
+			OwnerIds: this.getSnapshotOwnerIDs()
+		}));
+	}
+	
+	return Promise.all(requests).then(results => {
+		const
+			snapshotsByVolume = {},
+			result = {};
+		
+		for (let snapshots of results) {
+			for (let snapshot of snapshots) {
+				snapshotsByVolume[snapshot.VolumeId] = snapshotsByVolume[snapshot.VolumeId] || [];
+				snapshotsByVolume[snapshot.VolumeId].push(snapshot);
 			}
-			
-			throw error;
 		}
-	);
+		
+		for (let volumeID in snapshotsByVolume) {
+			snapshotsByVolume[volumeID]
+				.sort((a, b) => moment(b.StartTime).valueOf() - moment(a.StartTime).valueOf())
+				.slice(0, count)
+				.forEach(snapshot => {
+					result[snapshot.SnapshotId] = true;
+				});
+		}
+		
+		return result;
+	});
 };
 
 /**
- * Check that the hash of the files in the given directory matches those of the LZ4 compressed tar at the given
- * S3 location.
+ * Find snapshots that are ready for migration.
+ *
+ * @returns {Promise.<EC2.SnapshotList>}
+ */
+SnapToS3.prototype.findMigratableSnapshots = function() {
+	return this.findCompletedSnapshotsWithTag("migrate");
+};
+
+/**
+ * Find snapshots that are ready for validation.
+ *
+ * @returns {Promise.<EC2.SnapshotList>}
+ */
+SnapToS3.prototype.findValidatableSnapshots = function() {
+	return this.findCompletedSnapshotsWithTag("migrated");
+};
+
+/**
+ * Find a volume which we've tagged as a temporary copy of the given snapshot, ready for copying to S3.
+ *
+ * @param {EC2.Snapshot} snapshot
+ * @returns {Promise.<EC2.Volume>}
+ */
+SnapToS3.prototype.findTemporaryVolumeForSnapshot = function(snapshot) {
+	return this.ec2.describeVolumes({
+		Filters: [
+			{
+				Name: "tag-key",
+				Values: [
+					this.options.tag
+				]
+			},
+			{
+				Name: "snapshot-id",
+				Values: [
+					snapshot.SnapshotId
+				]
+			},
+			{
+				Name: "availability-zone",
+				Values: [
+					this.instanceIdentity.availabilityZone
+				]
+			}
+		]
+	}).promise().then(data => {
+		for (/** @type EC2.Volume */let volume of data.Volumes) {
+			// Make doubly sure so we don't try to steal the wrong volume...
+			assert(volume.SnapshotId === snapshot.SnapshotId);
+			assert(volume.Tags.find(tag => tag.Key === this.options.tag));
+			assert(volume.AvailabilityZone === this.instanceIdentity.availabilityZone);
+			
+			// Don't consider using volumes that are attached to other instances
+			let
+				inUseBySomeoneElse = volume.Attachments.find(attachment => attachment.InstanceId !== this.instanceIdentity.instanceId);
+			
+			if (!inUseBySomeoneElse) {
+				return volume;
+			}
+		}
+		
+		return null;
+	});
+};
+
+/**
+ * Create a temporary EBS volume from the given snapshot.
+ *
+ * @param {String} snapshotID
+ *
+ * @returns {Promise.<EC2.Volume>}
+ */
+SnapToS3.prototype.createTemporaryVolumeFromSnapshot = function(snapshotID) {
+	return this.ec2.createVolume({
+		SnapshotId: snapshotID,
+		AvailabilityZone: this.instanceIdentity.availabilityZone,
+		VolumeType: this.options["volume-type"],
+		TagSpecifications: [
+			{
+				ResourceType: "volume",
+				Tags: [
+					{
+						Key: "Name",
+						Value: "Temp for snap-to-s3"
+					},
+					{
+						Key: this.options.tag,
+						Value: 'in-progress'
+					}
+				]
+			}
+		]
+	}).promise();
+};
+
+/**
+ * Create a new empty EBS volume in our availability zone to restore the given snapshot into.
+ *
+ * @param {int} sizeGB
+ * @param {String} snapshotID - Snapshot that will be restored into the volume (just used for tagging)
+ *
+ * @returns {Promise.<EC2.Volume>}
+ */
+SnapToS3.prototype.createRestoreVolume = function(sizeGB, snapshotID) {
+	return this.ec2.createVolume({
+		AvailabilityZone: this.instanceIdentity.availabilityZone,
+		VolumeType: this.options["volume-type"],
+		Size: sizeGB,
+		TagSpecifications: [
+			{
+				ResourceType: "volume",
+				Tags: [
+					{
+						Key: "Name",
+						Value: "Restored from " + snapshotID + " by snap-to-s3"
+					},
+					/* This mustn't be our regular tag, since we'd consider volumes with that tag to be temporary ones
+					 * we're free to delete!
+					 */
+					{
+						Key: this.options.tag + "-restored-from",
+						Value: snapshotID
+					}
+				]
+			}
+		]
+	}).promise();
+};
+
+/**
+ * Mark the snapshot with the given tag value. If other processes attempted to do the same thing *at a similar time*,
+ * this promise will only succeed if we won that race.
+ *
+ * @param {String} snapshotID
+ * @param {String} tagValue value to set
+ * @returns {Promise}
+ */
+SnapToS3.prototype.raceToMarkSnapshot = function(snapshotID, tagValue) {
+	let
+		randomID = crypto.randomBytes(4).readUInt32LE(0) + "";
+	
+	return this.ec2.createTags({
+		Resources: [
+			snapshotID
+		],
+		Tags: [
+			{
+				Key: this.options.tag,
+				Value: tagValue
+			},
+			{
+				Key: this.options.tag + "-id",
+				Value: randomID
+			}
+		]
+	}).promise().then(() => new Promise((resolve, reject) => {
+		/*
+		 * Another process might have spotted the unclaimed snapshot and called createTags at the same
+		 * time as us! Wait a bit to allow the state to settle before we see if we won the race or not.
+		 */
+		setTimeout(() => {
+			this.ec2.describeTags({
+				Filters: [{
+					Name: "resource-id",
+					Values: [
+						snapshotID
+					]
+				}]
+			}).promise().then(
+				data => {
+					let
+						marked = false,
+						wonTheRace = false;
+					
+					for (let tag of data.Tags) {
+						switch (tag.Key) {
+							case this.options.tag:
+								marked = tag.Value === tagValue;
+								break;
+							case this.options.tag + "-id":
+								wonTheRace = tag.Value === randomID;
+								break;
+						}
+					}
+					
+					if (marked && wonTheRace) {
+						resolve(snapshotID);
+					} else if (marked) {
+						reject("Another process has already marked " + snapshotID + " as " + tagValue);
+					} else {
+						reject("Tried to mark " + snapshotID + " as " + tagValue + " but another process marked it with a different value");
+					}
+				},
+				err => reject
+			);
+		}, TAG_RACE_DELAY);
+	}));
+};
+
+/**
+ * Mark the snapshot with the given tag and clean up the temporary "*-id" tag we added to claim it originally, along
+ * with the count of its failed migrations, since it's done with those now. If we uploaded the snapshot's archives with Object Lock during this run, their retention is recorded in the tags too, as
+ * are any optional --copy-to destinations that we failed to upload them to. A validated snapshot also gets the time
+ * and the list of archives that we validated (see recordValidatedArchives()).
+ *
+ * @param {string} snapshotID
+ * @param {string} tagValue
+ * @returns {Promise}
+ */
+SnapToS3.prototype.markSnapshotAsCompleted = function(snapshotID, tagValue) {
+	const
+		tags = [
+			{
+				Key: this.options.tag,
+				Value: tagValue
+			}
+		],
+		objectLock = this.objectLockSettings[snapshotID],
+		failedDestinations = this.destinations.filter(destination => destination.failures[snapshotID]);
+	
+	// Record how long the archives we uploaded are protected for
+	if (objectLock && objectLock.mode) {
+		tags.push({
+			Key: this.options.tag + "-retention",
+			Value: objectLock.mode + " until " + moment(objectLock.retainUntil).utc().format()
+		});
+	}
+	if (objectLock && objectLock.legalHold) {
+		tags.push({
+			Key: this.options.tag + "-legal-hold",
+			Value: "on"
+		});
+	}
+	
+	// Starts the grace period of --delete-after-validate
+	if (tagValue === "validated") {
+		tags.push({
+			Key: this.options.tag + "-validated-at",
+			Value: moment().utc().format()
+		});
+	}
+	
+	// So that --delete-after-validate can check that none of them have gone missing since
+	if (tagValue === "validated" && this.validatedArchives[snapshotID]) {
+		const
+			contents = this.validatedArchives[snapshotID].map(describeArchiveContent).join(" ");
+		
+		if (contents.length <= MAX_TAG_VALUE_LENGTH) {
+			tags.push({
+				Key: this.options.tag + VALIDATED_ARCHIVES_TAG_SUFFIX,
+				Value: contents
+			});
+		}
+	}
+	
+	// So the missing copies can be found and made again later
+	if (failedDestinations.length > 0) {
+		tags.push({
+			Key: this.options.tag + "-failed-copies",
+			Value: failedDestinations.map(destination => destination.name).join(" ")
+		});
+	}
+	
+	return this.ec2.deleteTags({
+		Resources: [
+			snapshotID
+		],
+		Tags: [
+			{
+				Key: this.options.tag + "-id"
+			},
+			{
+				Key: this.options.tag + "-failures"
+			}
+		]
+	}).promise().then(() => this.ec2.createTags({
+		Resources: [
+			snapshotID
+		],
+		Tags: tags
+	}).promise());
+};
+
+/**
+ * Mark the snapshot as queued up for migration.
+ *
+ * @param {string} snapshotID
+ * @param {int} [failureCount] - If the migration just failed, the number of times it's failed now
+ * @returns {Promise}
+ */
+SnapToS3.prototype.markSnapshotForMigration = function(snapshotID, failureCount) {
+	const
+		tags = [
+			{
+				Key: this.options.tag,
+				Value: "migrate"
+			}
+		];
+	
+	// So that --keep-going can give up on snapshots which keep failing
+	if (failureCount !== undefined) {
+		tags.push({
+			Key: this.options.tag + "-failures",
+			Value: failureCount + ""
+		});
+	}
+	
+	return this.ec2.createTags({
+		Resources: [
+			snapshotID
+		],
+		Tags: tags
+	}).promise();
+};
+
+/**
+ * @param {EC2.Snapshot} snapshot
+ * @returns {int} The number of times the snapshot has failed to migrate, according to its tags
+ */
+SnapToS3.prototype.getMigrationFailureCount = function(snapshot) {
+	const
+		tag = (snapshot.Tags || []).find(tag => tag.Key === this.options.tag + "-failures"),
+		count = tag ? parseInt(tag.Value, 10) : 0;
+	
+	return isNaN(count) ? 0 : count;
+};
+
+/**
+ * With --keep-going, leave out the snapshots which have already failed to migrate more than --max-failures times,
+ * and remember that we skipped them so they can be reported.
+ *
+ * @param {EC2.Snapshot[]} snapshots
+ * @returns {EC2.Snapshot[]}
+ */
+SnapToS3.prototype.skipRepeatedlyFailedSnapshots = function(snapshots) {
+	if (!this.options["keep-going"]) {
+		return snapshots;
+	}
+	
+	return snapshots.filter(snapshot => {
+		const
+			failureCount = this.getMigrationFailureCount(snapshot);
+		
+		if (failureCount > this.options["max-failures"]) {
+			this.skippedMigrations[snapshot.SnapshotId] = failureCount;
+			return false;
+		}
+		
+		return true;
+	});
+};
+
+/**
+ * Create a tagged temporary volume which is an image of the given snapshot, or re-use an existing volume
+ * if one exists.
+ *
+ * @param {EC2.Snapshot} snapshot
+ * @returns {Promise.<EC2.Volume>}
+ */
+SnapToS3.prototype.findOrCreateVolumeFromSnapshot = function(snapshot) {
+	let
+		logger = Logger.get(snapshot.SnapshotId);
+	
+	return this.findTemporaryVolumeForSnapshot(snapshot)
+		.then(existingVolume => {
+			if (existingVolume) {
+				logger.info("A temporary volume for " + snapshot.SnapshotId + " already exists, using " + existingVolume.VolumeId);
+				
+				return awsTools.waitForVolumeState(this.ec2, existingVolume.VolumeId, ["available", "in-use"], 60, 10 * 1000);
+			} else {
+				logger.info("Creating temporary EBS volume of type \"" + this.options["volume-type"] + "\" from snapshot");
+				
+				return this.createTemporaryVolumeFromSnapshot(snapshot.SnapshotId)
+					.then(volume => awsTools.waitForVolumeState(this.ec2, volume.VolumeId, "available", 60, 10 * 1000));
+			}
+		});
+};
+
+/**
+ * If the volume is already attached to this instance, just return details about it, otherwise attach it, wait for it
+ * to be attached, and return those details.
+ *
+ * @param {EC2.Volume} volume
+ * @param {EC2.Snapshot} snapshot
+ *
+ * @return {Promise.<EC2.Volume>}
+ */
+SnapToS3.prototype.findOrAttachVolumeToInstance = function(volume, snapshot) {
+	let
+		logger = Logger.get(snapshot.SnapshotId),
+		attachment = volume.Attachments.find(attachment => attachment.InstanceId === this.instanceIdentity.instanceId);
+	
+	if (attachment) {
+		if (attachment.State === "attached") {
+			logger.info("Volume " + volume.VolumeId + " is already attached here");
+			
+			return Promise.resolve(volume);
+		} else if (attachment.State === "attaching") {
+			logger.info("Volume " + volume.VolumeId + " is already in the process of attaching...");
+			
+			return awsTools.waitForVolumeAttach(this.ec2, volume.VolumeId, this.instanceIdentity.instanceId, VOLUME_ATTACH_POLL_MAX_RETRY, VOLUME_ATTACH_POLL_INTERVAL);
+		}
+	}
+	
+	return this.attachVolumeToInstance(volume, logger);
+};
+
+/**
+ * Attach the volume to this instance at any free attachment point, and wait for the attachment to complete.
+ *
+ * Snapshots migrating in parallel could otherwise pick the same point before either attachment shows up in the
+ * instance's block device mapping, so each point we pick is reserved (by the picker itself, before any other pick can
+ * run) until its attachment completes.
+ *
+ * @param {EC2.Volume} volume
+ * @param {ILogger} logger
+ *
+ * @return {Promise.<EC2.Volume>}
+ */
+SnapToS3.prototype.attachVolumeToInstance = function(volume, logger) {
+	const
+		reserved = this.reservedAttachmentPoints || [];
+	
+	return awsTools.pickAvailableAttachmentPoint(this.ec2, this.instanceIdentity.instanceId, reserved).then(attachPoint => {
+		const
+			release = () => {
+				reserved.splice(reserved.indexOf(attachPoint), 1);
+			};
+		
+		logger.info("Attaching " + volume.VolumeId + " to this instance (" + this.instanceIdentity.instanceId + ") at " + attachPoint + "...");
+		
+		return this.ec2.attachVolume({
+			Device: attachPoint,
+			InstanceId: this.instanceIdentity.instanceId,
+			VolumeId: volume.VolumeId
+		}).promise()
+			.then(() => awsTools.waitForVolumeAttach(this.ec2, volume.VolumeId, this.instanceIdentity.instanceId, VOLUME_ATTACH_POLL_MAX_RETRY, VOLUME_ATTACH_POLL_INTERVAL))
+			.then(
+				attachedVolume => {
+					release();
+					return attachedVolume;
+				},
+				error => {
+					release();
+					throw error;
+				}
+			);
+	});
+};
+
+/**
+ * Check that the given mountpoint is empty, then mount the given volume there.
+ *
+ * @param {BlockDevice} volume
+ * @param {string} mountPoint
+ * @param {ILogger} logger
+ */
+SnapToS3.prototype.mountTemporaryVolume = function(volume, mountPoint, logger) {
+	return;
+	return fsTools.forcePath(mountPoint)
+		.then(() => {
+			if (volume.MOUNTPOINT === mountPoint) {
+				logger.info(volume.DEVICEPATH + " already mounted at " + mountPoint);
+			} else {
+				logger.info("Mounting " + volume.DEVICEPATH + " at " + mountPoint + "...");
+				
+				return fsTools.verifyDirectoryEmpty(mountPoint).then(
+					() => fsTools.mountPartition(volume.DEVICEPATH, volume.FSTYPE, mountPoint, true),
+					(err) => {
+						throw "Mountpoint " + mountPoint + " is not empty!";
+					}
+				);
+			}
+		})
+};
+
+/**
+ * Unmount a temporary volume from the given mountPoint and remove the mountPoint.
+ *
+ * @param {string} mountPoint
+ * @param {ILogger} logger
+ */
+SnapToS3.prototype.unmountTemporaryVolume = function(mountPoint, logger) {
+	if (!this.options["keep-temp-volumes"]) {
+		logger.info("Unmounting partition...");
+		
+		return fsTools.unmount(mountPoint)
+			.then(() => {
+				try {
+					fs.rmdirSync(mountPoint);
+				} catch (e) {
+					logger.warn("Failed to rmdir temporary mountpoint " + mountPoint + ", is it not empty? Ignoring...");
+					// We don't need to stop what we're doing though
+				}
+			});
+	} else {
+		return Promise.resolve();
+	}
+};
+
+/**
+ *
+ * @param {EC2.Snapshot} snapshot
+ * @param {string} partitionName
+ *
+ * @returns {string}
+ */
+SnapToS3.prototype.decideMountpointForSnapshotPartition = function(snapshot, partitionName) {
+	return this.options["mount-point"] + snapshot.SnapshotId + (partitionName.length > 0 ? "-" + partitionName : "")
+};
+
+/**
+ * @param {string} snapshotID
+ * @param {string} partitionName
+ *
+ * @returns {string}
+ */
+SnapToS3.prototype.decideMountpointForRestoredPartition = function(snapshotID, partitionName) {
+	return this.options["mount-point"] + snapshotID + "-restored" + (partitionName.length > 0 ? "-" + partitionName : "");
+};
+
+/**
+ * Upload the raw block device that is in the given list of partitions to S3 as a compressed DD image.
+ *
+ * @param {BlockDevice[]} partitions
+ * @param {EC2.Snapshot} snapshot
+ * @param {S3.TagList} tags
+ * @param {S3.PutObjectRequest} s3Params - S3 params object to pass to the S3 upload class
+ * @param {ILogger} logger
+ * @returns {Promise}
+ */
+SnapToS3.prototype.uploadPartitionsUsingDd = function(partitions, snapshot, tags, s3Params, logger) {
+	s3Params.Key = createS3KeyForSnapshotVolumeImage(snapshot, this.options.compression, this.options.dedup);
+	
+	let
+		drive = filterBlockDevicesToGetRawDisk(partitions),
+		
+		dd = spawn.spawnAsPromise("dd", ["bs=256k", "if=" + drive.DEVICEPATH], {
+			stdio: ["ignore", "pipe", "pipe"],
+			detached: true
+		}),
+		
+		promise = this.uploadProcessStdOutWithManifest(dd, drive.SIZE, tags, s3Params, manifest.writeManifestFromImageStream, logger);
+	
+	if (this.options.validate) {
+		promise = promise
+			.then(() => this.describeArchive(s3Params.Key))
+			.then(archive => {
+				logger.info("Validating the upload of this volume...");
+				
+				return this.validateFileAgainstCompressedS3File(drive.DEVICEPATH, drive.SIZE, archive);
+			})
+			.then(hash => this.reportVolumeDdHashSuccess(snapshot, hash, logger));
+	}
+	
+	return promise;
+};
+
+/**
+ * @param {String} localHashesFile
+ * @param {String} remoteHashesFile
+ * @param {int} matchedFileCount
+ *
+ * @returns {Promise}
+ */
+SnapToS3.prototype.reportPartitionTarHashSuccess = function(localHashesFile, remoteHashesFile, matchedFileCount) {
+	let
+		promise = Promise.resolve();
+	
+	if (this.debugHandler) {
+		promise = promise.then(() => this.debugHandler({
+			event: "tarHashesVerified",
+			localHashesFile: localHashesFile,
+			remoteHashesFile: remoteHashesFile,
+			matchedFileCount: matchedFileCount
+		}));
+	}
+	
+	return promise.then(() => matchedFileCount);
+};
+
+/**
+ *
+ * @param {EC2.Snapshot} snapshot
+ * @param {string} hash
+ * @param {ILogger} logger
+ *
+ * @returns {Promise}
+ */
+SnapToS3.prototype.reportVolumeDdHashSuccess = function(snapshot, hash, logger) {
+	let
+		promise = Promise.resolve();
+	
+	if (this.debugHandler) {
+		promise = promise.then(() => this.debugHandler({
+			event: "ddHashVerified",
+			snapshotID: snapshot.SnapshotId,
+			hash: hash
+		}));
+	}
+	
+	return promise.then(() => logger.info("The MD5 of the original snapshot (" + hash + ") successfully matches the copy in S3!"));
+};
+
+/**
+ * Tar up each of the given partitions, compress them, and upload to S3.
+ *
+ * @param {BlockDevice[]} partitions
+ * @param {EC2.Snapshot} snapshot
+ * @param {S3.TagList} tags - S3 tags to add to the resulting objects
+ * @param {S3.PutObjectRequest} s3Params - S3 params object to pass to the S3 upload class
+ * @param {ILogger} logger
+ * @returns {Promise}
+ */
+SnapToS3.prototype.uploadPartitionsUsingTar = function(partitions, snapshot, tags, s3Params, logger) {
+	partitions = filterBlockDevicesToGetFilesystems(partitions);
+	
+	logger.info(partitions.length + " partition" + (partitions.length > 1 ? "s" : "") + " to upload");
+	logger.info("");
+	
+	let
+		promise = Promise.resolve();
+	
+	// Tar up the files in each partition separately
+	partitions.forEach((partition, partitionIndex) => {
+		if(partition.PARTNAME.includes("128")) {
+			return
+		}
+		promise = promise.then(() => {
+			let
+				mountPoint = "/",
+				mountSize,
+				incrementalTar = null,
+				promise;
+			
+			s3Params.Key = createS3KeyForSnapshotPartitionTar(snapshot, partition.PARTNAME, this.options.compression, this.options.dedup);
+			
+			// Each partition has its own chain of incremental tars, so its level mustn't be inherited from the last one
+			delete s3Params.Metadata["tar-level"];
+			delete s3Params.Metadata["tar-parent-key"];
+			
+			logger.info("Uploading partition " + (partitionIndex + 1) + " of " + partitions.length + "...");
+			
+		/*	promise = this.mountTemporaryVolume(partition, mountPoint, logger)
+				.then(() => {
+					if (this.mountTemporaryVolumedebugHandler) {
+						return this.debugHandler({
+							event: "temporaryPartitionMounted",
+							snapshotID: snapshot.SnapshotId,
+							devicePath: partition.DEVICEPATH,
+							mountPoint: mountPoint,
+							name: partition.PARTNAME
+						});
+					}
+				})*/
+			promise = (this.options.incremental ? this.prepareIncrementalTar(snapshot, partition.PARTNAME, logger) : Promise.resolve(null))
+				.then(_incrementalTar => {
+					incrementalTar = _incrementalTar;
+					
+					if (incrementalTar) {
+						s3Params.Metadata["tar-level"] = "" + incrementalTar.level;
+						
+						if (incrementalTar.parent) {
+							s3Params.Metadata["tar-parent-key"] = incrementalTar.parent.key;
+						}
+					}
+					
+					return fsTools.getRecursiveFileSize(mountPoint);
+				})
+				.then((_mountSize) => {
+					const
+						tarArgs = ["--one-file-system", "/", '--exclude="/tmp"']
+							// A resumed upload has to produce exactly the same tar as it did the first time
+							.concat(this.options["checkpoint-dir"] !== undefined ? ["--sort=name"] : [])
+							.concat(incrementalTar ? tarTools.createIncrementalArgs(incrementalTar.snapshotFilename) : [])
+							.concat(["-c", "."]),
+						
+						tar = spawn.spawnAsPromise("tar", tarArgs, {
+							cwd: mountPoint,
+							stdio: ["ignore", "pipe", "pipe"],
+							detached: true
+						});
+					
+					mountSize = _mountSize;
+					
+					return this.uploadProcessStdOutWithManifest(tar, mountSize, tags, s3Params, manifest.writeManifestFromTarStream, logger);
+				})
+				.then(() => {
+					if (incrementalTar) {
+						// Tar has updated the snapshot file to describe this partition as it is now, for the next level
+						logger.info("Uploading the tar snapshot file...");
+						
+						return this.uploadSidecarFile(incrementalTar.snapshotFilename, tarTools.snapshotFileKeyForArchive(s3Params.Key), "application/octet-stream", s3Params);
+					}
+				});
+			
+			if (this.options.validate) {
+				promise = promise
+					.then(() => {
+						logger.info("Upload complete, now validating the upload of this partition...");
+						
+						return this.describeArchive(s3Params.Key)
+							.then(archive => this.validateDirectoryAgainstS3TarChain(mountPoint, mountSize, archive, logger))
+							.then(matchedFileCount => logger.info("MD5 of all " + matchedFileCount + " files match"));
+					});
+			}
+			
+			promise = promise
+				.then(() => {
+					logger.info("Uploaded partition to S3 successfully!");
+					
+				})
+				.then(() => logger.info(""));
+			
+			const
+				cleanupTempFiles = () => incrementalTar ? fsTools.removeDirectory(incrementalTar.tempDirectory).catch(e => {
+					// No big deal if we leave behind some temp files
+					console.warn(e);
+				}) : Promise.resolve();
+			
+			return promise.then(
+				() => cleanupTempFiles(),
+				error => cleanupTempFiles().then(() => {
+					throw error;
+				})
+			);
+		});
+	});
+	
+	return promise;
+};
+
+/**
+ * @typedef {Object} IncrementalTar
+ * @property {int} level - 0 for a full tar, otherwise one more than the level of the parent
+ * @property {SnapshotArchive|null} parent - The tar that the new tar records the changes since
+ * @property {string} snapshotFilename - GNU tar snapshot file to pass to tar, which starts off describing the files as
+ * of the parent
+ * @property {string} tempDirectory - Directory holding the snapshot file, to delete once we're done
+ */
+
+/**
+ * Decide the level of the incremental tar of the given partition, and fetch the GNU tar snapshot file of its parent
+ * (the most recent tar of the same partition from an earlier snapshot of the volume). We upload a full tar (level 0)
+ * instead if there's no parent, if the parent has no snapshot file, or if the parent's chain is already as long as
+ * --max-chain-length.
+ *
+ * @param {EC2.Snapshot} snapshot
+ * @param {string} partitionName
+ * @param {ILogger} logger
+ *
+ * @returns {Promise.<IncrementalTar>}
+ */
+SnapToS3.prototype.prepareIncrementalTar = function(snapshot, partitionName, logger) {
+	/**
+	 * @type {IncrementalTar}
+	 */
+	let
+		incrementalTar = {
+			level: 0,
+			parent: null,
+			snapshotFilename: null,
+			tempDirectory: null
+		};
+	
+	return fsTools.createTempDirectory("snap-to-s3-")
+		.then(tempDirectory => {
+			incrementalTar.tempDirectory = tempDirectory;
+			incrementalTar.snapshotFilename = tempDirectory + "/snapshot.snar";
+			
+			return this.findEarlierArchivesOfVolume(snapshot);
+		})
+		.then(archives => {
+			const
+				parent = archives.find(archive => archive.type === "tar" && archive.partitionName === partitionName);
+			
+			if (!parent) {
+				logger.info("There's no earlier tar of this partition in S3 to base an incremental tar on, so uploading a full (level 0) tar");
+				return;
+			}
+			
+			if (parent.incrementalLevel >= this.options["max-chain-length"]) {
+				logger.info("\"" + parent.key + "\" is already a level " + parent.incrementalLevel + " tar, so uploading a full (level 0) tar to start a new chain");
+				return;
+			}
+			
+			return this.downloadSidecarFile(tarTools.snapshotFileKeyForArchive(parent.key), incrementalTar.snapshotFilename).then(
+				() => {
+					incrementalTar.level = parent.incrementalLevel + 1;
+					incrementalTar.parent = parent;
+					
+					logger.info("Uploading a level " + incrementalTar.level + " tar of the files which changed since \"" + parent.key + "\"");
+				},
+				error => {
+					if (parent.metadata["tar-level"] === undefined) {
+						logger.info("The most recent tar of this partition wasn't uploaded with --incremental, so uploading a full (level 0) tar");
+					} else {
+						logger.warn("Couldn't fetch the tar snapshot file of \"" + parent.key + "\" (" + error + "), so uploading a full (level 0) tar instead");
+					}
+					
+					// Don't let tar pick up a partially-downloaded snapshot file
+					try {
+						fs.unlinkSync(incrementalTar.snapshotFilename);
+					} catch (e) {
+					}
+				}
+			);
+		})
+		.then(() => incrementalTar);
+};
+
+/**
+ * Find every tar in the chain that's needed to rebuild the files of the given tar, by following the parent of each
+ * incremental tar back to its full (level 0) tar.
+ *
+ * @param {SnapshotArchive} archive
+ *
+ * @returns {Promise.<SnapshotArchive[]>} Level 0 first, ending with the given tar
+ */
+SnapToS3.prototype.describeTarChain = function(archive) {
+	const
+		followParents = chain => {
+			const
+				child = chain[0],
+				parentKey = child.metadata["tar-parent-key"];
+			
+			if (child.incrementalLevel === 0) {
+				return chain;
+			}
+			
+			if (!parentKey) {
+				throw "\"" + this.storage.describeKey(child.key) + "\" is a level " + child.incrementalLevel + " tar, but its metadata doesn't say which tar it's based on";
+			}
+			
+			return this.describeArchive(parentKey).then(parent => {
+				if (parent.type !== "tar" || parent.partitionName !== child.partitionName || parent.incrementalLevel !== child.incrementalLevel - 1) {
+					throw "The chain of incremental tars is broken, \"" + child.key + "\" is based on \"" + parentKey + "\", which isn't the level " + (child.incrementalLevel - 1) + " tar of the same partition";
+				}
+				
+				return followParents([parent].concat(chain));
+			});
+		};
+	
+	return Promise.resolve([archive]).then(followParents);
+};
+
+/**
+ * Build the S3 upload parameters (bucket, metadata, server-side encryption, storage class and Object Lock) shared by every archive we upload for
+ * the given snapshot. The caller fills in the Key.
+ *
+ * @param {EC2.Snapshot} snapshot
+ *
+ * @returns {S3.PutObjectRequest}
+ */
+SnapToS3.prototype.createS3ParamsForSnapshot = function(snapshot) {
+	const
+		/**
+		 * @type {S3.PutObjectRequest}
+		 */
+		s3Params = {
+			Metadata: {
+				"snapshot-starttime": moment(snapshot.StartTime).format(), // Defaults to ISO8601
+				"snapshot-snapshotid": snapshot.SnapshotId,
+				"snapshot-volumesize": "" + snapshot.VolumeSize,
+				"snapshot-volumeid": snapshot.VolumeId,
+				"snapshot-description": snapshot.Description,
+			}
+		};
+	
+	if (this.options.sse) {
+		s3Params.ServerSideEncryption = this.options.sse;
+		
+		if (this.options["sse-kms-key-id"] !== undefined) {
+			s3Params.SSEKMSKeyId = this.options["sse-kms-key-id"];
+		}
+	}
+	
+	if (this.options["storage-class"]) {
+		s3Params.StorageClass = this.options["storage-class"];
+	}
+	
+	const
+		objectLock = this.decideObjectLockSettings(snapshot.SnapshotId);
+	
+	// These are taken back out by the upload functions and applied after each upload, see takeObjectLockParams()
+	if (objectLock && objectLock.mode) {
+		s3Params.ObjectLockMode = objectLock.mode;
+		s3Params.ObjectLockRetainUntilDate = objectLock.retainUntil;
+	}
+	if (objectLock && objectLock.legalHold) {
+		s3Params.ObjectLockLegalHoldStatus = "ON";
+	}
+	
+	return s3Params;
+};
+
+/**
+ * Create a stream of the raw disk image of the given snapshot, read through the EBS direct APIs.
+ *
+ * @param {EC2.Snapshot} snapshot
+ *
+ * @returns {ProcessPromise}
+ */
+SnapToS3.prototype.readSnapshotDirectly = function(snapshot) {
+	return spawn.streamAsProcess(new ebsDirect.SnapshotBlockStream(this.ebs, snapshot.SnapshotId));
+};
+
+/**
+ * Upload the given snapshot to S3 as a compressed image by reading its blocks through the EBS direct APIs, without
+ * creating a temporary volume.
+ *
+ * @param {EC2.Snapshot} snapshot
+ *
+ * @returns {Promise}
+ */
+SnapToS3.prototype.uploadSnapshotDirectly = function(snapshot) {
+	const
+		logger = Logger.get(snapshot.SnapshotId),
+		
+		s3Params = this.createS3ParamsForSnapshot(snapshot),
+		tags = this.sanitiseSnapshotTagsForS3(snapshot.Tags),
+		
+		imageSize = snapshot.VolumeSize * GIBIBYTE;
+	
+	s3Params.Key = createS3KeyForSnapshotVolumeImage(snapshot, this.options.compression, this.options.dedup);
+	
+	logger.info("Reading " + snapshot.SnapshotId + " through the EBS direct APIs...");
+	
+	let
+		promise = this.uploadProcessStdOutWithManifest(this.readSnapshotDirectly(snapshot), imageSize, tags, s3Params, manifest.writeManifestFromImageStream, logger);
+	
+	if (this.options.validate) {
+		promise = promise
+			.then(() => this.describeArchive(s3Params.Key))
+			.then(archive => {
+				logger.info("Validating the upload of this snapshot...");
+				
+				return this.validateStreamAgainstCompressedS3File(this.readSnapshotDirectly(snapshot), imageSize, archive);
+			})
+			.then(hash => this.reportVolumeDdHashSuccess(snapshot, hash, logger));
+	}
+	
+	return promise;
+};
+
+/**
+ * Validate the image of the given snapshot in S3 against the snapshot's blocks, read through the EBS direct APIs.
+ *
+ * @param {EC2.Snapshot} snapshot
+ *
+ * @returns {Promise}
+ */
+SnapToS3.prototype.validateSnapshotDirectly = function(snapshot) {
+	const
+		logger = Logger.get(snapshot.SnapshotId);
+	
+	return this.findArchivesForSnapshot(snapshot.SnapshotId, snapshot.VolumeId).then(archives => {
+		const
+			image = archives.find(archive => archive.type === "image"),
+			delta = archives.find(archive => archive.type === "delta");
+		
+		if (!image) {
+			if (delta) {
+				logger.info("Validating " + delta.key + " against the blocks that changed since " + delta.metadata["incremental-parent-snapshotid"] + "...");
+				
+				return this.validateDeltaDirectly(snapshot, delta)
+					.then(hash => this.reportVolumeDdHashSuccess(snapshot, hash, logger));
+			}
+			
+			if (archives.length > 0) {
+				throw "This snapshot was uploaded as tars, but --direct can only validate volume images";
+			}
+			
+			throw "Couldn't find an archive for this snapshot in S3";
+		}
+		
+		logger.info("Validating " + image.key + " against the snapshot's blocks...");
+		
+		return this.validateStreamAgainstCompressedS3File(this.readSnapshotDirectly(snapshot), snapshot.VolumeSize * GIBIBYTE, image)
+			.then(hash => this.reportVolumeDdHashSuccess(snapshot, hash, logger));
+	});
+};
+
+/**
+ * Find the archives in S3 of snapshots of the same volume which were taken before the given snapshot.
+ *
+ * @param {EC2.Snapshot} snapshot
+ *
+ * @returns {Promise.<SnapshotArchive[]>} Most recent snapshot first
+ */
+SnapToS3.prototype.findEarlierArchivesOfVolume = function(snapshot) {
+	const
+		startTime = moment(snapshot.StartTime);
+	
+	return this.storage.listAllObjects({
+		Prefix: snapshot.VolumeId + "/"
+	})
+		.then(objects => {
+			let
+				promise = Promise.resolve(),
+				archives = [];
+			
+			for (let object of objects.filter(object => !isSidecarKey(object.Key) && object.Key.indexOf(" " + snapshot.SnapshotId) === -1)) {
+				promise = promise
+					.then(() => this.describeArchive(object.Key))
+					.then(
+						archive => {
+							if (moment(archive.metadata["snapshot-starttime"]).isBefore(startTime)) {
+								archives.push(archive);
+							}
+						},
+						error => {
+							// Not one of ours
+						}
+					);
+			}
+			
+			return promise.then(() => archives.sort((a, b) => moment(b.metadata["snapshot-starttime"]).diff(moment(a.metadata["snapshot-starttime"]))));
+		});
+};
+
+/**
+ * @typedef {Object} IncrementalParent
+ * @property {SnapshotArchive} archive - The image or delta that a new delta will be based on
+ * @property {ChainLink} base - The full image at the start of the parent's chain
+ * @property {ChainLink[]} deltas - The deltas in the parent's chain (empty if the parent is the full image)
+ */
+
+/**
+ * Find the most recent image or delta in S3 of an earlier snapshot of the same volume, which we can upload the
+ * changed blocks of the given snapshot relative to. We can only do that if the parent snapshot still exists, and if its
+ * chain isn't already as long as --max-chain-length.
+ *
+ * @param {EC2.Snapshot} snapshot
+ *
+ * @returns {Promise.<IncrementalParent|null>} null if we should upload a full image instead
+ */
+SnapToS3.prototype.findParentForIncremental = function(snapshot) {
+	const
+		logger = Logger.get(snapshot.SnapshotId);
+	
+	return this.findEarlierArchivesOfVolume(snapshot)
+		.then(archives => archives.filter(archive => archive.type === "image" || archive.type === "delta"))
+		.then(candidates => {
+			if (candidates.length === 0) {
+				logger.info("There's no earlier image of " + snapshot.VolumeId + " in S3 to base a delta on, so uploading a full image");
+				return null;
+			}
+			
+			const
+				parent = candidates[0];
+			
+			return this.ec2.describeSnapshots({
+				SnapshotIds: [parent.snapshotID]
+			}).promise().then(
+				() => {
+					if (parent.type === "image") {
+						return {
+							archive: parent,
+							base: {
+								key: parent.key,
+								snapshotID: parent.snapshotID
+							},
+							deltas: []
+						};
+					}
+					
+					return this.downloadChainManifest(parent).then(
+						chain => {
+							if (chain.deltas.length >= this.options["max-chain-length"]) {
+								logger.info("The chain of deltas from " + chain.base.snapshotID + " is already " + chain.deltas.length + " long, so uploading a full image to start a new chain");
+								return null;
+							}
+							
+							return {
+								archive: parent,
+								base: chain.base,
+								deltas: chain.deltas
+							};
+						},
+						error => {
+							logger.warn(error + ", so uploading a full image instead");
+							return null;
+						}
+					);
+				},
+				error => {
+					// ListChangedBlocks needs both snapshots
+					logger.info("The most recent archive of " + snapshot.VolumeId + " was made from " + parent.snapshotID + ", which can't be described (" + error + "), so uploading a full image");
+					return null;
+				}
+			);
+		});
+};
+
+/**
+ * Upload the blocks of the given snapshot that changed since the parent snapshot, read through the EBS direct APIs, as
+ * a compressed delta, along with a chain manifest that describes how to rebuild the snapshot from its full image.
+ *
+ * @param {EC2.Snapshot} snapshot
+ * @param {IncrementalParent} parent
+ *
+ * @returns {Promise}
+ */
+SnapToS3.prototype.uploadSnapshotDelta = function(snapshot, parent) {
+	const
+		logger = Logger.get(snapshot.SnapshotId),
+		
+		s3Params = this.createS3ParamsForSnapshot(snapshot),
+		tags = this.sanitiseSnapshotTagsForS3(snapshot.Tags),
+		
+		changedBlocks = new ebsDirect.ChangedBlockStream(this.ebs, parent.archive.snapshotID, snapshot.SnapshotId),
+		
+		// We won't know how many blocks changed until we've read them all, so this is an upper bound
+		sizeEstimate = snapshot.VolumeSize * GIBIBYTE;
+	
+	s3Params.Key = createS3KeyForSnapshotVolumeDelta(snapshot, this.options.compression, this.options.dedup);
+	s3Params.Metadata["incremental-parent-snapshotid"] = parent.archive.snapshotID;
+	
+	logger.info("Uploading the blocks that changed since " + parent.archive.snapshotID + " (delta " + (parent.deltas.length + 1) + " in the chain from " + parent.base.snapshotID + ")");
+	logger.info("Progress is based on the size of the whole volume, so the upload will probably finish early:");
+	
+	let
+		promise = this.uploadProcessStdOutWithManifest(spawn.streamAsProcess(changedBlocks), sizeEstimate, tags, s3Params, manifest.writeManifestFromImageStream, logger)
+			.then(() => {
+				logger.info(changedBlocks.changedBlockCount + " blocks had changed, uploading the chain manifest...");
+				
+				return this.uploadChainManifest(incremental.createChainManifest(snapshot, s3Params.Key, changedBlocks.blockSize, parent.base, parent.deltas), s3Params);
+			});
+	
+	if (this.options.validate) {
+		promise = promise
+			.then(() => this.describeArchive(s3Params.Key))
+			.then(archive => {
+				logger.info("Validating the upload of this delta...");
+				
+				return this.validateDeltaDirectly(snapshot, archive);
+			})
+			.then(hash => this.reportVolumeDdHashSuccess(snapshot, hash, logger));
+	}
+	
+	return promise;
+};
+
+/**
+ * Validate the given delta in S3 against the blocks of the snapshot that changed since its parent, read again through
+ * the EBS direct APIs.
+ *
+ * @param {EC2.Snapshot} snapshot
+ * @param {SnapshotArchive} archive
+ *
+ * @returns {Promise.<string>} The MD5 of the delta
+ */
+SnapToS3.prototype.validateDeltaDirectly = function(snapshot, archive) {
+	const
+		changedBlocks = new ebsDirect.ChangedBlockStream(this.ebs, archive.metadata["incremental-parent-snapshotid"], snapshot.SnapshotId);
+	
+	return this.validateStreamAgainstCompressedS3File(spawn.streamAsProcess(changedBlocks), snapshot.VolumeSize * GIBIBYTE, archive);
+};
+
+/**
+ * Upload the given volume, which is currently attached to this instance and is based on the given snapshot, to S3.
+ *
+ * @param {EC2.Volume} volume
+ * @param {EC2.Snapshot} snapshot
+ *
+ * @returns {Promise}
+ */
+SnapToS3.prototype.uploadTemporaryVolume = function(volume, snapshot) {
+	const
+		logger = Logger.get(snapshot.SnapshotId),
+		
+		s3Params = this.createS3ParamsForSnapshot(snapshot),
+		tags = this.sanitiseSnapshotTagsForS3(snapshot.Tags);
+	
+	logger.info("Waiting for " + volume.VolumeId + "'s partitions to become visible to the operating system...");
+	
+	return awsTools.waitForVolumePartitions(volume, this.instanceIdentity.instanceId, PARTITION_POLL_MAX_RETRY, PARTITION_POLL_INTERVAL)
+		.then(partitions => {
+			if (this.options.dd) {
+				return this.uploadPartitionsUsingDd(partitions, snapshot, tags, s3Params, logger);
+			} else {
+				return this.uploadPartitionsUsingTar(partitions, snapshot, tags, s3Params, logger);
+			}
+		});
+};
+
+/**
+ * Checks that the MD5 hash of the given S3 object is equal to the hash of the local file after the S3 object is
+ * decompressed.
+ *
+ * @param {string} filename - Local file/device to be hashed
+ * @param {int} fileSize - Size of file in bytes
+ * @param {SnapshotArchive} archive - S3 object to be decompressed and hashed
+ *
+ * @returns Promise.<string> - The MD5 hash that both local and remote files hash to
+ */
+SnapToS3.prototype.validateFileAgainstCompressedS3File = function(filename, fileSize, archive) {
+	return this.validateStreamAgainstCompressedS3File(
+		spawn.streamAsProcess(fs.createReadStream(filename, {
+			flags: "r",
+			encoding: null,
+		})),
+		fileSize,
+		archive
+	);
+};
+
+/**
+ * Checks that the MD5 hash of the given S3 object is equal to the hash of the local stream after the S3 object is
+ * decompressed.
+ *
+ * @param {ProcessPromise} localSource - Source whose stdout is to be hashed
+ * @param {int} fileSize - Size of the source's stdout in bytes
+ * @param {SnapshotArchive} archive - S3 object to be decompressed and hashed
+ *
+ * @returns Promise.<string> - The MD5 hash that both local and remote streams hash to
+ */
+SnapToS3.prototype.validateStreamAgainstCompressedS3File = function(localSource, fileSize, archive) {
+	let
+		localBytesReadSinceLastStatus = 0,
+		localBytesReadTotal = 0,
+		
+		s3BytesReadSinceLastStatus = 0,
+		s3BytesReadTotal = 0;
+	
+	const
+		// Show the summed progress of both the local and remote hash operations on a single bar
+		barMaximum = Math.floor((fileSize + archive.size) / 1024),
+		
+		bar = new ProgressBar('    hashing [:bar] :rate KB/s :eta, S3: :s3Progress% Local: :localProgress%', {
+			complete: '=',
+			incomplete: ' ',
+			width: 32,
+			total: barMaximum,
+			renderThrottle: PROGRESS_BAR_UPDATE_RATE
+		}),
+		
+		updateBar = () => {
+			if (!bar.complete) {
+				bar.tick((localBytesReadSinceLastStatus + s3BytesReadSinceLastStatus) / 1024, {
+					s3Progress: Math.floor(s3BytesReadTotal / archive.size * 100),
+					localProgress: Math.floor(localBytesReadTotal / fileSize * 100)
+				});
+			}
+			
+			localBytesReadSinceLastStatus = 0;
+			s3BytesReadSinceLastStatus = 0;
+		},
+		
+		s3Pipeline = (() => {
+			 const
+				 progress = new SimpleProgressStream(),
+				
+				 download = this.readArchiveFromS3(archive, progress),
+				
+				 hash = hashFiles.md5StreamAsPromise(),
+			 
+				 hashPipeline = spawn.pipelineAsPromise(download.stdout, hash.stdin);
+			
+			progress.on("progress", (bytesRead) => {
+				s3BytesReadSinceLastStatus += bytesRead;
+				s3BytesReadTotal += bytesRead;
+				
+				updateBar();
+			});
+			
+			return Promise.all([hash, download, hashPipeline]).then(results => results[0]);
+		})(),
+		
+		localPipeline = (() => {
+			const
+				progress = new SimpleProgressStream(),
+				
+				hash = hashFiles.md5StreamAsPromise(),
+			
+				pipeline = spawn.pipelineAsPromise(localSource.stdout, progress, hash.stdin);
+			
+			progress.on("progress", (bytesRead) => {
+				localBytesReadSinceLastStatus += bytesRead;
+				localBytesReadTotal += bytesRead;
+				
+				updateBar();
+			});
+			
+			return Promise.all([hash, localSource, pipeline]).then(results => results[0]);
+		})();
+	
+	bar.render({
+		s3Progress: 0,
+		localProgress: 0
+	});
+	
+	return Promise.all([s3Pipeline, localPipeline]).then(
+		hashes => {
+			if (!bar.complete) {
+				bar.update(1.0, {
+					s3Progress: 100,
+					localProgress: 100
+				});
+			}
+			
+			if (hashes[0] === hashes[1]) {
+				return hashes[0];
+			} else {
+				throw "Hash of decompressed S3 object (" + hashes[0] + ") does not match local copy (" + hashes[1] + ")";
+			}
+		},
+		error => {
+			updateBar();
+			if (!bar.complete) {
+				bar.terminate();
+			}
+			
+			throw error;
+		}
+	);
+};
+
+/**
+ * Check that the hash of the files in the given directory matches those of the given compressed tar in S3.
+ *
+ * @param {string} directory
+ * @param {int} directorySize - Total size in bytes of files in directory (for progress bar)
+ * @param {SnapshotArchive} archive
+ * @returns {Promise.<int>} - The number of files whose hash matches (if successful)
+ */
+SnapToS3.prototype.validateDirectoryAgainstS3Tar = function(directory, directorySize, archive) {
+	return fsTools.createTempDirectory("snap-to-s3-").then(tempDirectory => {
+		let
+			localBytesReadSinceLastStatus = 0,
+			localBytesReadTotal = 0,
+			
+			s3BytesReadSinceLastStatus = 0,
+			s3BytesReadTotal = 0;
+		
+		const
+			// Show the summed progress of both the local and remote hash operations on a single bar
+			barMaximum = Math.floor((directorySize + archive.size) / 1024),
+			
+			bar = new ProgressBar('    hashing [:bar] :rate KB/s :eta, S3: :s3Progress% Local: :localProgress%', {
+				complete: '=',
+				incomplete: ' ',
+				width: 32,
+				total: barMaximum,
+				renderThrottle: PROGRESS_BAR_UPDATE_RATE
+			}),
+			
+			updateBar = () => {
+				if (!bar.complete) {
+					bar.tick((localBytesReadSinceLastStatus + s3BytesReadSinceLastStatus) / 1024, {
+						s3Progress: Math.floor(s3BytesReadTotal / archive.size * 100),
+						localProgress: Math.floor(localBytesReadTotal / directorySize * 100)
+					});
+				}
+				
+				localBytesReadSinceLastStatus = 0;
+				s3BytesReadSinceLastStatus = 0;
+			},
+			
+			localHashesFile = tempDirectory + "/local.md5",
+			remoteHashesFile = tempDirectory + "/remote.md5",
+		
+			// S3 tar hashing:
+			s3Promise = (() => {
+				const
+					progress = new SimpleProgressStream(),
+					
+					download = this.readArchiveFromS3(archive, progress);
+				
+				progress.on("progress", (bytesRead) => {
+					s3BytesReadSinceLastStatus += bytesRead;
+					s3BytesReadTotal += bytesRead;
+					
+					updateBar();
+				});
+				
+				return Promise.all([
+					hashFiles.hashTarFilesFromStream(download.stdout, remoteHashesFile),
+					download
+				]).then(results => results[0]);
+			})(),
+			
+			// Local file hashing:
+			localPromise = hashFiles.hashFilesInDirectory(directory, localHashesFile, (bytesRead) => {
+				localBytesReadSinceLastStatus += bytesRead;
+				localBytesReadTotal += bytesRead;
+				updateBar();
+			}),
+			
+			cleanupTempFiles = () => {
+				try {
+					fs.unlinkSync(localHashesFile);
+					fs.unlinkSync(remoteHashesFile);
+					fs.rmdirSync(tempDirectory);
+				} catch (e) {
+					// No big deal if we leave behind some temp files
+					console.warn(e);
+				}
+			};
+		
+		bar.render({
+			s3Progress: 0,
+			localProgress: 0
+		});
+		
+		// Wait for the local files and S3 to both be hashed:
+		return Promise.all([s3Promise, localPromise])
+			.then(
+				hashedFileCounts => {
+					if (!bar.complete) {
+						bar.update(1.0, {
+							s3Progress: 100,
+							localProgress: 100
+						});
+					}
+	
+					return hashFiles.compareHashListFiles(
+						localHashesFile, "temporary volume",
+						remoteHashesFile, "S3 tar"
+					).then(
+						matchedFileCount => {
+							if (matchedFileCount !== hashedFileCounts[0] || matchedFileCount !== hashedFileCounts[1]) {
+								// This would indicate a bug in readHashFileAsStream() or compareSortedFileHashes()
+								throw new Error("We found " + hashedFileCounts[1] + " files in the local directory and " + hashedFileCounts[0] +" in the S3 tar, but somehow after comparing " +
+									"those two lists of file hashes, we only matched up " + matchedFileCount + " entries?");
+							}
+							return this.reportPartitionTarHashSuccess(localHashesFile, remoteHashesFile, matchedFileCount);
+						},
+						errors => {
+							if (Array.isArray(errors)) {
+								throw new Error("Local directory \"" + directory + "\" and contents of S3 tar \"" + this.storage.describeKey(archive.key) + "\" differ!\n" + errors.join("\n"));
+							} else {
+								throw errors;
+							}
+						}
+					);
+				},
+				error => {
+					updateBar();
+					if (!bar.complete) {
+						bar.terminate();
+					}
+					
+					throw error;
+				}
+			)
+			.then(
+				matchedFileCount => {
+					cleanupTempFiles();
+					
+					return matchedFileCount;
+				},
+				error => {
+					cleanupTempFiles();
+					
+					throw error;
+				}
+			);
+	});
+};
+
+/**
+ * Check that the files in the given directory match those of the given tar in S3. An incremental tar only contains the
+ * files which changed since its parent, so for those we rebuild the full set of files by extracting every tar of its
+ * chain in turn into a scratch directory (inside --mount-point, since it can be as large as the partition), and compare
+ * the directory against that instead.
+ *
+ * @param {string} directory
+ * @param {int} directorySize - Total size in bytes of files in directory (for progress bar)
+ * @param {SnapshotArchive} archive
+ * @param {ILogger} logger
  *
- * @param {string} directory
- * @param {int} directorySize - Total size in bytes of files in directory (for progress bar)
- * @param {string} s3Key
- * @param {int} s3Size - Download size of S3 object (for progress bar)
  * @returns {Promise.<int>} - The number of files whose hash matches (if successful)
  */
-SnapToS3.prototype.validateDirectoryAgainstS3Tar = function(directory, directorySize, s3Key, s3Size) {
-	return fsTools.createTempDirectory("snap-to-s3-").then(tempDirectory => {
-		let
-			localBytesReadSinceLastStatus = 0,
-			localBytesReadTotal = 0,
-			
-			s3BytesReadSinceLastStatus = 0,
-			s3BytesReadTotal = 0;
+SnapToS3.prototype.validateDirectoryAgainstS3TarChain = function(directory, directorySize, archive, logger) {
+	if (!archive.incrementalLevel) {
+		return this.validateDirectoryAgainstS3Tar(directory, directorySize, archive);
+	}
+	
+	let
+		chain,
+		scratchDirectory = null,
+		hashesDirectory = null;
+	
+	const
+		cleanupTempFiles = () => Promise.all(
+			[scratchDirectory, hashesDirectory]
+				.filter(tempDirectory => tempDirectory)
+				.map(tempDirectory => fsTools.removeDirectory(tempDirectory).catch(e => {
+					// No big deal if we leave behind some temp files
+					console.warn(e);
+				}))
+		);
+	
+	return this.describeTarChain(archive)
+		.then(_chain => {
+			chain = _chain;
+			
+			return fsTools.forcePath(this.options["mount-point"]);
+		})
+		.then(() => fsTools.createTempDirectory("snap-to-s3-chain-", this.options["mount-point"]))
+		.then(_scratchDirectory => {
+			let
+				promise = Promise.resolve();
+			
+			scratchDirectory = _scratchDirectory;
+			
+			logger.info("This is a level " + archive.incrementalLevel + " incremental tar, so rebuilding its files from the " + chain.length + " tars of its chain in " + scratchDirectory + "...");
+			
+			for (let link of chain) {
+				promise = promise.then(() => {
+					logger.info("Extracting level " + link.incrementalLevel + " from \"" + this.storage.describeKey(link.key) + "\"...");
+					
+					return this.extractS3TarToDirectory(link, scratchDirectory, logger);
+				});
+			}
+			
+			return promise;
+		})
+		.then(() => fsTools.createTempDirectory("snap-to-s3-"))
+		.then(_hashesDirectory => {
+			hashesDirectory = _hashesDirectory;
+			
+			const
+				localHashesFile = hashesDirectory + "/local.md5",
+				remoteHashesFile = hashesDirectory + "/remote.md5";
+			
+			logger.info("Hashing the files of the temporary volume and the rebuilt chain...");
+			
+			return Promise.all([
+				hashFiles.hashFilesInDirectory(directory, localHashesFile, () => {}),
+				hashFiles.hashFilesInDirectory(scratchDirectory, remoteHashesFile, () => {})
+			])
+				.then(() => hashFiles.compareHashListFiles(
+					localHashesFile, "temporary volume",
+					remoteHashesFile, "S3 tar chain"
+				))
+				.then(
+					matchedFileCount => this.reportPartitionTarHashSuccess(localHashesFile, remoteHashesFile, matchedFileCount),
+					errors => {
+						if (Array.isArray(errors)) {
+							throw new Error("Local directory \"" + directory + "\" and the files rebuilt from the chain of S3 tars ending with \"" + this.storage.describeKey(archive.key) + "\" differ!\n" + errors.join("\n"));
+						} else {
+							throw errors;
+						}
+					}
+				);
+		})
+		.then(
+			matchedFileCount => cleanupTempFiles().then(() => matchedFileCount),
+			error => cleanupTempFiles().then(() => {
+				throw error;
+			})
+		);
+};
+
+/**
+ * @param {BlockDevice[]} partitions
+ * @param {EC2.Snapshot} snapshot
+ * @param {SnapshotArchive} archive - The dd image that was uploaded for the snapshot
+ * @param {ILogger} logger
+ *
+ * @returns {Promise}
+ */
+SnapToS3.prototype.validatePartitionsUsingDd = function(partitions, snapshot, archive, logger) {
+	let
+		drive = filterBlockDevicesToGetRawDisk(partitions);
+	
+	logger.info("Comparing the MD5 of the original " + snapshot.SnapshotId + " (" + drive.DEVICEPATH + ") with the S3 copy \"" + this.storage.describeKey(archive.key) + "\"...");
+	
+	return this.validateFileAgainstCompressedS3File(drive.DEVICEPATH, drive.SIZE, archive)
+		.then(hash => this.reportVolumeDdHashSuccess(snapshot, hash, logger));
+};
+
+/**
+ * @param {BlockDevice[]} partitions
+ * @param {EC2.Snapshot} snapshot
+ * @param {SnapshotArchive[]} archives - The tars that were uploaded for the snapshot
+ * @param {ILogger} logger
+ *
+ * @returns {Promise}
+ */
+SnapToS3.prototype.validatePartitionsUsingTar = function(partitions, snapshot, archives, logger) {
+	partitions = filterBlockDevicesToGetFilesystems(partitions);
+	
+	logger.info(partitions.length + " partition" + (partitions.length > 1 ? "s" : "") + " to validate");
+	logger.info("");
+	
+	let
+		promise = Promise.resolve();
+	
+	partitions.forEach((partition, partitionIndex) => {
+		promise = promise
+			.then(() => logger.info("Validating partition " + (partitionIndex + 1) + " of " + partitions.length + "..."))
+			.then(() => {
+				let
+					mountPoint = this.decideMountpointForSnapshotPartition(snapshot, partition.PARTNAME),
+					archive = archives.find(archive => archive.partitionName === partition.PARTNAME);
+				
+				if (!archive) {
+					throw "The tar of partition \"" + partition.PARTNAME + "\" should exist in " + this.storage.describeKey(snapshot.VolumeId + "/") + ", but wasn't found!";
+				}
+				
+				return this.mountTemporaryVolume(partition, mountPoint, logger)
+					.then(() => {
+						logger.info("Computing size of files to validate...");
+						return fsTools.getRecursiveFileSize(mountPoint);
+					})
+					.then(mountSize => {
+						logger.info(filesize(mountSize) + " to be validated...");
+						
+						return this.validateDirectoryAgainstS3TarChain(mountPoint, mountSize, archive, logger);
+					})
+					.then(fileCount => logger.info("MD5 of all " + fileCount + " files match"))
+					.then(() => this.unmountTemporaryVolume(mountPoint, logger));
+			})
+			.then(() => logger.info(""));
+	});
+	
+	return promise;
+};
+
+/**
+ * Validate the given volume, which is based on the given snapshot, against uploaded files from S3.
+ *
+ * @param {EC2.Volume} volume
+ * @param {EC2.Snapshot} snapshot
+ *
+ * @returns {Promise}
+ */
+SnapToS3.prototype.validateTemporaryVolume = function(volume, snapshot) {
+	const
+		logger = Logger.get(snapshot.SnapshotId);
+	
+	// Find what we uploaded for this snapshot (and which codec it was compressed with) from the archives' metadata
+	return this.findArchivesForSnapshot(snapshot.SnapshotId, snapshot.VolumeId)
+		.then(archives => {
+			const
+				image = archives.find(archive => archive.type === "image");
+			
+			if (!image && archives.find(archive => archive.type === "delta")) {
+				throw "This snapshot was uploaded as an incremental delta, which can only be validated with --direct (or --against-manifest)";
+			}
+			
+			logger.info("Waiting for " + volume.VolumeId + "'s partitions to become visible to the operating system...");
+			
+			return awsTools.waitForVolumePartitions(volume, this.instanceIdentity.instanceId, PARTITION_POLL_MAX_RETRY, PARTITION_POLL_INTERVAL)
+				.then(partitions => {
+					// If we didn't find a DD image then assume it was a set of part tars
+					if (image) {
+						return this.validatePartitionsUsingDd(partitions, snapshot, image, logger);
+					} else {
+						return this.validatePartitionsUsingTar(partitions, snapshot, archives.filter(archive => archive.type === "tar"), logger);
+					}
+				});
+		});
+};
+
+/**
+ * Open a stream to read the given object from S3. If --max-rate was set, the stream is throttled to that rate.
+ *
+ * @param {string} key
+ * @returns {stream.Readable}
+ */
+SnapToS3.prototype.createS3ReadStream = function(key) {
+	const
+		s3Stream = this.storage.createReadStream({
+			Key: key
+		});
+	
+	if (this.options["max-rate"]) {
+		return pipe(s3Stream, new ThrottleStream(this.options["max-rate"] * 1024 * 1024));
+	}
+	
+	return s3Stream;
+};
+
+/**
+ * Start downloading the given archive from S3, decrypting it if it was encrypted, and decompressing it.
+ *
+ * @param {SnapshotArchive} archive
+ * @param {SimpleProgressStream} progress - Counts the bytes downloaded from S3
+ *
+ * @returns {ProcessPromise} The original content of the archive can be read from stdout. Resolves once the whole
+ * archive has been downloaded and decompressed.
+ */
+SnapToS3.prototype.readArchiveFromS3 = function(archive, progress) {
+	if (archive.chunked) {
+		return this.readChunkedArchiveFromS3(archive, progress);
+	}
+	
+	const
+		decompressor = compression.createDecompressor(archive.compression),
+		streams = [this.createS3ReadStream(archive.key), progress];
+	
+	if (encryption.isEncrypted(archive.metadata)) {
+		streams.push(new encryption.DecryptStream(encryption.unwrapDataKey(archive.metadata, this.encryptionKeys)));
+	}
+	
+	streams.push(decompressor.stdin);
+	
+	const
+		result = Promise.all([decompressor, spawn.pipelineAsPromise.apply(spawn, streams)]);
+	
+	result.stdout = decompressor.stdout;
+	
+	return result;
+};
+
+/**
+ * Download the index of the given deduplicated archive.
+ *
+ * @param {SnapshotArchive} archive
+ *
+ * @returns {Promise.<ChunkIndex>}
+ */
+SnapToS3.prototype.downloadChunkIndex = function(archive) {
+	return this.storage.getObject({
+		Key: archive.key
+	}).then(
+		response => chunkStore.decodeIndex(response.Body),
+		error => {
+			throw "Couldn't read the chunk index \"" + this.storage.describeKey(archive.key) + "\": " + error;
+		}
+	);
+};
+
+/**
+ * Download and decompress the chunk with the given hash.
+ *
+ * @param {string} hash
+ *
+ * @returns {Promise.<Buffer>}
+ */
+SnapToS3.prototype.fetchChunk = function(hash) {
+	return this.storage.getObject({
+		Key: chunkStore.chunkKey(hash)
+	}).then(
+		response => compression.decompressBuffer(response.Metadata["compression"], response.Body),
+		error => {
+			throw "Couldn't read the chunk \"" + this.storage.describeKey(chunkStore.chunkKey(hash)) + "\": " + error;
+		}
+	);
+};
+
+/**
+ * Start reassembling the given deduplicated archive from its chunks in S3, like readArchiveFromS3().
+ *
+ * Since the chunks are decompressed as they're downloaded, the progress stream counts the reassembled bytes rather
+ * than the bytes downloaded from S3, and --max-rate limits the reassembled bytes too.
+ *
+ * @param {SnapshotArchive} archive
+ * @param {SimpleProgressStream} progress
+ *
+ * @returns {ProcessPromise}
+ */
+SnapToS3.prototype.readChunkedArchiveFromS3 = function(archive, progress) {
+	const
+		result = this.downloadChunkIndex(archive)
+			.then(index => {
+				const
+					streams = [new chunkStore.ChunkReadStream(index, hash => this.fetchChunk(hash), this.options["upload-streams"])];
+				
+				if (this.options["max-rate"]) {
+					streams.push(new ThrottleStream(this.options["max-rate"] * 1024 * 1024));
+				}
+				
+				streams.push(progress);
+				
+				return spawn.pipelineAsPromise.apply(spawn, streams);
+			})
+			.catch(error => {
+				// Whoever is reading the content needs to find out that it's not coming
+				progress.emit("error", error);
+				
+				throw error;
+			});
+	
+	result.stdout = progress;
+	
+	return result;
+};
+
+/**
+ * Download a file that was uploaded alongside an archive by uploadSidecarFile() to a local file, decrypting it if it
+ * was encrypted.
+ *
+ * @param {string} key
+ * @param {string} filename
+ *
+ * @returns {Promise}
+ */
+SnapToS3.prototype.downloadSidecarFile = function(key, filename) {
+	// We need the file's own metadata to find out how to decrypt it
+	return this.storage.headObject({
+		Key: key
+	}).then(head => {
+		const
+			streams = [
+				this.storage.createReadStream({
+					Key: key
+				})
+			];
+		
+		if (encryption.isEncrypted(head.Metadata)) {
+			streams.push(new encryption.DecryptStream(encryption.unwrapDataKey(head.Metadata, this.encryptionKeys)));
+		}
+		
+		streams.push(fs.createWriteStream(filename, {
+			flags: "w",
+			mode: 0o600
+		}));
+		
+		return spawn.pipelineAsPromise.apply(spawn, streams);
+	});
+};
+
+/**
+ * Download the manifest that was uploaded alongside the given archive to a local file.
+ *
+ * @param {SnapshotArchive} archive
+ * @param {string} filename
+ *
+ * @returns {Promise}
+ */
+SnapToS3.prototype.downloadManifest = function(archive, filename) {
+	const
+		manifestKey = manifest.manifestKeyForArchive(archive.key);
+	
+	return this.downloadSidecarFile(manifestKey, filename).catch(error => {
+		throw "Couldn't read the manifest \"" + this.storage.describeKey(manifestKey) + "\", so this archive can only be validated against its original snapshot! " + error;
+	});
+};
+
+/**
+ * Download the given dd image from S3, decompress it, and compute its MD5.
+ *
+ * @param {SnapshotArchive} archive
+ * @param {ILogger} logger
+ *
+ * @returns {Promise.<{hash: string, length: int}>}
+ */
+SnapToS3.prototype.hashS3Image = function(archive, logger) {
+	let
+		length = 0;
+	
+	const
+		bar = new ProgressBar('    hashing [:bar] :rate KB/s :percent :eta', {
+			complete: '=',
+			incomplete: ' ',
+			width: 32,
+			total: Math.floor(archive.size / 1024),
+			renderThrottle: PROGRESS_BAR_UPDATE_RATE
+		}),
+		
+		progress = new SimpleProgressStream(),
+		
+		download = this.readArchiveFromS3(archive, progress),
+		
+		decompressedMeter = new SimpleProgressStream(),
+		
+		hash = hashFiles.md5StreamAsPromise(),
+		
+		hashPipeline = spawn.pipelineAsPromise(download.stdout, decompressedMeter, hash.stdin);
+	
+	progress.on("progress", bytesRead => {
+		if (!bar.complete) {
+			bar.tick(bytesRead / 1024);
+		}
+	});
+	
+	decompressedMeter.on("progress", bytesDecompressed => {
+		length += bytesDecompressed;
+	});
+	
+	logger.info(filesize(archive.size) + " to download and hash from \"" + this.storage.describeKey(archive.key) + "\"");
+	
+	bar.render(null);
+	
+	return Promise.all([hash, download, hashPipeline]).then(
+		results => {
+			if (!bar.complete) {
+				bar.update(1.0);
+			}
+			
+			return {
+				hash: results[0],
+				length: length
+			};
+		},
+		error => {
+			if (!bar.complete) {
+				bar.terminate();
+			}
+			
+			throw error;
+		}
+	);
+};
+
+/**
+ * Check that the given dd image in S3 has the size and MD5 that were recorded in its manifest at migration time.
+ *
+ * @param {SnapshotArchive} archive
+ * @param {ILogger} logger
+ *
+ * @returns {Promise.<string>} The MD5 of the image
+ */
+SnapToS3.prototype.validateImageAgainstManifest = function(archive, logger) {
+	return fsTools.createTempDirectory("snap-to-s3-").then(tempDirectory => {
+		const
+			manifestFilename = tempDirectory + "/manifest.gz",
+			
+			cleanupTempFiles = () => {
+				try {
+					fs.unlinkSync(manifestFilename);
+				} catch (e) {
+					// It might not have been created yet
+				}
+				
+				try {
+					fs.rmdirSync(tempDirectory);
+				} catch (e) {
+					// No big deal if we leave behind some temp files
+					console.warn(e);
+				}
+			};
+		
+		let
+			expected;
+		
+		return this.downloadManifest(archive, manifestFilename)
+			.then(() => manifest.readImageManifestFile(manifestFilename))
+			.then(entry => {
+				expected = entry;
+				
+				return this.hashS3Image(archive, logger);
+			})
+			.then(actual => {
+				if (actual.length !== expected.size) {
+					throw "\"" + this.storage.describeKey(archive.key) + "\" decompressed to " + actual.length + " bytes, but its manifest says it should be " + expected.size + " bytes";
+				}
+				if (actual.hash !== expected.md5) {
+					throw "MD5 of \"" + this.storage.describeKey(archive.key) + "\" (" + actual.hash + ") does not match the MD5 in its manifest (" + expected.md5 + ")";
+				}
+				
+				return actual.hash;
+			})
+			.then(
+				hash => {
+					cleanupTempFiles();
+					
+					return hash;
+				},
+				error => {
+					cleanupTempFiles();
+					
+					throw error;
+				}
+			);
+	});
+};
+
+/**
+ * Check the given archive against the manifest that was uploaded alongside it.
+ *
+ * @param {SnapshotArchive} archive
+ * @param {ILogger} logger
+ *
+ * @returns {Promise.<string>} A description of what was checked, for logging
+ */
+SnapToS3.prototype.validateAnyArchiveAgainstManifest = function(archive, logger) {
+	if (archive.type === "image" || archive.type === "delta") {
+		return this.validateImageAgainstManifest(archive, logger)
+			.then(hash => "The MD5 of the " + archive.type + " (" + hash + ") matches the manifest");
+	}
+	
+	return this.validateArchiveAgainstManifest(archive, logger)
+		.then(matchedFileCount => "MD5 of all " + matchedFileCount + " files match the manifest");
+};
+
+/**
+ * Download the given tar from S3 and write a list of the hashes of the files inside it to the given file.
+ *
+ * @param {SnapshotArchive} archive
+ * @param {string} outputFilename
+ * @param {ILogger} logger
+ *
+ * @returns {Promise.<int>} The number of files hashed
+ */
+SnapToS3.prototype.hashS3TarFiles = function(archive, outputFilename, logger) {
+	const
+		bar = new ProgressBar('    hashing [:bar] :rate KB/s :percent :eta', {
+			complete: '=',
+			incomplete: ' ',
+			width: 32,
+			total: Math.floor(archive.size / 1024),
+			renderThrottle: PROGRESS_BAR_UPDATE_RATE
+		}),
+		
+		progress = new SimpleProgressStream(),
+		
+		download = this.readArchiveFromS3(archive, progress);
+	
+	progress.on("progress", bytesRead => {
+		if (!bar.complete) {
+			bar.tick(bytesRead / 1024);
+		}
+	});
+	
+	logger.info(filesize(archive.size) + " to download and hash from \"" + this.storage.describeKey(archive.key) + "\"");
+	
+	bar.render(null);
+	
+	return Promise.all([hashFiles.hashTarFilesFromStream(download.stdout, outputFilename), download]).then(
+		results => {
+			if (!bar.complete) {
+				bar.update(1.0);
+			}
+			
+			return results[0];
+		},
+		error => {
+			if (!bar.complete) {
+				bar.terminate();
+			}
+			
+			throw error;
+		}
+	);
+};
+
+/**
+ * Check that the files in the given tar in S3 match the hashes in the manifest that was uploaded alongside it at
+ * migration time. This doesn't need the original snapshot, so it's much cheaper than validating against a temporary
+ * volume.
+ *
+ * @param {SnapshotArchive} archive
+ * @param {ILogger} logger
+ *
+ * @returns {Promise.<int>} The number of files which matched
+ */
+SnapToS3.prototype.validateArchiveAgainstManifest = function(archive, logger) {
+	return fsTools.createTempDirectory("snap-to-s3-").then(tempDirectory => {
+		const
+			manifestFilename = tempDirectory + "/manifest.gz",
+			manifestHashesFile = tempDirectory + "/manifest.md5",
+			remoteHashesFile = tempDirectory + "/remote.md5",
+			
+			cleanupTempFiles = () => {
+				for (let filename of [manifestFilename, manifestHashesFile, remoteHashesFile]) {
+					try {
+						fs.unlinkSync(filename);
+					} catch (e) {
+						// It might not have been created yet
+					}
+				}
+				
+				try {
+					fs.rmdirSync(tempDirectory);
+				} catch (e) {
+					// No big deal if we leave behind some temp files
+					console.warn(e);
+				}
+			};
+		
+		let
+			manifestFileCount;
+		
+		return this.downloadManifest(archive, manifestFilename)
+			.then(() => manifest.writeHashListFromManifestFile(manifestFilename, manifestHashesFile))
+			.then(count => {
+				manifestFileCount = count;
+				
+				return this.hashS3TarFiles(archive, remoteHashesFile, logger);
+			})
+			.then(remoteFileCount => hashFiles.compareHashListFiles(
+				remoteHashesFile, "S3 tar",
+				manifestHashesFile, "manifest"
+			).then(
+				matchedFileCount => {
+					if (matchedFileCount !== remoteFileCount || matchedFileCount !== manifestFileCount) {
+						// This would indicate a bug in readHashFileAsStream() or compareSortedFileHashes()
+						throw new Error("We found " + remoteFileCount + " files in the S3 tar and " + manifestFileCount + " in its manifest, but somehow after comparing " +
+							"those two lists of file hashes, we only matched up " + matchedFileCount + " entries?");
+					}
+					
+					return matchedFileCount;
+				},
+				errors => {
+					if (Array.isArray(errors)) {
+						throw new Error("Contents of S3 tar \"" + this.storage.describeKey(archive.key) + "\" differ from its manifest!\n" + errors.join("\n"));
+					} else {
+						throw errors;
+					}
+				}
+			))
+			.then(
+				matchedFileCount => {
+					cleanupTempFiles();
+					
+					return matchedFileCount;
+				},
+				error => {
+					cleanupTempFiles();
+					
+					throw error;
+				}
+			);
+	});
+};
+
+/**
+ * Validate all of the archives that were uploaded for the given snapshot against their manifests. The snapshot
+ * doesn't need to still exist.
+ *
+ * @param {string} snapshotID
+ * @param {string} [volumeID] - ID of the volume the snapshot was made from, if known, to narrow the search
+ *
+ * @returns {Promise}
+ */
+SnapToS3.prototype.validateArchivesAgainstManifests = function(snapshotID, volumeID) {
+	const
+		logger = Logger.get(snapshotID);
+	
+	return this.findArchivesForSnapshot(snapshotID, volumeID).then(archives => {
+		if (archives.length === 0) {
+			throw "No archives of this snapshot were found in " + this.storage.describeKey("");
+		}
+		
+		let
+			promise = Promise.resolve();
+		
+		archives.forEach((archive, archiveIndex) => {
+			promise = promise
+				.then(() => {
+					logger.info("Validating archive " + (archiveIndex + 1) + " of " + archives.length + " against its manifest...");
+					
+					return this.validateAnyArchiveAgainstManifest(archive, logger);
+				})
+				.then(result => logger.info(result));
+		});
+		
+		return promise;
+	});
+};
+
+/**
+ * Find the archive in S3 with the given key, and read the details of the snapshot it was made from.
+ *
+ * @param {string} key
+ * @returns {Promise.<SnapshotArchive>}
+ */
+SnapToS3.prototype.describeArchive = function(key) {
+	return this.storage.headObject({
+		Key: key
+	}).then(
+		head => {
+			let
+				archive = parseS3KeyForSnapshotArchive(key, head.ContentLength, head.Metadata);
+			
+			if (!archive) {
+				throw "\"" + this.storage.describeKey(key) + "\" doesn't look like an archive that was created by snap-to-s3";
+			}
+			
+			return archive;
+		},
+		error => {
+			throw "\"" + this.storage.describeKey(key) + "\" wasn't readable/found! " + error;
+		}
+	);
+};
+
+/**
+ * Search the bucket for archives that were created from the given snapshot, according to their metadata. The
+ * snapshot doesn't need to still exist.
+ *
+ * @param {string} snapshotID
+ * @param {string} [volumeID] - ID of the volume the snapshot was made from, if known, to narrow the search
+ *
+ * @returns {Promise.<SnapshotArchive[]>} Sorted by partition name
+ */
+SnapToS3.prototype.findArchivesForSnapshot = function(snapshotID, volumeID) {
+	let
+		listParams = {};
+	
+	if (volumeID) {
+		listParams.Prefix = volumeID + "/";
+	}
+	
+	return this.storage.listAllObjects(listParams).then(objects => {
+		let
+			promise = Promise.resolve(),
+			archives = [];
+		
+		// Our keys always include the snapshot ID, so we only need to fetch the metadata of objects that could match
+		for (let object of objects.filter(object => object.Key.indexOf(" " + snapshotID) !== -1 && !isSidecarKey(object.Key))) {
+			promise = promise
+				.then(() => this.describeArchive(object.Key))
+				.then(
+					archive => {
+						if (archive.snapshotID === snapshotID) {
+							archives.push(archive);
+						}
+					},
+					error => {
+						// Not one of ours
+					}
+				);
+		}
+		
+		return promise.then(() => archives.sort((a, b) => comparePartitionNames(a.partitionName, b.partitionName)));
+	});
+};
+
+/**
+ * Ask S3 to restore the given archived object, so that it can be read for --glacier-days days.
+ *
+ * @param {string} key
+ * @param {S3.HeadObjectOutput} head
+ *
+ * @returns {Promise}
+ */
+SnapToS3.prototype.requestArchiveRestore = function(key, head) {
+	const
+		restoreRequest = {
+			GlacierJobParameters: {
+				Tier: this.options["glacier-tier"]
+			}
+		};
+	
+	// Objects in the archive tiers of INTELLIGENT_TIERING move back to a readable tier for good, so don't have an expiry
+	if (!head.ArchiveStatus) {
+		restoreRequest.Days = this.options["glacier-days"];
+	}
+	
+	return this.s3.restoreObject({
+		Bucket: this.options.bucket,
+		Key: key,
+		RestoreRequest: restoreRequest
+	}).promise().catch(error => {
+		// Someone else already asked for it to be restored
+		if (error.code !== "RestoreAlreadyInProgress") {
+			throw "Couldn't request a restore of \"" + this.storage.describeKey(key) + "\": " + error;
+		}
+	});
+};
+
+/**
+ * Make sure that the archives of the given snapshot (and for incremental tars, the rest of their chains) can be read,
+ * before we start validating them. Archives which are in GLACIER or DEEP_ARCHIVE have to be restored first, and
+ * --glacier decides what we do about them:
+ *
+ * - "skip" rejects with an ArchivesNotRestoredError
+ * - "restore" requests that they're restored, then rejects with an ArchivesNotRestoredError, so that a later run can
+ *   validate them once they're ready
+ * - "wait" requests that they're restored, then waits (possibly for many hours) until they're ready
+ *
+ * @param {string} snapshotID
+ * @param {string} [volumeID]
+ * @param {ILogger} logger
+ *
+ * @returns {Promise}
+ */
+SnapToS3.prototype.prepareArchivesForReading = function(snapshotID, volumeID, logger) {
+	const
+		headArchives = keys => Promise.all(keys.map(key => this.storage.headObject({
+			Key: key
+		}))),
+		
+		waitForRestores = keys => headArchives(keys).then(heads => {
+			const
+				restoringKeys = keys.filter((key, index) => describeArchivedState(heads[index]) !== "readable");
+			
+			if (restoringKeys.length === 0) {
+				logger.info("The archives have been restored");
+				return;
+			}
+			
+			logger.info("Waiting for " + restoringKeys.length + " archive" + (restoringKeys.length === 1 ? "" : "s") + " to be restored from " + this.options["glacier-tier"] + " retrieval...");
+			
+			return new Promise(resolve => setTimeout(resolve, GLACIER_RESTORE_POLL_INTERVAL)).then(() => waitForRestores(restoringKeys));
+		});
+	
+	return this.findArchivesForSnapshot(snapshotID, volumeID)
+		.then(archives => {
+			// Validating against the snapshot rebuilds incremental tars from their whole chain
+			if (this.options["against-manifest"]) {
+				return archives;
+			}
+			
+			return Promise.all(archives.map(archive => archive.type === "tar" && archive.incrementalLevel > 0 ? this.describeTarChain(archive) : [archive]))
+				.then(chains => [].concat.apply([], chains));
+		})
+		.then(archives => {
+			const
+				keys = archives.map(archive => archive.key).filter((key, index, keys) => keys.indexOf(key) === index);
+			
+			return headArchives(keys).then(heads => {
+				const
+					archivedKeys = keys.filter((key, index) => describeArchivedState(heads[index]) === "archived"),
+					restoringKeys = keys.filter((key, index) => describeArchivedState(heads[index]) === "restoring");
+				
+				if (archivedKeys.length === 0 && restoringKeys.length === 0) {
+					return;
+				}
+				
+				if (this.options.glacier === "skip") {
+					throw new ArchivesNotRestoredError(archivedKeys.concat(restoringKeys), restoringKeys.length > 0 ? "some are already being restored" : "use --glacier restore or --glacier wait to restore them");
+				}
+				
+				logger.info("Requesting " + this.options["glacier-tier"] + " restores of " + archivedKeys.length + " archived object" + (archivedKeys.length === 1 ? "" : "s") + "...");
+				
+				return Promise.all(archivedKeys.map(key => this.requestArchiveRestore(key, heads[keys.indexOf(key)])))
+					.then(() => {
+						if (this.options.glacier === "restore") {
+							throw new ArchivesNotRestoredError(archivedKeys.concat(restoringKeys), "a restore has been requested, so run --validate again once it's complete");
+						}
+						
+						return waitForRestores(archivedKeys.concat(restoringKeys));
+					});
+			});
+		});
+};
+
+/**
+ * Decompress the given tar from S3 and unpack its files into the given directory.
+ *
+ * @param {SnapshotArchive} archive
+ * @param {string} directory
+ * @param {ILogger} logger
+ *
+ * @returns {Promise}
+ */
+SnapToS3.prototype.extractS3TarToDirectory = function(archive, directory, logger) {
+	const
+		bar = new ProgressBar('  restoring [:bar] :rate KB/s :percent :eta', {
+			complete: '=',
+			incomplete: ' ',
+			width: 32,
+			total: Math.floor(archive.size / 1024),
+			renderThrottle: PROGRESS_BAR_UPDATE_RATE
+		}),
+		
+		progress = new SimpleProgressStream(),
+		
+		download = this.readArchiveFromS3(archive, progress),
+		
+		// Keep the original numeric owners, since the usernames on this instance could map to different IDs
+		tarArgs = ["-x", "-p", "--numeric-owner"]
+			.concat(archive.metadata["tar-level"] !== undefined ? tarTools.extractIncrementalArgs() : [])
+			.concat(["-f", "-"]),
+		
+		tar = spawn.spawnAsPromise("tar", tarArgs, {
+			cwd: directory,
+			stdio: ["pipe", "ignore", process.stderr]
+		}),
+		
+		extractPipeline = spawn.pipelineAsPromise(download.stdout, tar.stdin);
+	
+	progress.on("progress", bytesRead => {
+		if (!bar.complete) {
+			bar.tick(bytesRead / 1024);
+		}
+	});
+	
+	logger.info(filesize(archive.size) + " to download and decompress to " + directory);
+	logger.info("Progress is based on the compressed data size:");
+	
+	bar.render(null);
+	
+	return Promise.all([download, tar, extractPipeline]).then(
+		() => {
+			if (!bar.complete) {
+				bar.update(1.0);
+			}
+		},
+		error => {
+			if (!bar.complete) {
+				bar.terminate();
+			}
+			
+			throw error;
+		}
+	);
+};
+
+/**
+ * Create a new EBS volume with a filesystem for each of the given tars, and unpack the tars into them. The new
+ * volume is left attached to this instance, with its filesystems mounted.
+ *
+ * @param {SnapshotArchive[]} archives - Tars of each of the partitions of one snapshot
+ * @param {ILogger} logger
+ *
+ * @returns {Promise.<RestoreResult>}
+ */
+SnapToS3.prototype.restoreTarsToNewVolume = function(archives, logger) {
+	// Incremental tars need every tar of their chain to be unpacked in turn
+	return Promise.all(archives.map(archive => this.describeTarChain(archive)))
+		.then(chains => this.restoreTarChainsToNewVolume(chains, logger));
+};
+
+/**
+ * Like restoreTarsToNewVolume(), but each partition is restored from a chain of tars, which are unpacked in order (so
+ * a full tar on its own is a chain of one).
+ *
+ * @param {SnapshotArchive[][]} chains - For each partition, the tars from describeTarChain()
+ * @param {ILogger} logger
+ *
+ * @returns {Promise.<RestoreResult>}
+ */
+SnapToS3.prototype.restoreTarChainsToNewVolume = function(chains, logger) {
+	const
+		archives = chains.map(chain => chain[chain.length - 1]),
+		snapshotID = archives[0].snapshotID,
+		
+		// Files can appear in several levels of a chain, so this can overestimate, but never underestimates
+		uncompressedSizes = chains.map(chain => chain
+			.map(archive => parseInt(archive.metadata["uncompressed-size"], 10) || 0)
+			.reduce((a, b) => a + b, 0)
+		),
+		totalUncompressedSize = uncompressedSizes.reduce((a, b) => a + b, 0),
+		
+		usePartitionTable = !(archives.length === 1 && archives[0].partitionName === ""),
+		
+		volumeSizeGB = Math.max(
+			parseInt(archives[0].metadata["snapshot-volumesize"], 10) || 1,
+			Math.ceil(totalUncompressedSize * RESTORE_FILESYSTEM_OVERHEAD / GIBIBYTE)
+		);
+	
+	let
+		createdVolumeID = null,
+		volume,
+		disk,
+		mountPoints = [],
+		
+		// Including the partitions we haven't finished restoring yet
+		mountedPoints = [];
+	
+	logger.info("Creating a " + volumeSizeGB + "GB EBS volume of type \"" + this.options["volume-type"] + "\" to restore into");
+	
+	return this.createRestoreVolume(volumeSizeGB, snapshotID)
+		.then(createdVolume => {
+			createdVolumeID = createdVolume.VolumeId;
+			
+			logger.info("Created " + createdVolume.VolumeId + ", waiting for it to become available...");
+			
+			return awsTools.waitForVolumeState(this.ec2, createdVolume.VolumeId, "available", 60, 10 * 1000);
+		})
+		.then(availableVolume => this.attachVolumeToInstance(availableVolume, logger))
+		.then(attachedVolume => {
+			volume = attachedVolume;
+			
+			logger.info("Waiting for " + volume.VolumeId + " to become visible to the operating system...");
+			
+			return awsTools.waitForVolumePartitions(volume, this.instanceIdentity.instanceId, PARTITION_POLL_MAX_RETRY, PARTITION_POLL_INTERVAL);
+		})
+		.then(devices => {
+			disk = filterBlockDevicesToGetRawDisk(devices);
+			
+			if (devices.length > 1 || disk.FSTYPE !== "") {
+				throw "The new volume " + volume.VolumeId + " (" + disk.DEVICEPATH + ") should be blank, but it already has partitions or a filesystem on it!";
+			}
+			
+			if (!usePartitionTable) {
+				return [disk];
+			}
+			
+			logger.info("Dividing " + disk.DEVICEPATH + " into " + archives.length + " partition" + (archives.length > 1 ? "s" : "") + "...");
+			
+			return fsTools.divideDiskIntoPartitions(disk, uncompressedSizes.map(size => Math.max(size, 1)))
+				.then(() => awsTools.waitForVolumePartitions(volume, this.instanceIdentity.instanceId, PARTITION_POLL_MAX_RETRY, PARTITION_POLL_INTERVAL))
+				.then(devices => {
+					let
+						partitions = devices
+							.filter(device => device.TYPE === "part")
+							.sort((a, b) => comparePartitionNames(a.PARTNAME, b.PARTNAME));
+					
+					if (partitions.length !== archives.length) {
+						throw "Expected " + archives.length + " partitions to appear on " + disk.DEVICEPATH + " after partitioning it, but found " + partitions.length;
+					}
+					
+					return partitions;
+				});
+		})
+		.then(partitions => {
+			let
+				promise = Promise.resolve();
+			
+			archives.forEach((archive, archiveIndex) => {
+				const
+					partition = partitions[archiveIndex],
+					mountPoint = this.decideMountpointForRestoredPartition(snapshotID, archive.partitionName);
+				
+				promise = promise
+					.then(() => {
+						logger.info("Restoring partition " + (archiveIndex + 1) + " of " + archives.length + " from \"" + this.storage.describeKey(archive.key) + "\"...");
+						logger.info("Creating " + this.options.filesystem + " filesystem on " + partition.DEVICEPATH + "...");
+						
+						return fsTools.makeFilesystem(partition.DEVICEPATH, this.options.filesystem);
+					})
+					.then(() => fsTools.forcePath(mountPoint))
+					.then(() => fsTools.verifyDirectoryEmpty(mountPoint).catch(err => {
+						throw "Mountpoint " + mountPoint + " is not empty!";
+					}))
+					.then(() => {
+						logger.info("Mounting " + partition.DEVICEPATH + " at " + mountPoint + "...");
+						
+						return fsTools.mountPartition(partition.DEVICEPATH, this.options.filesystem, mountPoint, false).then(() => {
+							mountedPoints.push(mountPoint);
+						});
+					})
+					.then(() => {
+						let
+							extractPromise = Promise.resolve();
+						
+						for (let link of chains[archiveIndex]) {
+							extractPromise = extractPromise.then(() => {
+								if (chains[archiveIndex].length > 1) {
+									logger.info("Unpacking level " + link.incrementalLevel + " of " + (chains[archiveIndex].length - 1) + " from \"" + this.storage.describeKey(link.key) + "\"...");
+								}
+								
+								return this.extractS3TarToDirectory(link, mountPoint, logger);
+							});
+						}
+						
+						return extractPromise;
+					})
+					.then(() => {
+						mountPoints.push(mountPoint);
+						
+						logger.info("Restored partition successfully!");
+						logger.info("");
+					});
+			});
+			
+			return promise;
+		})
+		.then(
+			() => ({
+				snapshotID: snapshotID,
+				volumeID: volume.VolumeId,
+				devicePath: disk.DEVICEPATH,
+				mountPoints: mountPoints
+			}),
+			error => {
+				if (createdVolumeID === null) {
+					throw error;
+				}
+				
+				return this.discardRestoreVolume(createdVolumeID, mountedPoints, logger).then(() => {
+					throw error;
+				});
+			}
+		);
+};
+
+/**
+ * Make sure that it's safe to write a disk image over the given device. It mustn't be mounted, and unless the
+ * user has passed --force, it mustn't contain any partitions or filesystems that we'd be destroying.
+ *
+ * @param {string} devicePath
+ * @param {int} requiredSize - Size in bytes of the image to be written
+ *
+ * @returns {Promise.<BlockDevice>}
+ */
+SnapToS3.prototype.checkDeviceIsSafeToOverwrite = function(devicePath, requiredSize) {
+	return fsTools.findBlockDevice(devicePath).then(found => {
+		const
+			device = found.device,
+			allDevices = [device].concat(found.children),
+			mounted = allDevices.filter(device => device.MOUNTPOINT !== ""),
+			formatted = allDevices.filter(device => device.FSTYPE !== "");
+		
+		if (device.TYPE === "part") {
+			throw devicePath + " is a partition, but a dd image must be restored to a whole disk";
+		}
+		
+		// Even --force doesn't let us scribble over a filesystem that's in use, unmount it first!
+		if (mounted.length > 0) {
+			throw "Refusing to overwrite " + devicePath + " because it's in use: " + mounted.map(device => device.DEVICEPATH + " is mounted at " + device.MOUNTPOINT).join(", ");
+		}
+		
+		if (device.SIZE < requiredSize) {
+			throw devicePath + " is too small to hold this image (it's " + filesize(device.SIZE) + " but the image is " + filesize(requiredSize) + ")";
+		}
+		
+		if (!this.options.force) {
+			if (formatted.length > 0) {
+				throw "Refusing to overwrite " + devicePath + " because it contains a filesystem (" + formatted.map(device => device.DEVICEPATH + " is " + device.FSTYPE).join(", ") + "), pass --force if you really want to destroy it";
+			}
+			if (found.children.length > 0) {
+				throw "Refusing to overwrite " + devicePath + " because it has a partition table, pass --force if you really want to destroy it";
+			}
+		}
+		
+		return device;
+	});
+};
+
+/**
+ * Decompress the given dd image from S3 and write it to the start of the given device.
+ *
+ * @param {SnapshotArchive} archive
+ * @param {string} devicePath
+ * @param {ILogger} logger
+ *
+ * @returns {Promise.<{hash: string, length: int}>} The MD5 of the decompressed image, and its length
+ */
+SnapToS3.prototype.writeS3ImageToDevice = function(archive, devicePath, logger) {
+	let
+		bytesWritten = 0;
+	
+	const
+		bar = new ProgressBar('  restoring [:bar] :rate KB/s :percent :eta', {
+			complete: '=',
+			incomplete: ' ',
+			width: 32,
+			total: Math.floor(archive.size / 1024),
+			renderThrottle: PROGRESS_BAR_UPDATE_RATE
+		}),
+		
+		// We keep hold of the fd ourselves so that we can fsync it before closing
+		fd = fs.openSync(devicePath, "r+"),
+		
+		deviceStream = fs.createWriteStream("", {
+			fd: fd,
+			autoClose: false
+		}),
+		
+		progress = new SimpleProgressStream(),
+		
+		download = this.readArchiveFromS3(archive, progress),
+		
+		decompressedMeter = new SimpleProgressStream(),
+		
+		hash = hashFiles.md5StreamAsPromise(),
+		
+		writePipeline = spawn.pipelineAsPromise(download.stdout, decompressedMeter, deviceStream),
+		hashPipeline = spawn.pipelineAsPromise(decompressedMeter, hash.stdin);
+	
+	progress.on("progress", bytesRead => {
+		if (!bar.complete) {
+			bar.tick(bytesRead / 1024);
+		}
+	});
+	
+	decompressedMeter.on("progress", bytesDecompressed => {
+		bytesWritten += bytesDecompressed;
+	});
+	
+	logger.info(filesize(archive.size) + " to download and decompress to " + devicePath);
+	logger.info("Progress is based on the compressed data size:");
+	
+	bar.render(null);
+	
+	return Promise.all([hash, download, writePipeline, hashPipeline]).then(
+		results => {
+			fs.fsyncSync(fd);
+			fs.closeSync(fd);
+			
+			if (!bar.complete) {
+				bar.update(1.0);
+			}
+			
+			return {
+				hash: results[0],
+				length: bytesWritten
+			};
+		},
+		error => {
+			try {
+				fs.closeSync(fd);
+			} catch (e) {
+				// We're already reporting a more interesting error
+			}
+			
+			if (!bar.complete) {
+				bar.terminate();
+			}
+			
+			throw error;
+		}
+	);
+};
+
+/**
+ * Compute the MD5 of the first "length" bytes of the given file or device.
+ *
+ * @param {string} filename
+ * @param {int} length
+ *
+ * @returns {Promise.<string>}
+ */
+SnapToS3.prototype.hashFilePrefix = function(filename, length) {
+	const
+		bar = new ProgressBar('  verifying [:bar] :rate KB/s :percent :eta', {
+			complete: '=',
+			incomplete: ' ',
+			width: 32,
+			total: Math.floor(length / 1024),
+			renderThrottle: PROGRESS_BAR_UPDATE_RATE
+		}),
+		
+		fileStream = fs.createReadStream(filename, {
+			flags: "r",
+			encoding: null,
+			start: 0,
+			end: length - 1 // Inclusive
+		}),
+		
+		progress = new SimpleProgressStream(),
+		
+		hash = hashFiles.md5StreamAsPromise(),
+		
+		pipeline = spawn.pipelineAsPromise(fileStream, progress, hash.stdin);
+	
+	progress.on("progress", bytesRead => {
+		if (!bar.complete) {
+			bar.tick(bytesRead / 1024);
+		}
+	});
+	
+	bar.render(null);
+	
+	return Promise.all([hash, pipeline]).then(
+		results => {
+			if (!bar.complete) {
+				bar.update(1.0);
+			}
+			
+			return results[0];
+		},
+		error => {
+			if (!bar.complete) {
+				bar.terminate();
+			}
+			
+			throw error;
+		}
+	);
+};
+
+/**
+ * Write the given dd image from S3 to the given device, then read it back to check that the device's content
+ * hashes to the same MD5 as the decompressed image.
+ *
+ * @param {SnapshotArchive} archive
+ * @param {string} devicePath
+ * @param {ILogger} logger
+ *
+ * @returns {Promise}
+ */
+SnapToS3.prototype.restoreImageToDevice = function(archive, devicePath, logger) {
+	const
+		imageSize = parseInt(archive.metadata["uncompressed-size"], 10) || 0;
+	
+	return this.checkDeviceIsSafeToOverwrite(devicePath, imageSize)
+		.then(() => {
+			logger.info("Restoring \"" + this.storage.describeKey(archive.key) + "\" to " + devicePath + "...");
+			
+			return this.writeS3ImageToDevice(archive, devicePath, logger);
+		})
+		.then(written => {
+			logger.info("Reading back the " + filesize(written.length) + " written to " + devicePath + " to verify it...");
+			
+			return fsTools.flushDeviceBuffers(devicePath)
+				.catch(err => {
+					logger.warn("Couldn't flush the kernel's buffers for " + devicePath + ", so we might verify a cached copy: " + err);
+				})
+				.then(() => this.hashFilePrefix(devicePath, written.length))
+				.then(deviceHash => {
+					if (deviceHash !== written.hash) {
+						throw "Hash of " + devicePath + " after restoring (" + deviceHash + ") does not match the decompressed S3 object (" + written.hash + ")";
+					}
+					
+					logger.info("The MD5 of " + devicePath + " (" + deviceHash + ") successfully matches the copy in S3!");
+				});
+		})
+		.then(() => fsTools.rereadPartitionTable(devicePath).catch(err => {
+			logger.warn("Couldn't get the kernel to notice the restored partition table on " + devicePath + ", you may need to run partprobe: " + err);
+		}));
+};
+
+/**
+ * Create a new EBS volume to restore a dd image onto, and attach it here.
+ *
+ * @param {int} volumeSizeGB
+ * @param {string} snapshotID - The snapshot being restored
+ * @param {ILogger} logger
+ *
+ * @returns {Promise.<{volume: EC2.Volume, disk: BlockDevice}>}
+ */
+SnapToS3.prototype.createAndAttachRestoreVolume = function(volumeSizeGB, snapshotID, logger) {
+	let
+		createdVolumeID = null,
+		volume;
+	
+	logger.info("Creating a " + volumeSizeGB + "GB EBS volume of type \"" + this.options["volume-type"] + "\" to restore into");
+	
+	return this.createRestoreVolume(volumeSizeGB, snapshotID)
+		.then(createdVolume => {
+			createdVolumeID = createdVolume.VolumeId;
+			
+			logger.info("Created " + createdVolume.VolumeId + ", waiting for it to become available...");
+			
+			return awsTools.waitForVolumeState(this.ec2, createdVolume.VolumeId, "available", 60, 10 * 1000);
+		})
+		.then(availableVolume => this.attachVolumeToInstance(availableVolume, logger))
+		.then(attachedVolume => {
+			volume = attachedVolume;
+			
+			logger.info("Waiting for " + volume.VolumeId + " to become visible to the operating system...");
+			
+			return awsTools.waitForVolumePartitions(volume, this.instanceIdentity.instanceId, PARTITION_POLL_MAX_RETRY, PARTITION_POLL_INTERVAL);
+		})
+		.then(
+			devices => ({
+				volume: volume,
+				disk: filterBlockDevicesToGetRawDisk(devices)
+			}),
+			error => {
+				if (createdVolumeID === null) {
+					throw error;
+				}
+				
+				return this.discardRestoreVolume(createdVolumeID, [], logger).then(() => {
+					throw error;
+				});
+			}
+		);
+};
+
+/**
+ * Clean up the new volume of a restore that failed, since a half-restored volume is no use to anybody: unmount its
+ * filesystems, detach it and delete it (or keep it with --keep-temp-volumes). If that fails too, we log its ID so that
+ * it can be found and cleaned up by hand.
+ *
+ * @param {string} volumeID
+ * @param {string[]} mountPoints - Where we've mounted its partitions
+ * @param {ILogger} logger
+ *
+ * @returns {Promise} Resolves once we're done trying
+ */
+SnapToS3.prototype.discardRestoreVolume = function(volumeID, mountPoints, logger) {
+	if (this.options["keep-temp-volumes"]) {
+		logger.warn("Restoring failed, keeping the volume " + volumeID + " that we created for it");
+		
+		return Promise.resolve();
+	}
+	
+	logger.warn("Restoring failed, deleting the volume " + volumeID + " that we created for it");
+	
+	let
+		promise = Promise.resolve();
+	
+	for (let mountPoint of mountPoints.slice().reverse()) {
+		promise = promise.then(() => fsTools.unmount(mountPoint));
+	}
+	
+	return promise
+		.then(() => this.ec2.describeVolumes({VolumeIds: [volumeID]}).promise())
+		.then(data => {
+			if (data.Volumes[0].Attachments.length === 0) {
+				return;
+			}
+			
+			return this.ec2.detachVolume({
+				VolumeId: volumeID
+			}).promise()
+				.then(() => awsTools.waitForVolumeState(this.ec2, volumeID, "available", 60, 10 * 1000));
+		})
+		.then(() => this.ec2.deleteVolume({
+			VolumeId: volumeID
+		}).promise())
+		.catch(error => {
+			logger.warn("Couldn't delete the volume " + volumeID + " that we created to restore into, you'll need to clean it up yourself: " + error);
+		});
+};
+
+/**
+ * Create a new EBS volume to hold the given dd image, attach it here, and restore the image onto it.
+ *
+ * @param {SnapshotArchive} archive
+ * @param {ILogger} logger
+ *
+ * @returns {Promise.<RestoreResult>}
+ */
+SnapToS3.prototype.restoreImageToNewVolume = function(archive, logger) {
+	const
+		volumeSizeGB = Math.max(
+			parseInt(archive.metadata["snapshot-volumesize"], 10) || 1,
+			Math.ceil((parseInt(archive.metadata["uncompressed-size"], 10) || 0) / GIBIBYTE)
+		);
+	
+	return this.createAndAttachRestoreVolume(volumeSizeGB, archive.snapshotID, logger)
+		.then(created =>
+			this.restoreImageToDevice(archive, created.disk.DEVICEPATH, logger)
+				.then(
+					() => ({
+						snapshotID: archive.snapshotID,
+						volumeID: created.volume.VolumeId,
+						devicePath: created.disk.DEVICEPATH,
+						mountPoints: []
+					}),
+					error => this.discardRestoreVolume(created.volume.VolumeId, [], logger).then(() => {
+						throw error;
+					})
+				)
+		);
+};
+
+/**
+ * Decompress the given delta from S3 and write its blocks into the given device, then read those blocks back to check
+ * that they hash to the same MD5 as the blocks in the delta.
+ *
+ * @param {SnapshotArchive} archive
+ * @param {string} devicePath
+ * @param {ILogger} logger
+ *
+ * @returns {Promise}
+ */
+SnapToS3.prototype.applyS3DeltaToDevice = function(archive, devicePath, logger) {
+	const
+		bar = new ProgressBar('  applying [:bar] :rate KB/s :percent :eta', {
+			complete: '=',
+			incomplete: ' ',
+			width: 32,
+			total: Math.floor(archive.size / 1024),
+			renderThrottle: PROGRESS_BAR_UPDATE_RATE
+		}),
+		
+		fd = fs.openSync(devicePath, "r+"),
+		
+		progress = new SimpleProgressStream(),
+		
+		download = this.readArchiveFromS3(archive, progress),
+		
+		applier = new incremental.DeltaApplyStream(fd),
+		
+		applyPipeline = spawn.pipelineAsPromise(download.stdout, applier);
+	
+	progress.on("progress", bytesRead => {
+		if (!bar.complete) {
+			bar.tick(bytesRead / 1024);
+		}
+	});
+	
+	logger.info("Applying \"" + this.storage.describeKey(archive.key) + "\" to " + devicePath + " (" + filesize(archive.size) + " to download)...");
+	
+	bar.render(null);
+	
+	return Promise.all([download, applyPipeline])
+		.then(() => {
+			if (!applier.complete) {
+				throw "\"" + this.storage.describeKey(archive.key) + "\" is truncated, it's missing its end marker";
+			}
+			
+			fs.fsyncSync(fd);
+			fs.closeSync(fd);
+			
+			if (!bar.complete) {
+				bar.update(1.0);
+			}
+		}, error => {
+			try {
+				fs.closeSync(fd);
+			} catch (e) {
+				// We're already reporting a more interesting error
+			}
+			
+			if (!bar.complete) {
+				bar.terminate();
+			}
+			
+			throw error;
+		})
+		.then(() => {
+			const
+				expectedHash = applier.digest();
+			
+			logger.info("Reading back the " + applier.blockIndexes.length + " blocks written to " + devicePath + " to verify them...");
+			
+			return fsTools.flushDeviceBuffers(devicePath)
+				.catch(err => {
+					logger.warn("Couldn't flush the kernel's buffers for " + devicePath + ", so we might verify a cached copy: " + err);
+				})
+				.then(() => {
+					const
+						readFd = fs.openSync(devicePath, "r");
+					
+					return incremental.hashBlocksOfFile(readFd, applier.blockIndexes, applier.blockSize).then(
+						hash => {
+							fs.closeSync(readFd);
+							
+							if (hash !== expectedHash) {
+								throw "Hash of the blocks written to " + devicePath + " (" + hash + ") does not match the blocks in the delta (" + expectedHash + ")";
+							}
+						},
+						error => {
+							fs.closeSync(readFd);
+							
+							throw error;
+						}
+					);
+				});
+		});
+};
+
+/**
+ * Find the full image and deltas that make up the chain that rebuilds the snapshot of the given delta, and check that
+ * they fit together.
+ *
+ * @param {SnapshotArchive} delta
+ *
+ * @returns {Promise.<{chain: ChainManifest, base: SnapshotArchive, deltas: SnapshotArchive[]}>}
+ */
+SnapToS3.prototype.describeDeltaChain = function(delta) {
+	let
+		chain;
+	
+	return this.downloadChainManifest(delta)
+		.then(_chain => {
+			chain = _chain;
+			
+			if (chain.snapshotID !== delta.snapshotID || chain.deltas[chain.deltas.length - 1].key !== delta.key) {
+				throw "The chain manifest of \"" + this.storage.describeKey(delta.key) + "\" describes a different delta";
+			}
+			
+			return Promise.all([chain.base].concat(chain.deltas).map(link => this.describeArchive(link.key)));
+		})
+		.then(archives => {
+			const
+				base = archives[0],
+				deltas = archives.slice(1);
+			
+			if (base.type !== "image") {
+				throw "The chain for \"" + this.storage.describeKey(delta.key) + "\" should start with a full image, but starts with " + base.key;
+			}
+			
+			deltas.forEach((link, index) => {
+				const
+					parent = index === 0 ? base : deltas[index - 1];
+				
+				if (link.type !== "delta" || link.metadata["incremental-parent-snapshotid"] !== parent.snapshotID) {
+					throw "The chain for \"" + this.storage.describeKey(delta.key) + "\" is broken, " + link.key + " isn't a delta from " + parent.snapshotID;
+				}
+			});
+			
+			return {
+				chain: chain,
+				base: base,
+				deltas: deltas
+			};
+		});
+};
+
+/**
+ * Rebuild the snapshot of the given delta onto the given device, by restoring the full image at the start of its chain
+ * and then applying each delta in turn.
+ *
+ * @param {SnapshotArchive} delta
+ * @param {string} devicePath
+ * @param {ILogger} logger
+ *
+ * @returns {Promise}
+ */
+SnapToS3.prototype.restoreDeltaChainToDevice = function(delta, devicePath, logger) {
+	return this.describeDeltaChain(delta).then(described => {
+		let
+			promise = this.checkDeviceIsSafeToOverwrite(devicePath, described.chain.volumeSize * GIBIBYTE)
+				.then(() => {
+					logger.info("Rebuilding this snapshot from " + described.base.snapshotID + " and " + described.deltas.length + " delta" + (described.deltas.length === 1 ? "" : "s"));
+					
+					return this.restoreImageToDevice(described.base, devicePath, logger);
+				});
+		
+		described.deltas.forEach((link, index) => {
+			promise = promise
+				.then(() => {
+					logger.info("Applying delta " + (index + 1) + " of " + described.deltas.length + " (from " + link.snapshotID + ")...");
+					
+					return this.applyS3DeltaToDevice(link, devicePath, logger);
+				});
+		});
+		
+		return promise
+			.then(() => logger.info("The blocks of every delta were successfully written to " + devicePath))
+			.then(() => fsTools.rereadPartitionTable(devicePath).catch(err => {
+				logger.warn("Couldn't get the kernel to notice the restored partition table on " + devicePath + ", you may need to run partprobe: " + err);
+			}));
+	});
+};
+
+/**
+ * Create a new EBS volume to hold the snapshot of the given delta, attach it here, and rebuild the snapshot onto it.
+ *
+ * @param {SnapshotArchive} delta
+ * @param {ILogger} logger
+ *
+ * @returns {Promise.<RestoreResult>}
+ */
+SnapToS3.prototype.restoreDeltaChainToNewVolume = function(delta, logger) {
+	const
+		volumeSizeGB = parseInt(delta.metadata["snapshot-volumesize"], 10) || 1;
+	
+	return this.createAndAttachRestoreVolume(volumeSizeGB, delta.snapshotID, logger)
+		.then(created =>
+			this.restoreDeltaChainToDevice(delta, created.disk.DEVICEPATH, logger)
+				.then(
+					() => ({
+						snapshotID: delta.snapshotID,
+						volumeID: created.volume.VolumeId,
+						devicePath: created.disk.DEVICEPATH,
+						mountPoints: []
+					}),
+					error => this.discardRestoreVolume(created.volume.VolumeId, [], logger).then(() => {
+						throw error;
+					})
+				)
+		);
+};
+
+/**
+ * Restore the given set of archives, which must all belong to the same snapshot.
+ *
+ * @param {SnapshotArchive[]} archives
+ *
+ * @returns {Promise.<RestoreResult>}
+ */
+SnapToS3.prototype._restoreArchives = function(archives) {
+	const
+		snapshotID = archives[0].snapshotID,
+		logger = Logger.get(snapshotID);
+	
+	logger.info("Restoring " + snapshotID + " from S3");
+	
+	return Promise.resolve()
+		.then(() => {
+			const
+				images = archives.filter(archive => archive.type === "image"),
+				deltas = archives.filter(archive => archive.type === "delta"),
+				tars = archives.filter(archive => archive.type === "tar");
+			
+			if (images.length === 0 && deltas.length > 0) {
+				if (this.options.device) {
+					return this.restoreDeltaChainToDevice(deltas[0], this.options.device, logger)
+						.then(() => ({
+							snapshotID: snapshotID,
+							volumeID: null,
+							devicePath: this.options.device,
+							mountPoints: []
+						}));
+				}
+				
+				return this.restoreDeltaChainToNewVolume(deltas[0], logger);
+			}
+			
+			if (images.length > 0) {
+				if (tars.length > 0) {
+					logger.info("This snapshot was uploaded both as a dd image and as tars, restoring the dd image");
+				}
+				
+				if (this.options.device) {
+					return this.restoreImageToDevice(images[0], this.options.device, logger)
+						.then(() => ({
+							snapshotID: snapshotID,
+							volumeID: null,
+							devicePath: this.options.device,
+							mountPoints: []
+						}));
+				}
+				
+				return this.restoreImageToNewVolume(images[0], logger);
+			}
+			
+			if (this.options.device) {
+				throw "--device can only be used to restore dd images, but this snapshot was uploaded as tars";
+			}
+			
+			return this.restoreTarsToNewVolume(tars, logger);
+		})
+		.then(
+			result => {
+				logger.info("Successfully restored this snapshot to " + (result.volumeID || result.devicePath) + (result.mountPoints.length > 0 ? ", mounted at " + result.mountPoints.join(", ") : ""));
+				Logger.info(""); // No prefix on this empty line
+				
+				return result;
+			},
+			err => {
+				throw new SnapToS3.SnapshotRestoreError(err, snapshotID);
+			}
+		);
+};
+
+/**
+ * Restore the archives that were uploaded from the given snapshots to new EBS volumes. The snapshots don't need to
+ * exist any more, their archives are found by searching the bucket.
+ *
+ * @param {string[]} snapshotIDs
+ * @returns {Promise.<RestoreResult[]>}
+ */
+SnapToS3.prototype.restoreSnapshots = function(snapshotIDs) {
+	let
+		promise = this.initPromise,
+		results = [];
+	
+	if (this.options.device && snapshotIDs.length > 1) {
+		throw "Only one snapshot can be restored to --device at a time";
+	}
+	
+	for (let snapshotID of snapshotIDs) {
+		promise = promise
+			.then(() => this.findArchivesForSnapshot(snapshotID))
+			.then(archives => {
+				if (archives.length === 0) {
+					throw new SnapToS3.SnapshotRestoreError("No archives of this snapshot were found in " + this.storage.describeKey(""), snapshotID);
+				}
+				
+				return this._restoreArchives(archives);
+			})
+			.then(result => {
+				results.push(result);
+			});
+	}
+	
+	return promise.then(() => results);
+};
+
+/**
+ * Restore the archives with the given S3 keys to new EBS volumes. Archives of different partitions of the same snapshot
+ * are restored together onto one volume.
+ *
+ * @param {string[]} keys
+ * @returns {Promise.<RestoreResult[]>}
+ */
+SnapToS3.prototype.restoreKeys = function(keys) {
+	return this.initPromise
+		.then(() => Promise.all(keys.map(key => this.describeArchive(key))))
+		.then(archives => {
+			let
+				archivesBySnapshot = {},
+				promise = Promise.resolve(),
+				results = [];
+			
+			for (let archive of archives) {
+				if (!(archive.snapshotID in archivesBySnapshot)) {
+					archivesBySnapshot[archive.snapshotID] = [];
+				}
+				archivesBySnapshot[archive.snapshotID].push(archive);
+			}
+			
+			if (this.options.device && Object.keys(archivesBySnapshot).length > 1) {
+				throw "Only one snapshot can be restored to --device at a time";
+			}
+			
+			for (let snapshotID in archivesBySnapshot) {
+				let
+					snapshotArchives = archivesBySnapshot[snapshotID].sort((a, b) => comparePartitionNames(a.partitionName, b.partitionName));
+				
+				promise = promise
+					.then(() => this._restoreArchives(snapshotArchives))
+					.then(result => {
+						results.push(result);
+					});
+			}
+			
+			return promise.then(() => results);
+		});
+};
+
+/**
+ * Decompress the given tar from S3, and write the files from it which are accepted by the matcher into the given
+ * directory.
+ *
+ * @param {SnapshotArchive} archive
+ * @param {string} directory
+ * @param {function(string):boolean} matcher
+ * @param {ILogger} logger
+ *
+ * @returns {Promise.<TarExtractionResult>}
+ */
+SnapToS3.prototype.extractS3TarFilesToDirectory = function(archive, directory, matcher, logger) {
+	const
+		bar = new ProgressBar('  extracting [:bar] :rate KB/s :percent :eta', {
+			complete: '=',
+			incomplete: ' ',
+			width: 32,
+			total: Math.floor(archive.size / 1024),
+			renderThrottle: PROGRESS_BAR_UPDATE_RATE
+		}),
+		
+		progress = new SimpleProgressStream(),
+		
+		download = this.readArchiveFromS3(archive, progress),
+		
+		extract = tarTools.extractTarFilesFromStream(download.stdout, directory, matcher);
+	
+	progress.on("progress", bytesRead => {
+		if (!bar.complete) {
+			bar.tick(bytesRead / 1024);
+		}
+	});
+	
+	logger.info(filesize(archive.size) + " to download and search through for matching files");
+	logger.info("Progress is based on the compressed data size:");
+	
+	bar.render(null);
+	
+	return Promise.all([extract, download]).then(
+		results => {
+			if (!bar.complete) {
+				bar.update(1.0);
+			}
+			
+			return results[0];
+		},
+		error => {
+			if (!bar.complete) {
+				bar.terminate();
+			}
+			
+			throw error;
+		}
+	);
+};
+
+/**
+ * Extract only the files which match the given path prefixes or globs from the tars that were uploaded for the given
+ * snapshot (which doesn't need to still exist), into a local directory. If the snapshot had several partitions,
+ * each partition's files are extracted into a subdirectory named after that partition.
+ *
+ * @param {string} snapshotID
+ * @param {string[]} patterns - Path prefixes (e.g. "etc/nginx/") or globs (e.g. "etc/*.conf") to extract
+ * @param {string} directory
+ *
+ * @returns {Promise.<int>} The number of files, directories and links that were extracted
+ */
+SnapToS3.prototype.extractFilesFromSnapshot = function(snapshotID, patterns, directory) {
+	const
+		logger = Logger.get(snapshotID),
+		matcher = tarTools.createPathMatcher(patterns);
+	
+	let
+		extractedCount = 0;
+	
+	return this.initPromise
+		.then(() => this.findArchivesForSnapshot(snapshotID))
+		.then(archives => {
+			const
+				tars = archives.filter(archive => archive.type === "tar");
+			
+			if (tars.length === 0) {
+				if (archives.length > 0) {
+					throw "This snapshot was uploaded as a dd image or delta, so files can't be extracted from it individually (use --restore instead)";
+				}
+				
+				throw "No archives of this snapshot were found in " + this.storage.describeKey("");
+			}
+			
+			let
+				promise = Promise.resolve();
+			
+			for (let archive of tars) {
+				const
+					partitionDirectory = tars.length > 1 ? path.join(directory, archive.partitionName || "root") : directory;
+				
+				promise = promise
+					.then(() => fsTools.forcePath(partitionDirectory))
+					.then(() => this.describeTarChain(archive))
+					.then(chain => {
+						let
+							chainPromise = Promise.resolve();
+						
+						if (chain.length > 1) {
+							logger.info("This is a level " + archive.incrementalLevel + " incremental tar, so extracting from each level of its chain in turn (files which were deleted in later levels will still be extracted)");
+						}
+						
+						for (let link of chain) {
+							chainPromise = chainPromise
+								.then(() => {
+									logger.info("Extracting matching files from \"" + this.storage.describeKey(link.key) + "\" to " + partitionDirectory + "...");
+									
+									return this.extractS3TarFilesToDirectory(link, partitionDirectory, matcher, logger);
+								})
+								.then(result => {
+									extractedCount += result.extractedCount;
+									
+									logger.info("Extracted " + result.extractedCount + " matching entries");
+									
+									if (result.unresolvedLinks.length > 0) {
+										logger.warn("These hard links couldn't be created because their targets didn't match --path:\n" + result.unresolvedLinks.join("\n"));
+									}
+									if (result.skipped.length > 0) {
+										logger.warn("These matching entries were skipped:\n" + result.skipped.join("\n"));
+									}
+								});
+						}
+						
+						return chainPromise;
+					});
+			}
+			
+			return promise;
+		})
+		.then(() => {
+			if (extractedCount === 0) {
+				throw "No files in this snapshot matched " + patterns.join(", ");
+			}
+			
+			return extractedCount;
+		});
+};
+
+/**
+ * Record the result of scrubbing an archive in its S3 object tags, keeping the tags it already had.
+ *
+ * @param {string} key
+ * @param {S3.TagSet} tagSet - The object's current tags
+ * @param {boolean} success
+ *
+ * @returns {Promise}
+ */
+SnapToS3.prototype.recordScrubResult = function(key, tagSet, success) {
+	const
+		lastVerifiedTag = this.options.tag + "-last-verified",
+		resultTag = this.options.tag + "-scrub-result",
+		
+		newTagSet = tagSet.filter(tag => tag.Key !== resultTag && (success ? tag.Key !== lastVerifiedTag : true));
+	
+	newTagSet.push({
+		Key: resultTag,
+		Value: success ? "ok" : "failed"
+	});
+	
+	if (success) {
+		newTagSet.push({
+			Key: lastVerifiedTag,
+			Value: moment().utc().format()
+		});
+	}
+	
+	if (newTagSet.length > S3_MAX_TAGS_PER_OBJECT) {
+		return Promise.reject("Can't record the scrub result in this object's tags, because it already has " + tagSet.length + " tags (S3 allows " + S3_MAX_TAGS_PER_OBJECT + ")");
+	}
+	
+	return this.storage.putObjectTagging({
+		Key: key,
+		Tagging: {
+			TagSet: newTagSet
+		}
+	});
+};
+
+/**
+ * Check every archive in the bucket against the hashes recorded in its manifest, and record the time of the last
+ * successful check in each object's tags. Archives which were successfully checked within the last
+ * --scrub-interval days are skipped, so an interrupted scrub can be resumed by running it again.
+ *
+ * @returns {Promise.<ScrubReport>}
+ */
+SnapToS3.prototype.scrubBucket = function() {
+	const
+		cutoff = moment().subtract(this.options["scrub-interval"], "days"),
+		lastVerifiedTag = this.options.tag + "-last-verified",
+		
+		/**
+		 * @type {ScrubReport}
+		 */
+		report = {
+			verified: [],
+			failed: [],
+			skippedRecentlyVerified: [],
+			skippedNoManifest: [],
+			skippedArchived: []
+		};
+	
+	return this.initPromise
+		.then(() => this.storage.listAllObjects({}))
+		.then(objects => {
+			const
+				manifestKeys = {};
+			
+			let
+				promise = Promise.resolve();
+			
+			for (let object of objects) {
+				if (manifest.isManifestKey(object.Key)) {
+					manifestKeys[object.Key] = true;
+				}
+			}
+			
+			for (let object of objects.filter(object => !isSidecarKey(object.Key))) {
+				const
+					key = object.Key;
+				
+				let
+					logger = Logger;
+				
+				promise = promise
+					.then(() => this.storage.headObject({
+						Key: key
+					}))
+					.then(head => {
+						const
+							archive = parseS3KeyForSnapshotArchive(key, head.ContentLength, head.Metadata);
+						
+						if (!archive) {
+							// Not one of ours
+							return;
+						}
+						
+						logger = Logger.get(archive.snapshotID);
+						
+						if (describeArchivedState(head) !== "readable") {
+							logger.warn("Skipping \"" + this.storage.describeKey(key) + "\" since it's in " + (head.StorageClass || "an archive tier") + " and hasn't been restored");
+							report.skippedArchived.push(key);
+							return;
+						}
+						
+						if (!(manifest.manifestKeyForArchive(key) in manifestKeys)) {
+							logger.warn("Skipping \"" + this.storage.describeKey(key) + "\" since it has no manifest to check against");
+							report.skippedNoManifest.push(key);
+							return;
+						}
+						
+						return this.storage.getObjectTagging({
+							Key: key
+						}).then(tagging => {
+							const
+								lastVerified = tagging.TagSet.find(tag => tag.Key === lastVerifiedTag);
+							
+							if (lastVerified && moment(lastVerified.Value).isAfter(cutoff)) {
+								report.skippedRecentlyVerified.push(key);
+								return;
+							}
+							
+							logger.info("Scrubbing \"" + this.storage.describeKey(key) + "\"...");
+							
+							return this.validateAnyArchiveAgainstManifest(archive, logger).then(
+								result => {
+									logger.info(result);
+									Logger.info("");
+									report.verified.push(key);
+									
+									return this.recordScrubResult(key, tagging.TagSet, true);
+								},
+								error => {
+									logger.error("Error: " + error);
+									Logger.info("");
+									report.failed.push({key: key, error: String(error)});
+									
+									return this.recordScrubResult(key, tagging.TagSet, false);
+								}
+							);
+						});
+					})
+					.catch(error => {
+						// Failed checks are already in the report, so this is a problem with reading or tagging the object
+						if (!report.failed.find(failure => failure.key === key)) {
+							report.failed.push({key: key, error: String(error)});
+						}
+						
+						logger.error("Error: " + error);
+						Logger.info(""); // No prefix on this empty line
+						
+						// And keep on scrubbing the rest, we'll report the errors later.
+					});
+			}
+			
+			return promise;
+		})
+		.then(() => report);
+};
+
+/**
+ * Delete the chunks in the bucket which aren't referenced by the index of any deduplicated archive.
+ *
+ * Chunks are uploaded before the index which refers to them, so an upload which is still running has chunks that no
+ * index refers to yet. Unreferenced chunks which were uploaded, or reused by an upload (according to their last-used
+ * tag), in the last --gc-grace hours are kept to avoid deleting those. An upload could also start after we've read the
+ * indexes, so each chunk is checked again just before it's deleted.
+ *
+ * @returns {Promise.<ChunkGarbageReport>}
+ */
+SnapToS3.prototype.collectChunkGarbage = function() {
+	const
+		cutoff = moment().subtract(this.options["gc-grace"], "hours"),
+		referenced = new Set(),
+		
+		/**
+		 * @type {ChunkGarbageReport}
+		 */
+		report = {
+			indexCount: 0,
+			referencedChunkCount: 0,
+			deleted: [],
+			deletedBytes: 0,
+			skippedRecent: [],
+			undeleted: []
+		};
+	
+	return this.initPromise
+		.then(() => this.storage.listAllObjects({}))
+		.then(objects => {
+			let
+				promise = Promise.resolve();
+			
+			// If we can't read any one of the indexes we can't know which chunks are garbage, so give up entirely
+			for (let object of objects.filter(object => chunkStore.isIndexKey(object.Key))) {
+				promise = promise
+					.then(() => this.downloadChunkIndex({key: object.Key}))
+					.then(index => {
+						for (let entry of index.chunks) {
+							referenced.add(entry[0]);
+						}
+						
+						report.indexCount++;
+					});
+			}
+			
+			return promise.then(() => {
+				const
+					lastUsedTag = this.options.tag + CHUNK_LAST_USED_TAG_SUFFIX,
+					garbage = [],
+					
+					isStillGarbage = object => this.storage.headObject({
+						Key: object.Key
+					}).then(
+						head => {
+							if (moment(head.LastModified).isAfter(cutoff)) {
+								return false;
+							}
+							
+							return this.storage.getObjectTagging({
+								Key: object.Key
+							}).then(tagging => {
+								const
+									lastUsed = tagging.TagSet.find(tag => tag.Key === lastUsedTag);
+								
+								return !(lastUsed && moment(lastUsed.Value).isAfter(cutoff));
+							});
+						},
+						error => {
+							// Its latest version is already gone, but any older versions we listed are still garbage
+							if (error.statusCode === 404) {
+								return true;
+							}
+							
+							throw error;
+						}
+					).then(stillGarbage => {
+						if (!stillGarbage) {
+							report.skippedRecent.push(object.Key);
+						}
+						
+						return stillGarbage;
+					});
+				
+				report.referencedChunkCount = referenced.size;
+				
+				for (let object of objects) {
+					const
+						hash = chunkStore.parseChunkKey(object.Key);
+					
+					if (hash === null || referenced.has(hash)) {
+						continue;
+					}
+					
+					if (moment(object.LastModified).isAfter(cutoff)) {
+						report.skippedRecent.push(object.Key);
+						continue;
+					}
+					
+					garbage.push(object);
+				}
+				
+				return this.deleteObjectsInBatches(garbage, report, isStillGarbage);
+			});
+		})
+		.then(() => report);
+};
+
+/**
+ * Delete every version of the given objects from the bucket, recording them in the report as they're deleted.
+ *
+ * In a versioned bucket (which every bucket with Object Lock is), deleting just the key of an object would hide it
+ * behind a delete marker without freeing any space, so we delete each of its versions by ID instead. Versions which
+ * can't be deleted, e.g. because Object Lock still protects them, are added to report.undeleted and their objects
+ * aren't counted as deleted.
+ *
+ * @param {S3.ObjectList} objects
+ * @param {ChunkGarbageReport|PruneReport} report
+ * @param {function(S3.Object):Promise.<boolean>} [recheck] - Called for the objects of each batch just before the batch
+ * is deleted, resolving to false to keep an object after all (it's up to the caller to report it)
+ *
+ * @returns {Promise}
+ */
+SnapToS3.prototype.deleteObjectsInBatches = function(objects, report, recheck) {
+	const
+		DELETE_BATCH_SIZE = 1000, // The most that S3 allows in one request
+		
+		objectsByKey = new Map(objects.map(object => [object.Key, object])),
+		undeletedKeys = new Set(),
+		
+		// Whether each object we've rechecked is still to be deleted, by key
+		recheckedKeys = new Map(),
+		
+		// Our objects are all beneath the ID of their volume or the chunk prefix, so we only list the versions there
+		prefixes = Array.from(new Set(objects.map(object => object.Key.substring(0, object.Key.indexOf("/") + 1))));
+	
+	return prefixes.reduce(
+		(promise, prefix) => promise.then(versions => this.storage.listAllObjectVersions({
+			Prefix: prefix
+		}).then(prefixVersions => versions.concat(prefixVersions.filter(version => objectsByKey.has(version.Key))))),
+		Promise.resolve([])
+	)
+		.then(versions => {
+			let
+				promise = Promise.resolve();
+			
+			for (let i = 0; i < versions.length; i += DELETE_BATCH_SIZE) {
+				let
+					batch = versions.slice(i, i + DELETE_BATCH_SIZE);
+				
+				promise = promise
+					.then(() => {
+						if (!recheck) {
+							return;
+						}
+						
+						// The versions of one object can span two batches, but it only needs to be checked once
+						const
+							uncheckedKeys = Array.from(new Set(batch.map(version => version.Key))).filter(key => !recheckedKeys.has(key));
+						
+						// Checked all at once, to keep the time until the deletion short
+						return Promise.all(uncheckedKeys.map(key => recheck(objectsByKey.get(key)).then(doomed => {
+							recheckedKeys.set(key, doomed);
+						})));
+					})
+					.then(() => {
+						if (recheck) {
+							batch = batch.filter(version => recheckedKeys.get(version.Key));
+						}
+						
+						if (batch.length === 0) {
+							return {};
+						}
+						
+						return this.storage.deleteObjects({
+							Delete: {
+								Objects: batch.map(version => version.VersionId === undefined ? {Key: version.Key} : {Key: version.Key, VersionId: version.VersionId}),
+								Quiet: true
+							}
+						});
+					})
+					.then(response => {
+						const
+							errors = response.Errors || [];
+						
+						for (let error of errors) {
+							undeletedKeys.add(error.Key);
+							report.undeleted.push({
+								key: error.Key,
+								versionId: error.VersionId,
+								error: (error.Code ? error.Code + ": " : "") + error.Message
+							});
+						}
+						
+						for (let version of batch) {
+							if (!errors.some(error => error.Key === version.Key && error.VersionId === version.VersionId)) {
+								report.deletedBytes += version.Size;
+							}
+						}
+					});
+			}
+			
+			return promise;
+		})
+		.then(() => {
+			for (let object of objects) {
+				if (!undeletedKeys.has(object.Key) && recheckedKeys.get(object.Key) !== false) {
+					report.deleted.push(object.Key);
+				}
+			}
+		});
+};
+
+/**
+ * Find the volumes in the bucket that the retention rules could prune archives of, so that we only need to list the
+ * objects of those. Volumes which no rule could apply to are added to report.unruled.
+ *
+ * @param {PruneReport} report
+ *
+ * @returns {Promise.<string[]>} The key prefix of each volume, e.g. "vol-0123abcd/"
+ */
+SnapToS3.prototype.findVolumePrefixesToPrune = function(report) {
+	const
+		// Tags are read from the archives, so a tag rule (like the default rule) could apply to any volume
+		anyVolume = this.defaultRetentionRule !== null || this.retentionRules.some(rule => rule.tagKey !== null);
+	
+	return this.storage.listAllCommonPrefixes({
+		Delimiter: "/"
+	}).then(prefixes => prefixes.filter(prefix => {
+		// Archives are always stored beneath the ID of their volume, and chunks aren't pruned
+		if (prefix.indexOf("vol-") !== 0) {
+			return false;
+		}
+		
+		if (anyVolume || this.retentionRules.some(rule => rule.volumeID + "/" === prefix)) {
+			return true;
+		}
+		
+		report.unruled.push(prefix.slice(0, -1));
+		
+		return false;
+	}));
+};
+
+/**
+ * @param {string} archiveKey
+ * @param {Object.<string,S3.Object>} objectsByKey - Every object of the archive's volume
+ *
+ * @returns {S3.Object[]} The archive's object and those of the sidecars that were uploaded alongside it
+ */
+function findObjectsOfArchive(archiveKey, objectsByKey) {
+	return [
+		archiveKey,
+		manifest.manifestKeyForArchive(archiveKey),
+		incremental.chainManifestKeyForArchive(archiveKey),
+		tarTools.snapshotFileKeyForArchive(archiveKey)
+	]
+		.filter(key => key in objectsByKey)
+		.map(key => objectsByKey[key]);
+}
+
+/**
+ * Apply the --prune retention rules to the archives in the bucket, deleting the archives of the snapshots that no
+ * rule keeps, along with their manifests, chain manifests and tar snapshot files.
+ *
+ * Snapshots that a kept archive is based on (the parents of an incremental tar, or the base image and earlier deltas
+ * of a delta) are kept too, as are snapshots with any object that Object Lock won't let us delete yet. Chunks of
+ * deduplicated archives are left for --gc-chunks, and tombstones are never deleted. Only the volumes that a rule
+ * could apply to are listed.
+ *
+ * With --dry-run the report lists what would be deleted, but nothing is.
+ *
+ * @returns {Promise.<PruneReport>}
+ */
+SnapToS3.prototype.pruneArchives = function() {
+	const
+		/**
+		 * @type {PruneReport}
+		 */
+		report = {
+			dryRun: !!this.options["dry-run"],
+			kept: [],
+			pruned: [],
+			locked: [],
+			unruled: [],
+			deleted: [],
+			deletedBytes: 0,
+			undeleted: []
+		},
+		objectsByKey = {},
+		snapshots = {};
+	
+	return this.initPromise
+		.then(() => this.findVolumePrefixesToPrune(report))
+		.then(prefixes => prefixes.reduce(
+			(promise, prefix) => promise.then(objects => this.storage.listAllObjects({
+				Prefix: prefix
+			}).then(volumeObjects => objects.concat(volumeObjects))),
+			Promise.resolve([])
+		))
+		.then(objects => {
+			let
+				promise = Promise.resolve();
+			
+			for (let object of objects) {
+				objectsByKey[object.Key] = object;
+			}
+			
+			// The listing tells us which objects are sidecars, and our archive keys always include the snapshot ID, so
+			// only the objects which could be archives need their metadata read
+			for (let object of objects.filter(object => !isSidecarKey(object.Key) && object.Key.indexOf(" snap-") !== -1)) {
+				promise = promise
+					.then(() => this.describeArchive(object.Key))
+					.then(
+						archive => {
+							if (!(archive.snapshotID in snapshots)) {
+								snapshots[archive.snapshotID] = {
+									snapshotID: archive.snapshotID,
+									volumeID: archive.metadata["snapshot-volumeid"],
+									startTime: archive.metadata["snapshot-starttime"],
+									archives: []
+								};
+							}
+							
+							snapshots[archive.snapshotID].archives.push(archive);
+						},
+						error => {
+							// Not one of ours, so not ours to delete either
+						}
+					);
+			}
+			
+			return promise;
+		})
+		.then(() => this.selectSnapshotsToRetain(snapshots, report))
+		.then(keep => {
+			let
+				promise = Promise.resolve();
+			
+			for (let snapshotID in snapshots) {
+				if (!(snapshotID in keep)) {
+					promise = promise
+						.then(() => this.findObjectLockedKey(snapshots[snapshotID].archives.reduce((objects, archive) => objects.concat(findObjectsOfArchive(archive.key, objectsByKey)), [])))
+						.then(locked => {
+							if (locked) {
+								keep[snapshotID] = "locked by Object Lock";
+								report.locked.push(locked);
+							}
+						});
+				}
+			}
+			
+			return promise
+				.then(() => this.keepParentsOfKeptSnapshots(snapshots, keep))
+				.then(() => keep);
+		})
+		.then(keep => {
+			let
+				doomed = [];
+			
+			for (let snapshotID of Object.keys(snapshots).sort()) {
+				const
+					snapshot = snapshots[snapshotID];
+				
+				if (snapshotID in keep) {
+					report.kept.push({
+						snapshotID: snapshotID,
+						volumeID: snapshot.volumeID,
+						reason: keep[snapshotID]
+					});
+				} else {
+					const
+						objects = snapshot.archives.reduce((objects, archive) => objects.concat(findObjectsOfArchive(archive.key, objectsByKey)), []);
+					
+					report.pruned.push({
+						snapshotID: snapshotID,
+						volumeID: snapshot.volumeID,
+						keys: objects.map(object => object.Key)
+					});
+					
+					doomed = doomed.concat(objects);
+				}
+			}
+			
+			if (report.dryRun) {
+				return;
+			}
+			
+			return this.deleteObjectsInBatches(doomed, report);
+		})
+		.then(() => report);
+};
+
+/**
+ * Apply the retention rules to each volume's snapshots.
+ *
+ * @param {Object.<string,Object>} snapshots - Snapshots with archives in the bucket, by snapshot ID
+ * @param {PruneReport} report - Volumes which no rule applies to are added to this
+ *
+ * @returns {Promise.<Object.<string,string>>} The IDs of the snapshots to keep, mapped to the reason
+ */
+SnapToS3.prototype.selectSnapshotsToRetain = function(snapshots, report) {
+	const
+		keep = {},
+		snapshotsByVolume = {};
+	
+	let
+		promise = Promise.resolve();
+	
+	for (let snapshotID in snapshots) {
+		const
+			volumeID = snapshots[snapshotID].volumeID;
+		
+		snapshotsByVolume[volumeID] = (snapshotsByVolume[volumeID] || []).concat(snapshots[snapshotID]);
+	}
+	
+	for (let volumeID of Object.keys(snapshotsByVolume).sort()) {
+		const
+			volumeSnapshots = snapshotsByVolume[volumeID],
+			newest = volumeSnapshots.reduce((newest, snapshot) => moment(snapshot.startTime).isAfter(newest.startTime) ? snapshot : newest);
+		
+		promise = promise
+			.then(() => this.findRetentionRuleForVolume(volumeID, newest.archives[0]))
+			.then(rule => {
+				if (!rule) {
+					report.unruled.push(volumeID);
+					
+					for (let snapshot of volumeSnapshots) {
+						keep[snapshot.snapshotID] = "no retention rule applies to " + volumeID;
+					}
+				} else {
+					Object.assign(keep, retention.selectSnapshotsToKeep(volumeSnapshots, rule));
+				}
+			});
+	}
+	
+	return promise.then(() => keep);
+};
+
+/**
+ * Find the first --retention-rule that matches the volume, or else the --keep-daily/monthly/yearly rule.
+ *
+ * @param {string} volumeID
+ * @param {SnapshotArchive} archive - Tag rules are matched against the S3 tags of this archive
+ *
+ * @returns {Promise.<?RetentionRule>} Null if no rule applies, so the volume's archives should all be kept
+ */
+SnapToS3.prototype.findRetentionRuleForVolume = function(volumeID, archive) {
+	const
+		matchRule = tagSet => this.retentionRules.find(rule => rule.volumeID !== null
+			? rule.volumeID === volumeID
+			: tagSet.some(tag => tag.Key === sanitiseS3TagValue(rule.tagKey) && tag.Value === sanitiseS3TagValue(rule.tagValue))
+		) || this.defaultRetentionRule;
+	
+	if (!this.retentionRules.some(rule => rule.tagKey !== null)) {
+		return Promise.resolve(matchRule([]));
+	}
+	
+	return this.storage.getObjectTagging({
+		Key: archive.key
+	}).then(tagging => matchRule(tagging.TagSet));
+};
+
+/**
+ * Find the first of the objects which Object Lock won't let us delete yet.
+ *
+ * @param {S3.Object[]} objects
+ * @returns {Promise.<?{key: string, reason: string}>}
+ */
+SnapToS3.prototype.findObjectLockedKey = function(objects) {
+	let
+		promise = Promise.resolve(null);
+	
+	for (let object of objects) {
+		promise = promise.then(locked => locked || this.storage.headObject({
+			Key: object.Key
+		}).then(head => {
+			if (head.ObjectLockLegalHoldStatus === "ON") {
+				return {key: object.Key, reason: "legal hold"};
+			}
+			
+			if (head.ObjectLockRetainUntilDate && moment(head.ObjectLockRetainUntilDate).isAfter(moment())) {
+				return {key: object.Key, reason: (head.ObjectLockMode || "retention") + " until " + moment(head.ObjectLockRetainUntilDate).format()};
+			}
+			
+			return null;
+		}));
+	}
+	
+	return promise;
+};
+
+/**
+ * Add the snapshots that the archives of kept snapshots are based on to the snapshots to keep, since those archives
+ * can't be restored without them.
+ *
+ * @param {Object.<string,Object>} snapshots - Snapshots with archives in the bucket, by snapshot ID
+ * @param {Object.<string,string>} keep - The IDs of the snapshots to keep, mapped to the reason, which is updated
+ *
+ * @returns {Promise}
+ */
+SnapToS3.prototype.keepParentsOfKeptSnapshots = function(snapshots, keep) {
+	const
+		snapshotIDsByKey = {},
+		queue = Object.keys(keep).filter(snapshotID => snapshotID in snapshots),
+		keepParent = (childID, parentKey) => {
+			const
+				parentID = snapshotIDsByKey[parentKey];
+			
+			if (parentID === undefined) {
+				throw "\"" + this.storage.describeKey(parentKey) + "\" is needed to restore " + childID + ", but it's missing from the bucket";
+			}
+			
+			if (!(parentID in keep)) {
+				keep[parentID] = "needed to restore " + childID;
+				queue.push(parentID);
+			}
+		},
+		next = () => {
+			if (queue.length === 0) {
+				return Promise.resolve();
+			}
+			
+			const
+				snapshotID = queue.shift();
+			
+			let
+				promise = Promise.resolve();
+			
+			for (let archive of snapshots[snapshotID].archives) {
+				if (archive.metadata["tar-parent-key"]) {
+					keepParent(snapshotID, archive.metadata["tar-parent-key"]);
+				}
+				
+				if (archive.type === "delta") {
+					promise = promise
+						.then(() => this.downloadChainManifest(archive))
+						.then(chain => {
+							for (let link of [chain.base].concat(chain.deltas)) {
+								if (link.key !== archive.key) {
+									keepParent(snapshotID, link.key);
+								}
+							}
+						});
+				}
+			}
+			
+			return promise.then(next);
+		};
+	
+	for (let snapshotID in snapshots) {
+		for (let archive of snapshots[snapshotID].archives) {
+			snapshotIDsByKey[archive.key] = snapshotID;
+		}
+	}
+	
+	return next();
+};
+
+SnapToS3.prototype.cleanUpTempVolume = function(volume, snapshot) {
+	let
+		logger = Logger.get(snapshot.SnapshotId);
+	
+	if (this.options["keep-temp-volumes"]) {
+		logger.info("Keeping temporary volume " + volume.VolumeId + " attached");
+		
+		return Promise.resolve();
+	} else {
+		logger.info("Detaching " + volume.VolumeId);
+		
+		return this.ec2.detachVolume({
+			VolumeId: volume.VolumeId
+		}).promise()
+			.then(() => awsTools.waitForVolumeState(this.ec2, volume.VolumeId, "available", 60, 10 * 1000))
+			.then(() => {
+				logger.info("Deleting temporary volume " + volume.VolumeId);
+				
+				return this.ec2.deleteVolume({
+					VolumeId: volume.VolumeId
+				}).promise();
+			});
+	}
+};
+
+/**
+ *
+ * @param {EC2.Snapshot} snapshot
+ * @returns {Promise}
+ */
+SnapToS3.prototype._migrateSnapshot = function(snapshot) {
+	if (this.options.incremental && this.options.direct) {
+		return this.findParentForIncremental(snapshot).then(parent => parent ? this.uploadSnapshotDelta(snapshot, parent) : this.uploadSnapshotDirectly(snapshot));
+	}
+	
+	if (this.options.direct) {
+		return this.uploadSnapshotDirectly(snapshot);
+	}
+	
+	return this.findOrCreateVolumeFromSnapshot(snapshot)
+		.then(createdVolume => this.findOrAttachVolumeToInstance(createdVolume, snapshot))
+		.then(attachedVolume =>
+			this.uploadTemporaryVolume(attachedVolume, snapshot)
+				.then(
+					() => this.cleanUpTempVolume(attachedVolume, snapshot),
+					error => {
+						// The volume is normally kept for the retry, but a daemon that's shutting down shouldn't leave it attached
+						if (this.stopping) {
+							return this.cleanUpTempVolume(attachedVolume, snapshot).then(() => {
+								throw error;
+							});
+						}
+						
+						throw error;
+					}
+				)
+		);
+};
+
+/**
+ *
+ * @param {EC2.Snapshot} snapshot
+ * @returns {Promise}
+ */
+SnapToS3.prototype._validateSnapshot = function(snapshot) {
+	// Find out if anything needs to be restored from Glacier before we go to the trouble of creating a volume
+	return this.prepareArchivesForReading(snapshot.SnapshotId, snapshot.VolumeId, Logger.get(snapshot.SnapshotId)).then(() => {
+		if (this.options["against-manifest"]) {
+			return this.validateArchivesAgainstManifests(snapshot.SnapshotId, snapshot.VolumeId);
+		}
 		
-		const
-			// Show the summed progress of both the local and remote hash operations on a single bar
-			barMaximum = Math.floor((directorySize + s3Size) / 1024),
-			
-			bar = new ProgressBar('    hashing [:bar] :rate KB/s :eta, S3: :s3Progress% Local: :localProgress%', {
-				complete: '=',
-				incomplete: ' ',
-				width: 32,
-				total: barMaximum,
-				renderThrottle: PROGRESS_BAR_UPDATE_RATE
-			}),
-			
-			updateBar = () => {
-				if (!bar.complete) {
-					bar.tick((localBytesReadSinceLastStatus + s3BytesReadSinceLastStatus) / 1024, {
-						s3Progress: Math.floor(s3BytesReadTotal / s3Size * 100),
-						localProgress: Math.floor(localBytesReadTotal / directorySize * 100)
-					});
-				}
-				
-				localBytesReadSinceLastStatus = 0;
-				s3BytesReadSinceLastStatus = 0;
-			},
-			
-			localHashesFile = tempDirectory + "/local.md5",
-			remoteHashesFile = tempDirectory + "/remote.md5",
+		if (this.options.direct) {
+			return this.validateSnapshotDirectly(snapshot);
+		}
 		
-			// S3 tar hashing:
-			s3Promise = (() => {
-				const
-					s3Stream = this.s3.getObject({
-						Bucket: this.options.bucket,
-						Key: s3Key
-					}).createReadStream(),
+		return this.findOrCreateVolumeFromSnapshot(snapshot)
+			.then(createdVolume => this.findOrAttachVolumeToInstance(createdVolume, snapshot))
+			.then(attachedVolume =>
+				this.validateTemporaryVolume(attachedVolume, snapshot)
+					.then(() => this.cleanUpTempVolume(attachedVolume, snapshot))
+			);
+	});
+};
+
+/**
+ * Remember which archives of the snapshot are in the bucket now that it's been validated, so that
+ * markSnapshotAsCompleted() can list them in the snapshot's tags.
+ *
+ * @param {EC2.Snapshot} snapshot
+ *
+ * @returns {Promise}
+ */
+SnapToS3.prototype.recordValidatedArchives = function(snapshot) {
+	return this.findArchivesForSnapshot(snapshot.SnapshotId, snapshot.VolumeId).then(archives => {
+		this.validatedArchives[snapshot.SnapshotId] = archives;
+	});
+};
+
+/**
+ *
+ * @param {EC2.Snapshot} snapshot
+ *
+ * @returns {Promise}
+ */
+SnapToS3.prototype._claimAndMigrateSnapshot = function(snapshot) {
+	let
+		logger = Logger.get(snapshot.SnapshotId);
+	
+	logger.info("Migrating " + snapshot.SnapshotId + " to S3");
+	logger.info("Tagging snapshot with \"migrating\"...");
+	
+	return this.raceToMarkSnapshot(snapshot.SnapshotId, "migrating")
+		.then(() =>
+			this._migrateSnapshot(snapshot)
+				.then(
+					// If we succeeded, mark the snapshot so we don't try to migrate it again
+					() => {
+						let
+							tagWith = this.options.validate ? "validated" : "migrated";
+						
+						for (let destination of this.destinations.slice(1)) {
+							if (destination.failures[snapshot.SnapshotId]) {
+								logger.warn("Copy to " + destination.name + " failed: " + destination.failures[snapshot.SnapshotId]);
+							} else {
+								logger.info("Copy to " + destination.name + " succeeded");
+							}
+						}
+						
+						logger.info("Tagging snapshot with \"" + tagWith + "\"");
+						return (tagWith === "validated" ? this.recordValidatedArchives(snapshot) : Promise.resolve())
+							.then(() => this.markSnapshotAsCompleted(snapshot.SnapshotId, tagWith));
+					},
+					// If we messed up, mark the snapshot for retry and rethrow the error up the stack
+					(err) => {
+						// Being interrupted by the daemon shutting down doesn't count as a failure
+						if (this.stopping) {
+							logger.info("Shutting down, tagging snapshot with \"migrate\" so it can be resumed later");
+							return this.markSnapshotForMigration(snapshot.SnapshotId).then(() => {
+								throw err;
+							});
+						}
+						
+						logger.info("An error occurred, tagging snapshot with \"migrate\" so it can be retried later");
+						return this.markSnapshotForMigration(snapshot.SnapshotId, this.getMigrationFailureCount(snapshot) + 1).then(() => {
+							throw err;
+						});
+					}
+				)
+		)
+		.then(
+			() => {
+				logger.info("Successfully migrated this snapshot!");
+				Logger.info(""); // No prefix on this empty line
+			},
+			(err) => {
+				// Tag errors with the snapshot ID
+				throw new SnapToS3.SnapshotMigrationError(err, snapshot.SnapshotId);
+			}
+		);
+};
+
+/**
+ *
+ * @param {EC2.Snapshot} snapshot
+ *
+ * @returns {Promise}
+ */
+SnapToS3.prototype._claimAndValidateSnapshot = function(snapshot) {
+	let
+		logger = Logger.get(snapshot.SnapshotId),
+		originalTag;
+	
+	if (this.options["against-manifest"]) {
+		logger.info("Validating S3 against the manifests of " + snapshot.SnapshotId);
+	} else {
+		logger.info("Validating S3 against the original " + snapshot.SnapshotId);
+	}
+	logger.info("Tagging snapshot with \"validating\"...");
+	
+	originalTag = snapshot.Tags.find(tag => tag.Key === this.options.tag);
+	
+	return this.raceToMarkSnapshot(snapshot.SnapshotId, "validating")
+		.then(
+			() => this._validateSnapshot(snapshot).then(
+				// If we succeeded, mark the snapshot so we don't try to validate it again
+				() => {
+					logger.info("Tagging snapshot with \"validated\"");
+					return this.recordValidatedArchives(snapshot)
+						.then(() => this.markSnapshotAsCompleted(snapshot.SnapshotId, "validated"));
+				},
+				// If we messed up validation, mark the snapshot for retry and rethrow the error up the stack
+				(err) => {
+					if (err instanceof ArchivesNotRestoredError) {
+						logger.warn("Skipping validation: " + err.message);
+					} else {
+						logger.error("Error: " + err);
+					}
 					
-					progress = new SimpleProgressStream(),
+					let
+						restoreTag;
 					
-					lz4 = spawn.spawnAsPromise("lz4", ["-d"], {
-						stdio: ["pipe", "pipe", process.stderr]
-					}),
-				
-					pipeline = spawn.pipelineAsPromise(s3Stream, progress, lz4.stdin);
-				
-				progress.on("progress", (bytesRead) => {
-					s3BytesReadSinceLastStatus += bytesRead;
-					s3BytesReadTotal += bytesRead;
+					if (originalTag) {
+						if (originalTag.Value === "validated" || originalTag.Value === "validating") {
+							/*
+							 * The tag used to be in the validation stage, but validation failed, so it would be silly
+							 * to put "validated" back onto the snapshot
+							 */
+							logger.info("An error occurred, marking the snapshot as \"migrated\"");
+							restoreTag = this.markSnapshotAsCompleted(snapshot.SnapshotId, "migrated");
+						} else {
+							logger.info("An error occurred, restoring the original \"" + originalTag.Value + "\" tag on the snapshot");
+							restoreTag = this.markSnapshotAsCompleted(snapshot.SnapshotId, originalTag.Value);
+						}
+					} else {
+						// We might have manually told snap-to-s3 to validate a snapshot that didn't have any tag previously
+						logger.info("An error occurred, clearing the \"validating\" tag from the snapshot");
+						restoreTag = this.markSnapshotAsCompleted(snapshot.SnapshotId, "");
+					}
 					
-					updateBar();
-				});
-				
-				return Promise.all([
-					hashFiles.hashTarFilesFromStream(lz4.stdout, remoteHashesFile),
-					lz4,
-					pipeline
-				]).then(results => results[0]);
-			})(),
+					return restoreTag.then(() => {
+						throw err;
+					});
+				}
+			)
+		)
+		.then(() => {
+			logger.info("Successfully validated this snapshot!");
+			Logger.info(""); // No prefix on this empty line
+		});
+};
+
+/**
+ * Migrate snapshots using --parallel workers (just one, unless that option was given), each of which migrates the next
+ * snapshot it's given until there are none left. A snapshot which fails to migrate doesn't stop the others, the
+ * failures are reported together at the end.
+ *
+ * @param {function():Promise.<?EC2.Snapshot>} nextSnapshot - Resolves to the next snapshot to migrate, or null once
+ * there are no more
+ * @returns {Promise.<string[]>} - Array of successful snapshot ids.
+ */
+SnapToS3.prototype._migrateSnapshotsUsingWorkers = function(nextSnapshot) {
+	let
+		successes = [], failures = {},
+		workers = [];
+	
+	const
+		work = () => nextSnapshot().then(snapshot => {
+			if (!snapshot) {
+				return;
+			}
+			
+			return this._claimAndMigrateSnapshot(snapshot)
+				.then(
+					() => {
+						successes.push(snapshot.SnapshotId);
+					},
+					error => {
+						failures[snapshot.SnapshotId] = error instanceof SnapshotMigrationError ? error.error : error;
+						
+						// And keep on migrating the rest, we'll report the errors later.
+					}
+				)
+				.then(work);
+		});
+	
+	for (let i = 0; i < this.options.parallel; i++) {
+		workers.push(work());
+	}
+	
+	return Promise.all(workers).then(() => {
+		if (Object.keys(failures).length > 0) {
+			throw new SnapshotMigrationFailuresError(failures, successes);
+		}
+		
+		return successes;
+	});
+};
+
+/**
+ * Migrate the snapshots with the given snapshot descriptions.
+ *
+ * The migration is terminated at the first snapshot that fails to migrate, unless we're migrating --parallel or with
+ * --keep-going, in which case every snapshot is attempted and the failures are reported together at the end.
+ *
+ * @param {EC2.Snapshot[]} snapshots
+ * @returns {Promise.<string[]>} - Array of successful snapshot ids.
+ */
+SnapToS3.prototype.migrateSnapshotsByDescription = function(snapshots) {
+	if (this.options.parallel > 1 || this.options["keep-going"]) {
+		const
+			remaining = snapshots.slice();
+		
+		return this.initPromise.then(() => this._migrateSnapshotsUsingWorkers(() => Promise.resolve(remaining.shift() || null)));
+	}
+	
+	let
+		promise = this.initPromise;
+	
+	for (let snapshot of snapshots) {
+		promise = promise.then(() => this._claimAndMigrateSnapshot(snapshot));
+	}
+	
+	return promise.then(() => snapshots.map(snapshot => snapshot.SnapshotId));
+};
+
+/**
+ * Find all snapshots that are eligible for migration, copy them over to S3 and mark them as migrated.
+ *
+ * The migration is terminated at the first snapshot that fails to migrate, unless we're migrating --parallel or with
+ * --keep-going, in which case every snapshot is attempted once and the failures are reported together at the end.
+ *
+ * @returns {Promise.<string[]>} - Array of successful snapshot ids.
+ */
+SnapToS3.prototype.migrateAllTaggedSnapshots = function() {
+	if (this.options.parallel > 1 || this.options["keep-going"]) {
+		// Snapshots we've already picked, so our other workers don't pick them too (or retry them after they fail)
+		const
+			picked = {};
+		
+		return this.initPromise.then(() => this._migrateSnapshotsUsingWorkers(() => this.findMigratableSnapshots().then(snapshots => {
+			const
+				snapshot = this.skipRepeatedlyFailedSnapshots(snapshots).find(snapshot => !(snapshot.SnapshotId in picked));
 			
-			// Local file hashing:
-			localPromise = hashFiles.hashFilesInDirectory(directory, localHashesFile, (bytesRead) => {
-				localBytesReadSinceLastStatus += bytesRead;
-				localBytesReadTotal += bytesRead;
-				updateBar();
-			}),
+			if (!snapshot) {
+				return null;
+			}
 			
-			cleanupTempFiles = () => {
-				try {
-					fs.unlinkSync(localHashesFile);
-					fs.unlinkSync(remoteHashesFile);
-					fs.rmdirSync(tempDirectory);
-				} catch (e) {
-					// No big deal if we leave behind some temp files
-					console.warn(e);
-				}
-			};
-		
-		bar.render({
-			s3Progress: 0,
-			localProgress: 0
-		});
-		
-		// Wait for the local files and S3 to both be hashed:
-		return Promise.all([s3Promise, localPromise])
-			.then(
-				hashedFileCounts => {
-					if (!bar.complete) {
-						bar.update(1.0, {
-							s3Progress: 100,
-							localProgress: 100
-						});
-					}
+			picked[snapshot.SnapshotId] = true;
+			
+			return snapshot;
+		})));
+	}
 	
-					return hashFiles.compareHashListFiles(
-						localHashesFile, "temporary volume",
-						remoteHashesFile, "S3 tar"
-					).then(
-						matchedFileCount => {
-							if (matchedFileCount !== hashedFileCounts[0] || matchedFileCount !== hashedFileCounts[1]) {
-								// This would indicate a bug in readHashFileAsStream() or compareSortedFileHashes()
-								throw new Error("We found " + hashedFileCounts[1] + " files in the local directory and " + hashedFileCounts[0] +" in the S3 tar, but somehow after comparing " +
-									"those two lists of file hashes, we only matched up " + matchedFileCount + " entries?");
-							}
-							return this.reportPartitionTarHashSuccess(localHashesFile, remoteHashesFile, matchedFileCount);
-						},
-						errors => {
-							if (Array.isArray(errors)) {
-								throw new Error("Local directory \"" + directory + "\" and contents of S3 tar \"s3://" + this.options.bucket + "/" + s3Key + "\" differ!\n" + errors.join("\n"));
-							} else {
-								throw errors;
-							}
-						}
-					);
-				},
-				error => {
-					updateBar();
-					if (!bar.complete) {
-						bar.terminate();
-					}
-					
-					throw error;
-				}
-			)
-			.then(
-				matchedFileCount => {
-					cleanupTempFiles();
-					
-					return matchedFileCount;
-				},
-				error => {
-					cleanupTempFiles();
-					
-					throw error;
+	return this.initPromise.then(() => {
+		let
+			migratedSnapshotIDs = [];
+		
+		const
+			migrateOne = () => this.findMigratableSnapshots().then(snapshots => {
+				if (snapshots.length === 0) {
+					return migratedSnapshotIDs;
 				}
-			);
+				
+				/*
+				 * Only migrate one snapshot now, as the migratable state of the remaining snapshots might change while
+				 * we're migrating this one!
+				 */
+				let
+					snapshot = snapshots[0]; // Could pick randomly here to reduce collisions with other processes
+				
+				return this.migrateSnapshotsByDescription([snapshot])
+					.then(() => {
+						migratedSnapshotIDs.push(snapshot.SnapshotId);
+						
+						return migrateOne(); // Go again to migrate any remaining snapshots
+					});
+			});
+		
+		return migrateOne();
 	});
 };
 
-SnapToS3.prototype.validatePartitionsUsingDd = function(partitions, snapshot, s3Key, s3Size, logger) {
+/**
+ * Find one snapshot that is eligible for migration, copy it over to S3 and mark it as migrated.
+ *
+ * @returns {Promise.<string[]>} - Array of successful snapshot ids.
+ */
+SnapToS3.prototype.migrateOneTaggedSnapshot = function() {
+	return this.initPromise
+		.then(() => this.findMigratableSnapshots())
+		.then(snapshots => this.skipRepeatedlyFailedSnapshots(snapshots))
+		.then(snapshots => {
+			if (snapshots.length === 0) {
+				return [];
+			}
+			
+			return this.migrateSnapshotsByDescription([snapshots[0]]);
+		});
+};
+
+/**
+ * Migrate the specified snapshots to S3
+ *
+ * @returns {Promise.<string[]>} - Array of successful snapshot ids.
+ */
+SnapToS3.prototype.migrateSnapshots = function(snapshotIDs) {
+	return this.initPromise
+		.then(() => describeSnapshots(this.ec2, snapshotIDs))
+		.then(snapshots => this.migrateSnapshotsByDescription(snapshots));
+};
+
+/**
+ * Work out what migrating the given snapshot would do, without creating volumes, writing tags or uploading anything.
+ *
+ * @param {EC2.Snapshot} snapshot
+ * @returns {Promise.<SnapshotPlan>}
+ */
+SnapToS3.prototype.planMigration = function(snapshot) {
 	let
-		drive = filterBlockDevicesToGetRawDisk(partitions);
+		findMethod;
 	
-	logger.info("Comparing the MD5 of the original " + snapshot.SnapshotId + " (" + drive.DEVICEPATH + ") with the S3 copy \"s3://" + this.options.bucket + "/" + s3Key + "\"...");
+	if (this.options.incremental && this.options.direct) {
+		findMethod = this.findParentForIncremental(snapshot).then(parent => parent ? "delta" : "image");
+	} else {
+		findMethod = Promise.resolve(this.options.dd || this.options.direct ? "image" : "tar");
+	}
 	
-	return this.validateFileAgainstCompressedS3File(drive.DEVICEPATH, drive.SIZE, s3Key, s3Size)
-		.then(hash => this.reportVolumeDdHashSuccess(snapshot, hash, logger));
+	return Promise.all([
+		findMethod,
+		
+		// Any archive of the snapshot is already in the way, whatever its partition, type or description
+		Promise.all(this.destinations.map(destination =>
+			destination.storage.listAllObjects({Prefix: createS3KeyPrefixForSnapshot(snapshot)})
+				.then(objects => objects.filter(object => !isSidecarKey(object.Key)).map(object => destination.storage.describeKey(object.Key)))
+		))
+	]).then(results => {
+		const
+			method = results[0],
+			existingKeys = [].concat.apply([], results[1]),
+			putRequests = estimatePutRequests(snapshot.VolumeSize * GIBIBYTE, this.options.dedup);
+		
+		let
+			key;
+		
+		switch (method) {
+			case "tar":
+				key = createS3KeyForSnapshotPartitionTar(snapshot, "", this.options.compression, this.options.dedup);
+				break;
+			case "image":
+				key = createS3KeyForSnapshotVolumeImage(snapshot, this.options.compression, this.options.dedup);
+				break;
+			case "delta":
+				key = createS3KeyForSnapshotVolumeDelta(snapshot, this.options.compression, this.options.dedup);
+				break;
+		}
+		
+		return {
+			snapshotID: snapshot.SnapshotId,
+			volumeID: snapshot.VolumeId,
+			volumeSize: snapshot.VolumeSize,
+			startTime: moment(snapshot.StartTime).format(),
+			description: snapshot.Description,
+			method: method,
+			temporaryVolume: this.options.direct ? null : {
+				type: this.options["volume-type"],
+				size: snapshot.VolumeSize
+			},
+			keys: [key],
+			keysPerPartition: method === "tar",
+			existingKeys: existingKeys,
+			putRequests: putRequests,
+			temporaryVolumeCost: this.options.direct ? 0 : migrationPlan.estimateTemporaryVolumeCost(this.options["volume-type"], snapshot.VolumeSize),
+			putCost: migrationPlan.estimatePutCost(putRequests * this.destinations.length)
+		};
+	});
 };
 
-SnapToS3.prototype.validatePartitionsUsingTar = function(partitions, snapshot, logger) {
-	partitions = filterBlockDevicesToGetFilesystems(partitions);
+/**
+ * @param {EC2.Snapshot[]} snapshots
+ * @returns {Promise.<MigrationPlan>}
+ */
+SnapToS3.prototype.planMigrationsByDescription = function(snapshots) {
+	let
+		promise = this.initPromise,
+		plans = [];
 	
-	logger.info(partitions.length + " partition" + (partitions.length > 1 ? "s" : "") + " to validate");
-	logger.info("");
+	for (let snapshot of snapshots) {
+		promise = promise
+			.then(() => this.planMigration(snapshot))
+			.then(plan => {
+				plans.push(plan);
+			});
+	}
 	
+	return promise.then(() => ({
+		destinations: this.destinations.map(destination => destination.name),
+		snapshots: plans,
+		skipped: this.skippedMigrations,
+		temporaryVolumeCost: plans.some(plan => plan.temporaryVolumeCost === null) ? null : plans.reduce((total, plan) => total + plan.temporaryVolumeCost, 0),
+		putCost: plans.reduce((total, plan) => total + plan.putCost, 0)
+	}));
+};
+
+/**
+ * Work out what --all (or with onlyOne, --one) would migrate, for --dry-run.
+ *
+ * @param {boolean} onlyOne
+ * @returns {Promise.<MigrationPlan>}
+ */
+SnapToS3.prototype.planTaggedMigrations = function(onlyOne) {
+	return this.initPromise
+		.then(() => this.findMigratableSnapshots())
+		.then(snapshots => this.skipRepeatedlyFailedSnapshots(snapshots))
+		.then(snapshots => this.planMigrationsByDescription(onlyOne ? snapshots.slice(0, 1) : snapshots));
+};
+
+/**
+ * Work out what migrating the specified snapshots would do, for --dry-run.
+ *
+ * @param {string[]} snapshotIDs
+ * @returns {Promise.<MigrationPlan>}
+ */
+SnapToS3.prototype.planMigrations = function(snapshotIDs) {
+	return this.initPromise
+		.then(() => describeSnapshots(this.ec2, snapshotIDs))
+		.then(snapshots => this.planMigrationsByDescription(snapshots));
+};
+
+/**
+ * @param {EC2.Snapshot[]} snapshots
+ * @returns {Promise.<string[]>} - Array of successful snapshot ids.
+ */
+SnapToS3.prototype.validateSnapshotsByDescription = function(snapshots) {
 	let
-		promise = Promise.resolve();
+		promise = this.initPromise,
+		successes = [], failures = {};
 	
-	partitions.forEach((partition, partitionIndex) => {
+	for (let snapshot of snapshots) {
 		promise = promise
-			.then(() => logger.info("Validating partition " + (partitionIndex + 1) + " of " + partitions.length + "..."))
-			.then(() => {
-				let
-					mountPoint = this.decideMountpointForSnapshotPartition(snapshot, partition.PARTNAME),
-					s3Key = createS3KeyForSnapshotPartitionTar(snapshot, partition.PARTNAME);
-				
-				return this.s3.headObject({
-					Bucket: this.options.bucket,
-					Key: s3Key
-				}).promise().then(
-					s3Head => this.mountTemporaryVolume(partition, mountPoint, logger)
-						.then(() => {
-							logger.info("Computing size of files to validate...");
-							return fsTools.getRecursiveFileSize(mountPoint);
-						})
-						.then(mountSize => {
-							logger.info(filesize(mountSize) + " to be validated...");
-							
-							return this.validateDirectoryAgainstS3Tar(mountPoint, mountSize, s3Key, s3Head.ContentLength);
-						})
-						.then(fileCount => logger.info("MD5 of all " + fileCount + " files match"))
-						.then(() => this.unmountTemporaryVolume(mountPoint, logger)),
-					error => {
-						throw "\"s3://" + this.options.bucket + "/" + s3Key + "\" should exist, but wasn't readable/found! " + error;
+			.then(() => this._claimAndValidateSnapshot(snapshot))
+			.then(
+				() => {
+					successes.push(snapshot.SnapshotId);
+				},
+				error => {
+					if (error instanceof ArchivesNotRestoredError) {
+						this.skippedValidations[snapshot.SnapshotId] = error.message;
+					} else {
+						failures[snapshot.SnapshotId] = error;
 					}
-				);
-			})
-			.then(() => logger.info(""));
-	});
+					
+					// And keep on validating the rest, we'll report the errors later.
+				}
+			);
+	}
 	
-	return promise;
+	return promise.then(() => {
+		if (Object.keys(failures).length > 0) {
+			throw new SnapshotValidationError(failures, successes);
+		}
+		
+		return successes;
+	});
+};
+
+/**
+ * Find all snapshots that are eligible for validation, validate them against S3, and mark them as validated if successful.
+ *
+ * @returns {Promise.<string[]>} - Array of successful snapshot ids.
+ */
+SnapToS3.prototype.validateAllTaggedSnapshots = function() {
+	return this.initPromise.then(() => {
+		let
+			validatedSnapshotIDs = [];
+		
+		const
+			validateOne = () => this.findValidatableSnapshots().then(snapshots => {
+				// Skipped snapshots get their original tag back, so don't pick them up again
+				snapshots = snapshots.filter(snapshot => !(snapshot.SnapshotId in this.skippedValidations));
+				
+				if (snapshots.length === 0) {
+					return validatedSnapshotIDs;
+				}
+				
+				/*
+				 * Only validate one snapshot now, as the validatable state of the remaining snapshots might change while
+				 * we're migrating this one!
+				 */
+				let
+					snapshot = snapshots[0];
+				
+				return this.validateSnapshotsByDescription([snapshot])
+					.then(success => {
+						validatedSnapshotIDs = validatedSnapshotIDs.concat(success);
+						return validateOne(); // Go again to migrate any remaining snapshots
+					});
+			});
+		
+		return validateOne();
+	});
+};
+
+/**
+ * Find one snapshot that is eligible for validation, validate it against S3, and mark as validated.
+ *
+ * @returns {Promise.<string[]>} - Array of successful snapshot ids.
+ */
+SnapToS3.prototype.validateOneTaggedSnapshot = function() {
+	return this.initPromise
+		.then(() => this.findValidatableSnapshots())
+		.then(snapshots => {
+			if (snapshots.length === 0) {
+				return [];
+			}
+			
+			/*
+			 * We could pick at random, rather than always picking the first, to reduce chance of collisions between
+			 * processes:
+			 */
+			return this.validateSnapshotsByDescription([snapshots[0]]);
+		});
 };
 
 /**
- * Validate the given volume, which is based on the given snapshot, against uploaded files from S3.
- *
- * @param {EC2.Volume} volume
- * @param {EC2.Snapshot} snapshot
+ * Validate the specified snapshots against S3, and mark them as validated if successful.
  *
- * @returns {Promise}
+ * @param {String[]} snapshotIDs
+ * @returns {Promise.<string[]>} - Array of successful snapshot ids.
  */
-SnapToS3.prototype.validateTemporaryVolume = function(volume, snapshot) {
-	const
-		logger = Logger.get(snapshot.SnapshotId),
-		ddKey = createS3KeyForSnapshotVolumeImage(snapshot);
+SnapToS3.prototype.validateSnapshots = function(snapshotIDs) {
+	if (snapshotIDs.length === 0) {
+		throw "No snapshot IDs were provided to validate!";
+	}
 	
-	// Check if we have a dd image in S3 to validate against
-	return this.s3.headObject({
-		Bucket: this.options.bucket,
-		Key: ddKey
-	}).promise()
-		.catch(err => null) // If we failed to find a DD image then assume it was a set of part tars
-		.then(ddObjectHead => {
-			logger.info("Waiting for " + volume.VolumeId + "'s partitions to become visible to the operating system...");
-			
-			return awsTools.waitForVolumePartitions(volume, this.instanceIdentity.instanceId, PARTITION_POLL_MAX_RETRY, PARTITION_POLL_INTERVAL)
-				.then(partitions => {
-					if (ddObjectHead) {
-						return this.validatePartitionsUsingDd(partitions, snapshot, ddKey, ddObjectHead.ContentLength, logger);
-					} else {
-						return this.validatePartitionsUsingTar(partitions, snapshot, logger);
-					}
-				});
-		});
+	if (this.options["against-manifest"]) {
+		return this.initPromise.then(() => this.validateSnapshotIDsAgainstManifests(snapshotIDs));
+	}
+	
+	return this.initPromise
+		.then(() => describeSnapshots(this.ec2, snapshotIDs))
+		.then(snapshots => this.validateSnapshotsByDescription(snapshots));
 };
 
-SnapToS3.prototype.cleanUpTempVolume = function(volume, snapshot) {
+/**
+ * Validate the uploads of the specified snapshots against their manifests. Snapshots which still exist are tagged
+ * as usual, and snapshots which have since been deleted are validated too (without tagging).
+ *
+ * @param {String[]} snapshotIDs
+ * @returns {Promise.<string[]>} - Array of successful snapshot ids.
+ */
+SnapToS3.prototype.validateSnapshotIDsAgainstManifests = function(snapshotIDs) {
 	let
-		logger = Logger.get(snapshot.SnapshotId);
+		promise = Promise.resolve(),
+		successes = [], failures = {};
 	
-	if (this.options["keep-temp-volumes"]) {
-		logger.info("Keeping temporary volume " + volume.VolumeId + " attached");
-		
-		return Promise.resolve();
-	} else {
-		logger.info("Detaching " + volume.VolumeId);
+	for (let snapshotID of snapshotIDs) {
+		const
+			logger = Logger.get(snapshotID);
 		
-		return this.ec2.detachVolume({
-			VolumeId: volume.VolumeId
-		}).promise()
-			.then(() => awsTools.waitForVolumeState(this.ec2, volume.VolumeId, "available", 60, 10 * 1000))
-			.then(() => {
-				logger.info("Deleting temporary volume " + volume.VolumeId);
+		promise = promise
+			.then(() => describeSnapshots(this.ec2, [snapshotID]).catch(error => {
+				if (error instanceof SnapshotsMissingError || error.code === "InvalidSnapshot.NotFound") {
+					return [];
+				}
 				
-				return this.ec2.deleteVolume({
-					VolumeId: volume.VolumeId
-				}).promise();
-			});
+				throw error;
+			}))
+			.then(snapshots => {
+				if (snapshots.length > 0) {
+					return this._claimAndValidateSnapshot(snapshots[0]);
+				}
+				
+				logger.info("Validating S3 against the manifests of " + snapshotID + " (this snapshot no longer exists, so it won't be tagged)");
+				
+				return this.prepareArchivesForReading(snapshotID, undefined, logger)
+					.then(() => this.validateArchivesAgainstManifests(snapshotID))
+					.then(() => {
+						logger.info("Successfully validated this snapshot!");
+						Logger.info(""); // No prefix on this empty line
+					});
+			})
+			.then(
+				() => {
+					successes.push(snapshotID);
+				},
+				error => {
+					if (error instanceof ArchivesNotRestoredError) {
+						logger.warn("Skipping validation: " + error.message);
+						this.skippedValidations[snapshotID] = error.message;
+						return;
+					}
+					
+					failures[snapshotID] = error;
+					
+					// And keep on validating the rest, we'll report the errors later.
+				}
+			);
 	}
+	
+	return promise.then(() => {
+		if (Object.keys(failures).length > 0) {
+			throw new SnapshotValidationError(failures, successes);
+		}
+		
+		return successes;
+	});
 };
 
 /**
- *
- * @param {EC2.Snapshot} snapshot
- * @returns {Promise}
+ * @typedef {Object} SnapshotDeletionResult
+ * @property {string[]} deleted - IDs of the snapshots we deleted
+ * @property {Object.<string,string>} kept - Snapshots which aren't due for deletion yet, or are used by an AMI, mapped
+ * to the reason
+ * @property {Object.<string,string>} failed - Snapshots we couldn't delete, mapped to the error
  */
-SnapToS3.prototype._migrateSnapshot = function(snapshot) {
-	return this.findOrCreateVolumeFromSnapshot(snapshot)
-		.then(createdVolume => this.findOrAttachVolumeToInstance(createdVolume, snapshot))
-		.then(attachedVolume =>
-			this.uploadTemporaryVolume(attachedVolume, snapshot)
-				.then(() => this.cleanUpTempVolume(attachedVolume, snapshot))
-		);
-};
 
 /**
+ * Delete the snapshots which have been validated for longer than --delete-grace hours, once we've checked that their
+ * archives are still in the bucket.
  *
- * @param {EC2.Snapshot} snapshot
- * @returns {Promise}
+ * @param {string[]} [snapshotIDs] - Only consider these snapshots, rather than every validated snapshot that matches
+ * the selection options
+ *
+ * @returns {Promise.<SnapshotDeletionResult>}
  */
-SnapToS3.prototype._validateSnapshot = function(snapshot) {
-	return this.findOrCreateVolumeFromSnapshot(snapshot)
-		.then(createdVolume => this.findOrAttachVolumeToInstance(createdVolume, snapshot))
-		.then(attachedVolume =>
-			this.validateTemporaryVolume(attachedVolume, snapshot)
-				.then(() => this.cleanUpTempVolume(attachedVolume, snapshot))
-		);
+SnapToS3.prototype.deleteValidatedSnapshots = function(snapshotIDs) {
+	const
+		result = {
+			deleted: [],
+			kept: {},
+			failed: {}
+		};
+	
+	return this.initPromise
+		.then(() => this.findCompletedSnapshotsWithTag("validated"))
+		.then(snapshots => {
+			if (snapshotIDs) {
+				snapshots = snapshots.filter(snapshot => snapshotIDs.indexOf(snapshot.SnapshotId) !== -1);
+			}
+			
+			// The daemon could still be working on them
+			if (this.jobs) {
+				snapshots = snapshots.filter(snapshot => !(snapshot.SnapshotId in this.jobs));
+			}
+			
+			if (snapshots.length === 0) {
+				return result;
+			}
+			
+			return this.findAMIBackingSnapshotIDs().then(amiSnapshotIDs => {
+				let
+					promise = Promise.resolve();
+				
+				for (let snapshot of snapshots) {
+					promise = promise
+						.then(() => this._deleteValidatedSnapshot(snapshot, amiSnapshotIDs))
+						.then(
+							reason => {
+								if (reason === null) {
+									result.deleted.push(snapshot.SnapshotId);
+								} else {
+									result.kept[snapshot.SnapshotId] = reason;
+								}
+							},
+							error => {
+								Logger.get(snapshot.SnapshotId).error("Couldn't delete this snapshot: " + error);
+								
+								result.failed[snapshot.SnapshotId] = error;
+							}
+						);
+				}
+				
+				return promise.then(() => result);
+			});
+		});
 };
 
 /**
+ * @param {EC2.Snapshot} snapshot - A snapshot tagged with "validated"
+ * @param {Object.<string,boolean>} amiSnapshotIDs - Snapshots used by our AMIs, which must never be deleted
  *
- * @param {EC2.Snapshot} snapshot
- *
- * @returns {Promise}
+ * @returns {Promise.<?string>} Resolves to null once the snapshot has been deleted, or to the reason it was kept
  */
-SnapToS3.prototype._claimAndMigrateSnapshot = function(snapshot) {
-	let
-		logger = Logger.get(snapshot.SnapshotId);
+SnapToS3.prototype._deleteValidatedSnapshot = function(snapshot, amiSnapshotIDs) {
+	const
+		logger = Logger.get(snapshot.SnapshotId),
+		validatedAtTag = (snapshot.Tags || []).find(tag => tag.Key === this.options.tag + "-validated-at");
 	
-	logger.info("Migrating " + snapshot.SnapshotId + " to S3");
-	logger.info("Tagging snapshot with \"migrating\"...");
+	// Snapshots validated by older versions of snap-to-s3 weren't given a validation time, so start their grace period now
+	if (!validatedAtTag) {
+		return this.ec2.createTags({
+			Resources: [
+				snapshot.SnapshotId
+			],
+			Tags: [
+				{
+					Key: this.options.tag + "-validated-at",
+					Value: moment().utc().format()
+				}
+			]
+		}).promise().then(() => "its grace period starts now, since we didn't know when it was validated");
+	}
 	
-	return this.raceToMarkSnapshot(snapshot.SnapshotId, "migrating")
-		.then(() =>
-			this._migrateSnapshot(snapshot)
-				.then(
-					// If we succeeded, mark the snapshot so we don't try to migrate it again
-					() => {
-						let
-							tagWith = this.options.validate ? "validated" : "migrated";
-						
-						logger.info("Tagging snapshot with \"" + tagWith + "\"");
-						return this.markSnapshotAsCompleted(snapshot.SnapshotId, tagWith);
-					},
-					// If we messed up, mark the snapshot for retry and rethrow the error up the stack
-					(err) => {
-						logger.info("An error occurred, tagging snapshot with \"migrate\" so it can be retried later");
-						return this.markSnapshotForMigration(snapshot.SnapshotId).then(() => {
-							throw err;
-						});
-					}
-				)
-		)
-		.then(
-			() => {
-				logger.info("Successfully migrated this snapshot!");
-				Logger.info(""); // No prefix on this empty line
-			},
-			(err) => {
-				// Tag errors with the snapshot ID
-				throw new SnapToS3.SnapshotMigrationError(err, snapshot.SnapshotId);
-			}
-		);
+	const
+		deleteAfter = moment(validatedAtTag.Value, moment.ISO_8601).add(this.options["delete-grace"], "hours");
+	
+	if (!deleteAfter.isValid()) {
+		return Promise.reject("its \"" + validatedAtTag.Key + "\" tag isn't a date: \"" + validatedAtTag.Value + "\"");
+	}
+	
+	if (moment().isBefore(deleteAfter)) {
+		return Promise.resolve("its grace period ends at " + deleteAfter.utc().format());
+	}
+	
+	if (snapshot.SnapshotId in amiSnapshotIDs) {
+		return Promise.resolve("it's used by a registered AMI");
+	}
+	
+	logger.info("Checking that the archives of " + snapshot.SnapshotId + " are still in " + this.destinations[0].name + " before deleting it...");
+	
+	return this.verifyArchivesBeforeDeletion(snapshot)
+		.then(archives => {
+			logger.info("Writing a tombstone for the snapshot...");
+			
+			return this.uploadTombstone(snapshot, archives, validatedAtTag.Value);
+		})
+		.then(() => {
+			logger.info("Deleting " + snapshot.SnapshotId + "...");
+			
+			return this.ec2.deleteSnapshot({
+				SnapshotId: snapshot.SnapshotId
+			}).promise();
+		})
+		.then(() => {
+			logger.info("Deleted " + snapshot.SnapshotId);
+			
+			return null;
+		});
 };
 
 /**
+ * Make sure that the archives of a snapshot are still in the bucket, and still describe the snapshot, and that
+ * everything else needed to restore them is there too:
  *
- * @param {EC2.Snapshot} snapshot
+ * - Every archive listed in the snapshot's "-validated-archives" tag (each partition's tar, or the image or delta)
+ * - The archive of every manifest of the snapshot, since a manifest is uploaded after its archive
+ * - The archives that incremental tars and deltas are based on, all the way back to a full tar or image
+ * - The chunks that the indexes of deduplicated archives (including those they're based on) refer to
  *
- * @returns {Promise}
+ * @param {EC2.Snapshot} snapshot
+ * @returns {Promise.<SnapshotArchive[]>} Rejects if there are no archives, their metadata doesn't match, or anything
+ * needed to restore them is missing
  */
-SnapToS3.prototype._claimAndValidateSnapshot = function(snapshot) {
-	let
-		logger = Logger.get(snapshot.SnapshotId),
-		originalTag;
-	
-	logger.info("Validating S3 against the original " + snapshot.SnapshotId);
-	logger.info("Tagging snapshot with \"validating\"...");
+SnapToS3.prototype.verifyArchivesBeforeDeletion = function(snapshot) {
+	const
+		keyPrefix = createS3KeyPrefixForSnapshot(snapshot),
+		validatedArchivesTag = (snapshot.Tags || []).find(tag => tag.Key === this.options.tag + VALIDATED_ARCHIVES_TAG_SUFFIX);
 	
-	originalTag = snapshot.Tags.find(tag => tag.Key === this.options.tag);
+	let
+		archives;
 	
-	return this.raceToMarkSnapshot(snapshot.SnapshotId, "validating")
-		.then(
-			() => this._validateSnapshot(snapshot).then(
-				// If we succeeded, mark the snapshot so we don't try to validate it again
-				() => {
-					logger.info("Tagging snapshot with \"validated\"");
-					return this.markSnapshotAsCompleted(snapshot.SnapshotId, "validated");
-				},
-				// If we messed up validation, mark the snapshot for retry and rethrow the error up the stack
-				(err) => {
-					logger.error("Error: " + err);
-					
-					let
-						restoreTag;
-					
-					if (originalTag) {
-						if (originalTag.Value === "validated" || originalTag.Value === "validating") {
-							/*
-							 * The tag used to be in the validation stage, but validation failed, so it would be silly
-							 * to put "validated" back onto the snapshot
-							 */
-							logger.info("An error occurred, marking the snapshot as \"migrated\"");
-							restoreTag = this.markSnapshotAsCompleted(snapshot.SnapshotId, "migrated");
-						} else {
-							logger.info("An error occurred, restoring the original \"" + originalTag.Value + "\" tag on the snapshot");
-							restoreTag = this.markSnapshotAsCompleted(snapshot.SnapshotId, originalTag.Value);
-						}
-					} else {
-						// We might have manually told snap-to-s3 to validate a snapshot that didn't have any tag previously
-						logger.info("An error occurred, clearing the \"validating\" tag from the snapshot");
-						restoreTag = this.markSnapshotAsCompleted(snapshot.SnapshotId, "");
+	return this.findArchivesForSnapshot(snapshot.SnapshotId, snapshot.VolumeId)
+		.then(_archives => {
+			archives = _archives;
+			
+			if (archives.length === 0) {
+				throw "No archives of " + snapshot.SnapshotId + " were found in " + this.destinations[0].name;
+			}
+			
+			for (let archive of archives) {
+				const
+					metadata = archive.metadata;
+				
+				if (metadata["snapshot-volumeid"] !== snapshot.VolumeId || metadata["snapshot-volumesize"] !== "" + snapshot.VolumeSize
+						|| !moment(metadata["snapshot-starttime"], moment.ISO_8601).isSame(snapshot.StartTime)) {
+					throw "The metadata of " + this.storage.describeKey(archive.key) + " doesn't match the snapshot " + snapshot.SnapshotId;
+				}
+			}
+			
+			if (validatedArchivesTag) {
+				for (let content of validatedArchivesTag.Value.split(" ")) {
+					if (!archives.some(archive => describeArchiveContent(archive) === content)) {
+						throw "The " + content + " archive of " + snapshot.SnapshotId + " was there when it was validated, but it's missing from " + this.destinations[0].name;
 					}
+				}
+			}
+			
+			return this.storage.listAllObjects({
+				Prefix: keyPrefix
+			});
+		})
+		.then(objects => {
+			// The prefix of snap-1 is also the start of snap-10's
+			for (let object of objects.filter(object => manifest.isManifestKey(object.Key) && [".", " "].indexOf(object.Key.charAt(keyPrefix.length)) !== -1)) {
+				if (!archives.some(archive => manifest.manifestKeyForArchive(archive.key) === object.Key)) {
+					throw "The manifest \"" + this.storage.describeKey(object.Key) + "\" is in the bucket, but the archive it describes is missing";
+				}
+			}
+			
+			return Promise.all(archives.map(archive => {
+				let
+					chain;
+				
+				if (archive.type === "delta") {
+					chain = this.describeDeltaChain(archive).then(deltaChain => [deltaChain.base].concat(deltaChain.deltas));
+				} else if (archive.type === "tar" && archive.incrementalLevel > 0) {
+					chain = this.describeTarChain(archive);
+				} else {
+					return [archive];
+				}
+				
+				return chain.catch(error => {
+					throw "The archives that \"" + this.storage.describeKey(archive.key) + "\" is based on aren't all there: " + error;
+				});
+			}));
+		})
+		.then(chains => {
+			const
+				chunked = [].concat.apply([], chains).filter((archive, index, chainArchives) => archive.chunked && chainArchives.findIndex(other => other.key === archive.key) === index);
+			
+			return this.verifyChunksOfArchives(chunked);
+		})
+		.then(() => archives);
+};
+
+/**
+ * Make sure that every chunk which the indexes of the given deduplicated archives refer to is in the bucket.
+ *
+ * The key of a chunk starts with a prefix made from the start of its hash, so rather than checking the chunks one at
+ * a time, we list the prefixes of the chunks we need.
+ *
+ * @param {SnapshotArchive[]} archives
+ * @returns {Promise} Rejects if any chunk is missing
+ */
+SnapToS3.prototype.verifyChunksOfArchives = function(archives) {
+	const
+		// The key of the archive that needs each chunk that we haven't found yet, by chunk key
+		missing = new Map();
+	
+	return archives.reduce(
+		(promise, archive) => promise
+			.then(() => this.downloadChunkIndex(archive))
+			.then(index => {
+				for (let entry of index.chunks) {
+					const
+						key = chunkStore.chunkKey(entry[0]);
 					
-					return restoreTag.then(() => {
-						throw err;
-					});
+					if (!missing.has(key)) {
+						missing.set(key, archive.key);
+					}
 				}
-			)
-		)
+			}),
+		Promise.resolve()
+	)
+		.then(() => Array.from(new Set(Array.from(missing.keys()).map(key => key.substring(0, key.lastIndexOf("/") + 1)))).reduce(
+			(promise, prefix) => promise
+				.then(() => this.storage.listAllObjects({
+					Prefix: prefix
+				}))
+				.then(objects => {
+					for (let object of objects) {
+						missing.delete(object.Key);
+					}
+				}),
+			Promise.resolve()
+		))
 		.then(() => {
-			logger.info("Successfully validated this snapshot!");
-			Logger.info(""); // No prefix on this empty line
+			if (missing.size > 0) {
+				const
+					first = missing.entries().next().value;
+				
+				throw "The chunk \"" + this.storage.describeKey(first[0]) + "\" of \"" + this.storage.describeKey(first[1]) + "\" is missing"
+					+ (missing.size > 1 ? ", along with " + (missing.size - 1) + " more chunks" : "");
+			}
 		});
 };
 
 /**
- * Migrate the snapshots with the given snapshot descriptions.
+ * Upload a record of a snapshot that we're about to delete, with its description and tags.
  *
- * The migration is terminated at the first snapshot that fails to migrate.
+ * @param {EC2.Snapshot} snapshot
+ * @param {SnapshotArchive[]} archives - The archives of the snapshot
+ * @param {string} validatedAt - When the snapshot was validated
  *
- * @param {EC2.Snapshot[]} snapshots
- * @returns {Promise.<string[]>} - Array of successful snapshot ids.
+ * @returns {Promise}
  */
-SnapToS3.prototype.migrateSnapshotsByDescription = function(snapshots) {
-	let
-		promise = this.initPromise;
+SnapToS3.prototype.uploadTombstone = function(snapshot, archives, validatedAt) {
+	/**
+	 * @type {S3.PutObjectRequest}
+	 */
+	const
+		s3Params = this.createS3ParamsForSnapshot(snapshot);
 	
-	for (let snapshot of snapshots) {
-		promise = promise.then(() => this._claimAndMigrateSnapshot(snapshot));
-	}
+	s3Params.Key = createS3KeyPrefixForSnapshot(snapshot) + TOMBSTONE_SUFFIX;
+	s3Params.Body = JSON.stringify({
+		snapshotID: snapshot.SnapshotId,
+		volumeID: snapshot.VolumeId,
+		volumeSize: snapshot.VolumeSize,
+		startTime: moment(snapshot.StartTime).utc().format(),
+		description: snapshot.Description,
+		tags: snapshot.Tags || [],
+		archives: archives.map(archive => archive.key),
+		validatedAt: validatedAt,
+		deletedAt: moment().utc().format()
+	}, null, "\t");
+	s3Params.ContentType = "application/json";
 	
-	return promise.then(() => snapshots.map(snapshot => snapshot.SnapshotId));
+	delete s3Params.StorageClass;
+	
+	return this.uploadToDestinations(s3Params);
 };
 
 /**
- * Find all snapshots that are eligible for migration, copy them over to S3 and mark them as migrated.
- *
- * The migration is terminated at the first snapshot that fails to migrate.
- *
- * @returns {Promise.<string[]>} - Array of successful snapshot ids.
+ * @typedef {Object} DaemonJob
+ * @property {string} snapshotID
+ * @property {string} action - "migrate" or "validate"
+ * @property {Date} started
+ * @property {?(ProgressBar|ProgressBoardBar)} progress - Bar of the job's current upload, if it's got that far
  */
-SnapToS3.prototype.migrateAllTaggedSnapshots = function() {
-	return this.initPromise.then(() => {
-		let
-			migratedSnapshotIDs = [];
-		
-		const
-			migrateOne = () => this.findMigratableSnapshots().then(snapshots => {
-				if (snapshots.length === 0) {
-					return migratedSnapshotIDs;
-				}
-				
-				/*
-				 * Only migrate one snapshot now, as the migratable state of the remaining snapshots might change while
-				 * we're migrating this one!
-				 */
-				let
-					snapshot = snapshots[0]; // Could pick randomly here to reduce collisions with other processes
-				
-				return this.migrateSnapshotsByDescription([snapshot])
-					.then(() => {
-						migratedSnapshotIDs.push(snapshot.SnapshotId);
-						
-						return migrateOne(); // Go again to migrate any remaining snapshots
-					});
-			});
-		
-		return migrateOne();
-	});
-};
 
 /**
- * Find one snapshot that is eligible for migration, copy it over to S3 and mark it as migrated.
+ * Keep migrating (with --migrate) and/or validating (with --validate) the snapshots which are tagged for it, looking
+ * for more every --poll-interval minutes until we receive SIGTERM.
  *
- * @returns {Promise.<string[]>} - Array of successful snapshot ids.
+ * Up to --parallel snapshots are processed at once, and new ones are only started during the --window. A snapshot
+ * that fails to migrate is retagged and tried again on a later poll, until it's failed more than --max-failures
+ * times. A failed validation isn't tried again until we're restarted. With --delete-after-validate, each poll also
+ * deletes the validated snapshots whose grace period is over.
+ *
+ * On SIGTERM we stop starting new jobs, and the uploads in progress are interrupted the same way as they are for
+ * CTRL+C (so they keep their checkpoint, with --checkpoint-dir). Their snapshots are retagged for migration and their
+ * temporary volumes are released. Other work in progress (like validations, --dedup uploads and a poll that's
+ * deleting validated snapshots) is allowed to finish.
+ *
+ * @returns {Promise} Resolves once we've shut down
  */
-SnapToS3.prototype.migrateOneTaggedSnapshot = function() {
+SnapToS3.prototype.runDaemon = function() {
+	/**
+	 * The snapshots we're working on, by snapshot ID
+	 *
+	 * @type {Object.<string, DaemonJob>}
+	 */
+	this.jobs = {};
+	this.stopping = false;
+	
+	this.daemonCounts = {
+		migrated: 0,
+		validated: 0,
+		failed: 0
+	};
+	
+	// Snapshots whose validation failed during this run, which we won't try again
+	this.failedValidations = {};
+	
+	if (this.options["delete-after-validate"]) {
+		this.daemonCounts.deleted = 0;
+	}
+	
 	return this.initPromise
-		.then(() => this.findMigratableSnapshots())
-		.then(snapshots => {
-			if (snapshots.length === 0) {
-				return [];
+		.then(() => {
+			if (this.options["status-port"] === undefined) {
+				return null;
 			}
 			
-			return this.migrateSnapshotsByDescription([snapshots[0]]);
-		});
+			return statusServer.listen(this.options["status-port"], () => this.getDaemonStatus()).then(server => {
+				Logger.info("Status is available at http://127.0.0.1:" + this.options["status-port"] + "/");
+				
+				return server;
+			});
+		})
+		.then(server => new Promise(resolve => {
+			let
+				pollTimer = null,
+				
+				// The poll that's looking for snapshots to work on, if there is one
+				currentPoll = null;
+			
+			const
+				finishIfIdle = () => {
+					if (this.stopping && !currentPoll && Object.keys(this.jobs).length === 0) {
+						process.removeListener("SIGTERM", shutDown);
+						
+						(server ? statusServer.close(server) : Promise.resolve()).then(() => {
+							Logger.info("Shut down after migrating " + this.daemonCounts.migrated + " and validating " + this.daemonCounts.validated + " snapshots (" + this.daemonCounts.failed + " failed)");
+							resolve();
+						});
+					}
+				},
+				
+				poll = () => {
+					pollTimer = setTimeout(poll, this.options["poll-interval"] * 60 * 1000);
+					
+					// Don't pile up more polls behind a slow one
+					if (!currentPoll) {
+						currentPoll = this._startDaemonJobs(finishIfIdle)
+							.catch(error => Logger.error("Couldn't look for snapshots to work on, we'll try again on the next poll: " + error))
+							.then(() => {
+								currentPoll = null;
+								
+								// We might have been waiting for this poll to shut down
+								finishIfIdle();
+							});
+					}
+				},
+				
+				shutDown = () => {
+					if (this.stopping) {
+						return;
+					}
+					
+					const
+						jobCount = Object.keys(this.jobs).length;
+					
+					this.stopping = true;
+					clearTimeout(pollTimer);
+					
+					Logger.info("Received SIGTERM, stopping the " + jobCount + " snapshot" + (jobCount === 1 ? "" : "s") + " in progress before shutting down...");
+					
+					for (let interrupt of this.uploadInterrupters) {
+						interrupt(DAEMON_SHUTDOWN_REASON);
+					}
+					
+					finishIfIdle();
+				};
+			
+			process.on("SIGTERM", shutDown);
+			
+			Logger.info("Looking for snapshots to " + [this.options.migrate ? "migrate" : null, this.options.validate ? "validate" : null].filter(action => action).join(" and ") + " every " + this.options["poll-interval"] + " minutes" + (this.maintenanceWindow ? " during the window " + this.options.window + " UTC" : ""));
+			
+			poll();
+		}));
 };
 
 /**
- * Migrate the specified snapshots to S3
+ * Start jobs for snapshots that need migrating or validating, up to --parallel jobs at once, if we're inside the
+ * maintenance window. With --delete-after-validate, the validated snapshots which are due for deletion are deleted
+ * first.
  *
- * @returns {Promise.<string[]>} - Array of successful snapshot ids.
+ * @param {function()} onJobFinished
+ * @returns {Promise} Resolves once the jobs have been started
  */
-SnapToS3.prototype.migrateSnapshots = function(snapshotIDs) {
-	return this.initPromise
-		.then(() => describeSnapshots(this.ec2, snapshotIDs))
-		.then(snapshots => this.migrateSnapshotsByDescription(snapshots));
+SnapToS3.prototype._startDaemonJobs = function(onJobFinished) {
+	if (!isInMaintenanceWindow(this.maintenanceWindow, new Date())) {
+		return Promise.resolve();
+	}
+	
+	return (this.options["delete-after-validate"] ? this.deleteValidatedSnapshots().then(result => {
+		this.daemonCounts.deleted += result.deleted.length;
+	}) : Promise.resolve()).then(() => this._startDaemonJobsInFreeSlots(onJobFinished));
 };
 
 /**
- * @param {EC2.Snapshot[]} snapshots
- * @returns {Promise.<string[]>} - Array of successful snapshot ids.
+ * @param {function()} onJobFinished
+ * @returns {Promise} Resolves once the jobs have been started
  */
-SnapToS3.prototype.validateSnapshotsByDescription = function(snapshots) {
-	let
-		promise = this.initPromise,
-		successes = [], failures = {};
+SnapToS3.prototype._startDaemonJobsInFreeSlots = function(onJobFinished) {
+	const
+		freeSlots = this.options.parallel - Object.keys(this.jobs).length;
 	
-	for (let snapshot of snapshots) {
-		promise = promise
-			.then(() => this._claimAndValidateSnapshot(snapshot))
-			.then(
-				() => {
-					successes.push(snapshot.SnapshotId);
-				},
-				error => {
-					failures[snapshot.SnapshotId] = error;
-					
-					// And keep on validating the rest, we'll report the errors later.
-				}
-			);
+	if (freeSlots <= 0 || this.stopping) {
+		return Promise.resolve();
 	}
 	
-	return promise.then(() => {
-		if (Object.keys(failures).length > 0) {
-			throw new SnapshotValidationError(failures, successes);
+	return Promise.all([
+		this.options.migrate ? this.findMigratableSnapshots().then(snapshots => this.skipRepeatedlyFailedSnapshots(snapshots)) : [],
+		this.options.validate ? this.findValidatableSnapshots().then(snapshots => snapshots.filter(snapshot => !(snapshot.SnapshotId in this.failedValidations))) : []
+	]).then(results => {
+		const
+			candidates = results[0].map(snapshot => ({snapshot: snapshot, action: "migrate"}))
+				.concat(results[1].map(snapshot => ({snapshot: snapshot, action: "validate"})))
+				.filter(candidate => !(candidate.snapshot.SnapshotId in this.jobs));
+		
+		// We might have been told to stop while we were looking
+		if (this.stopping) {
+			return;
 		}
 		
-		return successes;
+		for (let candidate of candidates.slice(0, freeSlots)) {
+			this._runDaemonJob(candidate.snapshot, candidate.action).then(onJobFinished);
+		}
 	});
 };
 
 /**
- * Find all snapshots that are eligible for validation, validate them against S3, and mark them as validated if successful.
- *
- * @returns {Promise.<string[]>} - Array of successful snapshot ids.
+ * @param {EC2.Snapshot} snapshot
+ * @param {string} action - "migrate" or "validate"
+ * @returns {Promise} Resolves once the job has finished, successfully or not
  */
-SnapToS3.prototype.validateAllTaggedSnapshots = function() {
-	return this.initPromise.then(() => {
-		let
-			validatedSnapshotIDs = [];
-		
-		const
-			validateOne = () => this.findValidatableSnapshots().then(snapshots => {
-				if (snapshots.length === 0) {
-					return validatedSnapshotIDs;
+SnapToS3.prototype._runDaemonJob = function(snapshot, action) {
+	const
+		logger = Logger.get(snapshot.SnapshotId);
+	
+	this.jobs[snapshot.SnapshotId] = {
+		snapshotID: snapshot.SnapshotId,
+		action: action,
+		started: new Date(),
+		progress: null
+	};
+	
+	return (action === "migrate" ? this._claimAndMigrateSnapshot(snapshot) : this._claimAndValidateSnapshot(snapshot))
+		.then(
+			() => {
+				this.daemonCounts[action === "migrate" ? "migrated" : "validated"]++;
+			},
+			error => {
+				if (error instanceof ArchivesNotRestoredError) {
+					// We'll try again on a later poll, once the archives might have been restored
+					return;
 				}
 				
-				/*
-				 * Only validate one snapshot now, as the validatable state of the remaining snapshots might change while
-				 * we're migrating this one!
-				 */
-				let
-					snapshot = snapshots[0];
+				this.daemonCounts.failed++;
 				
-				return this.validateSnapshotsByDescription([snapshot])
-					.then(success => {
-						validatedSnapshotIDs = validatedSnapshotIDs.concat(success);
-						return validateOne(); // Go again to migrate any remaining snapshots
-					});
-			});
-		
-		return validateOne();
-	});
-};
-
-/**
- * Find one snapshot that is eligible for validation, validate it against S3, and mark as validated.
- *
- * @returns {Promise.<string[]>} - Array of successful snapshot ids.
- */
-SnapToS3.prototype.validateOneTaggedSnapshot = function() {
-	return this.initPromise
-		.then(() => this.findValidatableSnapshots())
-		.then(snapshots => {
-			if (snapshots.length === 0) {
-				return [];
+				if (action === "migrate") {
+					logger.error(error instanceof SnapshotMigrationError ? error.error : error);
+				} else {
+					this.failedValidations[snapshot.SnapshotId] = error;
+				}
 			}
-			
-			/*
-			 * We could pick at random, rather than always picking the first, to reduce chance of collisions between
-			 * processes:
-			 */
-			return this.validateSnapshotsByDescription([snapshots[0]]);
+		)
+		.then(() => {
+			delete this.jobs[snapshot.SnapshotId];
 		});
 };
 
 /**
- * Validate the specified snapshots against S3, and mark them as validated if successful.
- *
- * @param {String[]} snapshotIDs
- * @returns {Promise.<string[]>} - Array of successful snapshot ids.
+ * @returns {Object} The state of the daemon and its jobs, for the status endpoint
  */
-SnapToS3.prototype.validateSnapshots = function(snapshotIDs) {
-	if (snapshotIDs.length === 0) {
-		throw "No snapshot IDs were provided to validate!";
-	}
-	
-	return this.initPromise
-		.then(() => describeSnapshots(this.ec2, snapshotIDs))
-		.then(snapshots => this.validateSnapshotsByDescription(snapshots));
+SnapToS3.prototype.getDaemonStatus = function() {
+	return {
+		state: this.stopping ? "stopping" : "running",
+		inWindow: isInMaintenanceWindow(this.maintenanceWindow, new Date()),
+		counts: this.daemonCounts,
+		jobs: Object.keys(this.jobs).map(snapshotID => {
+			const
+				job = this.jobs[snapshotID],
+				bar = job.progress;
+			
+			return {
+				snapshotID: job.snapshotID,
+				action: job.action,
+				started: job.started.toISOString(),
+				
+				// Progress bars count in KiB of the data before compression
+				progress: bar ? {
+					bytes: bar.curr * 1024,
+					totalBytes: bar.total * 1024,
+					percent: bar.total > 0 ? Math.min(Math.floor(bar.curr / bar.total * 100), 100) : 0
+				} : null
+			};
+		})
+	};
 };
 
 
@@ -1768,6 +7751,40 @@ class SnapshotMigrationError extends Error {
 	}
 }
 
+class SnapshotMigrationFailuresError extends Error {
+	/**
+	 * @param {Object} failures - A map from snapshot-id to error
+	 * @param {string[]} successes - An array of snapshot ids
+	 */
+	constructor(failures, successes) {
+		super("These snapshots failed to migrate: " + Object.keys(failures).map(snapshotID => snapshotID + ": " + failures[snapshotID]).join(", "));
+		
+		this.failures = failures;
+		this.successes = successes;
+	}
+}
+
+class SnapshotRestoreError extends Error {
+	constructor(error, snapshotID) {
+		super(snapshotID + ": " + error);
+		
+		this.error = error;
+		this.snapshotID = snapshotID;
+	}
+}
+
+class ArchivesNotRestoredError extends Error {
+	/**
+	 * @param {string[]} keys - Archives which are in Glacier and haven't been restored yet
+	 * @param {string} status - What's being done about it
+	 */
+	constructor(keys, status) {
+		super(keys.length + " archive" + (keys.length === 1 ? " is" : "s are") + " in Glacier and need to be restored first, " + status + " (" + keys.join(", ") + ")");
+		
+		this.keys = keys;
+	}
+}
+
 class SnapshotValidationError extends Error {
 	/**
 	 *
@@ -1783,7 +7800,10 @@ class SnapshotValidationError extends Error {
 }
 
 SnapToS3.SnapshotMigrationError = SnapshotMigrationError;
+SnapToS3.SnapshotMigrationFailuresError = SnapshotMigrationFailuresError;
+SnapToS3.SnapshotRestoreError = SnapshotRestoreError;
 SnapToS3.SnapshotValidationError = SnapshotValidationError;
+SnapToS3.ArchivesNotRestoredError = ArchivesNotRestoredError;
 SnapToS3.SnapshotsMissingError = SnapshotsMissingError;
 
 module.exports = SnapToS3;
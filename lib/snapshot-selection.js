@@ -0,0 +1,131 @@
+"use strict";
+
+const
+	moment = require("moment");
+
+/**
+ * Selection options narrow down which of the tagged snapshots --all, --one and --daemon work on.
+ *
+ * Each option is compiled into either a DescribeSnapshots filter, so that EC2 does the work for us, or a predicate
+ * which we apply to the snapshots that EC2 returns. --exclude-ami-backed and --keep-latest depend on other resources
+ * in the account, so they're just recorded here and applied by SnapToS3.
+ */
+const
+	AGE_UNITS = {
+		h: "hours",
+		d: "days",
+		w: "weeks",
+		y: "years"
+	};
+
+/**
+ * @typedef {Object} SnapshotSelection
+ * @property {EC2.FilterList} filters - DescribeSnapshots filters
+ * @property {Array.<function(EC2.Snapshot):boolean>} predicates - Snapshots are selected if all of these return true
+ * @property {boolean} excludeAmiBacked - Leave out snapshots which are used by our AMIs
+ * @property {int} keepLatest - Leave out this many of the newest snapshots of each volume
+ */
+
+/**
+ * Parse an age like "90d" (h for hours, d for days, w for weeks, y for years).
+ *
+ * @param {string} spec
+ * @returns {moment.Duration}
+ */
+module.exports.parseAge = function(spec) {
+	const
+		matches = spec.match(/^([0-9]+)([hdwy])$/);
+	
+	if (!matches) {
+		throw "--older-than should be a number followed by h, d, w or y (e.g. 90d for 90 days), not \"" + spec + "\"";
+	}
+	
+	return moment.duration(parseInt(matches[1], 10), AGE_UNITS[matches[2]]);
+};
+
+/**
+ * Parse a --filter like "tag:Environment=production" into a DescribeSnapshots filter.
+ *
+ * @param {string} spec
+ * @returns {EC2.Filter}
+ */
+module.exports.parseTagFilter = function(spec) {
+	const
+		equals = spec.indexOf("=");
+	
+	if (spec.indexOf("tag:") !== 0 || equals <= "tag:".length) {
+		throw "--filter should look like tag:Key=Value, not \"" + spec + "\"";
+	}
+	
+	return {
+		Name: spec.substring(0, equals),
+		Values: [spec.substring(equals + 1)]
+	};
+};
+
+/**
+ * @param {Object} options - SnapToS3 options
+ * @returns {SnapshotSelection}
+ */
+module.exports.compileSelection = function(options) {
+	/**
+	 * @type {SnapshotSelection}
+	 */
+	const
+		selection = {
+			filters: [],
+			predicates: [],
+			excludeAmiBacked: !!options["exclude-ami-backed"],
+			keepLatest: 0
+		};
+	
+	if (options["volume-id"] && options["volume-id"].length > 0) {
+		selection.filters.push({
+			Name: "volume-id",
+			Values: options["volume-id"]
+		});
+	}
+	
+	for (let spec of options.filter || []) {
+		selection.filters.push(module.exports.parseTagFilter(spec));
+	}
+	
+	if (options["older-than"] !== undefined) {
+		const
+			age = module.exports.parseAge(options["older-than"]);
+		
+		// Worked out on every call, since the daemon keeps the selection for a long time
+		selection.predicates.push(snapshot => moment(snapshot.StartTime).isBefore(moment().subtract(age)));
+	}
+	
+	if (options["description-matches"] !== undefined) {
+		let
+			pattern;
+		
+		try {
+			pattern = new RegExp(options["description-matches"]);
+		} catch (e) {
+			throw "--description-matches isn't a valid regular expression: " + e.message;
+		}
+		
+		selection.predicates.push(snapshot => pattern.test(snapshot.Description || ""));
+	}
+	
+	if (options["min-size"] !== undefined) {
+		selection.predicates.push(snapshot => snapshot.VolumeSize >= options["min-size"]);
+	}
+	
+	if (options["max-size"] !== undefined) {
+		selection.predicates.push(snapshot => snapshot.VolumeSize <= options["max-size"]);
+	}
+	
+	if (options["keep-latest"] !== undefined) {
+		if (!(options["keep-latest"] >= 1)) {
+			throw "--keep-latest should be the number of snapshots of each volume to keep (at least 1)";
+		}
+		
+		selection.keepLatest = Math.round(options["keep-latest"]);
+	}
+	
+	return selection;
+};
@@ -1,5 +1,7 @@
 const
 	child_process = require("child_process"),
+	stream = require("stream"),
+	
 	pipe = require("multipipe");
 
 /**
@@ -51,6 +53,32 @@ module.exports.spawnAsPromise = function(filename, args, options) {
 	return result;
 };
 
+/**
+ * Wrap a readable stream so it can be used in place of the stdout of a process, e.g. as the source for an upload. The
+ * promise resolves once the stream has ended.
+ *
+ * @param {stream.Readable} readable
+ *
+ * @returns {ProcessPromise}
+ */
+module.exports.streamAsProcess = function(readable) {
+	const
+		stderr = new stream.PassThrough(),
+		
+		result = new Promise((resolve, reject) => {
+			readable.on("end", resolve);
+			readable.on("error", reject);
+		});
+	
+	stderr.end();
+	
+	result.stdin = null;
+	result.stdout = readable;
+	result.stderr = stderr;
+	
+	return result;
+};
+
 module.exports.pipelineAsPromise = function() {
 	const
 		args = Array.prototype.slice.call(arguments);
@@ -0,0 +1,62 @@
+"use strict";
+
+const
+	http = require("http");
+
+/**
+ * Serve the status of a long-running process as JSON over HTTP. Only the loopback interface is listened on, since
+ * there's no authentication.
+ *
+ * @param {int} port
+ * @param {function():Object} getStatus - Called for each request to get the status to send
+ *
+ * @returns {Promise.<http.Server>} Resolves once the server is listening
+ */
+module.exports.listen = function(port, getStatus) {
+	return new Promise((resolve, reject) => {
+		const
+			server = http.createServer((request, response) => {
+				if (request.method !== "GET" && request.method !== "HEAD") {
+					response.writeHead(405, {"Allow": "GET, HEAD"});
+					response.end();
+					return;
+				}
+				
+				let
+					body;
+				
+				try {
+					body = JSON.stringify(getStatus(), null, 2) + "\n";
+				} catch (e) {
+					response.writeHead(500, {"Content-Type": "text/plain"});
+					response.end(e + "\n");
+					return;
+				}
+				
+				response.writeHead(200, {
+					"Content-Type": "application/json",
+					"Content-Length": Buffer.byteLength(body),
+					
+					// So that idle connections don't hold up close()
+					"Connection": "close"
+				});
+				response.end(request.method === "HEAD" ? undefined : body);
+			});
+		
+		server.once("error", reject);
+		
+		server.listen(port, "127.0.0.1", () => {
+			server.removeListener("error", reject);
+			
+			resolve(server);
+		});
+	});
+};
+
+/**
+ * @param {http.Server} server
+ * @returns {Promise}
+ */
+module.exports.close = function(server) {
+	return new Promise(resolve => server.close(() => resolve()));
+};
@@ -0,0 +1,594 @@
+"use strict";
+
+const
+	crypto = require("crypto"),
+	fs = require("fs"),
+	path = require("path"),
+	
+	AWS = require("aws-sdk"),
+	
+	awsTools = require("./aws-tools"),
+	fsTools = require("./filesystem-tools"),
+	spawn = require("./spawn");
+
+/**
+ * Where archives are stored.
+ *
+ * Both kinds of storage take the same S3-style request params (without a Bucket, which the storage supplies itself)
+ * and resolve to the same S3-style responses, so the rest of snap-to-s3 doesn't need to know which one it's using:
+ *
+ * - headObject({Key}) resolves to {ContentLength, LastModified, ContentType, Metadata, ...}, or rejects with an error
+ *   whose statusCode is 404 if the object doesn't exist
+ * - getObject({Key}) resolves to the head plus the Body as a Buffer
+ * - createReadStream({Key}) returns a stream.Readable of the object's content
+ * - upload({Key, Body, ContentType, Metadata, ...}, {tags, queueSize, partSize}) uploads a Buffer, string or stream,
+ *   and resolves to {Key, VersionId}. The promise has an abort() method to give up on the upload
+ * - putObject(params) is the same as upload() with no options
+ * - listAllObjects({Prefix}) resolves to every object whose key starts with the prefix, [{Key, Size, LastModified}]
+ * - listAllCommonPrefixes({Prefix, Delimiter}) resolves to the distinct prefixes of those keys up to the next "/" after
+ *   the prefix, e.g. ["vol-1/", "chunks/"] (only "/" is supported as the Delimiter)
+ * - listAllObjectVersions({Prefix}) resolves to every version of those objects, including delete markers,
+ *   [{Key, VersionId, Size, IsDeleteMarker}]. Objects in a directory have just one version, without a VersionId
+ * - getObjectTagging({Key}) resolves to {TagSet}
+ * - putObjectTagging({Key, Tagging: {TagSet}}) replaces the tags of the object
+ * - deleteObjects({Delete: {Objects: [{Key, VersionId}]}}) resolves to {Deleted, Errors}. Deleting a key without a
+ *   VersionId from a versioned bucket only hides it behind a delete marker
+ *
+ * Features which only make sense on S3 (server-side encryption, storage classes, Object Lock and Glacier restores) are
+ * still requested directly from S3 by SnapToS3, and are refused when archives are stored in a directory.
+ */
+
+/**
+ * Stores archives in an S3 bucket (or a bucket of an S3-compatible service).
+ */
+class S3Storage {
+	/**
+	 * @param {AWS.S3} s3
+	 * @param {string} bucket
+	 */
+	constructor(s3, bucket) {
+		this.s3 = s3;
+		this.bucket = bucket;
+	}
+	
+	/**
+	 * @param {string} key
+	 * @returns {string} A description of the object with the given key for log messages, e.g. s3://bucket/key
+	 */
+	describeKey(key) {
+		return "s3://" + this.bucket + "/" + key;
+	}
+	
+	_withBucket(params) {
+		return Object.assign({}, params, {
+			Bucket: this.bucket
+		});
+	}
+	
+	headObject(params) {
+		return this.s3.headObject(this._withBucket(params)).promise();
+	}
+	
+	getObject(params) {
+		return this.s3.getObject(this._withBucket(params)).promise();
+	}
+	
+	createReadStream(params) {
+		return this.s3.getObject(this._withBucket(params)).createReadStream();
+	}
+	
+	upload(params, options) {
+		options = options || {};
+		
+		// This is the default, but let's make sure that AWS computes MD5 sums of each part for us
+		AWS.config.update({
+			computeChecksums: true
+		});
+		
+		const
+			uploader = new AWS.S3.ManagedUpload({
+				params: this._withBucket(params),
+				leavePartsOnError: false,
+				queueSize: options.queueSize,
+				partSize: options.partSize,
+				tags: options.tags, // The uploader can construct the Tagging header for us
+				service: this.s3
+			}),
+			
+			result = uploader.promise();
+		
+		result.abort = () => uploader.abort();
+		
+		return result;
+	}
+	
+	putObject(params) {
+		return this.s3.putObject(this._withBucket(params)).promise();
+	}
+	
+	listAllObjects(params) {
+		return awsTools.listAllObjects(this.s3, this._withBucket(params));
+	}
+	
+	listAllCommonPrefixes(params) {
+		return awsTools.listAllCommonPrefixes(this.s3, this._withBucket(params));
+	}
+	
+	listAllObjectVersions(params) {
+		return awsTools.listAllObjectVersions(this.s3, this._withBucket(params));
+	}
+	
+	getObjectTagging(params) {
+		return this.s3.getObjectTagging(this._withBucket(params)).promise();
+	}
+	
+	putObjectTagging(params) {
+		return this.s3.putObjectTagging(this._withBucket(params)).promise();
+	}
+	
+	deleteObjects(params) {
+		return this.s3.deleteObjects(this._withBucket(params)).promise();
+	}
+}
+
+const
+	// The metadata and tags of each file are stored next to it in a file with this suffix
+	SIDECAR_SUFFIX = ".metadata.json",
+	
+	TEMP_SUFFIX = ".tmp";
+
+/**
+ * The sidecar file stored alongside each object in a DirectoryStorage.
+ *
+ * @typedef {Object} DirectoryObjectSidecar
+ * @property {string} [contentType]
+ * @property {Object.<string, string>} metadata - The same as an S3 object's user metadata
+ * @property {S3.TagSet} tags
+ */
+
+/**
+ * @param {string} filename
+ * @param {string} [encoding]
+ * @returns {Promise.<Buffer|string>}
+ */
+function readFile(filename, encoding) {
+	return new Promise((resolve, reject) => {
+		fs.readFile(filename, encoding, (err, data) => err ? reject(err) : resolve(data));
+	});
+}
+
+/**
+ * @param {string} filename
+ * @returns {Promise.<fs.Stats>}
+ */
+function stat(filename) {
+	return new Promise((resolve, reject) => {
+		fs.stat(filename, (err, stats) => err ? reject(err) : resolve(stats));
+	});
+}
+
+/**
+ * @param {string} directory
+ * @returns {Promise.<string[]>}
+ */
+function readdir(directory) {
+	return new Promise((resolve, reject) => {
+		fs.readdir(directory, (err, names) => err ? reject(err) : resolve(names));
+	});
+}
+
+/**
+ * Delete the given file, resolving even if it doesn't exist.
+ *
+ * @param {string} filename
+ * @returns {Promise}
+ */
+function unlinkIfExists(filename) {
+	return new Promise((resolve, reject) => {
+		fs.unlink(filename, err => err && err.code !== "ENOENT" ? reject(err) : resolve());
+	});
+}
+
+/**
+ * Make sure the content of the given file has reached the disk (or the NAS).
+ *
+ * @param {string} filename
+ * @returns {Promise}
+ */
+function syncFile(filename) {
+	return new Promise((resolve, reject) => {
+		fs.open(filename, "r", (err, fd) => {
+			if (err) {
+				reject(err);
+				return;
+			}
+			
+			fs.fsync(fd, syncErr => {
+				fs.close(fd, closeErr => {
+					if (syncErr || closeErr) {
+						reject(syncErr || closeErr);
+					} else {
+						resolve();
+					}
+				});
+			});
+		});
+	});
+}
+
+/**
+ * Write the given content to a new temporary file next to the given filename, which can later be renamed over it.
+ *
+ * @param {string} filename
+ * @param {Buffer|string|stream.Readable} body
+ * @returns {Promise.<string>} The name of the temporary file
+ */
+function writeTempFile(filename, body) {
+	const
+		tempFilename = path.join(path.dirname(filename), "." + path.basename(filename) + "." + crypto.randomBytes(6).toString("hex") + TEMP_SUFFIX);
+	
+	let
+		written;
+	
+	if (body && typeof body.pipe === "function") {
+		written = spawn.pipelineAsPromise(body, fs.createWriteStream(tempFilename, {
+			flags: "wx",
+			mode: 0o644
+		}));
+	} else {
+		written = new Promise((resolve, reject) => {
+			fs.writeFile(tempFilename, body === undefined ? "" : body, {
+				flag: "wx",
+				mode: 0o644
+			}, err => err ? reject(err) : resolve());
+		});
+	}
+	
+	return written
+		.then(() => syncFile(tempFilename))
+		.then(
+			() => tempFilename,
+			error => unlinkIfExists(tempFilename).then(() => {
+				throw error;
+			})
+		);
+}
+
+/**
+ * @param {string} from
+ * @param {string} to
+ * @returns {Promise}
+ */
+function rename(from, to) {
+	return new Promise((resolve, reject) => {
+		fs.rename(from, to, err => err ? reject(err) : resolve());
+	});
+}
+
+/**
+ * An error that looks like the one S3 gives for a missing object, so callers can handle both storages the same way.
+ *
+ * @param {string} code
+ * @param {string} filename
+ * @returns {Error}
+ */
+function notFoundError(code, filename) {
+	const
+		error = new Error(code + ": " + filename + " doesn't exist");
+	
+	error.code = code;
+	error.statusCode = 404;
+	
+	return error;
+}
+
+/**
+ * Stores archives as files in a local directory (e.g. a mounted NAS), with the same layout as their keys would have in
+ * S3. The metadata and tags of each file are written to a JSON sidecar file next to it, and both are written to
+ * temporary files first and then renamed into place, so a file is either complete or not there at all.
+ */
+class DirectoryStorage {
+	/**
+	 * @param {string} directory
+	 */
+	constructor(directory) {
+		this.directory = path.resolve(directory);
+	}
+	
+	/**
+	 * @param {string} key
+	 * @returns {string} The filename of the object with the given key
+	 */
+	describeKey(key) {
+		return this.directory + "/" + key;
+	}
+	
+	_filename(key) {
+		// Don't let a key escape from our directory, or clash with our own sidecar and temporary files
+		if (key.split("/").some(part => part.length === 0 || part === "." || part === "..") || path.basename(key)[0] === ".") {
+			throw "The key \"" + key + "\" can't be stored as a file in " + this.directory;
+		}
+		
+		return this.describeKey(key);
+	}
+	
+	/**
+	 * @param {string} key
+	 * @returns {Promise.<DirectoryObjectSidecar>}
+	 */
+	_readSidecar(key) {
+		return readFile(this._filename(key) + SIDECAR_SUFFIX, "utf8").then(
+			json => JSON.parse(json),
+			error => {
+				// An object we didn't write ourselves has no metadata
+				if (error.code === "ENOENT") {
+					return {
+						metadata: {},
+						tags: []
+					};
+				}
+				
+				throw error;
+			}
+		);
+	}
+	
+	/**
+	 * Write the given files to temporary files, then rename them all into place.
+	 *
+	 * @param {Array.<Array>} files - [filename, body] pairs, the last of which is the one whose existence means the
+	 * write is complete
+	 * @param {function():boolean} [isAborted] - Checked before renaming, so the files can be abandoned instead
+	 * @returns {Promise}
+	 */
+	_writeAtomically(files, isAborted) {
+		let
+			tempFilenames = [];
+		
+		return fsTools.forcePath(path.dirname(files[0][0]))
+			.then(() => files.reduce(
+				(promise, file) => promise.then(() => writeTempFile(file[0], file[1])).then(tempFilename => {
+					tempFilenames.push(tempFilename);
+				}),
+				Promise.resolve()
+			))
+			.then(() => {
+				if (isAborted && isAborted()) {
+					throw "Writing " + files[files.length - 1][0] + " was aborted";
+				}
+			})
+			.then(() => files.reduce(
+				(promise, file, index) => promise.then(() => rename(tempFilenames[index], file[0])),
+				Promise.resolve()
+			))
+			.catch(error => Promise.all(tempFilenames.map(unlinkIfExists)).then(() => {
+				throw error;
+			}));
+	}
+	
+	headObject(params) {
+		let
+			filename;
+		
+		try {
+			filename = this._filename(params.Key);
+		} catch (e) {
+			return Promise.reject(e);
+		}
+		
+		return stat(filename).then(
+			stats => this._readSidecar(params.Key).then(sidecar => ({
+				ContentLength: stats.size,
+				LastModified: stats.mtime,
+				ContentType: sidecar.contentType,
+				Metadata: sidecar.metadata
+			})),
+			error => {
+				if (error.code === "ENOENT") {
+					throw notFoundError("NotFound", filename);
+				}
+				
+				throw error;
+			}
+		);
+	}
+	
+	getObject(params) {
+		return this.headObject(params).then(
+			head => readFile(this._filename(params.Key)).then(body => Object.assign(head, {
+				Body: body
+			})),
+			error => {
+				if (error.statusCode === 404) {
+					throw notFoundError("NoSuchKey", this.describeKey(params.Key));
+				}
+				
+				throw error;
+			}
+		);
+	}
+	
+	createReadStream(params) {
+		return fs.createReadStream(this._filename(params.Key));
+	}
+	
+	upload(params, options) {
+		/**
+		 * @type {DirectoryObjectSidecar}
+		 */
+		const
+			sidecar = {
+				contentType: params.ContentType,
+				metadata: params.Metadata || {},
+				tags: (options && options.tags) || []
+			};
+		
+		let
+			aborted = false;
+		
+		const
+			result = Promise.resolve()
+				.then(() => {
+					const
+						filename = this._filename(params.Key);
+					
+					// The sidecar goes first, so the file never appears without its metadata
+					return this._writeAtomically([
+						[filename + SIDECAR_SUFFIX, JSON.stringify(sidecar, null, "\t")],
+						[filename, params.Body]
+					], () => aborted);
+				})
+				.then(() => ({
+					Key: params.Key
+				}));
+		
+		// Whoever aborts also stops the body, so we just need to make sure it doesn't get renamed into place
+		result.abort = () => {
+			aborted = true;
+		};
+		
+		return result;
+	}
+	
+	putObject(params) {
+		return this.upload(params);
+	}
+	
+	listAllObjects(params) {
+		const
+			prefix = (params && params.Prefix) || "",
+			
+			// The deepest directory that could contain all the keys with the prefix
+			prefixDirectory = prefix.substring(0, prefix.lastIndexOf("/") + 1),
+			
+			objects = [],
+			
+			listDirectory = keyPrefix => readdir(this.directory + "/" + keyPrefix).then(
+				names => names.sort().reduce(
+					(promise, name) => promise.then(() => {
+						const
+							key = keyPrefix + name;
+						
+						// Skip our temporary files and sidecars, and anything that can't lead to a key with the prefix
+						if (name[0] === "." || name.slice(-SIDECAR_SUFFIX.length) === SIDECAR_SUFFIX || (key.indexOf(prefix) !== 0 && prefix.indexOf(key + "/") !== 0)) {
+							return;
+						}
+						
+						return stat(this.directory + "/" + key).then(stats => {
+							if (stats.isDirectory()) {
+								return listDirectory(key + "/");
+							}
+							
+							if (stats.isFile() && key.indexOf(prefix) === 0) {
+								objects.push({
+									Key: key,
+									Size: stats.size,
+									LastModified: stats.mtime
+								});
+							}
+						});
+					}),
+					Promise.resolve()
+				),
+				error => {
+					if (error.code !== "ENOENT") {
+						throw error;
+					}
+				}
+			);
+		
+		// S3 lists keys in order of their UTF-8 bytes
+		return listDirectory(prefixDirectory).then(() => objects.sort((a, b) => Buffer.compare(Buffer.from(a.Key), Buffer.from(b.Key))));
+	}
+	
+	listAllCommonPrefixes(params) {
+		const
+			prefix = (params && params.Prefix) || "";
+		
+		if (params.Delimiter !== "/" || (prefix.length > 0 && prefix.slice(-1) !== "/")) {
+			return Promise.reject("Only the subdirectories of a directory can be listed from " + this.directory);
+		}
+		
+		return readdir(this.directory + "/" + prefix).then(
+			names => names.filter(name => name[0] !== ".").reduce(
+				(promise, name) => promise.then(prefixes => stat(this.directory + "/" + prefix + name).then(stats => stats.isDirectory() ? prefixes.concat(prefix + name + "/") : prefixes)),
+				Promise.resolve([])
+			),
+			error => {
+				if (error.code === "ENOENT") {
+					return [];
+				}
+				
+				throw error;
+			}
+		).then(prefixes => prefixes.sort((a, b) => Buffer.compare(Buffer.from(a), Buffer.from(b))));
+	}
+	
+	listAllObjectVersions(params) {
+		return this.listAllObjects(params).then(objects => objects.map(object => ({
+			Key: object.Key,
+			Size: object.Size,
+			IsDeleteMarker: false
+		})));
+	}
+	
+	getObjectTagging(params) {
+		return this.headObject(params)
+			.then(() => this._readSidecar(params.Key))
+			.then(sidecar => ({
+				TagSet: sidecar.tags
+			}));
+	}
+	
+	putObjectTagging(params) {
+		return this.headObject(params)
+			.then(() => this._readSidecar(params.Key))
+			.then(sidecar => {
+				sidecar.tags = params.Tagging.TagSet;
+				
+				return this._writeAtomically([
+					[this._filename(params.Key) + SIDECAR_SUFFIX, JSON.stringify(sidecar, null, "\t")]
+				]);
+			})
+			.then(() => ({}));
+	}
+	
+	deleteObjects(params) {
+		const
+			result = {
+				Deleted: [],
+				Errors: []
+			};
+		
+		return params.Delete.Objects.reduce(
+			(promise, object) => promise.then(() => {
+				let
+					filename;
+				
+				try {
+					filename = this._filename(object.Key);
+				} catch (e) {
+					result.Errors.push({Key: object.Key, Message: e + ""});
+					return;
+				}
+				
+				// Remove the file before its sidecar, so it never appears without its metadata
+				return unlinkIfExists(filename)
+					.then(() => unlinkIfExists(filename + SIDECAR_SUFFIX))
+					.then(
+						() => {
+							result.Deleted.push({Key: object.Key});
+						},
+						error => {
+							result.Errors.push({Key: object.Key, Code: error.code, Message: error.message});
+						}
+					);
+			}),
+			Promise.resolve()
+		).then(() => result);
+	}
+}
+
+module.exports.S3Storage = S3Storage;
+module.exports.DirectoryStorage = DirectoryStorage;
+module.exports.SIDECAR_SUFFIX = SIDECAR_SUFFIX;
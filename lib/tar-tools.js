@@ -0,0 +1,354 @@
+"use strict";
+
+const
+	fs = require("fs"),
+	path = require("path"),
+	
+	tar = require("tar-stream"),
+	minimatch = require("minimatch"),
+	
+	spawn = require("./spawn");
+
+const
+	// GNU tar's snapshot file for an incremental tar is uploaded next to the tar with this suffix
+	SNAPSHOT_FILE_SUFFIX = ".snar";
+
+/**
+ * @typedef {Object} TarExtractionResult
+ * @property {int} extractedCount - Number of entries written to disk
+ * @property {string[]} unresolvedLinks - Matching hard links whose targets weren't extracted, so they couldn't be created
+ * @property {string[]} skipped - Matching entries that we refused to extract (unsupported file types or unsafe paths)
+ */
+
+/**
+ * Remove any leading "/" or "./" from a filename in a tar, so that names are relative to the tar's root.
+ *
+ * @param {string} filename
+ * @returns {string}
+ */
+function removeRootPrefix(filename) {
+	return filename.replace(/^(\.\/|\/)/, "");
+}
+
+/**
+ * Convert a filename which was decoded by tar-stream using the "binary" encoding into a string for display.
+ *
+ * @param {string} filename
+ * @returns {string}
+ */
+function displayFilename(filename) {
+	return Buffer.from(filename, "binary").toString("utf8");
+}
+
+/**
+ * Create the given directory and any of its missing parents.
+ *
+ * @param {string} directory - Path in the "binary" encoding
+ */
+function makeDirectoriesSync(directory) {
+	try {
+		fs.mkdirSync(Buffer.from(directory, "binary"), 0o755);
+	} catch (e) {
+		if (e.code === "EEXIST") {
+			return;
+		}
+		if (e.code !== "ENOENT") {
+			throw e;
+		}
+		
+		makeDirectoriesSync(path.dirname(directory));
+		
+		fs.mkdirSync(Buffer.from(directory, "binary"), 0o755);
+	}
+}
+
+/**
+ * Remove the given file if it exists, so that we can replace it.
+ *
+ * @param {Buffer} filename
+ */
+function removeExistingFileSync(filename) {
+	try {
+		fs.unlinkSync(filename);
+	} catch (e) {
+		if (e.code !== "ENOENT") {
+			throw e;
+		}
+	}
+}
+
+/**
+ * Read the entries of a tar stream one at a time.
+ *
+ * The callback is given each entry's header, its content stream, and its filename with any leading "/" or "./"
+ * removed. If it consumes the content stream it must return a promise that resolves once it's done, otherwise the
+ * content stream is drained for it. Filenames are decoded using the "binary" encoding so that names which aren't
+ * valid UTF-8 survive unchanged, use Buffer.from(filename, "binary") to get their original bytes back.
+ *
+ * @param {stream.Readable} tarStream
+ * @param {function(Object, stream.Readable, string):(Promise|undefined)} onEntry
+ * @returns {Promise} Resolves once the whole tar has been read
+ */
+module.exports.readTarEntries = function(tarStream, onEntry) {
+	return new Promise((resolve, reject) => {
+		const
+			extract = tar.extract({filenameEncoding: "binary"});
+		
+		extract.on('entry', function (fileHeader, fileStream, next) {
+			let
+				consumed;
+			
+			try {
+				consumed = onEntry(fileHeader, fileStream, removeRootPrefix(fileHeader.name));
+			} catch (err) {
+				reject(err);
+				return;
+			}
+			
+			if (consumed) {
+				consumed.then(() => next(), reject);
+			} else {
+				fileStream.on('end', function () {
+					next();
+				});
+				
+				fileStream.resume(); // Drain the stream
+			}
+		});
+		
+		tarStream.on("error", reject);
+		extract.on("error", reject);
+		
+		extract.on("finish", resolve);
+		
+		tarStream.pipe(extract);
+	});
+};
+
+/**
+ * Build a function that decides whether a tar entry should be extracted, given a list of patterns.
+ *
+ * Patterns containing glob characters are matched using minimatch, other patterns are treated as a path prefix. An
+ * entry matches if its own name, or the name of any of its parent directories, matches one of the patterns. So
+ * "etc/nginx" or "etc/nginx/" selects that directory and everything in it, and "etc/*.conf" selects every
+ * ".conf" file in /etc.
+ *
+ * @param {string[]} patterns
+ * @returns {function(string):boolean} Accepts a root-prefix-free filename in the "binary" encoding
+ */
+module.exports.createPathMatcher = function(patterns) {
+	const
+		matchers = patterns.map(pattern => {
+			// Our tar filenames are in the binary encoding, so the patterns need to be too
+			pattern = removeRootPrefix(Buffer.from(pattern, "utf8").toString("binary")).replace(/\/+$/, "");
+			
+			if (pattern === "" || pattern === ".") {
+				return name => true;
+			}
+			
+			if (/[*?[\]{}]/.test(pattern)) {
+				const
+					glob = new minimatch.Minimatch(pattern, {dot: true});
+				
+				return name => glob.match(name);
+			}
+			
+			return name => name === pattern;
+		});
+	
+	return filename => {
+		let
+			candidate = filename.replace(/\/+$/, ""); // Directory entries end with a slash
+		
+		while (candidate.length > 0) {
+			if (matchers.some(matcher => matcher(candidate))) {
+				return true;
+			}
+			
+			const
+				slash = candidate.lastIndexOf("/");
+			
+			if (slash === -1) {
+				break;
+			}
+			
+			candidate = candidate.substring(0, slash);
+		}
+		
+		return false;
+	};
+};
+
+/**
+ * Extract the entries of the given tar stream which are accepted by the matcher into the given directory, keeping
+ * their modes and modification times (but not their owners).
+ *
+ * Hard links are only created if their target was extracted too, since a tar only contains the content of a
+ * hard-linked file at the first occurrence of that file. Any others are reported in the result.
+ *
+ * @param {stream.Readable} tarStream
+ * @param {string} directory
+ * @param {function(string):boolean} matcher - e.g. from createPathMatcher()
+ *
+ * @returns {Promise.<TarExtractionResult>}
+ */
+module.exports.extractTarFilesFromStream = function(tarStream, directory, matcher) {
+	const
+		directoryBinary = Buffer.from(path.resolve(directory), "utf8").toString("binary"),
+		
+		extractedFiles = {},
+		createdSymlinks = {},
+		directoryTimes = [],
+		
+		result = {
+			extractedCount: 0,
+			unresolvedLinks: [],
+			skipped: []
+		},
+		
+		destinationFor = filename => Buffer.from(path.join(directoryBinary, filename), "binary"),
+		
+		createParentDirectory = filename => makeDirectoriesSync(path.dirname(path.join(directoryBinary, filename))),
+		
+		/*
+		 * Don't let an entry escape from the destination directory with "..", or by being written through a
+		 * symlink that we extracted earlier.
+		 */
+		isUnsafe = filename => {
+			const
+				components = filename.split("/");
+			
+			if (components.indexOf("..") !== -1) {
+				return true;
+			}
+			
+			for (let i = 1; i < components.length; i++) {
+				if (components.slice(0, i).join("/") in createdSymlinks) {
+					return true;
+				}
+			}
+			
+			return false;
+		};
+	
+	return module.exports.readTarEntries(tarStream, (fileHeader, fileStream, filename) => {
+		filename = filename.replace(/\/+$/, "");
+		
+		if (filename.length === 0 || !matcher(filename)) {
+			return;
+		}
+		
+		if (isUnsafe(filename)) {
+			result.skipped.push(displayFilename(filename) + " (unsafe path)");
+			return;
+		}
+		
+		const
+			destination = destinationFor(filename),
+			mode = fileHeader.mode & 0o7777;
+		
+		switch (fileHeader.type) {
+			case "directory":
+				makeDirectoriesSync(path.join(directoryBinary, filename));
+				fs.chmodSync(destination, mode);
+				
+				// Adding files to the directory would change its mtime, so set it once we've finished
+				directoryTimes.push({destination: destination, mtime: fileHeader.mtime});
+				
+				result.extractedCount++;
+				break;
+			case "file":
+			case "contiguous-file":
+				createParentDirectory(filename);
+				removeExistingFileSync(destination);
+				
+				// Start off writable by us, we'll set the real mode once the content is written
+				return spawn.pipelineAsPromise(fileStream, fs.createWriteStream(destination, {mode: 0o600}))
+					.then(() => {
+						fs.chmodSync(destination, mode);
+						fs.utimesSync(destination, fileHeader.mtime, fileHeader.mtime);
+						
+						extractedFiles[filename] = true;
+						result.extractedCount++;
+					});
+			case "link": // Hard link to a file that was already included in the tar stream
+				const
+					linkTarget = removeRootPrefix(fileHeader.linkname);
+				
+				if (linkTarget in extractedFiles) {
+					createParentDirectory(filename);
+					removeExistingFileSync(destination);
+					
+					fs.linkSync(destinationFor(linkTarget), destination);
+					
+					extractedFiles[filename] = true;
+					result.extractedCount++;
+				} else {
+					result.unresolvedLinks.push(displayFilename(filename) + " -> " + displayFilename(linkTarget));
+				}
+				break;
+			case "symlink":
+				createParentDirectory(filename);
+				removeExistingFileSync(destination);
+				
+				fs.symlinkSync(Buffer.from(fileHeader.linkname, "binary"), destination);
+				
+				createdSymlinks[filename] = true;
+				result.extractedCount++;
+				break;
+			default:
+				// Devices and FIFOs aren't useful outside of their original filesystem
+				result.skipped.push(displayFilename(filename) + " (" + fileHeader.type + ")");
+		}
+	}).then(() => {
+		// Work backwards so that parent directories are updated after their children
+		for (let i = directoryTimes.length - 1; i >= 0; i--) {
+			fs.utimesSync(directoryTimes[i].destination, directoryTimes[i].mtime, directoryTimes[i].mtime);
+		}
+		
+		return result;
+	});
+};
+
+/**
+ * Arguments for GNU tar to create an incremental tar. Tar only includes the files which changed since the state
+ * recorded in the given snapshot file (or every file, for a level 0, if the snapshot file is empty or doesn't exist),
+ * and then updates the snapshot file to describe the files as they are now, ready for the next level.
+ *
+ * Device numbers aren't compared, since every temporary volume we mount gets a different one.
+ *
+ * @param {string} snapshotFilename
+ * @returns {string[]}
+ */
+module.exports.createIncrementalArgs = function(snapshotFilename) {
+	return ["--listed-incremental=" + snapshotFilename, "--no-check-device"];
+};
+
+/**
+ * Arguments for GNU tar to extract an incremental tar over the files of the levels before it, deleting any files that
+ * were deleted since its parent was made. The levels of a chain must be extracted in order, starting from level 0.
+ *
+ * @returns {string[]}
+ */
+module.exports.extractIncrementalArgs = function() {
+	return ["--listed-incremental=/dev/null"];
+};
+
+/**
+ * @param {string} archiveKey - S3 key of an incremental tar
+ * @returns {string} The S3 key for the GNU tar snapshot file that describes the files as of that tar
+ */
+module.exports.snapshotFileKeyForArchive = function(archiveKey) {
+	return archiveKey + SNAPSHOT_FILE_SUFFIX;
+};
+
+/**
+ * @param {string} key
+ * @returns {boolean} True if the S3 key is for a GNU tar snapshot file
+ */
+module.exports.isSnapshotFileKey = function(key) {
+	return key.slice(-SNAPSHOT_FILE_SUFFIX.length) === SNAPSHOT_FILE_SUFFIX;
+};
+
+module.exports.removeRootPrefix = removeRootPrefix;
+module.exports.displayFilename = displayFilename;
@@ -0,0 +1,94 @@
+"use strict";
+
+const
+	stream = require("stream");
+
+/**
+ * Copies everything written to it to each of its outputs, so that one stream can be read by several consumers (e.g.
+ * uploaded to several destinations at once). Writes wait until every output has room for more, so the slowest
+ * consumer sets the pace.
+ *
+ * An output whose consumer has given up can be detached, after which it no longer receives data or holds back the
+ * others.
+ */
+class TeeStream extends stream.Writable {
+	/**
+	 * @param {int} outputCount
+	 */
+	constructor(outputCount) {
+		super();
+		
+		/**
+		 * @type {stream.PassThrough[]}
+		 */
+		this.outputs = [];
+		this.detached = [];
+		
+		// Called when a blocked output drains or is detached, while a write is waiting for it
+		this.waiting = [];
+		
+		for (let i = 0; i < outputCount; i++) {
+			this.outputs.push(new stream.PassThrough());
+			this.detached.push(false);
+			this.waiting.push(null);
+		}
+		
+		this.on("finish", () => {
+			this.outputs.forEach((output, index) => {
+				if (!this.detached[index]) {
+					output.end();
+				}
+			});
+		});
+	}
+	
+	_write(chunk, encoding, callback) {
+		const
+			blocked = [];
+		
+		this.outputs.forEach((output, index) => {
+			if (!this.detached[index] && !output.write(chunk)) {
+				blocked.push(new Promise(resolve => {
+					const
+						done = () => {
+							output.removeListener("drain", done);
+							this.waiting[index] = null;
+							
+							resolve();
+						};
+					
+					this.waiting[index] = done;
+					output.on("drain", done);
+				}));
+			}
+		});
+		
+		if (blocked.length === 0) {
+			callback();
+		} else {
+			Promise.all(blocked).then(() => callback());
+		}
+	}
+	
+	/**
+	 * Stop sending data to the output with the given index.
+	 *
+	 * @param {int} index
+	 */
+	detach(index) {
+		this.detached[index] = true;
+		
+		if (this.waiting[index]) {
+			this.waiting[index]();
+		}
+	}
+	
+	/**
+	 * Stop sending data to every output, so whatever is writing to us can finish without anyone reading.
+	 */
+	detachAll() {
+		this.outputs.forEach((output, index) => this.detach(index));
+	}
+}
+
+module.exports = TeeStream;
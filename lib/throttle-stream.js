@@ -0,0 +1,37 @@
+"use strict";
+
+const
+	Transform = require("stream").Transform;
+
+/**
+ * Passes data through unchanged, but delays it so that the average rate since the first chunk doesn't exceed the
+ * given number of bytes per second.
+ */
+class ThrottleStream extends Transform {
+	constructor(bytesPerSecond) {
+		super();
+		
+		this.bytesPerSecond = bytesPerSecond;
+		this.startTime = null;
+		this.bytesPassed = 0;
+	}
+	
+	_transform(chunk, encoding, callback) {
+		if (this.startTime === null) {
+			this.startTime = Date.now();
+		}
+		
+		this.bytesPassed += chunk.length;
+		
+		const
+			delay = this.startTime + this.bytesPassed / this.bytesPerSecond * 1000 - Date.now();
+		
+		if (delay > 0) {
+			setTimeout(() => callback(null, chunk), delay);
+		} else {
+			callback(null, chunk);
+		}
+	}
+}
+
+module.exports = ThrottleStream;
@@ -250,117 +250,6 @@ function deleteTemporaryVolume(volume) {
 		});
 }
 
-function runSfdisk(devicePath, script, extraArgs) {
-	return new Promise((resolve, reject) => {
-		let
-			sfdisk, errorBuffer, args = [];
-		
-		if (extraArgs) {
-			args = args.concat(extraArgs);
-		}
-		args.push(devicePath);
-		
-		sfdisk = child_process.spawn("sfdisk", args, {
-			stdio: ["pipe", "pipe", "pipe"]
-		});
-		
-		sfdisk.on("close", code => {
-			if (code !== 0) {
-				reject("Failed to run \"sfdisk " + args.join(" ") + "\", was using this script:\n" + script + "\n\n" + errorBuffer);
-			} else {
-				resolve();
-			}
-		});
-		
-		sfdisk.stderr.on("data", data => {
-			errorBuffer += data;
-		});
-		
-		sfdisk.stdout.on("data", data => {
-			errorBuffer += data;
-		});
-		
-		sfdisk.stdin.write(script);
-		sfdisk.stdin.end();
-	});
-}
-
-/**
- * Divide a disk up evenly into a given number of partitions.
- *
- * @param {BlockDevice} device
- * @param {int} numPartitions
- *
- * @returns Promise.<BlockDevice[]>
- */
-function divideDiskIntoPartitions(device, numPartitions) {
-	// Check for GPT support in sfdisk (new in util-linux 2.26)
-	return runSfdisk(device.DEVICEPATH, "label:gpt", ["-n"])
-		.then(
-			() => true,
-			err => false
-		)
-		.then(supportsGPT => {
-			const
-				SECTOR_ALIGNMENT = 2048, // i.e. 1MB for 512 byte sectors
-				FIRST_SECTOR = 2048,
-				SECTOR_SIZE = device["LOG-SEC"],
-				
-				PART_SIZE_SECTORS = Math.floor(Math.floor((device.SIZE / SECTOR_SIZE - FIRST_SECTOR) / numPartitions) / SECTOR_ALIGNMENT) * SECTOR_ALIGNMENT;
-			
-			let
-				currentSector = FIRST_SECTOR,
-				sfdiskScript = "unit: sectors\n",
-				extraSFArgs = [];
-			
-			if (supportsGPT) {
-				sfdiskScript += "label: gpt\n";
-			} else {
-				// To add more than 4 partitions we'd need support for adding an extended partition to hold them:
-				assert(numPartitions <= 4);
-				// Thanks very much https://bugs.launchpad.net/ubuntu/+source/util-linux/+bug/1481158 :
-				extraSFArgs = ["--force"];
-			}
-			
-			sfdiskScript += "\n";
-			
-			for (let i = 0; i < numPartitions; i++) {
-				if ((currentSector % SECTOR_ALIGNMENT) !== 0) {
-					currentSector += SECTOR_ALIGNMENT - (currentSector % SECTOR_ALIGNMENT);
-				}
-				
-				if (supportsGPT) {
-					sfdiskScript += "start=" + currentSector;
-					
-					// Final partition takes the remainder of the disk space
-					if (i < numPartitions - 1) {
-						sfdiskScript += ",size=" + PART_SIZE_SECTORS;
-					}
-					
-					if (supportsGPT) {
-						sfdiskScript += ',type=0FC63DAF-8483-4772-8E79-3D69D8477DE4, name="Linux filesystem"';
-					} else {
-						sfdiskScript += ',Id=83';
-					}
-					
-					sfdiskScript += '\n';
-				} else {
-					sfdiskScript += currentSector + ",";
-					
-					// Due to bug https://bugs.launchpad.net/ubuntu/+source/util-linux/+bug/1481158
-					// we can't have old sfdisk calculate the size of the final partition for us.
-					sfdiskScript += PART_SIZE_SECTORS;
-					
-					sfdiskScript += ",L,-\n";
-				}
-				
-				currentSector += PART_SIZE_SECTORS;
-			}
-			
-			return runSfdisk(device.DEVICEPATH, sfdiskScript, extraSFArgs);
-		});
-}
-
 /**
  * The given temporary volume is attached to this instance, partition it as needed and write the given tests there.
  *
@@ -393,7 +282,7 @@ function fillTestVolumeWithTests(volume, tests) {
 			if (usingPartitionTable) {
 				console.log("Dividing disk into " + tests.length + " partitions of equal size...");
 				
-				return divideDiskIntoPartitions(disk, tests.length)
+				return fsTools.divideDiskIntoPartitions(disk, tests.map(() => 1))
 					.then(() => new Promise(resolve => {
 						// Give the OS some time to finish creating and publishing those partitions for us...
 						setTimeout(resolve, 4000);
@@ -421,17 +310,11 @@ function fillTestVolumeWithTests(volume, tests) {
 					partition = partitions[testIndex];
 				
 				promise = promise
-					.then(() => new Promise((resolve, reject) => {
+					.then(() => {
 						console.log("Creating ext3 filesystem on " + partition.DEVICEPATH + "...");
 						
-						child_process.execFile("mkfs.ext3", [partition.DEVICEPATH], (error, stdout, stderr) => {
-							if (error) {
-								reject("Failed creating ext3 filesystem on " + partition.DEVICEPATH + ": " + error + " " + stderr);
-							} else {
-								resolve();
-							}
-						});
-					}));
+						return fsTools.makeFilesystem(partition.DEVICEPATH, "ext3");
+					});
 			});
 			
 			promise = promise
@@ -9,7 +9,8 @@ const
 	rmdir = require("rmdir"),
 	
 	fsTools = require("../lib/filesystem-tools"),
-	hashFiles = require("../lib/hash-files");
+	hashFiles = require("../lib/hash-files"),
+	SnapToS3 = require("../lib/snap-to-s3");
 
 const
 	TEST_STRING_HELLO_WORLD = "Hello, world!",
@@ -337,6 +338,30 @@ function createTestTars() {
 		});
 }
 
+/**
+ * Create a SnapToS3 for the tests. We don't run the constructor, since it wants to be running on EC2 (and have the
+ * compressor binaries installed), but we set up the same state that it does.
+ *
+ * @param {Object} options - SnapToS3 options
+ * @param {Object} [clients] - Stubs of the AWS clients to use, e.g. {s3, ec2}, which are set before the destinations
+ * are created
+ * @returns {SnapToS3}
+ */
+function createTestSnap(options, clients) {
+	const
+		snap = Object.create(SnapToS3.prototype);
+	
+	snap.setOptions(options);
+	snap.resetState();
+	Object.assign(snap, clients);
+	
+	snap.initPromise = Promise.resolve();
+	
+	snap.createDestinations();
+	
+	return snap;
+}
+
 module.exports = {
 	backupTests: backupTests,
 	scratchDir: scratchDir,
@@ -346,5 +371,6 @@ module.exports = {
 	
 	emptyScratchDir: emptyScratchDir,
 	createTestTars: createTestTars,
+	createTestSnap: createTestSnap,
 	openSSLMD5File: openSSLMD5File
 };
\ No newline at end of file
@@ -1,11 +1,38 @@
 "use strict";
 
 const
+	assert = require("assert"),
+	child_process = require("child_process"),
+	crypto = require("crypto"),
 	fs = require("fs"),
+	http = require("http"),
 	path = require("path"),
+	stream = require("stream"),
+	url = require("url"),
 	
+	AWS = require("aws-sdk"),
+	which = require("which"),
+	
+	chunkStore = require("../lib/chunk-store"),
+	compression = require("../lib/compression"),
+	ebsDirect = require("../lib/ebs-direct"),
+	incremental = require("../lib/incremental"),
+	encryption = require("../lib/encryption"),
 	fsTools = require("../lib/filesystem-tools"),
 	hashFiles = require("../lib/hash-files"),
+	manifest = require("../lib/manifest"),
+	migrationPlan = require("../lib/migration-plan"),
+	ProgressBoard = require("../lib/progress-board"),
+	resumableUpload = require("../lib/resumable-upload"),
+	retention = require("../lib/retention"),
+	SimpleProgressStream = require("../lib/simple-progress-stream"),
+	SnapToS3 = require("../lib/snap-to-s3"),
+	snapshotSelection = require("../lib/snapshot-selection"),
+	spawn = require("../lib/spawn"),
+	statusServer = require("../lib/status-server"),
+	storage = require("../lib/storage"),
+	tarTools = require("../lib/tar-tools"),
+	ThrottleStream = require("../lib/throttle-stream"),
 	
 	common = require("./common");
 
@@ -89,9 +116,3212 @@ function testFilesystemAndTarHashing() {
 	});
 }
 
+function testTarExtraction() {
+	let
+		promise = Promise.resolve(),
+		
+		hashListFilename = path.resolve(common.scratchDir2, "local.md5"),
+		
+		findTest = name => common.backupTests.find(test => test.name === name),
+		
+		extract = (test, patterns) => common.emptyScratchDir()
+			.then(() => tarTools.extractTarFilesFromStream(fs.createReadStream(test.tarFilename), common.scratchDir, tarTools.createPathMatcher(patterns)));
+	
+	for (let test of common.backupTests) {
+		promise = promise
+			.then(() => {
+				console.log("Extracting all of '" + test.tarFilename + "' using our own tar reading library...");
+				
+				return extract(test, ["/"]);
+			})
+			.then(() => hashFiles.hashFilesInDirectory(common.scratchDir, hashListFilename, () => {}))
+			.then(() => hashFiles.compareHashListFiles(
+				hashListFilename, "extracted tar",
+				test.tarHashesFilename, "test expectation"
+			))
+			.then(
+				matchedFileCount => {
+					if (matchedFileCount !== test.numNormalFiles) {
+						throw "Our MD5 signature match found " + matchedFileCount + " files, we expected " + test.numNormalFiles + "!";
+					} else {
+						console.log("Matched all " + matchedFileCount + " files!");
+					}
+				},
+				errors => {
+					if (Array.isArray(errors)) {
+						throw errors.join("\n");
+					} else {
+						throw errors;
+					}
+				}
+			);
+	}
+	
+	return promise
+		.then(() => {
+			console.log("Extracting a subtree by path prefix...");
+			
+			return extract(findTest("nested-directories"), ["test-b/test-d/"]);
+		})
+		.then(result => {
+			assert.equal(result.extractedCount, 2); // The directory and its file
+			assert.deepEqual(fs.readdirSync(common.scratchDir), ["test-b"]);
+			assert.deepEqual(fs.readdirSync(path.resolve(common.scratchDir, "test-b")), ["test-d"]);
+			assert.deepEqual(fs.readdirSync(path.resolve(common.scratchDir, "test-b", "test-d")), ["test-c.txt"]);
+			
+			console.log("Extracting links by glob...");
+			
+			return extract(findTest("links"), ["test-*.txt"]);
+		})
+		.then(result => {
+			const
+				original = fs.statSync(path.resolve(common.scratchDir, "test-a.txt")),
+				hardLink = fs.statSync(path.resolve(common.scratchDir, "test-hardlink.txt"));
+			
+			assert.equal(result.unresolvedLinks.length, 0);
+			assert.equal(hardLink.ino, original.ino);
+			assert.equal(fs.readlinkSync(path.resolve(common.scratchDir, "test-symlink.txt")), "test-a.txt");
+			
+			console.log("Extracting a hard link without its target...");
+			
+			// Which of the two names tar stored as the link depends on the order it found them in
+			let
+				linkEntry = null;
+			
+			return tarTools.readTarEntries(fs.createReadStream(findTest("links").tarFilename), (fileHeader, fileStream, filename) => {
+				if (fileHeader.type === "link") {
+					linkEntry = {filename: filename, target: tarTools.removeRootPrefix(fileHeader.linkname)};
+				}
+			})
+				.then(() => extract(findTest("links"), [linkEntry.filename]))
+				.then(result => {
+					assert.equal(result.extractedCount, 0);
+					assert.deepEqual(result.unresolvedLinks, [linkEntry.filename + " -> " + linkEntry.target]);
+					
+					console.log("");
+				});
+		})
+		.then(() => {
+			try {
+				fs.unlinkSync(hashListFilename);
+			} catch (e) {
+			}
+		});
+}
+
+function readManifestEntries(manifestFilename) {
+	return new Promise((resolve, reject) => {
+		const
+			entries = [],
+			entryStream = manifest.readManifestFromStream(fs.createReadStream(manifestFilename));
+		
+		entryStream.on("data", entry => entries.push(entry));
+		entryStream.on("error", reject);
+		entryStream.on("end", () => resolve(entries));
+	});
+}
+
+function testManifests() {
+	let
+		promise = Promise.resolve(),
+		
+		manifestFilename = path.resolve(common.scratchDir2, "manifest.gz"),
+		hashListFilename = path.resolve(common.scratchDir2, "local.md5"),
+		
+		manifests = {};
+	
+	for (let test of common.backupTests) {
+		promise = promise
+			.then(() => {
+				console.log("Writing a manifest for '" + test.tarFilename + "'...");
+				
+				return manifest.writeManifestFromTarStream(fs.createReadStream(test.tarFilename), manifestFilename);
+			})
+			.then(entryCount => readManifestEntries(manifestFilename).then(entries => {
+				assert.equal(entries.length, entryCount);
+				
+				// Every regular file is either hashed or a hard link to a hashed file
+				assert.equal(entries.filter(entry => entry.md5 || entry.type === "link").length, test.numNormalFiles);
+				
+				manifests[test.name] = entries;
+			}))
+			.then(() => {
+				console.log("Comparing the hashes in the manifest against expectations from testcase...");
+				
+				return manifest.writeHashListFromManifestFile(manifestFilename, hashListFilename);
+			})
+			.then(() => hashFiles.compareHashListFiles(
+				hashListFilename, "manifest",
+				test.tarHashesFilename, "test expectation"
+			))
+			.then(
+				matchedFileCount => {
+					if (matchedFileCount !== test.numNormalFiles) {
+						throw "Our MD5 signature match found " + matchedFileCount + " files, we expected " + test.numNormalFiles + "!";
+					} else {
+						console.log("Matched all " + matchedFileCount + " files!");
+					}
+				},
+				errors => {
+					if (Array.isArray(errors)) {
+						throw errors.join("\n");
+					} else {
+						throw errors;
+					}
+				}
+			);
+	}
+	
+	return promise
+		.then(() => {
+			const
+				links = manifests["links"],
+				hardLink = links.find(entry => entry.type === "link"),
+				symlink = links.find(entry => entry.type === "symlink"),
+				
+				nested = manifests["nested-directories"],
+				nestedFile = nested.find(entry => entry.path === "test-b/test-d/test-c.txt"),
+				
+				specialCharacters = manifests["special-characters"];
+			
+			assert.equal(symlink.path, "test-symlink.txt");
+			assert.equal(symlink.link, "test-a.txt");
+			assert(["test-a.txt", "test-hardlink.txt"].indexOf(hardLink.link) !== -1);
+			
+			assert.equal(nestedFile.md5, "fd0a1f8a82e646dfa6cd2691e5bdf495");
+			assert.equal(nestedFile.size, "Same filename but different content!".length);
+			assert.equal(nested.find(entry => entry.path === "test-b").type, "directory");
+			
+			// The Latin-1 filename isn't valid UTF-8, so it has to be stored in base64
+			assert(specialCharacters.find(entry => entry.path === "test-En français, s'il vous plaît?.txt"));
+			assert(specialCharacters.find(entry => entry.pathBase64 && manifest.getEntryFilename(entry, "path").toString("latin1") === "test-En français, s'il vous plaît?.txt"));
+			
+			console.log("Writing a manifest for a disk image...");
+			
+			const
+				imageFilename = common.backupTests.find(test => test.name === "nested-directories").tarFilename;
+			
+			return manifest.writeManifestFromImageStream(fs.createReadStream(imageFilename), manifestFilename)
+				.then(() => Promise.all([manifest.readImageManifestFile(manifestFilename), common.openSSLMD5File(imageFilename)]))
+				.then(results => {
+					const
+						entry = results[0];
+					
+					assert.equal(entry.type, "image");
+					assert.equal(entry.size, fs.statSync(imageFilename).size);
+					assert.equal(entry.md5, results[1]);
+					
+					console.log("Manifests look good!");
+					console.log("");
+				});
+		})
+		.then(() => {
+			for (let filename of [manifestFilename, hashListFilename]) {
+				try {
+					fs.unlinkSync(filename);
+				} catch (e) {
+				}
+			}
+		});
+}
+
+function testThrottleStream() {
+	const
+		bytesPerSecond = 1024 * 1024,
+		data = Buffer.alloc(bytesPerSecond / 2),
+		throttle = new ThrottleStream(bytesPerSecond),
+		startTime = Date.now();
+	
+	let
+		received = 0;
+	
+	console.log("Checking that ThrottleStream limits the rate...");
+	
+	return new Promise((resolve, reject) => {
+		throttle.on("data", chunk => {
+			received += chunk.length;
+		});
+		throttle.on("error", reject);
+		throttle.on("end", resolve);
+		
+		for (let i = 0; i < 8; i++) {
+			throttle.write(data.slice(i * data.length / 8, (i + 1) * data.length / 8));
+		}
+		throttle.end();
+	}).then(() => {
+		const
+			elapsed = Date.now() - startTime;
+		
+		assert.equal(received, data.length);
+		assert(elapsed >= 400, "Half a second's worth of data passed through in only " + elapsed + "ms");
+		
+		console.log("Took " + elapsed + "ms to pass half a second's worth of data");
+		console.log("");
+	});
+}
+
+function testCompressionRoundTrip() {
+	let
+		promise = Promise.resolve();
+	
+	const
+		tarFilename = common.backupTests.find(test => test.name === "nested-directories").tarFilename,
+		compressedFilename = path.resolve(common.scratchDir2, "compressed"),
+		manifestFilename = path.resolve(common.scratchDir2, "manifest.gz");
+	
+	assert.throws(() => compression.getCodec("bzip2"));
+	assert.equal(compression.normaliseLevel("zstd", 50), 19);
+	assert.equal(compression.normaliseLevel("lz4", undefined), 1);
+	assert.deepEqual(compression.parseKeyExtension("vol-x/snap-x.1.tar.zst"), {codec: "zstd", keyWithoutExtension: "vol-x/snap-x.1.tar"});
+	assert.deepEqual(compression.parseKeyExtension("vol-x/snap-x.img"), {codec: "none", keyWithoutExtension: "vol-x/snap-x.img"});
+	
+	for (let codecName of compression.CODEC_NAMES) {
+		promise = promise.then(() => {
+			const
+				codec = compression.getCodec(codecName);
+			
+			if (codec.binary) {
+				try {
+					which.sync(codec.binary);
+				} catch (e) {
+					console.log("Skipping " + codecName + " round-trip test, since " + codec.binary + " isn't installed");
+					return;
+				}
+			}
+			
+			console.log("Round-tripping '" + tarFilename + "' through " + codecName + " compression...");
+			
+			const
+				compressor = compression.createCompressor(codecName, compression.normaliseLevel(codecName, undefined), {
+					stdio: ["pipe", "pipe", process.stderr]
+				}),
+				compressPipeline = spawn.pipelineAsPromise(fs.createReadStream(tarFilename), compressor.stdin),
+				writePipeline = spawn.pipelineAsPromise(compressor.stdout, fs.createWriteStream(compressedFilename));
+			
+			return Promise.all([compressor, compressPipeline, writePipeline])
+				.then(() => {
+					const
+						decompressor = compression.createDecompressor(codecName),
+						decompressPipeline = spawn.pipelineAsPromise(fs.createReadStream(compressedFilename), decompressor.stdin);
+					
+					return Promise.all([
+						manifest.writeManifestFromImageStream(decompressor.stdout, manifestFilename),
+						common.openSSLMD5File(tarFilename),
+						decompressor,
+						decompressPipeline
+					]);
+				})
+				.then(results => {
+					assert.equal(results[0].md5, results[1]);
+					assert.equal(results[0].size, fs.statSync(tarFilename).size);
+				});
+		});
+	}
+	
+	return promise.then(() => {
+		for (let filename of [compressedFilename, manifestFilename]) {
+			try {
+				fs.unlinkSync(filename);
+			} catch (e) {
+			}
+		}
+		
+		console.log("All codecs round-trip correctly!");
+		console.log("");
+	});
+}
+
+function encryptBuffer(data, dataKey) {
+	return new Promise((resolve, reject) => {
+		const
+			encryptor = new encryption.EncryptStream(dataKey),
+			chunks = [];
+		
+		encryptor.on("data", chunk => chunks.push(chunk));
+		encryptor.on("error", reject);
+		encryptor.on("end", () => resolve(Buffer.concat(chunks)));
+		
+		// Write in uneven pieces so that chunk boundaries don't line up with writes
+		for (let offset = 0; offset < data.length; offset += 100000) {
+			encryptor.write(data.slice(offset, offset + 100000));
+		}
+		encryptor.end();
+	});
+}
+
+function decryptBuffer(data, dataKey) {
+	return new Promise((resolve, reject) => {
+		const
+			decryptor = new encryption.DecryptStream(dataKey),
+			chunks = [];
+		
+		decryptor.on("data", chunk => chunks.push(chunk));
+		decryptor.on("error", reject);
+		decryptor.on("end", () => resolve(Buffer.concat(chunks)));
+		
+		for (let offset = 0; offset < data.length; offset += 65536) {
+			decryptor.write(data.slice(offset, offset + 65536));
+		}
+		decryptor.end();
+	});
+}
+
+function testEncryption() {
+	const
+		plaintext = crypto.randomBytes(2.5 * 1024 * 1024),
+		
+		privateKeyFilename = path.resolve(common.scratchDir2, "private.pem"),
+		publicKeyFilename = path.resolve(common.scratchDir2, "public.pem"),
+		passphraseFilename = path.resolve(common.scratchDir2, "passphrase"),
+		
+		expectFailure = (promise, pattern) => promise.then(
+			() => {
+				throw new Error("Decryption should have failed");
+			},
+			error => assert(pattern.test(error.message), "Unexpected error: " + error.message)
+		);
+	
+	console.log("Checking envelope encryption...");
+	
+	child_process.execFileSync("openssl", ["genrsa", "-out", privateKeyFilename, "2048"], {stdio: "ignore"});
+	child_process.execFileSync("openssl", ["rsa", "-in", privateKeyFilename, "-pubout", "-out", publicKeyFilename], {stdio: "ignore"});
+	fs.writeFileSync(passphraseFilename, "correct horse battery staple\n");
+	
+	const
+		uploaderKeys = encryption.loadEncryptionKeys({publicKeyFile: publicKeyFilename}),
+		restorerKeys = encryption.loadEncryptionKeys({privateKeyFile: privateKeyFilename}),
+		passphraseKeys = encryption.loadEncryptionKeys({passphraseFile: passphraseFilename}),
+		
+		rsaDataKey = encryption.createDataKey(uploaderKeys),
+		passphraseDataKey = encryption.createDataKey(passphraseKeys);
+	
+	assert.equal(passphraseKeys.passphrase, "correct horse battery staple");
+	assert(encryption.isEncrypted(rsaDataKey.metadata));
+	assert(!encryption.isEncrypted({"compression": "lz4"}));
+	
+	// Only the holder of the private key can unwrap the data key
+	assert(encryption.unwrapDataKey(rsaDataKey.metadata, restorerKeys).equals(rsaDataKey.dataKey));
+	assert.throws(() => encryption.unwrapDataKey(rsaDataKey.metadata, uploaderKeys), /private key/);
+	
+	assert(encryption.unwrapDataKey(passphraseDataKey.metadata, passphraseKeys).equals(passphraseDataKey.dataKey));
+	assert.throws(() => encryption.unwrapDataKey(passphraseDataKey.metadata, {passphrase: "wrong"}), /passphrase/);
+	
+	for (let iterations of [undefined, "", "lots", "200000.5", "-200000", "1e6", "1000"]) {
+		assert.throws(
+			() => encryption.unwrapDataKey(Object.assign({}, passphraseDataKey.metadata, {"encryption-key-iterations": iterations}), passphraseKeys),
+			/^Corrupt or unsupported encryption metadata/
+		);
+	}
+	
+	return encryptBuffer(plaintext, rsaDataKey.dataKey)
+		.then(ciphertext => {
+			const
+				tampered = Buffer.from(ciphertext);
+			
+			tampered[tampered.length >> 1] ^= 1;
+			
+			return decryptBuffer(ciphertext, rsaDataKey.dataKey)
+				.then(decrypted => assert(decrypted.equals(plaintext)))
+				.then(() => expectFailure(decryptBuffer(tampered, rsaDataKey.dataKey), /authentication/))
+				.then(() => expectFailure(decryptBuffer(ciphertext, passphraseDataKey.dataKey), /authentication/))
+				// Cutting off the final chunk must be noticed, even though every remaining chunk is intact
+				.then(() => expectFailure(decryptBuffer(ciphertext.slice(0, 8 + 2 * (5 + 1024 * 1024 + 16)), rsaDataKey.dataKey), /truncated/));
+		})
+		.then(() => encryptBuffer(Buffer.alloc(0), passphraseDataKey.dataKey))
+		.then(ciphertext => decryptBuffer(ciphertext, passphraseDataKey.dataKey))
+		.then(decrypted => {
+			assert.equal(decrypted.length, 0);
+			
+			for (let filename of [privateKeyFilename, publicKeyFilename, passphraseFilename]) {
+				fs.unlinkSync(filename);
+			}
+			
+			console.log("Encryption round-trips, and detects tampering and truncation!");
+			console.log("");
+		});
+}
+
+/**
+ * Serve ListSnapshotBlocks, ListChangedBlocks and GetSnapshotBlock for snapshots with the given written blocks, a
+ * couple of blocks per page so that we exercise the paging.
+ *
+ * @param {Object.<string, Object.<int, Buffer>>} snapshots - Content of the written blocks of each snapshot, by block index
+ * @param {int} corruptBlockIndex - Report the wrong checksum for this block
+ * @returns {http.Server}
+ */
+function createEbsDirectStub(snapshots, corruptBlockIndex) {
+	const
+		PAGE_SIZE = 2,
+		
+		sortedIndexes = blocks => Object.keys(blocks).map(index => parseInt(index, 10)).sort((a, b) => a - b),
+		
+		sendPage = (response, parsed, entries, listName) => {
+			const
+				start = parsed.query.pageToken ? parseInt(parsed.query.pageToken, 10) : 0,
+				
+				body = {
+					ExpiryTime: Math.floor(Date.now() / 1000) + 3600,
+					VolumeSize: 1,
+					BlockSize: 512 * 1024
+				};
+			
+			body[listName] = entries.slice(start, start + PAGE_SIZE);
+			
+			if (start + PAGE_SIZE < entries.length) {
+				body.NextToken = "" + (start + PAGE_SIZE);
+			}
+			
+			response.writeHead(200, {"Content-Type": "application/json"});
+			response.end(JSON.stringify(body));
+		};
+	
+	return http.createServer((request, response) => {
+		const
+			parsed = url.parse(request.url, true),
+			blockMatch = parsed.pathname.match(/^\/snapshots\/([^/]+)\/blocks\/(\d+)$/),
+			listMatch = parsed.pathname.match(/^\/snapshots\/([^/]+)\/blocks$/),
+			changedMatch = parsed.pathname.match(/^\/snapshots\/([^/]+)\/changedblocks$/);
+		
+		if (blockMatch) {
+			const
+				snapshotID = blockMatch[1],
+				blockIndex = parseInt(blockMatch[2], 10),
+				data = snapshots[snapshotID][blockIndex];
+			
+			assert.equal(parsed.query.blockToken, "token-" + snapshotID + "-" + blockIndex);
+			
+			response.writeHead(200, {
+				"Content-Type": "application/octet-stream",
+				"x-amz-Data-Length": "" + data.length,
+				"x-amz-Checksum": crypto.createHash("sha256").update(blockIndex === corruptBlockIndex ? Buffer.alloc(1) : data).digest("base64"),
+				"x-amz-Checksum-Algorithm": "SHA256"
+			});
+			response.end(data);
+		} else if (listMatch) {
+			const
+				snapshotID = listMatch[1];
+			
+			sendPage(response, parsed, sortedIndexes(snapshots[snapshotID]).map(index => ({BlockIndex: index, BlockToken: "token-" + snapshotID + "-" + index})), "Blocks");
+		} else if (changedMatch) {
+			const
+				first = snapshots[parsed.query.firstSnapshotId],
+				secondSnapshotID = changedMatch[1],
+				second = snapshots[secondSnapshotID],
+				
+				changed = sortedIndexes(Object.assign({}, first, second))
+					.filter(index => !(first[index] && second[index] && first[index].equals(second[index])))
+					.map(index => {
+						const
+							entry = {BlockIndex: index};
+						
+						if (second[index]) {
+							entry.SecondBlockToken = "token-" + secondSnapshotID + "-" + index;
+						}
+						
+						return entry;
+					});
+			
+			sendPage(response, parsed, changed, "ChangedBlocks");
+		} else {
+			response.writeHead(404);
+			response.end();
+		}
+	});
+}
+
+/**
+ * Start a stub of the EBS direct APIs and pass a client for it to the callback, shutting the stub down once the
+ * callback's promise settles.
+ *
+ * @param {Object.<string, Object.<int, Buffer>>} snapshots
+ * @param {int} corruptBlockIndex
+ * @param {function(AWS.EBS):Promise} callback
+ * @returns {Promise}
+ */
+function withEbsDirectStub(snapshots, corruptBlockIndex, callback) {
+	const
+		server = createEbsDirectStub(snapshots, corruptBlockIndex);
+	
+	return new Promise(resolve => server.listen(0, "127.0.0.1", resolve))
+		.then(() => callback(new AWS.EBS({
+			endpoint: "http://127.0.0.1:" + server.address().port,
+			region: "us-east-1",
+			accessKeyId: "test",
+			secretAccessKey: "test",
+			maxRetries: 0
+		})))
+		.then(
+			result => {
+				server.close();
+				return result;
+			},
+			error => {
+				server.close();
+				throw error;
+			}
+		);
+}
+
+const
+	STUB_BLOCK_SIZE = 512 * 1024,
+	STUB_BLOCK_COUNT = 2048; // 1GiB volume
+
+/**
+ * @param {Object.<int, Buffer>} blocks
+ * @returns {string} The MD5 of the whole volume with the given blocks written to it
+ */
+function hashStubVolume(blocks) {
+	const
+		hash = crypto.createHash("md5"),
+		zeroBlock = Buffer.alloc(STUB_BLOCK_SIZE);
+	
+	for (let i = 0; i < STUB_BLOCK_COUNT; i++) {
+		hash.update(blocks[i] || zeroBlock);
+	}
+	
+	return hash.digest("hex");
+}
+
+function testEbsDirect() {
+	const
+		blocks = {
+			0: crypto.randomBytes(STUB_BLOCK_SIZE),
+			1: crypto.randomBytes(STUB_BLOCK_SIZE),
+			700: crypto.randomBytes(STUB_BLOCK_SIZE),
+			701: crypto.randomBytes(STUB_BLOCK_SIZE),
+			2047: crypto.randomBytes(STUB_BLOCK_SIZE)
+		},
+		
+		snapshotID = "snap-0123456789abcdef0",
+		
+		readSnapshot = corruptBlockIndex => withEbsDirectStub({[snapshotID]: blocks}, corruptBlockIndex, ebs => {
+			const
+				snapshot = spawn.streamAsProcess(new ebsDirect.SnapshotBlockStream(ebs, snapshotID)),
+				hash = hashFiles.md5StreamAsPromise();
+			
+			return Promise.all([hash, snapshot, spawn.pipelineAsPromise(snapshot.stdout, hash.stdin)]).then(results => results[0]);
+		});
+	
+	console.log("Reading a snapshot through a stub of the EBS direct APIs...");
+	
+	return readSnapshot(-1)
+		.then(hash => {
+			assert.equal(hash, hashStubVolume(blocks));
+		})
+		.then(() => readSnapshot(700))
+		.then(
+			() => {
+				throw new Error("Reading a block with a bad checksum should have failed");
+			},
+			error => assert(/checksum/.test(error.message), "Unexpected error: " + error.message)
+		)
+		.then(() => {
+			console.log("Snapshot image read through the EBS direct APIs matches!");
+			console.log("");
+		});
+}
+
+/**
+ * Find the archives to restore by key and by snapshot ID, and check that the partitions of each snapshot are restored
+ * together. Building the new volume needs EC2, so that part is stubbed.
+ */
+function testRestoreArchiveLookup() {
+	const
+		directory = path.resolve(common.scratchDir2, "restore"),
+		
+		archive = (snapshotID, partitionName) => ({
+			Key: "vol-1/2017-01-01T00:00:00+00:00 " + snapshotID + " - Test" + (partitionName ? "." + partitionName : "") + ".tar.gz",
+			Body: "archive",
+			Metadata: {
+				"snapshot-snapshotid": snapshotID,
+				"snapshot-volumeid": "vol-1",
+				"snapshot-description": "Test",
+				compression: "gzip"
+			}
+		}),
+		
+		archives = [
+			archive("snap-1", "10"),
+			archive("snap-1", "1"),
+			archive("snap-1", "2"),
+			archive("snap-2", "")
+		],
+		
+		restored = [],
+		
+		createSnap = extraOptions => {
+			const
+				snap = common.createTestSnap(Object.assign({
+					tag: "snap-to-s3",
+					"mount-point": "/mnt",
+					directory: directory
+				}, extraOptions));
+			
+			snap.restoreTarsToNewVolume = tars => {
+				restored.push(tars.map(tar => tar.snapshotID + " " + tar.partitionName));
+				
+				return Promise.resolve({
+					snapshotID: tars[0].snapshotID,
+					volumeID: "vol-restored",
+					devicePath: "/dev/sdf",
+					mountPoints: []
+				});
+			};
+			
+			return snap;
+		},
+		
+		snap = createSnap({}),
+		deviceSnap = createSnap({device: "/dev/sdf"}),
+		
+		expectRestoreError = (promise, snapshotID, pattern) => promise.then(
+			() => assert.fail("The restore should have failed"),
+			error => {
+				assert(error instanceof SnapToS3.SnapshotRestoreError, error);
+				assert.equal(error.snapshotID, snapshotID);
+				assert(pattern.test(error.error), error.error);
+			}
+		);
+	
+	console.log("Finding archives to restore...");
+	
+	return fsTools.removeDirectory(directory)
+		.then(() => archives.reduce((promise, archive) => promise.then(() => snap.storage.putObject(archive)), Promise.resolve()))
+		.then(() => snap.storage.putObject({Key: "vol-1/unrelated.txt", Body: "Not one of ours"}))
+		.then(() => snap.describeArchive("vol-1/unrelated.txt").then(
+			() => assert.fail("Objects without our metadata aren't archives"),
+			error => assert(/doesn't look like an archive/.test(error), error)
+		))
+		.then(() => snap.restoreKeys(archives.map(archive => archive.Key)))
+		.then(results => {
+			// Partitions are sorted numerically, and each snapshot is restored to its own volume
+			assert.deepEqual(restored, [["snap-1 1", "snap-1 2", "snap-1 10"], ["snap-2 "]]);
+			assert.deepEqual(results.map(result => result.snapshotID), ["snap-1", "snap-2"]);
+			
+			restored.length = 0;
+			
+			return snap.restoreSnapshots(["snap-2", "snap-1"]);
+		})
+		.then(results => {
+			assert.deepEqual(restored, [["snap-2 "], ["snap-1 1", "snap-1 2", "snap-1 10"]]);
+			assert.deepEqual(results.map(result => result.snapshotID), ["snap-2", "snap-1"]);
+			
+			return expectRestoreError(snap.restoreSnapshots(["snap-3"]), "snap-3", /No archives of this snapshot/);
+		})
+		.then(() => expectRestoreError(deviceSnap.restoreSnapshots(["snap-2"]), "snap-2", /only be used to restore dd images/))
+		.then(() => deviceSnap.restoreKeys(archives.map(archive => archive.Key)).then(
+			() => assert.fail("Several snapshots can't be restored to one --device"),
+			error => assert(/one snapshot/.test(error), error)
+		))
+		.then(() => {
+			assert.equal(restored.length, 2);
+			
+			console.log("The partitions of each snapshot are restored together!");
+			console.log("");
+		});
+}
+
+/**
+ * Restore an image to a new volume with stubs of EC2 and of the image writing, and check that the volume is detached
+ * and deleted again when the restore fails.
+ */
+function testFailedRestoreCleanup() {
+	const
+		calls = [],
+		warnings = [],
+		
+		logger = {
+			info: () => {},
+			warn: message => warnings.push(message)
+		},
+		
+		image = {
+			key: "vol-1/2017-01-01T00:00:00+00:00 snap-1.img.gz",
+			snapshotID: "snap-1",
+			metadata: {"snapshot-volumesize": "1"}
+		},
+		
+		createSnap = failDelete => {
+			let
+				attached = true;
+			
+			const
+				snap = common.createTestSnap({
+					tag: "snap-to-s3",
+					"mount-point": "/mnt",
+					directory: "/backups"
+				}, {
+					ec2: {
+						describeVolumes: params => ({
+							promise: () => Promise.resolve({
+								Volumes: [{
+									VolumeId: params.VolumeIds[0],
+									State: attached ? "in-use" : "available",
+									Attachments: attached ? [{State: "attached", InstanceId: "i-1"}] : []
+								}]
+							})
+						}),
+						detachVolume: params => {
+							calls.push("detach " + params.VolumeId);
+							attached = false;
+							
+							return {promise: () => Promise.resolve()};
+						},
+						deleteVolume: params => {
+							calls.push("delete " + params.VolumeId);
+							
+							return {promise: () => failDelete ? Promise.reject("Access denied") : Promise.resolve()};
+						}
+					}
+				});
+			
+			snap.createAndAttachRestoreVolume = () => Promise.resolve({
+				volume: {VolumeId: "vol-restored"},
+				disk: {DEVICEPATH: "/dev/xvdf"}
+			});
+			snap.restoreImageToDevice = () => Promise.reject("The image's MD5 doesn't match");
+			
+			return snap;
+		},
+		
+		expectFailure = promise => promise.then(
+			() => assert.fail("The restore should have failed"),
+			error => assert.equal(error, "The image's MD5 doesn't match")
+		);
+	
+	console.log("Cleaning up after a failed restore...");
+	
+	return expectFailure(createSnap(false).restoreImageToNewVolume(image, logger))
+		.then(() => {
+			assert.deepEqual(calls, ["detach vol-restored", "delete vol-restored"]);
+			assert.equal(warnings.length, 1);
+			
+			calls.length = 0;
+			warnings.length = 0;
+			
+			return expectFailure(createSnap(true).restoreImageToNewVolume(image, logger));
+		})
+		.then(() => {
+			// The volume we couldn't delete is reported, so that it can be cleaned up by hand
+			assert.deepEqual(calls, ["detach vol-restored", "delete vol-restored"]);
+			assert(/vol-restored.*clean it up yourself/.test(warnings[1]), warnings[1]);
+			
+			console.log("A failed restore doesn't leave its new volume behind!");
+			console.log("");
+		});
+}
+
+/**
+ * Check which devices we'd be willing to restore a dd image over, with a stub of the block device listing.
+ */
+function testDeviceOverwriteChecks() {
+	const
+		GIBIBYTE = 1024 * 1024 * 1024,
+		
+		blockDevice = (name, type, fsType, mountPoint) => ({
+			NAME: name,
+			DEVICEPATH: "/dev/" + name,
+			TYPE: type,
+			FSTYPE: fsType,
+			MOUNTPOINT: mountPoint,
+			PKNAME: type === "part" ? "xvdf" : "",
+			SIZE: 8 * GIBIBYTE
+		}),
+		
+		emptyDisk = blockDevice("xvdf", "disk", "", ""),
+		formattedDisk = blockDevice("xvdf", "disk", "ext4", ""),
+		mountedDisk = blockDevice("xvdf", "disk", "ext4", "/data"),
+		
+		emptyPartition = blockDevice("xvdf1", "part", "", ""),
+		mountedPartition = blockDevice("xvdf1", "part", "xfs", "/data"),
+		
+		cases = [
+			{description: "an empty disk", device: emptyDisk, children: [], force: false, error: null},
+			{description: "a mounted disk", device: mountedDisk, children: [], force: true, error: /in use: \/dev\/xvdf is mounted at \/data/},
+			{description: "a disk with a mounted partition", device: emptyDisk, children: [mountedPartition], force: true, error: /in use: \/dev\/xvdf1 is mounted at \/data/},
+			{description: "a disk with a filesystem", device: formattedDisk, children: [], force: false, error: /contains a filesystem \(\/dev\/xvdf is ext4\)/},
+			{description: "a disk with a filesystem, with --force", device: formattedDisk, children: [], force: true, error: null},
+			{description: "a disk with a partition table", device: emptyDisk, children: [emptyPartition], force: false, error: /partition table/},
+			{description: "a disk with a partition table, with --force", device: emptyDisk, children: [emptyPartition], force: true, error: null},
+			{description: "a partition", device: emptyPartition, children: [], force: true, error: /is a partition/},
+			{description: "an undersized disk", device: emptyDisk, children: [], force: true, requiredSize: 9 * GIBIBYTE, error: /too small/}
+		],
+		
+		findBlockDevice = fsTools.findBlockDevice;
+	
+	console.log("Checking which devices are safe to restore a dd image over...");
+	
+	return cases.reduce((promise, testCase) => promise.then(() => {
+		const
+			snap = common.createTestSnap({
+				tag: "snap-to-s3",
+				"mount-point": "/mnt",
+				directory: "/backups",
+				force: testCase.force
+			});
+		
+		fsTools.findBlockDevice = devicePath => {
+			assert.equal(devicePath, "/dev/sdf");
+			
+			return Promise.resolve({device: testCase.device, children: testCase.children});
+		};
+		
+		return snap.checkDeviceIsSafeToOverwrite("/dev/sdf", testCase.requiredSize || GIBIBYTE).then(
+			device => {
+				assert(!testCase.error, "We shouldn't overwrite " + testCase.description);
+				assert.strictEqual(device, testCase.device);
+			},
+			error => {
+				assert(testCase.error, "We should be able to overwrite " + testCase.description + ", but: " + error);
+				assert(testCase.error.test(error), "Unexpected error for " + testCase.description + ": " + error);
+			}
+		);
+	}), Promise.resolve())
+		.then(
+			() => {
+				fsTools.findBlockDevice = findBlockDevice;
+				
+				console.log("Only devices that aren't in use, and are empty or --forced, are overwritten!");
+				console.log("");
+			},
+			error => {
+				fsTools.findBlockDevice = findBlockDevice;
+				
+				throw error;
+			}
+		);
+}
+
+/**
+ * Write the given data into a new DeltaApplyStream for the file.
+ *
+ * @param {int} fd
+ * @param {stream.Readable|Buffer} source
+ * @returns {Promise.<DeltaApplyStream>}
+ */
+function applyDeltaToFile(fd, source) {
+	const
+		applier = new incremental.DeltaApplyStream(fd);
+	
+	if (Buffer.isBuffer(source)) {
+		const
+			buffer = source;
+		
+		source = new stream.PassThrough();
+		source.end(buffer);
+	}
+	
+	return spawn.pipelineAsPromise(source, applier).then(() => applier);
+}
+
+function testIncrementalDeltas() {
+	const
+		firstSnapshotID = "snap-00000000000000001",
+		secondSnapshotID = "snap-00000000000000002",
+		
+		firstBlocks = {
+			0: crypto.randomBytes(STUB_BLOCK_SIZE),
+			1: crypto.randomBytes(STUB_BLOCK_SIZE),
+			700: crypto.randomBytes(STUB_BLOCK_SIZE),
+			2047: crypto.randomBytes(STUB_BLOCK_SIZE)
+		},
+		
+		// Block 1 is rewritten, 5 is newly written, and 700 is no longer written (so it reads as zeros)
+		secondBlocks = {
+			0: firstBlocks[0],
+			1: crypto.randomBytes(STUB_BLOCK_SIZE),
+			5: crypto.randomBytes(STUB_BLOCK_SIZE),
+			2047: firstBlocks[2047]
+		},
+		
+		imageFilename = path.resolve(common.scratchDir2, "incremental.img"),
+		
+		snapshots = {
+			[firstSnapshotID]: firstBlocks,
+			[secondSnapshotID]: secondBlocks
+		};
+	
+	let
+		fd,
+		delta;
+	
+	console.log("Applying a delta of changed blocks on top of the earlier snapshot's image...");
+	
+	// Lay down the image of the first snapshot
+	fd = fs.openSync(imageFilename, "w+");
+	fs.ftruncateSync(fd, STUB_BLOCK_SIZE * STUB_BLOCK_COUNT);
+	
+	for (let index in firstBlocks) {
+		fs.writeSync(fd, firstBlocks[index], 0, STUB_BLOCK_SIZE, index * STUB_BLOCK_SIZE);
+	}
+	
+	return withEbsDirectStub(snapshots, -1, ebs => {
+		const
+			changedBlocks = new ebsDirect.ChangedBlockStream(ebs, firstSnapshotID, secondSnapshotID),
+			chunks = [];
+		
+		changedBlocks.on("data", chunk => chunks.push(chunk));
+		
+		return new Promise((resolve, reject) => {
+			changedBlocks.on("end", resolve);
+			changedBlocks.on("error", reject);
+		}).then(() => {
+			assert.equal(changedBlocks.changedBlockCount, 3);
+			
+			delta = Buffer.concat(chunks);
+		});
+	})
+		.then(() => applyDeltaToFile(fd, delta))
+		.then(applier => {
+			assert(applier.complete);
+			assert.deepEqual(applier.blockIndexes, [1, 5, 700]);
+			
+			return incremental.hashBlocksOfFile(fd, applier.blockIndexes, applier.blockSize)
+				.then(hash => assert.equal(hash, applier.digest()));
+		})
+		.then(() => {
+			fs.closeSync(fd);
+			
+			const
+				hash = hashFiles.md5StreamAsPromise();
+			
+			return Promise.all([hash, spawn.pipelineAsPromise(fs.createReadStream(imageFilename), hash.stdin)]).then(results => results[0]);
+		})
+		.then(hash => {
+			assert.equal(hash, hashStubVolume(secondBlocks));
+			
+			fd = fs.openSync(imageFilename, "r+");
+			
+			// Cutting the delta short before its end marker must be noticed
+			return applyDeltaToFile(fd, delta.slice(0, delta.length - 4));
+		})
+		.then(applier => {
+			assert(!applier.complete);
+			
+			return applyDeltaToFile(fd, Buffer.from("not a delta at all")).then(
+				() => {
+					throw new Error("Applying something that isn't a delta should have failed");
+				},
+				error => assert(/doesn't look like a delta/.test(error.message), "Unexpected error: " + error.message)
+			);
+		})
+		.then(() => {
+			fs.closeSync(fd);
+			fs.unlinkSync(imageFilename);
+			
+			const
+				chain = incremental.createChainManifest(
+					{SnapshotId: secondSnapshotID, VolumeId: "vol-1", VolumeSize: 1},
+					"vol-1/second.delta.lz4",
+					STUB_BLOCK_SIZE,
+					{key: "vol-1/first.img.lz4", snapshotID: firstSnapshotID},
+					[]
+				),
+				parsed = incremental.parseChainManifest(JSON.stringify(chain));
+			
+			assert.deepEqual(parsed.deltas, [{key: "vol-1/second.delta.lz4", snapshotID: secondSnapshotID}]);
+			assert(incremental.isChainManifestKey(incremental.chainManifestKeyForArchive("vol-1/second.delta.lz4")));
+			assert(!incremental.isChainManifestKey("vol-1/second.delta.lz4"));
+			
+			console.log("Deltas rebuild the later snapshot, and truncation is detected!");
+			console.log("");
+		});
+}
+
+function testIncrementalTars() {
+	const
+		sourceDirectory = path.resolve(common.scratchDir2, "incremental-source"),
+		restoreDirectory = path.resolve(common.scratchDir2, "incremental-restore"),
+		snapshotFilename = path.resolve(common.scratchDir2, "incremental.snar"),
+		tarFilenames = [0, 1].map(level => path.resolve(common.scratchDir2, "incremental-" + level + ".tar")),
+		
+		localHashesFilename = path.resolve(common.scratchDir2, "local.md5"),
+		remoteHashesFilename = path.resolve(common.scratchDir2, "remote.md5"),
+		
+		createTar = level => child_process.execFileSync("tar", tarTools.createIncrementalArgs(snapshotFilename).concat(["-c", "-f", tarFilenames[level], "."]), {
+			cwd: sourceDirectory
+		}),
+		
+		extractTar = level => child_process.execFileSync("tar", ["-x", "-p", "--numeric-owner"].concat(tarTools.extractIncrementalArgs(), ["-f", tarFilenames[level]]), {
+			cwd: restoreDirectory
+		});
+	
+	console.log("Rebuilding files from a chain of incremental tars...");
+	
+	// A snapshot file left behind by an earlier run would make our level 0 tar incremental
+	if (fs.existsSync(snapshotFilename)) {
+		fs.unlinkSync(snapshotFilename);
+	}
+	
+	return fsTools.removeDirectory(sourceDirectory)
+		.then(() => fsTools.removeDirectory(restoreDirectory))
+		.then(() => fsTools.forcePath(path.resolve(sourceDirectory, "dir")))
+		.then(() => fsTools.forcePath(restoreDirectory))
+		.then(() => {
+			fs.writeFileSync(path.resolve(sourceDirectory, "unchanged.txt"), "unchanged");
+			fs.writeFileSync(path.resolve(sourceDirectory, "dir", "changed.txt"), "before");
+			fs.writeFileSync(path.resolve(sourceDirectory, "deleted.txt"), "deleted");
+			
+			createTar(0);
+			
+			fs.writeFileSync(path.resolve(sourceDirectory, "dir", "changed.txt"), "after");
+			fs.unlinkSync(path.resolve(sourceDirectory, "deleted.txt"));
+			fs.writeFileSync(path.resolve(sourceDirectory, "added.txt"), "added");
+			
+			createTar(1);
+			
+			// The level 1 tar only contains the files that changed, and our tar readers cope with its directory listings
+			return hashFiles.hashTarFilesFromStream(fs.createReadStream(tarFilenames[1]), remoteHashesFilename);
+		})
+		.then(hashedCount => {
+			assert.equal(hashedCount, 2);
+			
+			extractTar(0);
+			extractTar(1);
+			
+			assert(!fs.existsSync(path.resolve(restoreDirectory, "deleted.txt")), "Deleted file should have been removed by the level 1 tar");
+			
+			return Promise.all([
+				hashFiles.hashFilesInDirectory(sourceDirectory, localHashesFilename, () => {}),
+				hashFiles.hashFilesInDirectory(restoreDirectory, remoteHashesFilename, () => {})
+			]);
+		})
+		.then(() => hashFiles.compareHashListFiles(
+			localHashesFilename, "source",
+			remoteHashesFilename, "rebuilt from tars"
+		))
+		.then(matchedCount => {
+			assert.equal(matchedCount, 3);
+			
+			assert(tarTools.isSnapshotFileKey(tarTools.snapshotFileKeyForArchive("vol-1/second.tar.lz4")));
+			assert(!tarTools.isSnapshotFileKey("vol-1/second.tar.lz4"));
+			
+			return Promise.all([sourceDirectory, restoreDirectory].map(directory => fsTools.removeDirectory(directory)));
+		})
+		.then(() => {
+			for (let filename of tarFilenames.concat([snapshotFilename, localHashesFilename, remoteHashesFilename])) {
+				fs.unlinkSync(filename);
+			}
+			
+			console.log("Incremental tars rebuild the later files, including deletions!");
+			console.log("");
+		});
+}
+
+function chunkBuffer(data) {
+	return new Promise((resolve, reject) => {
+		const
+			chunker = new chunkStore.ContentDefinedChunker(),
+			chunks = [];
+		
+		chunker.on("data", chunk => chunks.push(chunk));
+		chunker.on("error", reject);
+		chunker.on("end", () => resolve(chunks));
+		
+		// Write in uneven pieces so that chunk boundaries don't line up with writes
+		for (let offset = 0; offset < data.length; offset += 1000000) {
+			chunker.write(data.slice(offset, offset + 1000000));
+		}
+		chunker.end();
+	});
+}
+
+function readChunkedBuffer(index, storedChunks) {
+	return new Promise((resolve, reject) => {
+		const
+			reader = new chunkStore.ChunkReadStream(index, hash => Promise.resolve(storedChunks.get(hash)), 3),
+			chunks = [];
+		
+		reader.on("data", chunk => chunks.push(chunk));
+		reader.on("error", reject);
+		reader.on("end", () => resolve(Buffer.concat(chunks)));
+	});
+}
+
+function testChunkStore() {
+	const
+		original = crypto.randomBytes(24 * 1024 * 1024),
+		
+		// The same data shifted by an insertion at the start, which should only change the first chunk
+		shifted = Buffer.concat([crypto.randomBytes(1000), original]),
+		
+		storedChunks = new Map();
+	
+	let
+		index;
+	
+	console.log("Checking content-defined chunking and reassembly...");
+	
+	assert.equal(chunkStore.chunkKey("ab" + "0".repeat(62)), "chunks/ab/ab" + "0".repeat(62));
+	assert.equal(chunkStore.parseChunkKey(chunkStore.chunkKey("cd" + "1".repeat(62))), "cd" + "1".repeat(62));
+	assert.equal(chunkStore.parseChunkKey("vol-1/snap-1.tar.chunks"), null);
+	assert(chunkStore.isIndexKey("vol-1/snap-1.tar.chunks"));
+	assert(!chunkStore.isIndexKey(chunkStore.chunkKey("ab" + "0".repeat(62))));
+	
+	return Promise.all([chunkBuffer(original), chunkBuffer(shifted)])
+		.then(results => {
+			const
+				originalChunks = results[0],
+				shiftedChunks = results[1],
+				originalHashes = new Set(originalChunks.map(chunk => chunkStore.hashChunk(chunk))),
+				sharedCount = shiftedChunks.filter(chunk => originalHashes.has(chunkStore.hashChunk(chunk))).length;
+			
+			assert(Buffer.concat(originalChunks).equals(original));
+			assert(Buffer.concat(shiftedChunks).equals(shifted));
+			
+			for (let chunk of originalChunks.slice(0, -1)) {
+				assert(chunk.length >= 1024 * 1024 && chunk.length <= 16 * 1024 * 1024, "Chunk of " + chunk.length + " bytes is out of bounds");
+			}
+			
+			assert(sharedCount >= shiftedChunks.length - 2, "Only " + sharedCount + " of " + shiftedChunks.length + " chunks were shared after an insertion");
+			
+			console.log(originalChunks.length + " chunks, " + sharedCount + " of them still shared after inserting 1000 bytes at the start");
+			
+			for (let chunk of originalChunks) {
+				storedChunks.set(chunkStore.hashChunk(chunk), chunk);
+			}
+			
+			index = chunkStore.decodeIndex(chunkStore.encodeIndex(chunkStore.createIndex(originalChunks.map(chunk => [chunkStore.hashChunk(chunk), chunk.length]))));
+			
+			assert.equal(index.length, original.length);
+			assert.equal(index.chunks.length, originalChunks.length);
+			
+			return readChunkedBuffer(index, storedChunks);
+		})
+		.then(reassembled => {
+			assert(reassembled.equals(original));
+			
+			const
+				corruptHash = index.chunks[1][0],
+				corrupt = Buffer.from(storedChunks.get(corruptHash));
+			
+			corrupt[0] ^= 1;
+			storedChunks.set(corruptHash, corrupt);
+			
+			return readChunkedBuffer(index, storedChunks).then(
+				() => {
+					throw new Error("A corrupt chunk wasn't detected");
+				},
+				error => {
+					assert(/corrupt/.test(error.message));
+				}
+			);
+		})
+		.then(() => {
+			const
+				data = original.slice(0, 100000);
+			
+			return compression.compressBuffer("gzip", compression.normaliseLevel("gzip", undefined), data)
+				.then(compressed => {
+					assert(!compressed.equals(data));
+					
+					return compression.decompressBuffer("gzip", compressed);
+				})
+				.then(decompressed => {
+					assert(decompressed.equals(data));
+				});
+		})
+		.then(() => {
+			console.log("Chunked archives reassemble correctly, and corrupt chunks are detected!");
+			console.log("");
+		});
+}
+
+/**
+ * Create a stub of the S3 client which holds the heads of the given objects in memory. Restores requested through it
+ * finish immediately.
+ *
+ * @param {Object} heads - Map from key to the S3.HeadObjectOutput for it
+ * @param {Object[]} requests - The operation and params of each call which would change something are added to this
+ */
+function createS3Stub(heads, requests) {
+	const
+		respond = result => ({
+			promise: () => Promise.resolve(result)
+		}),
+		record = (operation, params) => {
+			requests.push({operation: operation, params: params});
+			
+			return respond({});
+		};
+	
+	return {
+		listObjectsV2: () => respond({
+			Contents: Object.keys(heads).map(key => ({Key: key})),
+			IsTruncated: false
+		}),
+		headObject: params => respond(Object.assign({}, heads[params.Key])),
+		restoreObject: params => {
+			heads[params.Key].Restore = 'ongoing-request="false", expiry-date="Fri, 21 Dec 2012 00:00:00 GMT"';
+			
+			return record("restoreObject", params);
+		},
+		putObjectRetention: params => record("putObjectRetention", params),
+		putObjectLegalHold: params => record("putObjectLegalHold", params)
+	};
+}
+
+function testGlacierRestores() {
+	const
+		imageKey = "vol-1/2017-01-01T00:00:00+00:00 snap-1.img.lz4",
+		
+		createSnap = (glacierAction, heads, restoreRequests) => common.createTestSnap({
+			tag: "snap-to-s3",
+			"mount-point": "/mnt",
+			bucket: "backups.example.com",
+			glacier: glacierAction,
+			"glacier-tier": "Bulk"
+		}, {
+			s3: createS3Stub(heads, restoreRequests)
+		}),
+		
+		createHeads = storageClass => ({
+			[imageKey]: {
+				ContentLength: 100,
+				StorageClass: storageClass,
+				Metadata: {
+					"snapshot-snapshotid": "snap-1",
+					"snapshot-volumeid": "vol-1",
+					"compression": "lz4"
+				}
+			}
+		}),
+		
+		logger = {
+			info: () => {},
+			warn: () => {}
+		},
+		
+		restoreRequests = [];
+	
+	console.log("Checking that archives in Glacier are detected before validation...");
+	
+	assert.throws(() => createSnap("sometimes", {}, []), /--glacier/);
+	assert.throws(() => common.createTestSnap({tag: "t", "mount-point": "/mnt", bucket: "b", dedup: true, "storage-class": "glacier"}), /--dedup/);
+	
+	return createSnap("skip", createHeads("STANDARD_IA"), restoreRequests).prepareArchivesForReading("snap-1", "vol-1", logger)
+		.then(() => createSnap("skip", createHeads("GLACIER"), restoreRequests).prepareArchivesForReading("snap-1", "vol-1", logger))
+		.then(
+			() => {
+				throw new Error("An archive in Glacier should have been skipped");
+			},
+			error => {
+				assert(error instanceof SnapToS3.ArchivesNotRestoredError, "Unexpected error: " + error);
+				assert.deepEqual(error.keys, [imageKey]);
+				assert.equal(restoreRequests.length, 0);
+			}
+		)
+		.then(() => createSnap("restore", createHeads("DEEP_ARCHIVE"), restoreRequests).prepareArchivesForReading("snap-1", "vol-1", logger))
+		.then(
+			() => {
+				throw new Error("The snapshot should have been skipped until a later run");
+			},
+			error => {
+				assert(error instanceof SnapToS3.ArchivesNotRestoredError, "Unexpected error: " + error);
+				assert.equal(restoreRequests.length, 1);
+				assert.deepEqual(restoreRequests[0].params.RestoreRequest, {Days: 1, GlacierJobParameters: {Tier: "Bulk"}});
+			}
+		)
+		.then(() => createSnap("wait", createHeads("GLACIER"), restoreRequests).prepareArchivesForReading("snap-1", "vol-1", logger))
+		.then(() => {
+			assert.equal(restoreRequests.length, 2);
+			
+			console.log("Archives in Glacier are skipped or restored as requested!");
+			console.log("");
+		});
+}
+
+function testObjectLock() {
+	const
+		options = {
+			tag: "snap-to-s3",
+			"mount-point": "/mnt",
+			bucket: "backups.example.com"
+		},
+		
+		snapshot = {
+			SnapshotId: "snap-1",
+			VolumeId: "vol-1",
+			VolumeSize: 8,
+			StartTime: new Date(),
+			Description: ""
+		},
+		
+		requests = [],
+		createdTags = [];
+	
+	console.log("Checking that uploads are locked with S3 Object Lock...");
+	
+	assert.throws(() => common.createTestSnap(Object.assign({"object-lock-mode": "governance"}, options)), /exactly one/);
+	assert.throws(() => common.createTestSnap(Object.assign({"object-lock-days": 30}, options)), /--object-lock-mode/);
+	assert.throws(() => common.createTestSnap(Object.assign({"object-lock-mode": "forever", "object-lock-days": 30}, options)), /GOVERNANCE/);
+	assert.throws(() => common.createTestSnap(Object.assign({"object-lock-mode": "compliance", "object-lock-until": "2001-01-01"}, options)), /future/);
+	
+	const
+		snap = common.createTestSnap(Object.assign({"object-lock-mode": "governance", "object-lock-days": 30, "legal-hold": true}, options), {
+			s3: createS3Stub({}, requests),
+			ec2: {
+				deleteTags: () => ({promise: () => Promise.resolve()}),
+				createTags: params => {
+					createdTags.push(params.Tags);
+					
+					return {promise: () => Promise.resolve()};
+				}
+			}
+		}),
+		s3Params = snap.createS3ParamsForSnapshot(snapshot),
+		settings = snap.decideObjectLockSettings(snapshot.SnapshotId),
+		earlier = new Date(settings.retainUntil.getTime() - 1000),
+		later = new Date(settings.retainUntil.getTime() + 1000);
+	
+	assert.equal(s3Params.ObjectLockMode, "GOVERNANCE");
+	assert.equal(s3Params.ObjectLockLegalHoldStatus, "ON");
+	assert(Math.abs(settings.retainUntil.getTime() - (Date.now() + 30 * 24 * 60 * 60 * 1000)) < 60 * 1000);
+	
+	// Every archive of a snapshot gets the same date
+	assert.strictEqual(snap.createS3ParamsForSnapshot(snapshot).ObjectLockRetainUntilDate, settings.retainUntil);
+	
+	return snap.lockUploadedObject("vol-1/new", "v1", settings)
+		.then(() => {
+			assert.deepEqual(requests.map(request => request.operation), ["putObjectRetention", "putObjectLegalHold"]);
+			assert.equal(requests[0].params.VersionId, "v1");
+			assert.equal(requests[0].params.Retention.Mode, "GOVERNANCE");
+			
+			requests.length = 0;
+			
+			// A shared chunk that's already locked in COMPLIANCE mode, but not for long enough
+			return snap.lockUploadedObject("chunks/ab/ab", "v2", settings, {
+				ObjectLockMode: "COMPLIANCE",
+				ObjectLockRetainUntilDate: earlier,
+				ObjectLockLegalHoldStatus: "ON"
+			});
+		})
+		.then(() => {
+			assert.deepEqual(requests.map(request => request.operation), ["putObjectRetention"]);
+			assert.equal(requests[0].params.Retention.Mode, "COMPLIANCE");
+			assert.strictEqual(requests[0].params.Retention.RetainUntilDate, settings.retainUntil);
+			
+			requests.length = 0;
+			
+			// Already locked for longer than we need
+			return snap.lockUploadedObject("chunks/cd/cd", "v3", settings, {
+				ObjectLockMode: "GOVERNANCE",
+				ObjectLockRetainUntilDate: later,
+				ObjectLockLegalHoldStatus: "ON"
+			});
+		})
+		.then(() => {
+			assert.equal(requests.length, 0);
+			
+			return snap.markSnapshotAsCompleted(snapshot.SnapshotId, "migrated");
+		})
+		.then(() => {
+			const
+				tags = createdTags[0];
+			
+			assert(tags.find(tag => tag.Key === "snap-to-s3" && tag.Value === "migrated"));
+			assert(tags.find(tag => tag.Key === "snap-to-s3-retention" && /^GOVERNANCE until /.test(tag.Value)));
+			assert(tags.find(tag => tag.Key === "snap-to-s3-legal-hold" && tag.Value === "on"));
+			
+			console.log("Uploads are locked, and their retention is recorded in the snapshot's tags!");
+			console.log("");
+		});
+}
+
+function testDirectoryStorage() {
+	const
+		directory = path.resolve(common.scratchDir2, "directory-storage"),
+		directoryStorage = new storage.DirectoryStorage(directory),
+		
+		key = "vol-1/2017-01-01T00:00:00+00:00 snap-1 - Test.img.gz",
+		tags = [{Key: "Name", Value: "test"}],
+		
+		image = crypto.randomBytes(3 * 1024 * 1024 + 7),
+		imageMD5 = crypto.createHash("md5").update(image).digest("hex"),
+		
+		snapshot = {
+			SnapshotId: "snap-1",
+			VolumeId: "vol-1",
+			VolumeSize: 1,
+			StartTime: new Date("2017-01-01T00:00:00Z"),
+			Description: "Test"
+		},
+		
+		options = {
+			tag: "snap-to-s3",
+			"mount-point": "/mnt",
+			directory: directory,
+			compression: "gzip"
+		},
+		
+		logger = {
+			info: () => {},
+			warn: () => {}
+		},
+		
+		listFiles = () => child_process.execFileSync("find", [directory, "-type", "f"]).toString("utf8").split("\n").filter(line => line.length > 0).sort(),
+		
+		failingBody = new stream.Readable({
+			read() {
+				this.emit("error", new Error("Source failed"));
+			}
+		});
+	
+	console.log("Storing archives in a directory instead of S3...");
+	
+	assert.throws(() => common.createTestSnap(Object.assign({bucket: "backups.example.com"}, options)), /can't be used together/);
+	assert.throws(() => common.createTestSnap(Object.assign({"storage-class": "GLACIER"}, options)), /only applies to S3/);
+	
+	const
+		snap = common.createTestSnap(options);
+	
+	return fsTools.removeDirectory(directory)
+		.then(() => directoryStorage.headObject({Key: key}).then(
+			() => assert.fail("Missing files should not have a head"),
+			error => assert.equal(error.statusCode, 404)
+		))
+		.then(() => directoryStorage.upload({
+			Key: "vol-1/failed.img.gz",
+			Body: failingBody
+		}).then(
+			() => assert.fail("The upload should have failed along with its source"),
+			error => assert(/Source failed/.test(error), error)
+		))
+		.then(() => {
+			const
+				body = new stream.PassThrough(),
+				upload = directoryStorage.upload({
+					Key: "vol-1/aborted.img.gz",
+					Body: body
+				});
+			
+			upload.abort();
+			body.end("partial");
+			
+			return upload.then(
+				() => assert.fail("The upload should have been aborted"),
+				error => assert(/aborted/.test(error), error)
+			);
+		})
+		.then(() => {
+			// Neither failed upload left anything behind, not even temporary files
+			assert.deepEqual(listFiles(), []);
+			
+			const
+				source = new stream.PassThrough(),
+				s3Params = snap.createS3ParamsForSnapshot(snapshot);
+			
+			s3Params.Key = key;
+			source.end(image);
+			
+			return snap.uploadProcessStdOut(spawn.streamAsProcess(source), image.length, tags, s3Params, logger);
+		})
+		.then(() => {
+			// The archive keeps the key layout it would have in S3, with its metadata in a sidecar
+			assert.deepEqual(listFiles(), [
+				directory + "/" + key,
+				directory + "/" + key + storage.SIDECAR_SUFFIX
+			]);
+			
+			return Promise.all([
+				directoryStorage.listAllObjects({Prefix: "vol-1/2017"}),
+				directoryStorage.listAllObjects({Prefix: "vol-2/"}),
+				directoryStorage.getObjectTagging({Key: key})
+			]);
+		})
+		.then(results => {
+			assert.deepEqual(results[0].map(object => object.Key), [key]);
+			assert.deepEqual(results[1], []);
+			assert.deepEqual(results[2].TagSet, tags);
+			
+			return directoryStorage.putObjectTagging({Key: key, Tagging: {TagSet: [{Key: "Name", Value: "retagged"}]}});
+		})
+		.then(() => snap.describeArchive(key))
+		.then(archive => {
+			assert.equal(archive.snapshotID, snapshot.SnapshotId);
+			assert.equal(archive.metadata["snapshot-description"], "Test");
+			assert.equal(archive.metadata["uncompressed-size"], image.length + "");
+			
+			const
+				download = snap.readArchiveFromS3(archive, new SimpleProgressStream()),
+				md5 = hashFiles.md5StreamAsPromise();
+			
+			return Promise.all([md5, download, spawn.pipelineAsPromise(download.stdout, md5.stdin)]);
+		})
+		.then(results => {
+			assert.equal(results[0], imageMD5);
+			
+			return directoryStorage.getObjectTagging({Key: key});
+		})
+		.then(tagging => {
+			assert.deepEqual(tagging.TagSet, [{Key: "Name", Value: "retagged"}]);
+			
+			return directoryStorage.deleteObjects({Delete: {Objects: [{Key: key}]}});
+		})
+		.then(result => {
+			assert.deepEqual(result.Deleted, [{Key: key}]);
+			assert.deepEqual(listFiles(), []);
+			
+			console.log("Archives round-trip through a directory, with their metadata and tags!");
+			console.log("");
+		});
+}
+
+/**
+ * Upload a deduplicated archive and read it back. Then fail to store a chunk of an upload whose source never ends by
+ * itself, and check that the source process is stopped along with the upload.
+ */
+function testChunkedUploads() {
+	const
+		directory = path.resolve(common.scratchDir2, "chunked-uploads"),
+		
+		image = crypto.randomBytes(5 * 1024 * 1024 + 7),
+		imageMD5 = crypto.createHash("md5").update(image).digest("hex"),
+		
+		snap = common.createTestSnap({
+			tag: "snap-to-s3",
+			"mount-point": "/mnt",
+			directory: directory,
+			compression: "gzip",
+			dedup: true
+		}),
+		
+		s3Params = snap.createS3ParamsForSnapshot({
+			SnapshotId: "snap-1",
+			VolumeId: "vol-1",
+			VolumeSize: 1,
+			StartTime: new Date("2017-01-01T00:00:00Z"),
+			Description: ""
+		}),
+		
+		logger = {
+			info: () => {},
+			warn: () => {},
+			error: () => {}
+		},
+		
+		timeout = message => new Promise((resolve, reject) => setTimeout(() => reject(new Error(message)), 20 * 1000));
+	
+	let
+		source,
+		sourceExited;
+	
+	console.log("Uploading deduplicated archives...");
+	
+	s3Params.Key = "vol-1/2017-01-01T00:00:00+00:00 snap-1.img" + chunkStore.INDEX_SUFFIX;
+	
+	return fsTools.removeDirectory(directory)
+		.then(() => {
+			const
+				imageSource = new stream.PassThrough();
+			
+			imageSource.end(image);
+			
+			return snap.uploadProcessStdOut(spawn.streamAsProcess(imageSource), image.length, [], s3Params, logger);
+		})
+		.then(() => snap.describeArchive(s3Params.Key))
+		.then(archive => {
+			assert(archive.chunked);
+			
+			const
+				download = snap.readArchiveFromS3(archive, new SimpleProgressStream()),
+				md5 = hashFiles.md5StreamAsPromise();
+			
+			return Promise.all([md5, download, spawn.pipelineAsPromise(download.stdout, md5.stdin)]);
+		})
+		.then(results => {
+			assert.equal(results[0], imageMD5);
+			
+			source = spawn.spawnAsPromise("cat", ["/dev/zero"], {stdio: ["ignore", "pipe", "pipe"]});
+			sourceExited = source.then(() => {}, () => {});
+			
+			snap.storeChunk = () => Promise.reject("No space left on device");
+			
+			return Promise.race([
+				snap.uploadProcessStdOut(source, 1024 * 1024 * 1024, [], s3Params, logger),
+				timeout("The upload should have failed when its chunk did")
+			]);
+		})
+		.then(
+			() => assert.fail("The upload should have failed"),
+			error => assert(/^Uploading chunk [0-9a-f]+ failed: No space left on device$/.test(error.message), error)
+		)
+		.then(() => Promise.race([sourceExited, timeout("The source process should have been stopped")]))
+		.then(() => {
+			console.log("Deduplicated archives round-trip, and the source of a failed upload is stopped!");
+			console.log("");
+		});
+}
+
+function testChunkGarbageCollection() {
+	const
+		directory = path.resolve(common.scratchDir2, "chunk-gc"),
+		
+		chunks = ["unused", "reused", "referenced", "reused-later"].map(name => Buffer.from(name)),
+		hashes = chunks.map(chunk => chunkStore.hashChunk(chunk)),
+		
+		indexKey = "vol-1/2017-01-01T00:00:00+00:00 snap-1.img" + chunkStore.INDEX_SUFFIX,
+		
+		twoDaysAgo = new Date(Date.now() - 48 * 60 * 60 * 1000),
+		
+		snap = common.createTestSnap({
+			tag: "snap-to-s3",
+			"mount-point": "/mnt",
+			directory: directory,
+			compression: "gzip"
+		});
+	
+	console.log("Collecting unreferenced chunks...");
+	
+	return fsTools.removeDirectory(directory)
+		.then(() => chunks.reduce((promise, chunk, index) => promise.then(() => snap.storeChunk(hashes[index], chunk, {}, null)), Promise.resolve()))
+		.then(() => snap.storage.putObject({
+			Key: indexKey,
+			Body: chunkStore.encodeIndex(chunkStore.createIndex([[hashes[2], chunks[2].length]]))
+		}))
+		.then(() => {
+			// Every chunk was uploaded long ago, but an upload which is still running has just reused one of them
+			for (let hash of hashes) {
+				fs.utimesSync(path.resolve(directory, chunkStore.chunkKey(hash)), twoDaysAgo, twoDaysAgo);
+			}
+			
+			snap.chunkUploads = new Map();
+			
+			return snap.storeChunk(hashes[1], chunks[1], {}, null);
+		})
+		.then(uploaded => {
+			assert.strictEqual(uploaded, false);
+			
+			const
+				listAllObjectVersions = snap.storage.listAllObjectVersions.bind(snap.storage);
+			
+			// And another upload starts reusing a chunk after the indexes were read, but before the chunks are deleted
+			snap.storage.listAllObjectVersions = params => snap.storeChunk(hashes[3], chunks[3], {}, null)
+				.then(() => listAllObjectVersions(params));
+			
+			return snap.collectChunkGarbage();
+		})
+		.then(report => {
+			assert.equal(report.indexCount, 1);
+			assert.equal(report.referencedChunkCount, 1);
+			assert.deepEqual(report.deleted, [chunkStore.chunkKey(hashes[0])]);
+			assert.deepEqual(report.skippedRecent.sort(), [hashes[1], hashes[3]].map(chunkStore.chunkKey).sort());
+			assert.deepEqual(report.undeleted, []);
+			assert(fs.existsSync(path.resolve(directory, chunkStore.chunkKey(hashes[3]))));
+			
+			console.log("Only chunks which nothing has used recently were collected!");
+			console.log("");
+		});
+}
+
+function testCopyDestinations() {
+	const
+		directory = path.resolve(common.scratchDir2, "copy-destinations"),
+		primary = path.resolve(directory, "primary"),
+		copy = path.resolve(directory, "copy"),
+		
+		// Nothing can be stored under a regular file, so uploads to this copy will fail
+		blocker = path.resolve(directory, "blocker"),
+		brokenCopy = path.resolve(blocker, "copy"),
+		
+		key = "vol-1/2017-01-01T00:00:00+00:00 snap-1 - Test.img.gz",
+		sidecarFilename = path.resolve(directory, "sidecar.json"),
+		
+		image = crypto.randomBytes(2 * 1024 * 1024 + 3),
+		
+		snapshot = {
+			SnapshotId: "snap-1",
+			VolumeId: "vol-1",
+			VolumeSize: 1,
+			StartTime: new Date("2017-01-01T00:00:00Z"),
+			Description: "Test"
+		},
+		
+		options = {
+			tag: "snap-to-s3",
+			"mount-point": "/mnt",
+			directory: primary,
+			compression: "gzip"
+		},
+		
+		createdTags = [],
+		
+		logger = {
+			info: () => {},
+			warn: () => {}
+		},
+		
+		createSnap = copyTo => common.createTestSnap(Object.assign({"copy-to": copyTo}, options), {
+			ec2: {
+				deleteTags: () => ({promise: () => Promise.resolve()}),
+				createTags: params => {
+					createdTags.push(params.Tags);
+					
+					return {promise: () => Promise.resolve()};
+				}
+			}
+		}),
+		
+		uploadImage = snap => {
+			const
+				source = new stream.PassThrough(),
+				s3Params = snap.createS3ParamsForSnapshot(snapshot);
+			
+			s3Params.Key = key;
+			source.end(image);
+			
+			return snap.uploadProcessStdOut(spawn.streamAsProcess(source), image.length, [], s3Params, logger);
+		},
+		
+		hashFile = filename => crypto.createHash("md5").update(fs.readFileSync(filename)).digest("hex");
+	
+	console.log("Copying archives to several destinations at once...");
+	
+	assert.throws(() => createSnap(["backups"]), /absolute path/);
+	assert.throws(() => createSnap([primary]), /twice/);
+	assert.throws(() => createSnap(["s3://backups,sse-kms-key-id=abc"]), /aws:kms/);
+	assert.throws(() => createSnap([copy + ",region=eu-west-1"]), /only applies to S3/);
+	assert.throws(() => createSnap([copy + ",compressed"]), /Unknown --copy-to setting/);
+	assert.throws(() => common.createTestSnap(Object.assign({"copy-to": [copy], dedup: true}, options)), /--copy-to/);
+	
+	const
+		snap = createSnap(["s3://backups-dr,region=eu-west-1,sse=aws:kms,sse-kms-key-id=abc", copy, brokenCopy + ",optional"]);
+	
+	assert.deepEqual(snap.destinations.map(destination => [destination.name, destination.sse, destination.required]), [
+		[primary, undefined, true],
+		["s3://backups-dr", "aws:kms", true],
+		[copy, undefined, true],
+		[brokenCopy, undefined, false]
+	]);
+	
+	// Leave out the bucket, so we don't need S3
+	snap.destinations.splice(1, 1);
+	
+	return fsTools.removeDirectory(directory)
+		.then(() => fsTools.forcePath(directory))
+		.then(() => {
+			fs.writeFileSync(blocker, "");
+			fs.writeFileSync(sidecarFilename, "{}");
+			
+			return uploadImage(snap);
+		})
+		.then(() => {
+			// The archive was compressed once, then written to both of the working destinations
+			assert.equal(hashFile(path.resolve(copy, key)), hashFile(path.resolve(primary, key)));
+			assert(/ENOTDIR|EEXIST/.test(snap.destinations[2].failures[snapshot.SnapshotId]), snap.destinations[2].failures[snapshot.SnapshotId]);
+			
+			return snap.uploadSidecarFile(sidecarFilename, key + ".json", "application/json", snap.createS3ParamsForSnapshot(snapshot));
+		})
+		.then(() => {
+			assert.equal(fs.readFileSync(path.resolve(copy, key + ".json"), "utf8"), "{}");
+			
+			return snap.markSnapshotAsCompleted(snapshot.SnapshotId, "migrated");
+		})
+		.then(() => {
+			assert.deepEqual(createdTags[0], [
+				{Key: "snap-to-s3", Value: "migrated"},
+				{Key: "snap-to-s3-failed-copies", Value: brokenCopy}
+			]);
+			
+			// But if the broken copy is required, the whole upload fails
+			return uploadImage(createSnap([brokenCopy])).then(
+				() => assert.fail("The upload should have failed along with its required copy"),
+				error => assert(/ENOTDIR|EEXIST/.test(error), error)
+			);
+		})
+		.then(() => {
+			console.log("Archives are copied to every destination, and optional destinations can fail on their own!");
+			console.log("");
+		});
+}
+
+/**
+ * An S3 stub which keeps multipart uploads in memory, failing the upload of the given part number once.
+ *
+ * @param {Object} objects - Completed uploads are stored here, by key
+ * @param {int} failPartNumber
+ * @param {Object[]} requests
+ */
+function createMultipartS3Stub(objects, failPartNumber, requests) {
+	const
+		uploads = {},
+		
+		respond = result => ({
+			promise: () => Promise.resolve(result)
+		}),
+		fail = error => ({
+			promise: () => Promise.reject(error)
+		}),
+		noSuchUpload = () => fail({code: "NoSuchUpload", toString: () => "NoSuchUpload"});
+	
+	return {
+		createMultipartUpload: params => {
+			const
+				uploadId = "upload-" + (requests.length + 1);
+			
+			requests.push({operation: "createMultipartUpload", params: params});
+			uploads[uploadId] = {};
+			
+			return respond({UploadId: uploadId});
+		},
+		uploadPart: params => {
+			requests.push({operation: "uploadPart", params: params});
+			
+			if (!uploads[params.UploadId]) {
+				return noSuchUpload();
+			}
+			
+			if (params.PartNumber === failPartNumber) {
+				failPartNumber = null;
+				
+				return fail("Connection reset");
+			}
+			
+			assert.equal(crypto.createHash("md5").update(params.Body).digest("base64"), params.ContentMD5);
+			
+			const
+				etag = '"' + crypto.createHash("md5").update(params.Body).digest("hex") + '"';
+			
+			uploads[params.UploadId][params.PartNumber] = {ETag: etag, Body: params.Body};
+			
+			return respond({ETag: etag});
+		},
+		listParts: params => {
+			if (!uploads[params.UploadId]) {
+				return noSuchUpload();
+			}
+			
+			return respond({
+				Parts: Object.keys(uploads[params.UploadId]).map(partNumber => ({
+					PartNumber: parseInt(partNumber, 10),
+					ETag: uploads[params.UploadId][partNumber].ETag
+				})),
+				IsTruncated: false
+			});
+		},
+		completeMultipartUpload: params => {
+			const
+				parts = uploads[params.UploadId];
+			
+			requests.push({operation: "completeMultipartUpload", params: params});
+			
+			objects[params.Key] = Buffer.concat(params.MultipartUpload.Parts.map(part => {
+				assert.equal(parts[part.PartNumber].ETag, part.ETag);
+				
+				return parts[part.PartNumber].Body;
+			}));
+			
+			delete uploads[params.UploadId];
+			
+			return respond({Key: params.Key, VersionId: "v" + requests.length});
+		},
+		abortMultipartUpload: params => {
+			delete uploads[params.UploadId];
+			
+			return respond({});
+		}
+	};
+}
+
+function testResumableUploads() {
+	const
+		checkpointDirectory = path.resolve(common.scratchDir2, "checkpoints"),
+		key = "vol-1/2017-01-01T00:00:00+00:00 snap-1 - Test.img.gz",
+		
+		source = crypto.randomBytes(1024 * 1024 + 5),
+		tampered = Buffer.from(source),
+		
+		objects = {},
+		requests = [],
+		s3 = createMultipartS3Stub(objects, 4, requests),
+		
+		savedCheckpoints = [],
+		
+		upload = (data, checkpoint) => {
+			const
+				uploader = new resumableUpload.ResumableUpload({
+					s3: s3,
+					params: {
+						Bucket: "backups.example.com",
+						Key: key,
+						Metadata: {}
+					},
+					compression: "gzip",
+					compressionLevel: 1,
+					partSize: 100 * 1024,
+					queueSize: 1,
+					segmentSize: 64 * 1024,
+					checkpoint: checkpoint,
+					saveCheckpoint: checkpoint => {
+						savedCheckpoints.push(checkpoint);
+						
+						return Promise.resolve();
+					}
+				}),
+				
+				input = new stream.PassThrough();
+			
+			// Write in small pieces, so that skipped data and segments don't line up with the writes
+			for (let offset = 0; offset < data.length; offset += 10000) {
+				input.write(data.slice(offset, offset + 10000));
+			}
+			input.end();
+			
+			input.pipe(uploader);
+			
+			return uploader.promise;
+		},
+		
+		lastCheckpoint = () => savedCheckpoints[savedCheckpoints.length - 1],
+		uploadedPartNumbers = () => requests.filter(request => request.operation === "uploadPart").map(request => request.params.PartNumber),
+		
+		options = {
+			tag: "snap-to-s3",
+			"mount-point": "/mnt",
+			bucket: "backups.example.com",
+			compression: "gzip",
+			"checkpoint-dir": checkpointDirectory
+		},
+		
+		snap = common.createTestSnap(options, {
+			s3: s3
+		});
+	
+	tampered[200 * 1024] ^= 1;
+	
+	console.log("Resuming interrupted uploads from their checkpoints...");
+	
+	assert.throws(() => common.createTestSnap(Object.assign({}, options, {bucket: undefined, directory: "/mnt/nas"})), /only uploads to S3/);
+	assert.throws(() => common.createTestSnap(Object.assign({dedup: true}, options)), /--dedup/);
+	
+	return upload(source, null)
+		.then(
+			() => assert.fail("The upload should have failed at part 4"),
+			error => assert(/part 4 .*Connection reset/.test(error), error)
+		)
+		.then(() => {
+			const
+				checkpoint = lastCheckpoint();
+			
+			assert.deepEqual(checkpoint.parts.map(part => part.PartNumber), [1, 2, 3]);
+			assert.equal(checkpoint.sourceOffset, checkpoint.parts[2].sourceEnd);
+			
+			// A source which has changed since the upload began can't be resumed
+			return upload(tampered, checkpoint).then(
+				() => assert.fail("A changed source should not be resumed"),
+				error => assert(/isn't the same .*part 2 differs/.test(error), error)
+			);
+		})
+		.then(() => {
+			requests.length = 0;
+			
+			return upload(source, lastCheckpoint());
+		})
+		.then(response => {
+			// Only the parts that weren't finished the first time were uploaded again
+			assert.equal(uploadedPartNumbers()[0], 4);
+			assert.equal(requests.filter(request => request.operation === "createMultipartUpload").length, 0);
+			assert.equal(response.Key, key);
+			
+			return compression.decompressBuffer("gzip", objects[key]);
+		})
+		.then(decompressed => {
+			assert(decompressed.equals(source), "The resumed upload should decompress to its source");
+			
+			requests.length = 0;
+			
+			// That upload is complete, so its checkpoint can only start a new one
+			return upload(source, lastCheckpoint());
+		})
+		.then(() => {
+			assert.equal(requests[0].operation, "createMultipartUpload");
+			assert.equal(uploadedPartNumbers()[0], 1);
+			
+			return fsTools.removeDirectory(checkpointDirectory);
+		})
+		.then(() => snap.saveUploadCheckpoint(lastCheckpoint()))
+		.then(() => {
+			assert.deepEqual(snap.loadUploadCheckpoint(key), lastCheckpoint());
+			
+			const
+				input = new stream.PassThrough(),
+				s3Params = snap.createS3ParamsForSnapshot({
+					SnapshotId: "snap-1",
+					VolumeId: "vol-1",
+					VolumeSize: 1,
+					StartTime: new Date("2017-01-01T00:00:00Z"),
+					Description: "Test"
+				});
+			
+			s3Params.Key = key;
+			input.end(source);
+			
+			return snap.uploadProcessStdOut(spawn.streamAsProcess(input), source.length, [], s3Params, {
+				info: () => {},
+				warn: () => {}
+			});
+		})
+		.then(() => compression.decompressBuffer("gzip", objects[key]))
+		.then(decompressed => {
+			assert(decompressed.equals(source));
+			
+			// The checkpoint isn't needed once its upload is complete
+			assert.strictEqual(snap.loadUploadCheckpoint(key), null);
+			
+			console.log("Interrupted uploads carry on from their last completed part!");
+			console.log("");
+		});
+}
+
+/**
+ * Migrate stub snapshots with --parallel, where one of them fails, and check that the volumes of snapshots which are
+ * attaching at the same time get different attachment points.
+ */
+function testParallelMigration() {
+	const
+		snapshots = [1, 2, 3, 4, 5, 6, 7].map(i => ({SnapshotId: "snap-" + i, VolumeId: "vol-" + i})),
+		
+		createSnap = () => {
+			const
+				snap = common.createTestSnap({
+					tag: "snap-to-s3",
+					"mount-point": "/mnt",
+					directory: "/backups",
+					parallel: 3
+				}),
+				tags = {};
+			
+			snap.running = 0;
+			snap.maxRunning = 0;
+			snap.attempts = [];
+			
+			snapshots.forEach(snapshot => {
+				tags[snapshot.SnapshotId] = "migrate";
+			});
+			
+			snap.findMigratableSnapshots = () => Promise.resolve(snapshots.filter(snapshot => tags[snapshot.SnapshotId] === "migrate"));
+			
+			snap._claimAndMigrateSnapshot = snapshot => {
+				snap.attempts.push(snapshot.SnapshotId);
+				snap.running++;
+				snap.maxRunning = Math.max(snap.maxRunning, snap.running);
+				tags[snapshot.SnapshotId] = "migrating";
+				
+				return new Promise(resolve => setTimeout(resolve, 10)).then(() => {
+					snap.running--;
+					
+					if (snapshot.SnapshotId === "snap-3") {
+						// Tagged for retry, like the real thing does
+						tags[snapshot.SnapshotId] = "migrate";
+						throw new SnapToS3.SnapshotMigrationError("Volume is broken", snapshot.SnapshotId);
+					}
+					
+					tags[snapshot.SnapshotId] = "migrated";
+				});
+			};
+			
+			return snap;
+		},
+		
+		checkMigration = snap => error => {
+			assert(error instanceof SnapToS3.SnapshotMigrationFailuresError, error);
+			assert.deepEqual(error.failures, {"snap-3": "Volume is broken"});
+			assert.deepEqual(error.successes.sort(), ["snap-1", "snap-2", "snap-4", "snap-5", "snap-6", "snap-7"]);
+			
+			// Every snapshot was attempted once, three at a time
+			assert.deepEqual(snap.attempts.sort(), snapshots.map(snapshot => snapshot.SnapshotId));
+			assert.equal(snap.maxRunning, 3);
+		},
+		
+		attachedDevices = [],
+		attachingSnap = common.createTestSnap({
+			tag: "snap-to-s3",
+			"mount-point": "/mnt",
+			directory: "/backups"
+		}, {
+			ec2: {
+				describeInstanceAttribute: () => ({
+					promise: () => new Promise(resolve => setImmediate(() => resolve({BlockDeviceMappings: [{DeviceName: "/dev/sda1"}]})))
+				}),
+				attachVolume: params => {
+					attachedDevices.push(params.Device);
+					
+					return {promise: () => Promise.resolve()};
+				},
+				describeVolumes: params => ({
+					promise: () => new Promise(resolve => setTimeout(resolve, 10)).then(() => ({
+						Volumes: [{VolumeId: params.VolumeIds[0], Attachments: [{State: "attached", InstanceId: "i-1"}]}]
+					}))
+				})
+			}
+		}),
+		
+		boardOutput = [],
+		board = new ProgressBoard({
+			renderThrottle: 1000,
+			stream: {
+				isTTY: true,
+				write: data => boardOutput.push(data)
+			}
+		}),
+		bar1 = board.createBar("snap-1", 100),
+		bar2 = board.createBar("snap-22", 200);
+	
+	console.log("Migrating snapshots in parallel...");
+	
+	bar1.update(0.5);
+	bar2.update(0.25);
+	board.render();
+	
+	assert.equal(boardOutput.length, 1);
+	assert(/^  snap-1  \[={16} {16}\] [0-9]+ KB\/s 50% [0-9.]+\n  snap-22 \[={8} {24}\] [0-9]+ KB\/s 25% [0-9.]+\n\n$/.test(boardOutput[0]), boardOutput[0]);
+	
+	// Finished bars leave the board
+	bar1.update(1.0);
+	assert(bar1.complete);
+	assert.deepEqual(board.bars, [bar2]);
+	
+	bar2.terminate();
+	board.render();
+	assert.equal(boardOutput.length, 1);
+	
+	// The instance's block device mapping doesn't show volumes until they've finished attaching
+	attachingSnap.instanceIdentity = {instanceId: "i-1"};
+	
+	const
+		logger = {
+			info: () => {}
+		},
+		
+		// Every attachment point from /dev/sdf to /dev/sdz
+		volumes = [];
+	
+	for (let i = 0; i < 21; i++) {
+		volumes.push({VolumeId: "vol-" + i});
+	}
+	
+	return Promise.all(volumes.map(volume => attachingSnap.attachVolumeToInstance(volume, logger)))
+		.then(() => {
+			assert.equal(attachedDevices.length, 21);
+			assert.equal(new Set(attachedDevices).size, 21);
+			assert.deepEqual(attachingSnap.reservedAttachmentPoints, []);
+			
+			const
+				snap = createSnap();
+			
+			return snap.migrateSnapshotsByDescription(snapshots).then(
+				() => assert.fail("snap-3 should have failed to migrate"),
+				checkMigration(snap)
+			);
+		})
+		.then(() => {
+			const
+				snap = createSnap();
+			
+			// snap-3 is tagged for retry when it fails, but we shouldn't pick it up again during this run
+			return snap.migrateAllTaggedSnapshots().then(
+				() => assert.fail("snap-3 should have failed to migrate"),
+				checkMigration(snap)
+			);
+		})
+		.then(() => {
+			console.log("Snapshots migrate in parallel, each at their own attachment point!");
+			console.log("");
+		});
+}
+
+/**
+ * Migrate stub snapshots with and without --keep-going, where one of them fails and another has already failed too
+ * many times.
+ */
+function testKeepGoing() {
+	const
+		createSnap = keepGoing => {
+			const
+				snap = common.createTestSnap({
+					tag: "snap-to-s3",
+					"mount-point": "/mnt",
+					directory: "/backups",
+					"keep-going": keepGoing
+				}),
+				
+				// The tags of each snapshot
+				tags = {
+					"snap-1": {"snap-to-s3": "migrate", "snap-to-s3-failures": "2"},
+					"snap-2": {"snap-to-s3": "migrate", "snap-to-s3-failures": "1"},
+					"snap-3": {"snap-to-s3": "migrate", "snap-to-s3-failures": "4"},
+					"snap-4": {"snap-to-s3": "migrate"}
+				};
+			
+			snap.tags = tags;
+			snap.attempts = [];
+			
+			snap.ec2 = {
+				createTags: params => {
+					for (let tag of params.Tags) {
+						tags[params.Resources[0]][tag.Key] = tag.Value;
+					}
+					
+					return {promise: () => Promise.resolve()};
+				},
+				deleteTags: params => {
+					for (let tag of params.Tags) {
+						delete tags[params.Resources[0]][tag.Key];
+					}
+					
+					return {promise: () => Promise.resolve()};
+				}
+			};
+			
+			snap.findMigratableSnapshots = () => Promise.resolve(Object.keys(tags)
+				.filter(snapshotID => tags[snapshotID]["snap-to-s3"] === "migrate")
+				.map(snapshotID => ({
+					SnapshotId: snapshotID,
+					Tags: Object.keys(tags[snapshotID]).map(key => ({Key: key, Value: tags[snapshotID][key]}))
+				}))
+			);
+			
+			snap.raceToMarkSnapshot = (snapshotID, tagValue) => {
+				tags[snapshotID]["snap-to-s3"] = tagValue;
+				
+				return Promise.resolve(snapshotID);
+			};
+			
+			snap._migrateSnapshot = snapshot => {
+				snap.attempts.push(snapshot.SnapshotId);
+				
+				return snapshot.SnapshotId === "snap-2" ? Promise.reject("Volume is broken") : Promise.resolve();
+			};
+			
+			return snap;
+		};
+	
+	console.log("Carrying on after snapshots fail to migrate...");
+	
+	const
+		stoppingSnap = createSnap(false);
+	
+	// Without --keep-going we stop at the first failure
+	return stoppingSnap.migrateAllTaggedSnapshots()
+		.then(
+			() => assert.fail("snap-2 should have failed to migrate"),
+			error => {
+				assert(error instanceof SnapToS3.SnapshotMigrationError, error);
+				assert.equal(error.snapshotID, "snap-2");
+				assert.deepEqual(stoppingSnap.attempts, ["snap-1", "snap-2"]);
+				assert.equal(stoppingSnap.tags["snap-2"]["snap-to-s3-failures"], "2");
+			}
+		)
+		.then(() => {
+			const
+				snap = createSnap(true);
+			
+			return snap.migrateAllTaggedSnapshots().then(
+				() => assert.fail("snap-2 should have failed to migrate"),
+				error => {
+					assert(error instanceof SnapToS3.SnapshotMigrationFailuresError, error);
+					assert.deepEqual(error.failures, {"snap-2": "Volume is broken"});
+					assert.deepEqual(error.successes, ["snap-1", "snap-4"]);
+					
+					// snap-3 had failed too many times to be tried again, and snap-2 was only tried once
+					assert.deepEqual(snap.attempts, ["snap-1", "snap-2", "snap-4"]);
+					assert.deepEqual(snap.skippedMigrations, {"snap-3": 4});
+					
+					// The failed snapshot is ready for retry, and its failure was counted
+					assert.deepEqual(snap.tags["snap-2"], {"snap-to-s3": "migrate", "snap-to-s3-failures": "2"});
+					
+					// Snapshots lose their failure count once they've migrated
+					assert.deepEqual(snap.tags["snap-1"], {"snap-to-s3": "migrated"});
+				}
+			);
+		})
+		.then(() => {
+			console.log("Failed snapshots don't stop the rest, and ones that keep failing are skipped!");
+			console.log("");
+		});
+}
+
+/**
+ * Run the daemon against stub snapshots until we send it SIGTERM, and check its maintenance window and status server.
+ */
+function testDaemon() {
+	const
+		options = {
+			tag: "snap-to-s3",
+			"mount-point": "/mnt",
+			directory: "/backups",
+			migrate: true,
+			daemon: true,
+			parallel: 2,
+			"max-failures": 1,
+			
+			// 60ms, so we poll several times during the test
+			"poll-interval": 0.001
+		},
+		
+		// The tags of each snapshot
+		tags = {
+			"snap-1": {"snap-to-s3": "migrate"},
+			"snap-2": {"snap-to-s3": "migrate"},
+			"snap-3": {"snap-to-s3": "migrate"}
+		},
+		
+		createSnap = extraOptions => {
+			const
+				snap = common.createTestSnap(Object.assign({}, options, extraOptions));
+			
+			snap.ec2 = {
+				createTags: params => {
+					for (let tag of params.Tags) {
+						tags[params.Resources[0]][tag.Key] = tag.Value;
+					}
+					
+					return {promise: () => Promise.resolve()};
+				},
+				deleteTags: params => {
+					for (let tag of params.Tags) {
+						delete tags[params.Resources[0]][tag.Key];
+					}
+					
+					return {promise: () => Promise.resolve()};
+				}
+			};
+			
+			snap.findMigratableSnapshots = () => Promise.resolve(Object.keys(tags)
+				.filter(snapshotID => tags[snapshotID]["snap-to-s3"] === "migrate")
+				.map(snapshotID => ({
+					SnapshotId: snapshotID,
+					Tags: Object.keys(tags[snapshotID]).map(key => ({Key: key, Value: tags[snapshotID][key]}))
+				}))
+			);
+			
+			snap.raceToMarkSnapshot = (snapshotID, tagValue) => {
+				tags[snapshotID]["snap-to-s3"] = tagValue;
+				
+				return Promise.resolve(snapshotID);
+			};
+			
+			return snap;
+		},
+		
+		formatTime = minutes => {
+			const
+				time = new Date(0);
+			
+			time.setUTCMinutes(minutes % (24 * 60));
+			
+			return time.toISOString().substring(11, 16);
+		},
+		
+		now = new Date(),
+		nowMinutes = now.getUTCHours() * 60 + now.getUTCMinutes(),
+		
+		snap = createSnap({}),
+		
+		// Starts an hour from now, so we're outside of it
+		laterSnap = createSnap({window: formatTime(nowMinutes + 60) + "-" + formatTime(nowMinutes + 120)});
+	
+	console.log("Running as a daemon...");
+	
+	assert.throws(() => createSnap({window: "22:00"}), /--window/);
+	assert.throws(() => createSnap({window: "25:00-06:00"}), /--window/);
+	assert.throws(() => createSnap({window: "06:00-06:00"}), /empty/);
+	assert.deepEqual(createSnap({window: "22:30-06:00"}).maintenanceWindow, {start: 22 * 60 + 30, end: 6 * 60});
+	
+	// The daemon implies --keep-going, so it gives up on snapshots that keep failing
+	assert.equal(snap.options["keep-going"], true);
+	
+	laterSnap.jobs = {};
+	laterSnap.findMigratableSnapshots = () => assert.fail("We shouldn't look for snapshots outside of the window");
+	
+	snap.progressBoard = new ProgressBoard({
+		renderThrottle: 1000,
+		stream: {
+			isTTY: false
+		}
+	});
+	
+	snap._migrateSnapshot = snapshot => {
+		switch (snapshot.SnapshotId) {
+			case "snap-1":
+				return Promise.resolve();
+			case "snap-3":
+				return Promise.reject("Volume is broken");
+			default:
+				// A long upload, which is interrupted by the daemon shutting down
+				return new Promise((resolve, reject) => {
+					const
+						interrupt = reason => {
+							snap.uploadInterrupters.delete(interrupt);
+							reject(reason);
+						};
+					
+					snap.uploadInterrupters.add(interrupt);
+					
+					snap.createUploadProgressBar(1024 * 1024, {context: {name: snapshot.SnapshotId}}).update(0.5);
+				});
+		}
+	};
+	
+	return laterSnap._startDaemonJobs(() => {})
+		.then(() => {
+			assert.deepEqual(laterSnap.jobs, {});
+			
+			return statusServer.listen(0, () => ({state: "testing"}));
+		})
+		.then(server => new Promise((resolve, reject) => {
+			http.get("http://127.0.0.1:" + server.address().port + "/", response => {
+				let
+					body = "";
+				
+				response.setEncoding("utf8");
+				response.on("data", data => {
+					body += data;
+				});
+				response.on("end", () => {
+					assert.equal(response.headers["content-type"], "application/json");
+					assert.deepEqual(JSON.parse(body), {state: "testing"});
+					
+					statusServer.close(server).then(resolve);
+				});
+			}).on("error", reject);
+		}))
+		.then(() => {
+			let
+				slowPollStarted = false,
+				slowPollFinished = false;
+			
+			const
+				stopped = snap.runDaemon(),
+				findMigratableSnapshots = snap.findMigratableSnapshots;
+			
+			setTimeout(() => {
+				const
+					status = snap.getDaemonStatus();
+				
+				// snap-3 has failed twice, one more than --max-failures, so it's been given up on
+				assert.equal(status.state, "running");
+				assert.deepEqual(status.counts, {migrated: 1, validated: 0, failed: 2});
+				assert.deepEqual(snap.skippedMigrations, {"snap-3": 2});
+				
+				assert.equal(status.jobs.length, 1);
+				assert.equal(status.jobs[0].snapshotID, "snap-2");
+				assert.deepEqual(status.jobs[0].progress, {bytes: 512 * 1024, totalBytes: 1024 * 1024, percent: 50});
+				
+				// The next poll is still looking for snapshots when we're told to shut down, so we need to wait for it
+				snap.findMigratableSnapshots = () => {
+					slowPollStarted = true;
+					
+					return new Promise(resolve => setTimeout(resolve, 300)).then(() => {
+						slowPollFinished = true;
+						
+						return findMigratableSnapshots();
+					});
+				};
+				
+				setTimeout(() => {
+					assert(slowPollStarted);
+					
+					process.emit("SIGTERM");
+				}, 150);
+			}, 500);
+			
+			return stopped.then(() => assert(slowPollFinished, "We shut down before the poll in progress had finished"));
+		})
+		.then(() => {
+			assert.deepEqual(snap.jobs, {});
+			assert.equal(snap.uploadInterrupters.size, 0);
+			assert.equal(snap.getDaemonStatus().state, "stopping");
+			
+			// Being interrupted by the shutdown doesn't count as a failure
+			assert.deepEqual(tags, {
+				"snap-1": {"snap-to-s3": "migrated"},
+				"snap-2": {"snap-to-s3": "migrate"},
+				"snap-3": {"snap-to-s3": "migrate", "snap-to-s3-failures": "2"}
+			});
+			
+			assert.equal(process.listenerCount("SIGTERM"), 0);
+			
+			console.log("The daemon migrates snapshots as they're tagged, and shuts down gracefully!");
+			console.log("");
+		});
+}
+
+function testSnapshotSelection() {
+	const
+		DAY = 24 * 60 * 60 * 1000,
+		
+		snapshot = (snapshotID, volumeID, ageDays, size, description, tags) => ({
+			SnapshotId: snapshotID,
+			VolumeId: volumeID,
+			VolumeSize: size,
+			StartTime: new Date(Date.now() - ageDays * DAY),
+			Description: description,
+			Tags: Object.keys(tags).map(key => ({Key: key, Value: tags[key]}))
+		}),
+		
+		snapshots = [
+			snapshot("snap-old-1", "vol-a", 200, 8, "nightly web", {"snap-to-s3": "migrate", "Env": "prod"}),
+			snapshot("snap-old-2", "vol-a", 150, 8, "nightly web", {"snap-to-s3": "migrate", "Env": "prod"}),
+			snapshot("snap-new", "vol-a", 10, 8, "nightly web", {"snap-to-s3": "migrate", "Env": "prod"}),
+			snapshot("snap-manual", "vol-a", 300, 8, "before upgrade", {"snap-to-s3": "migrate", "Env": "prod"}),
+			snapshot("snap-staging", "vol-a", 300, 8, "nightly web", {"snap-to-s3": "migrate", "Env": "staging"}),
+			snapshot("snap-migrated", "vol-a", 400, 8, "nightly web", {"snap-to-s3": "migrated", "Env": "prod"}),
+			snapshot("snap-big", "vol-d", 400, 500, "nightly db", {"snap-to-s3": "migrate", "Env": "prod"}),
+			snapshot("snap-ami", "vol-b", 300, 8, "nightly web", {"snap-to-s3": "migrate", "Env": "prod"}),
+			snapshot("snap-untagged", "vol-b", 200, 8, "nightly web", {"Env": "prod"}),
+			snapshot("snap-b-new", "vol-b", 5, 8, "nightly web", {"snap-to-s3": "migrated", "Env": "prod"}),
+			snapshot("snap-only", "vol-c", 100, 8, "nightly web", {"snap-to-s3": "migrate", "Env": "prod"})
+		],
+		
+		createSnap = extraOptions => {
+			const
+				snap = common.createTestSnap(Object.assign({
+					tag: "snap-to-s3",
+					"mount-point": "/mnt",
+					directory: "/backups"
+				}, extraOptions));
+			
+			snap.requests = [];
+			
+			snap.ec2 = {
+				// Returns two snapshots per page, so that every listing needs several requests
+				describeSnapshots: params => {
+					snap.requests.push(params);
+					
+					const
+						matching = snapshots.filter(snapshot => params.Filters.every(filter => {
+							if (filter.Name === "status") {
+								return true;
+							}
+							if (filter.Name === "volume-id") {
+								return filter.Values.indexOf(snapshot.VolumeId) !== -1;
+							}
+							
+							const
+								tag = snapshot.Tags.find(tag => "tag:" + tag.Key === filter.Name);
+							
+							return tag !== undefined && filter.Values.indexOf(tag.Value) !== -1;
+						})),
+						start = params.NextToken ? parseInt(params.NextToken, 10) : 0;
+					
+					return {
+						promise: () => Promise.resolve({
+							Snapshots: matching.slice(start, start + 2),
+							NextToken: start + 2 < matching.length ? String(start + 2) : undefined
+						})
+					};
+				},
+				describeImages: () => ({
+					promise: () => Promise.resolve({
+						Images: [
+							{
+								ImageId: "ami-1",
+								BlockDeviceMappings: [
+									{DeviceName: "/dev/sdb"},
+									{DeviceName: "/dev/sda1", Ebs: {SnapshotId: "snap-ami"}}
+								]
+							}
+						]
+					})
+				})
+			};
+			
+			return snap;
+		},
+		
+		selectionOptions = {
+			"older-than": "90d",
+			"description-matches": "^nightly",
+			"max-size": 100,
+			filter: ["tag:Env=prod"],
+			"exclude-ami-backed": true,
+			"keep-latest": 1
+		},
+		
+		snapshotIDs = snapshots => snapshots.map(snapshot => snapshot.SnapshotId).sort();
+	
+	console.log("Selecting snapshots with filters...");
+	
+	assert.equal(snapshotSelection.parseAge("36h").asHours(), 36);
+	assert.equal(snapshotSelection.parseAge("2w").asDays(), 14);
+	assert.throws(() => snapshotSelection.parseAge("90 days"));
+	assert.deepEqual(snapshotSelection.parseTagFilter("tag:Name=web=1"), {Name: "tag:Name", Values: ["web=1"]});
+	assert.throws(() => snapshotSelection.parseTagFilter("Name=web"));
+	assert.throws(() => snapshotSelection.parseTagFilter("tag:=web"));
+	assert.throws(() => createSnap({"description-matches": "("}));
+	assert.throws(() => createSnap({"keep-latest": 0}));
+	
+	const
+		plainSnap = createSnap({});
+	
+	return plainSnap.findMigratableSnapshots()
+		.then(found => {
+			assert.deepEqual(snapshotIDs(found), ["snap-ami", "snap-big", "snap-manual", "snap-new", "snap-old-1", "snap-old-2", "snap-only", "snap-staging"]);
+			
+			// Every page was fetched, not just the first
+			assert.equal(plainSnap.requests.length, 4);
+			assert.equal(plainSnap.requests[1].NextToken, "2");
+			
+			const
+				snap = createSnap(Object.assign({"volume-id": ["vol-a", "vol-b"]}, selectionOptions));
+			
+			return snap.findMigratableSnapshots().then(found => {
+				assert.deepEqual(snapshotIDs(found), ["snap-old-1", "snap-old-2"]);
+				
+				assert.deepEqual(snap.requests[0].Filters, [
+					{Name: "status", Values: ["completed"]},
+					{Name: "tag:snap-to-s3", Values: ["migrate"]},
+					{Name: "volume-id", Values: ["vol-a", "vol-b"]},
+					{Name: "tag:Env", Values: ["prod"]}
+				]);
+			});
+		})
+		.then(() => {
+			const
+				snap = createSnap(selectionOptions);
+			
+			// snap-only is the newest snapshot of vol-c so it's kept, snap-b-new is already migrated, and snap-untagged
+			// isn't tagged at all
+			return Promise.all([snap.findMigratableSnapshots(), snap.findValidatableSnapshots()]).then(results => {
+				assert.deepEqual(snapshotIDs(results[0]), ["snap-old-1", "snap-old-2"]);
+				assert.deepEqual(snapshotIDs(results[1]), ["snap-migrated"]);
+			});
+		})
+		.then(() => {
+			console.log("Snapshots were selected correctly!");
+			console.log("");
+		});
+}
+
+function testMigrationPlan() {
+	const
+		directory = path.resolve(common.scratchDir2, "migration-plan"),
+		
+		snapshots = [
+			{
+				SnapshotId: "snap-1",
+				VolumeId: "vol-1",
+				VolumeSize: 8,
+				StartTime: new Date("2017-01-01T00:00:00Z"),
+				Description: "Test",
+				Tags: [{Key: "snap-to-s3", Value: "migrate"}]
+			},
+			{
+				SnapshotId: "snap-2",
+				VolumeId: "vol-2",
+				VolumeSize: 100,
+				StartTime: new Date("2017-02-01T00:00:00Z"),
+				Description: "",
+				Tags: [{Key: "snap-to-s3", Value: "migrate"}]
+			}
+		],
+		
+		createSnap = extraOptions => {
+			const
+				snap = common.createTestSnap(Object.assign({
+					tag: "snap-to-s3",
+					"mount-point": "/mnt",
+					directory: directory,
+					compression: "gzip"
+				}, extraOptions)),
+				refuse = name => () => assert.fail("A dry run shouldn't call " + name);
+			
+			snap.ec2 = {
+				createVolume: refuse("createVolume"),
+				createTags: refuse("createTags"),
+				deleteTags: refuse("deleteTags")
+			};
+			snap.storage.upload = refuse("upload");
+			snap.findMigratableSnapshots = () => Promise.resolve(snapshots);
+			
+			return snap;
+		};
+	
+	console.log("Planning a migration with --dry-run...");
+	
+	return fsTools.removeDirectory(directory)
+		.then(() => fsTools.forcePath(path.resolve(directory, "vol-1")))
+		.then(() => {
+			// snap-1 has already been uploaded, as a partitioned volume
+			fs.writeFileSync(path.resolve(directory, "vol-1", "2017-01-01T00:00:00+00:00 snap-1 - Test.1.tar.gz"), "tar");
+			fs.writeFileSync(path.resolve(directory, "vol-1", "2017-01-01T00:00:00+00:00 snap-1 - Test.1.tar.gz.manifest.gz"), "manifest");
+			
+			return createSnap({}).planTaggedMigrations(false);
+		})
+		.then(plan => {
+			assert.deepEqual(plan.destinations, [directory]);
+			assert.equal(plan.snapshots.length, 2);
+			
+			const
+				first = plan.snapshots[0],
+				second = plan.snapshots[1];
+			
+			assert.equal(first.snapshotID, "snap-1");
+			assert.equal(first.method, "tar");
+			assert.deepEqual(first.temporaryVolume, {type: "standard", size: 8});
+			assert.deepEqual(first.keys, ["vol-1/2017-01-01T00:00:00+00:00 snap-1 - Test.tar.gz"]);
+			assert(first.keysPerPartition);
+			
+			// Sidecars aren't reported, since they're only there alongside an archive
+			assert.deepEqual(first.existingKeys, [path.resolve(directory, "vol-1", "2017-01-01T00:00:00+00:00 snap-1 - Test.1.tar.gz")]);
+			
+			assert.deepEqual(second.keys, ["vol-2/2017-02-01T00:00:00+00:00 snap-2.tar.gz"]);
+			assert.deepEqual(second.existingKeys, []);
+			
+			// Bigger volumes take longer to read and need more parts
+			assert(first.temporaryVolumeCost > 0 && second.temporaryVolumeCost > first.temporaryVolumeCost);
+			assert(second.putRequests > first.putRequests);
+			assert.equal(plan.putCost, first.putCost + second.putCost);
+			
+			const
+				text = migrationPlan.formatPlanAsText(plan);
+			
+			assert(/WARNING: .* snap-1 - Test\.1\.tar\.gz already exists/.test(text), text);
+			assert(/2 snapshots \(108 GB\) would be migrated/.test(text), text);
+			assert.deepEqual(JSON.parse(JSON.stringify(plan)).snapshots[1], second);
+			
+			return createSnap({dd: true, dedup: true, "volume-type": "sc9"}).planTaggedMigrations(true);
+		})
+		.then(plan => {
+			assert.equal(plan.snapshots.length, 1);
+			assert.equal(plan.snapshots[0].method, "image");
+			assert.deepEqual(plan.snapshots[0].keys, ["vol-1/2017-01-01T00:00:00+00:00 snap-1 - Test.img" + chunkStore.INDEX_SUFFIX]);
+			assert(!plan.snapshots[0].keysPerPartition);
+			
+			// An image would be a different archive, but the tar is still there
+			assert.equal(plan.snapshots[0].existingKeys.length, 1);
+			
+			// We don't know what an unknown type of volume costs
+			assert.strictEqual(plan.snapshots[0].temporaryVolumeCost, null);
+			assert.strictEqual(plan.temporaryVolumeCost, null);
+			assert(/estimated unknown of temporary volumes/.test(migrationPlan.formatPlanAsText(plan)));
+			
+			return createSnap({direct: true}).planMigrationsByDescription([snapshots[1]]);
+		})
+		.then(plan => {
+			assert.equal(plan.snapshots[0].method, "image");
+			assert.strictEqual(plan.snapshots[0].temporaryVolume, null);
+			assert.strictEqual(plan.temporaryVolumeCost, 0);
+			
+			assert.equal(migrationPlan.formatPlanAsText({destinations: [], snapshots: [], skipped: {}, temporaryVolumeCost: 0, putCost: 0}), "No snapshots would be migrated.");
+			
+			console.log("The plan lists the keys and costs without touching anything!");
+			console.log("");
+		});
+}
+
+function testDeleteAfterValidate() {
+	const
+		directory = path.resolve(common.scratchDir2, "delete-after-validate"),
+		
+		hoursAgo = hours => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString(),
+		
+		snapshot = (snapshotID, volumeID, validatedAt, validatedArchives) => ({
+			SnapshotId: snapshotID,
+			VolumeId: volumeID,
+			VolumeSize: 1,
+			StartTime: new Date(snapshotID === "snap-c0" ? "2016-12-01T00:00:00Z" : "2017-01-01T00:00:00Z"),
+			Description: "Test",
+			Tags: [{Key: "snap-to-s3", Value: "validated"}, {Key: "Name", Value: snapshotID}]
+				.concat(validatedAt ? [{Key: "snap-to-s3-validated-at", Value: validatedAt}] : [])
+				.concat(validatedArchives ? [{Key: "snap-to-s3-validated-archives", Value: validatedArchives}] : [])
+		}),
+		
+		snapshots = [
+			snapshot("snap-1", "vol-1", hoursAgo(48), "image"),
+			snapshot("snap-2", "vol-2", hoursAgo(1)),
+			snapshot("snap-3", "vol-3", null),
+			snapshot("snap-4", "vol-4", hoursAgo(48)),
+			snapshot("snap-5", "vol-5", hoursAgo(48)),
+			snapshot("snap-6", "vol-6", hoursAgo(48)),
+			snapshot("snap-7", "vol-7", hoursAgo(48), "tar:xvdf1 tar:xvdf2"),
+			snapshot("snap-8", "vol-8", hoursAgo(48)),
+			snapshot("snap-9", "vol-9", hoursAgo(48)),
+			snapshot("snap-a", "vol-a", hoursAgo(48)),
+			snapshot("snap-b", "vol-b", hoursAgo(48)),
+			snapshot("snap-c", "vol-c", hoursAgo(48))
+		],
+		
+		// The full tar that snap-c's incremental tar is based on, whose snapshot was deleted long ago
+		parentSnapshot = snapshot("snap-c0", "vol-c", null),
+		
+		chunks = ["stored", "lost"].map(name => Buffer.from(name)),
+		hashes = chunks.map(chunk => chunkStore.hashChunk(chunk)),
+		
+		snap = common.createTestSnap({
+			tag: "snap-to-s3",
+			"mount-point": "/mnt",
+			directory: directory,
+			compression: "gzip",
+			validate: true,
+			"delete-after-validate": true
+		}),
+		
+		createdTags = {},
+		deletedSnapshots = [],
+		
+		archiveKey = snapshot => snapshot.VolumeId + "/2017-01-01T00:00:00+00:00 " + snapshot.SnapshotId + " - Test.img.gz",
+		tarKey = (snapshot, partitionName) => snapshot.VolumeId + "/" + snapshot.StartTime.toISOString().replace(".000Z", "+00:00") + " " + snapshot.SnapshotId + " - Test." + partitionName + ".tar.gz",
+		indexKey = snapshot => snapshot.VolumeId + "/2017-01-01T00:00:00+00:00 " + snapshot.SnapshotId + " - Test.img" + chunkStore.INDEX_SUFFIX,
+		
+		putArchive = (snapshot, key, body, metadata) => snap.storage.putObject({
+			Key: key,
+			Body: body,
+			Metadata: Object.assign(snap.createS3ParamsForSnapshot(snapshot).Metadata, {
+				compression: "gzip"
+			}, metadata)
+		}),
+		
+		byID = snapshotID => snapshots.find(snapshot => snapshot.SnapshotId === snapshotID);
+	
+	console.log("Deleting snapshots after they're validated...");
+	
+	assert.throws(() => common.createTestSnap({tag: "snap-to-s3", "mount-point": "/mnt", directory: directory, "delete-grace": -1}), /--delete-grace/);
+	
+	snap.ec2 = {
+		createTags: params => {
+			createdTags[params.Resources[0]] = params.Tags;
+			
+			return {promise: () => Promise.resolve()};
+		},
+		deleteTags: () => ({promise: () => Promise.resolve()}),
+		deleteSnapshot: params => {
+			deletedSnapshots.push(params.SnapshotId);
+			
+			return {promise: () => Promise.resolve()};
+		},
+		describeImages: () => ({
+			promise: () => Promise.resolve({
+				Images: [{ImageId: "ami-1", BlockDeviceMappings: [{DeviceName: "/dev/sda1", Ebs: {SnapshotId: "snap-4"}}]}]
+			})
+		})
+	};
+	snap.findCompletedSnapshotsWithTag = tagValue => Promise.resolve(tagValue === "validated" ? snapshots : []);
+	
+	snap.validatedArchives["snap-0"] = [{type: "tar", partitionName: "xvdf1"}, {type: "tar", partitionName: "xvdf2"}];
+	
+	return fsTools.removeDirectory(directory)
+		.then(() => snap.markSnapshotAsCompleted("snap-0", "validated"))
+		.then(() => {
+			const
+				validatedAt = createdTags["snap-0"].find(tag => tag.Key === "snap-to-s3-validated-at"),
+				validatedArchives = createdTags["snap-0"].find(tag => tag.Key === "snap-to-s3-validated-archives");
+			
+			assert(validatedAt && Math.abs(Date.parse(validatedAt.Value) - Date.now()) < 60 * 1000);
+			assert.equal(validatedArchives.Value, "tar:xvdf1 tar:xvdf2");
+			
+			// Every snapshot but snap-6 has been uploaded, and snap-5's archive no longer matches it
+			return snapshots.slice(0, 5).reduce((promise, snapshot) => promise.then(() => snap.storage.putObject({
+				Key: archiveKey(snapshot),
+				Body: "image",
+				Metadata: Object.assign(snap.createS3ParamsForSnapshot(snapshot).Metadata, {
+					compression: "gzip",
+					"snapshot-volumesize": snapshot.SnapshotId === "snap-5" ? "2" : "1"
+				})
+			})), Promise.resolve());
+		})
+		// One of snap-7's partitions has gone missing since it was validated
+		.then(() => putArchive(byID("snap-7"), tarKey(byID("snap-7"), "xvdf1"), "tar", {}))
+		// And so has one of snap-8's, but its manifest was left behind
+		.then(() => putArchive(byID("snap-8"), tarKey(byID("snap-8"), "xvdf1"), "tar", {}))
+		.then(() => snap.storage.putObject({Key: manifest.manifestKeyForArchive(tarKey(byID("snap-8"), "xvdf1")), Body: "manifest"}))
+		.then(() => snap.storage.putObject({Key: manifest.manifestKeyForArchive(tarKey(byID("snap-8"), "xvdf2")), Body: "manifest"}))
+		// snap-9's incremental tar is based on one that's gone, but snap-c's parent is still there
+		.then(() => putArchive(byID("snap-9"), tarKey(byID("snap-9"), "xvdf1"), "tar", {"tar-level": "1", "tar-parent-key": tarKey(parentSnapshot, "xvdf1").replace("snap-c0", "snap-90")}))
+		.then(() => putArchive(parentSnapshot, tarKey(parentSnapshot, "xvdf1"), "tar", {}))
+		.then(() => putArchive(byID("snap-c"), tarKey(byID("snap-c"), "xvdf1"), "tar", {"tar-level": "1", "tar-parent-key": tarKey(parentSnapshot, "xvdf1")}))
+		// snap-a's index refers to a chunk that's gone, snap-b's only to one that's still there
+		.then(() => snap.storeChunk(hashes[0], chunks[0], {}, null))
+		.then(() => putArchive(byID("snap-a"), indexKey(byID("snap-a")), chunkStore.encodeIndex(chunkStore.createIndex(chunks.map((chunk, index) => [hashes[index], chunk.length]))), {"uncompressed-size": "9"}))
+		.then(() => putArchive(byID("snap-b"), indexKey(byID("snap-b")), chunkStore.encodeIndex(chunkStore.createIndex([[hashes[0], chunks[0].length]])), {"uncompressed-size": "6"}))
+		.then(() => snap.deleteValidatedSnapshots(["snap-2"]))
+		.then(result => {
+			assert.deepEqual(result.deleted, []);
+			assert.deepEqual(Object.keys(result.kept), ["snap-2"]);
+			assert(/grace period ends/.test(result.kept["snap-2"]));
+			
+			return snap.deleteValidatedSnapshots();
+		})
+		.then(result => {
+			assert.deepEqual(result.deleted, ["snap-1", "snap-b", "snap-c"]);
+			assert.deepEqual(deletedSnapshots, ["snap-1", "snap-b", "snap-c"]);
+			assert.deepEqual(Object.keys(result.kept).sort(), ["snap-2", "snap-3", "snap-4"]);
+			assert(/AMI/.test(result.kept["snap-4"]));
+			assert.deepEqual(Object.keys(result.failed).sort(), ["snap-5", "snap-6", "snap-7", "snap-8", "snap-9", "snap-a"]);
+			assert(/doesn't match/.test(result.failed["snap-5"]));
+			assert(/No archives/.test(result.failed["snap-6"]));
+			assert(/^The tar:xvdf2 archive of snap-7 was there when it was validated, but it's missing/.test(result.failed["snap-7"]), result.failed["snap-7"]);
+			assert(/xvdf2\.tar\.gz\.manifest\.gz" is in the bucket, but the archive it describes is missing$/.test(result.failed["snap-8"]), result.failed["snap-8"]);
+			assert(/snap-9 - Test\.xvdf1\.tar\.gz" is based on aren't all there/.test(result.failed["snap-9"]), result.failed["snap-9"]);
+			assert(new RegExp("^The chunk \".+" + hashes[1] + "\" of \".+snap-a - Test\\.img").test(result.failed["snap-a"]), result.failed["snap-a"]);
+			
+			// snap-3's grace period starts now
+			assert.equal(createdTags["snap-3"][0].Key, "snap-to-s3-validated-at");
+			
+			const
+				tombstone = JSON.parse(fs.readFileSync(path.resolve(directory, "vol-1", "2017-01-01T00:00:00+00:00 snap-1.deleted.json"), "utf8"));
+			
+			assert.equal(tombstone.snapshotID, "snap-1");
+			assert.equal(tombstone.description, "Test");
+			assert.deepEqual(tombstone.tags, snapshots[0].Tags);
+			assert.deepEqual(tombstone.archives, [archiveKey(snapshots[0])]);
+			
+			// The tombstone isn't mistaken for an archive
+			return snap.findArchivesForSnapshot("snap-1", "vol-1");
+		})
+		.then(archives => {
+			assert.deepEqual(archives.map(archive => archive.key), [archiveKey(snapshots[0])]);
+			
+			console.log("Validated snapshots were deleted once it was safe!");
+			console.log("");
+		});
+}
+
+function testPrune() {
+	const
+		directory = path.resolve(common.scratchDir2, "prune"),
+		
+		archive = (volumeID, snapshotID, startTime, extension, extraMetadata) => ({
+			Key: volumeID + "/" + startTime + " " + snapshotID + extension,
+			Body: "archive",
+			Metadata: Object.assign({
+				"snapshot-snapshotid": snapshotID,
+				"snapshot-volumeid": volumeID,
+				"snapshot-starttime": startTime,
+				"snapshot-volumesize": "1",
+				compression: "gzip"
+			}, extraMetadata)
+		}),
+		
+		archives = [
+			archive("vol-1", "snap-1a", "2017-01-01T00:00:00+00:00", ".tar.gz", {}),
+			archive("vol-1", "snap-1b", "2017-01-02T00:00:00+00:00", ".img.gz", {}),
+			archive("vol-1", "snap-1c", "2017-01-15T00:00:00+00:00", ".tar.gz", {"tar-level": "1", "tar-parent-key": "vol-1/2017-01-01T00:00:00+00:00 snap-1a.tar.gz"}),
+			archive("vol-1", "snap-1d", "2017-02-11T01:00:00+00:00", ".img.gz", {}),
+			archive("vol-1", "snap-1e", "2017-02-11T05:00:00+00:00", ".img.gz", {}),
+			archive("vol-2", "snap-2a", "2017-01-01T00:00:00+00:00", ".img.gz", {}),
+			archive("vol-2", "snap-2b", "2017-01-02T00:00:00+00:00", ".img.gz", {}),
+			archive("vol-2", "snap-2c", "2017-01-03T00:00:00+00:00", ".img.gz", {}),
+			archive("vol-3", "snap-3a", "2017-01-01T00:00:00+00:00", ".img.gz", {}),
+			archive("vol-3", "snap-3b", "2017-01-02T00:00:00+00:00", ".img.gz", {})
+		],
+		
+		keyOf = snapshotID => archives.find(archive => archive.Metadata["snapshot-snapshotid"] === snapshotID).Key,
+		
+		options = {
+			tag: "snap-to-s3",
+			"mount-point": "/mnt",
+			directory: directory,
+			prune: true,
+			"keep-daily": 1,
+			"keep-monthly": 2,
+			"retention-rule": ["tag:Environment=staging=1d", "vol-2=2d"]
+		},
+		
+		snap = common.createTestSnap(options);
+	
+	console.log("Pruning archives with retention rules...");
+	
+	assert.deepEqual(retention.parseRule("vol-0123abcd=7d,12m,5y"), {volumeID: "vol-0123abcd", tagKey: null, tagValue: null, daily: 7, monthly: 12, yearly: 5});
+	assert.deepEqual(retention.parseRule("tag:Env=a=b=1y"), {volumeID: null, tagKey: "Env", tagValue: "a=b", daily: 0, monthly: 0, yearly: 1});
+	assert.throws(() => retention.parseRule("vol-1=7"), /7d,12m,5y/);
+	assert.throws(() => retention.parseRule("Env=staging=7d"), /--retention-rule/);
+	assert.throws(() => retention.parseRule("vol-1=0d"), /delete every archive/);
+	assert.equal(retention.createDefaultRule({}), null);
+	assert.deepEqual(retention.createDefaultRule({"keep-monthly": 3}), {volumeID: null, tagKey: null, tagValue: null, daily: 0, monthly: 3, yearly: 0});
+	assert.throws(() => retention.createDefaultRule({"keep-daily": 0}), /delete every archive/);
+	
+	assert.deepEqual(retention.selectSnapshotsToKeep([
+		{snapshotID: "a", startTime: "2016-12-31T23:00:00Z"},
+		{snapshotID: "b", startTime: "2017-01-01T01:00:00Z"},
+		{snapshotID: "c", startTime: "2017-01-01T02:00:00Z"},
+		{snapshotID: "d", startTime: "2017-01-03T00:00:00Z"}
+	], {daily: 2, monthly: 0, yearly: 2}), {d: "daily 2017-01-03", c: "daily 2017-01-01", a: "yearly 2016"});
+	
+	const
+		headObject = snap.storage.headObject.bind(snap.storage);
+	
+	// Directory storage has no Object Lock, so pretend that snap-2a's manifest is locked
+	snap.storage.headObject = params => headObject(params).then(head => params.Key === manifest.manifestKeyForArchive(keyOf("snap-2a"))
+		? Object.assign({ObjectLockMode: "COMPLIANCE", ObjectLockRetainUntilDate: new Date(Date.now() + 24 * 60 * 60 * 1000)}, head)
+		: head);
+	
+	return fsTools.removeDirectory(directory)
+		.then(() => archives.reduce((promise, archive) => promise
+			.then(() => snap.storage.putObject(archive))
+			.then(() => snap.storage.putObject({Key: manifest.manifestKeyForArchive(archive.Key), Body: "manifest"})),
+			Promise.resolve()
+		))
+		.then(() => snap.storage.putObject({Key: tarTools.snapshotFileKeyForArchive(keyOf("snap-1a")), Body: "snar"}))
+		.then(() => snap.storage.putObjectTagging({Key: keyOf("snap-3b"), Tagging: {TagSet: [{Key: "Environment", Value: "staging"}]}}))
+		.then(() => snap.storage.putObject({Key: "vol-1/2016-01-01T00:00:00+00:00 snap-1z.deleted.json", Body: "{}"}))
+		.then(() => snap.storage.putObject({Key: "unrelated.txt", Body: "Not one of ours"}))
+		.then(() => {
+			snap.options["dry-run"] = true;
+			
+			return snap.pruneArchives();
+		})
+		.then(report => {
+			assert(report.dryRun);
+			assert.deepEqual(report.deleted, []);
+			assert.deepEqual(report.pruned.map(snapshot => snapshot.snapshotID), ["snap-1b", "snap-1d", "snap-3a"]);
+			assert(fs.existsSync(path.resolve(directory, keyOf("snap-1b"))));
+			
+			snap.options["dry-run"] = false;
+			
+			return snap.pruneArchives();
+		})
+		.then(report => {
+			const
+				reasons = {};
+			
+			for (let snapshot of report.kept) {
+				reasons[snapshot.snapshotID] = snapshot.reason;
+			}
+			
+			assert.deepEqual(reasons, {
+				"snap-1a": "needed to restore snap-1c",
+				"snap-1c": "monthly 2017-01",
+				"snap-1e": "daily 2017-02-11",
+				"snap-2a": "locked by Object Lock",
+				"snap-2b": "daily 2017-01-02",
+				"snap-2c": "daily 2017-01-03",
+				"snap-3b": "daily 2017-01-02"
+			});
+			assert.deepEqual(report.locked.map(locked => locked.key), [manifest.manifestKeyForArchive(keyOf("snap-2a"))]);
+			assert(/COMPLIANCE until/.test(report.locked[0].reason));
+			assert.deepEqual(report.undeleted, []);
+			
+			// Three archives and their manifests
+			assert.equal(report.deletedBytes, 3 * ("archive".length + "manifest".length));
+			
+			// Each archive went along with its sidecars
+			assert.deepEqual(report.pruned.find(snapshot => snapshot.snapshotID === "snap-1b").keys, [keyOf("snap-1b"), manifest.manifestKeyForArchive(keyOf("snap-1b"))]);
+			assert.deepEqual(report.deleted.sort(), ["snap-1b", "snap-1d", "snap-3a"]
+				.map(keyOf)
+				.reduce((keys, key) => keys.concat(key, manifest.manifestKeyForArchive(key)), [])
+				.sort());
+			
+			return snap.storage.listAllObjects({});
+		})
+		.then(objects => {
+			const
+				keys = objects.map(object => object.Key);
+			
+			assert(keys.indexOf(keyOf("snap-1b")) === -1);
+			assert(keys.indexOf(tarTools.snapshotFileKeyForArchive(keyOf("snap-1a"))) !== -1);
+			assert(keys.indexOf("vol-1/2016-01-01T00:00:00+00:00 snap-1z.deleted.json") !== -1);
+			assert(keys.indexOf("unrelated.txt") !== -1);
+			
+			// Volumes that no rule applies to are left alone
+			const
+				unruledSnap = common.createTestSnap(Object.assign({}, options, {"keep-daily": undefined, "keep-monthly": undefined, "retention-rule": ["vol-2=1d"], "dry-run": true}));
+			
+			return unruledSnap.pruneArchives();
+		})
+		.then(report => {
+			assert.deepEqual(report.unruled, ["vol-1", "vol-3"]);
+			assert.deepEqual(report.pruned.map(snapshot => snapshot.snapshotID), ["snap-2a", "snap-2b"]);
+			
+			// In a versioned bucket each version is deleted by its ID, since deleting the key wouldn't free anything
+			const
+				listRequests = [],
+				deleteRequests = [],
+				versionedSnap = common.createTestSnap({
+					tag: "snap-to-s3",
+					"mount-point": "/mnt",
+					bucket: "backups.example.com"
+				}, {
+					s3: {
+						listObjectVersions: params => {
+							listRequests.push(params);
+							
+							return {
+								promise: () => Promise.resolve(params.KeyMarker ? {
+									Versions: [{Key: "vol-1/b", VersionId: "b1", Size: 200}],
+									IsTruncated: false
+								} : {
+									Versions: [{Key: "vol-1/a", VersionId: "a2", Size: 100}, {Key: "vol-1/a", VersionId: "a1", Size: 50}, {Key: "vol-1/kept", VersionId: "k1", Size: 1000}],
+									DeleteMarkers: [{Key: "vol-1/a", VersionId: "a3"}],
+									IsTruncated: true,
+									NextKeyMarker: "vol-1/kept",
+									NextVersionIdMarker: "k1"
+								})
+							};
+						},
+						deleteObjects: params => {
+							deleteRequests.push(params);
+							
+							return {
+								promise: () => Promise.resolve({
+									Errors: [{Key: "vol-1/b", VersionId: "b1", Code: "AccessDenied", Message: "Access Denied"}]
+								})
+							};
+						}
+					}
+				}),
+				versionedReport = {
+					deleted: [],
+					deletedBytes: 0,
+					undeleted: []
+				};
+			
+			return versionedSnap.deleteObjectsInBatches([{Key: "vol-1/a", Size: 100}, {Key: "vol-1/b", Size: 200}], versionedReport).then(() => {
+				assert.deepEqual(listRequests.map(params => [params.Bucket, params.Prefix, params.KeyMarker]), [
+					["backups.example.com", "vol-1/", undefined],
+					["backups.example.com", "vol-1/", "vol-1/kept"]
+				]);
+				assert.deepEqual(deleteRequests.map(params => params.Delete.Objects), [[
+					{Key: "vol-1/a", VersionId: "a2"},
+					{Key: "vol-1/a", VersionId: "a1"},
+					{Key: "vol-1/a", VersionId: "a3"},
+					{Key: "vol-1/b", VersionId: "b1"}
+				]]);
+				
+				// The locked version of vol-1/b is still there, so it wasn't deleted and its space wasn't freed
+				assert.deepEqual(versionedReport, {
+					deleted: ["vol-1/a"],
+					deletedBytes: 150,
+					undeleted: [{key: "vol-1/b", versionId: "b1", error: "AccessDenied: Access Denied"}]
+				});
+			});
+		})
+		.then(() => {
+			console.log("Archives were pruned!");
+			console.log("");
+		});
+}
+
 common.createTestTars()
 	.then(() => fsTools.forcePath(common.scratchDir2))
 	.then(() => testFilesystemAndTarHashing())
+	.then(() => testTarExtraction())
+	.then(() => testManifests())
+	.then(() => testThrottleStream())
+	.then(() => testCompressionRoundTrip())
+	.then(() => testEncryption())
+	.then(() => testEbsDirect())
+	.then(() => testRestoreArchiveLookup())
+	.then(() => testFailedRestoreCleanup())
+	.then(() => testDeviceOverwriteChecks())
+	.then(() => testIncrementalDeltas())
+	.then(() => testIncrementalTars())
+	.then(() => testChunkStore())
+	.then(() => testGlacierRestores())
+	.then(() => testObjectLock())
+	.then(() => testDirectoryStorage())
+	.then(() => testChunkGarbageCollection())
+	.then(() => testChunkedUploads())
+	.then(() => testCopyDestinations())
+	.then(() => testResumableUploads())
+	.then(() => testParallelMigration())
+	.then(() => testKeepGoing())
+	.then(() => testDaemon())
+	.then(() => testSnapshotSelection())
+	.then(() => testMigrationPlan())
+	.then(() => testDeleteAfterValidate())
+	.then(() => testPrune())
 	.then(
 		() => {
 			console.log("Done!");
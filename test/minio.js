@@ -0,0 +1,289 @@
+"use strict";
+
+const
+	assert = require("assert"),
+	child_process = require("child_process"),
+	crypto = require("crypto"),
+	fs = require("fs"),
+	path = require("path"),
+	stream = require("stream"),
+	
+	Logger = require("js-logger"),
+	which = require("which"),
+	commandLineArgs = require("command-line-args"),
+	getUsage = require("command-line-usage"),
+	
+	fsTools = require("../lib/filesystem-tools"),
+	hashFiles = require("../lib/hash-files"),
+	SimpleProgressStream = require("../lib/simple-progress-stream"),
+	spawn = require("../lib/spawn"),
+	SnapToS3 = require("../lib/snap-to-s3");
+
+const
+	MINIO_USER = "snap-to-s3-test",
+	MINIO_PASSWORD = "snap-to-s3-test-password",
+	
+	TEST_BUCKET = "snap-to-s3-test",
+	
+	// Big enough that the upload is split into several parts, and (being larger than the biggest chunk) always into
+	// several chunks when it's deduplicated
+	TEST_IMAGE_SIZE = 20 * 1024 * 1024,
+	
+	SERVER_POLL_INTERVAL = 1000, // ms
+	SERVER_POLL_MAX_RETRY = 30,
+	
+	scratchDir = path.resolve(__dirname, ".minio"),
+	
+	programOptions = [
+		{
+			name: "help",
+			type: Boolean,
+			description: "Show this page"
+		},
+		{
+			name: "minio",
+			type: String,
+			defaultValue: "minio",
+			typeLabel: "[underline]{filename}",
+			description: "MinIO server binary to run (default: $default)"
+		},
+		{
+			name: "port",
+			type: Number,
+			defaultValue: 9900,
+			typeLabel: "[underline]{port}",
+			description: "Port to run the MinIO server on (default: $default)"
+		}
+	],
+	
+	usageSections = [
+		{
+			header: "MinIO tests for snap-to-s3",
+			content: "Starts a temporary MinIO server on this machine, and checks that archives can be uploaded to it " +
+			"and read back through snap-to-s3's S3-compatible endpoint support, without needing an AWS account."
+		},
+		{
+			header: "Usage",
+			content: "npm run test-minio -- --minio /path/to/minio"
+		},
+		{
+			header: "Options",
+			optionList: programOptions
+		}
+	];
+
+let
+	options;
+
+/**
+ * Create a SnapToS3 which talks to our MinIO server. We don't run the constructor, since it wants to be running on
+ * EC2.
+ *
+ * @param {Object} extraOptions
+ * @returns {SnapToS3}
+ */
+function createSnap(extraOptions) {
+	const
+		snap = Object.create(SnapToS3.prototype);
+	
+	snap.setOptions(Object.assign({
+		tag: "snap-to-s3",
+		"mount-point": path.resolve(scratchDir, "mnt"),
+		bucket: TEST_BUCKET,
+		compression: "gzip",
+		"s3-endpoint": "http://127.0.0.1:" + options.port,
+		"s3-force-path-style": true,
+		"s3-region": "us-east-1",
+		"s3-profile": "minio",
+		"s3-credentials-file": path.resolve(scratchDir, "credentials")
+	}, extraOptions));
+	
+	snap.resetState();
+	snap.s3 = snap.createS3Client();
+	snap.createDestinations();
+	
+	return snap;
+}
+
+function startServer() {
+	const
+		dataDir = path.resolve(scratchDir, "data");
+	
+	try {
+		which.sync(options.minio);
+	} catch (e) {
+		return Promise.reject("Couldn't find the MinIO server binary \"" + options.minio + "\", pass its path with --minio");
+	}
+	
+	return fsTools.forcePath(dataDir)
+		.then(() => {
+			fs.writeFileSync(path.resolve(scratchDir, "credentials"), "[minio]\naws_access_key_id = " + MINIO_USER + "\naws_secret_access_key = " + MINIO_PASSWORD + "\n");
+			
+			console.log("Starting MinIO on port " + options.port + "...");
+			
+			return child_process.spawn(options.minio, ["server", dataDir, "--address", "127.0.0.1:" + options.port, "--quiet"], {
+				stdio: ["ignore", "ignore", "inherit"],
+				env: Object.assign({}, process.env, {
+					MINIO_ROOT_USER: MINIO_USER,
+					MINIO_ROOT_PASSWORD: MINIO_PASSWORD,
+					
+					// Older releases use these names instead
+					MINIO_ACCESS_KEY: MINIO_USER,
+					MINIO_SECRET_KEY: MINIO_PASSWORD
+				})
+			});
+		});
+}
+
+function waitForServer(snap) {
+	const
+		poll = retry => snap.s3.listBuckets().promise().catch(error => {
+			if (retry >= SERVER_POLL_MAX_RETRY) {
+				throw "MinIO didn't start: " + error;
+			}
+			
+			return new Promise(resolve => setTimeout(resolve, SERVER_POLL_INTERVAL)).then(() => poll(retry + 1));
+		});
+	
+	return poll(0);
+}
+
+/**
+ * Upload a random image through uploadProcessStdOut(), then check its metadata and tags, and that it reads back intact.
+ *
+ * @param {boolean} dedup
+ * @returns {Promise}
+ */
+function testImageRoundTrip(dedup) {
+	const
+		snap = createSnap({dedup: dedup}),
+		
+		snapshot = {
+			SnapshotId: dedup ? "snap-0000000000000dedup" : "snap-00000000000000001",
+			VolumeId: "vol-00000000000000001",
+			VolumeSize: 1,
+			StartTime: new Date("2017-01-01T00:00:00Z"),
+			Description: "MinIO test"
+		},
+		
+		image = crypto.randomBytes(TEST_IMAGE_SIZE),
+		imageMD5 = crypto.createHash("md5").update(image).digest("hex"),
+		
+		s3Params = snap.createS3ParamsForSnapshot(snapshot),
+		source = new stream.PassThrough();
+	
+	s3Params.Key = snapshot.VolumeId + "/2017-01-01T00:00:00+00:00 " + snapshot.SnapshotId + " - " + snapshot.Description + ".img" + (dedup ? ".chunks" : ".gz");
+	
+	source.end(image);
+	
+	console.log("Uploading a " + (dedup ? "deduplicated " : "") + "image to s3://" + TEST_BUCKET + "/" + s3Params.Key + "...");
+	
+	return snap.uploadProcessStdOut(spawn.streamAsProcess(source), image.length, [{Key: "Name", Value: "minio-test"}], s3Params, Logger.get(snapshot.SnapshotId))
+		.then(() => Promise.all([
+			snap.s3.headObject({Bucket: TEST_BUCKET, Key: s3Params.Key}).promise(),
+			snap.s3.getObjectTagging({Bucket: TEST_BUCKET, Key: s3Params.Key}).promise()
+		]))
+		.then(results => {
+			const
+				head = results[0],
+				tagging = results[1];
+			
+			assert.equal(head.Metadata["snapshot-snapshotid"], snapshot.SnapshotId);
+			assert.equal(head.Metadata["snapshot-description"], snapshot.Description);
+			assert.equal(head.Metadata["compression"], "gzip");
+			assert.equal(head.Metadata["uncompressed-size"], image.length + "");
+			
+			if (dedup) {
+				assert(parseInt(head.Metadata["chunk-count"], 10) > 1);
+			} else {
+				// The ETag of a multipart upload ends with the number of parts
+				assert(/-[0-9]+"?$/.test(head.ETag), "Expected a multipart upload, but the ETag is " + head.ETag);
+			}
+			
+			assert.deepEqual(tagging.TagSet, [{Key: "Name", Value: "minio-test"}]);
+			
+			return snap.describeArchive(s3Params.Key);
+		})
+		.then(archive => {
+			assert.equal(archive.snapshotID, snapshot.SnapshotId);
+			assert.equal(archive.type, "image");
+			assert.equal(archive.chunked, dedup);
+			
+			const
+				download = snap.readArchiveFromS3(archive, new SimpleProgressStream()),
+				md5 = hashFiles.md5StreamAsPromise();
+			
+			return Promise.all([md5, download, spawn.pipelineAsPromise(download.stdout, md5.stdin)]);
+		})
+		.then(results => {
+			assert.equal(results[0], imageMD5);
+			
+			console.log("The image reads back intact, with its metadata and tags!");
+			console.log("");
+		});
+}
+
+function runTests() {
+	let
+		server = null;
+	
+	return startServer()
+		.then(_server => {
+			server = _server;
+			
+			const
+				snap = createSnap({});
+			
+			return waitForServer(snap).then(() => snap.s3.createBucket({Bucket: TEST_BUCKET}).promise());
+		})
+		.then(() => testImageRoundTrip(false))
+		.then(() => testImageRoundTrip(true))
+		.then(
+			() => {
+				server.kill();
+				
+				return fsTools.removeDirectory(scratchDir);
+			},
+			error => {
+				if (server) {
+					server.kill();
+				}
+				
+				return fsTools.removeDirectory(scratchDir).then(() => {
+					throw error;
+				});
+			}
+		);
+}
+
+Logger.useDefaults();
+
+for (let option of programOptions) {
+	if (option.description) {
+		option.description = option.description.replace("$default", option.defaultValue);
+	}
+}
+
+try {
+	// Parse command-line options
+	options = commandLineArgs(programOptions);
+} catch (e) {
+	console.error("Error: " + e.message);
+	options = null;
+}
+
+if (options === null || options.help) {
+	console.log(getUsage(usageSections));
+} else {
+	runTests()
+		.then(() => {
+			console.log("Done!");
+		})
+		.catch(err => {
+			process.exitCode = 1;
+			
+			console.error("Error: " + err + " " + (err.stack ? err.stack : ""));
+			console.error("");
+			console.error("Terminating due to fatal errors.");
+		});
+}